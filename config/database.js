@@ -1,29 +1,22 @@
-const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
+const { createStorage } = require('./storage');
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
-if (!supabaseUrl || !supabaseKey) {
-  console.error('Missing Supabase configuration. Please check your .env file.');
+// Storage backend selected by DB_CLIENT (supabase, sqlite or postgres); see config/storage
+let storage;
+try {
+  storage = createStorage();
+} catch (error) {
+  console.error(error.message);
   process.exit(1);
 }
 
-const supabase = createClient(supabaseUrl, supabaseKey, {
-  auth: {
-    autoRefreshToken: true,
-    persistSession: false
-  },
-  db: {
-    schema: 'public'
-  }
-});
+const client = storage.client;
 
 // Database helper functions
 const db = {
   // Account management
   async createAccount(accountData) {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('whatsapp_accounts')
       .insert([accountData])
       .select();
@@ -33,7 +26,7 @@ const db = {
   },
 
   async getAccounts() {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('whatsapp_accounts')
       .select('*')
       .order('created_at', { ascending: false });
@@ -43,7 +36,7 @@ const db = {
   },
 
   async getAccount(id) {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('whatsapp_accounts')
       .select('*')
       .eq('id', id)
@@ -54,7 +47,7 @@ const db = {
   },
 
   async updateAccount(id, updates) {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('whatsapp_accounts')
       .update(updates)
       .eq('id', id)
@@ -65,7 +58,7 @@ const db = {
   },
 
   async deleteAccount(id) {
-    const { error } = await supabase
+    const { error } = await client
       .from('whatsapp_accounts')
       .delete()
       .eq('id', id);
@@ -77,7 +70,7 @@ const db = {
   // Webhook management
   async createWebhook(webhookData) {
     try {
-      const { data, error } = await supabase
+      const { data, error } = await client
         .from('webhooks')
         .insert([webhookData])
         .select();
@@ -94,7 +87,7 @@ const db = {
   },
 
   async getWebhooks(accountId) {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('webhooks')
       .select('*')
       .eq('account_id', accountId)
@@ -104,8 +97,19 @@ const db = {
     return data || [];
   },
 
+  // Active webhooks of every account, for matching a presented secret
+  async getActiveWebhooks() {
+    const { data, error } = await client
+      .from('webhooks')
+      .select('*')
+      .eq('is_active', true);
+    
+    if (error) throw error;
+    return data || [];
+  },
+
   async getWebhook(id) {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('webhooks')
       .select('*')
       .eq('id', id)
@@ -116,7 +120,7 @@ const db = {
   },
 
   async updateWebhook(id, updates) {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('webhooks')
       .update(updates)
       .eq('id', id)
@@ -127,7 +131,7 @@ const db = {
   },
 
   async deleteWebhook(id) {
-    const { error } = await supabase
+    const { error } = await client
       .from('webhooks')
       .delete()
       .eq('id', id);
@@ -138,7 +142,7 @@ const db = {
 
   // Message logging
   async logMessage(messageData) {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('message_logs')
       .insert([messageData])
       .select();
@@ -147,8 +151,35 @@ const db = {
     return data[0];
   },
 
+  // Outgoing log row of a WhatsApp message id, for delivery receipts
+  async getOutgoingMessageLog(accountId, messageId) {
+    const { data, error } = await client
+      .from('message_logs')
+      .select('*')
+      .eq('account_id', accountId)
+      .eq('message_id', messageId)
+      .eq('direction', 'outgoing')
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  async updateMessageLog(id, updates) {
+    const { data, error } = await client
+      .from('message_logs')
+      .update(updates)
+      .eq('id', id)
+      .select();
+    
+    if (error) throw error;
+    return data[0];
+  },
+
   async getMessageLogs(accountId, limit = 100) {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('message_logs')
       .select('*')
       .eq('account_id', accountId)
@@ -159,24 +190,963 @@ const db = {
     return data || [];
   },
 
-  async getMessageStats(accountId) {
-    const { data, error } = await supabase
+  // Filtered log search, newest first, paginated by (created_at, id) keyset.
+  // Fetches one extra row to tell whether another page follows.
+  async searchMessageLogs({ accountIds = null, filters = {}, cursor = null, limit = 50 } = {}) {
+    let query = client
+      .from('message_logs')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+
+    if (accountIds) query = query.in('account_id', accountIds);
+    if (filters.direction) query = query.in('direction', filters.direction);
+    if (filters.status) query = query.in('status', filters.status);
+    for (const column of ['sender', 'recipient', 'chat_id', 'type', 'is_group']) {
+      if (filters[column] !== undefined) query = query.eq(column, filters[column]);
+    }
+    if (filters.from) query = query.gte('created_at', filters.from);
+    if (filters.to) query = query.lt('created_at', filters.to);
+    if (filters.search) {
+      query = query.ilike('message', `%${filters.search.replace(/[\\%_]/g, '\\$&')}%`);
+    }
+    if (cursor) {
+      query = query.or(
+        `created_at.lt."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.lt."${cursor.id}")`
+      );
+    }
+
+    const { data, error } = await query;
+    
+    if (error) throw error;
+    
+    const logs = (data || []).slice(0, limit);
+    return { logs, hasMore: (data || []).length > limit };
+  },
+
+  async getMessageLog(id) {
+    const { data, error } = await client
+      .from('message_logs')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Conversation inbox: one row per chat with its latest message and unread count
+  async getChatSummaries(accountId, limit = 100) {
+    const { data, error } = await client.rpc('get_chat_summaries', {
+      account_uuid: accountId,
+      limit_count: limit
+    });
+    
+    if (error) throw error;
+    
+    return (data || []).map(row => ({
+      ...row,
+      message_count: Number(row.message_count) || 0,
+      unread_count: Number(row.unread_count) || 0
+    }));
+  },
+
+  // Incoming messages up to `readAt` no longer count as unread
+  async markChatRead(accountId, chatId, { readAt = new Date().toISOString(), readBy = null } = {}) {
+    const { data, error } = await client
+      .from('chat_reads')
+      .upsert({
+        account_id: accountId,
+        chat_id: chatId,
+        last_read_at: readAt,
+        read_by: readBy
+      }, { onConflict: 'account_id,chat_id' })
+      .select();
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  // Whether a chat has any message logged, in either direction
+  async hasChatHistory(accountId, chatId) {
+    const { data, error } = await client
+      .from('message_logs')
+      .select('id')
+      .eq('account_id', accountId)
+      .eq('chat_id', chatId)
+      .in('direction', ['incoming', 'outgoing'])
+      .eq('status', 'success')
+      .limit(1);
+    
+    if (error) throw error;
+    return (data || []).length > 0;
+  },
+
+  // Send rate limits: created_at of the account's successful outgoing message
+  // `skip` places behind the newest one since `since`, or null when there are
+  // not that many. Optionally only those to `chatId` or to new contacts.
+  async getRecentSendTime(accountId, { since, skip = 0, chatId, newContact = false }) {
+    let query = client
       .from('message_logs')
-      .select('direction, status')
-      .eq('account_id', accountId);
+      .select('created_at')
+      .eq('account_id', accountId)
+      .eq('direction', 'outgoing')
+      .eq('status', 'success')
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+      .range(skip, skip);
+
+    if (chatId) query = query.eq('chat_id', chatId);
+    if (newContact) query = query.eq('new_contact', true);
+
+    const { data, error } = await query;
+    
+    if (error) throw error;
+    return data && data[0] ? data[0].created_at : null;
+  },
+
+  // Webhook delivery queue
+  async createWebhookDelivery(deliveryData) {
+    const { data, error } = await client
+      .from('webhook_deliveries')
+      .insert([deliveryData])
+      .select();
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  async getWebhookDelivery(id) {
+    const { data, error } = await client
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  async getWebhookDeliveries(webhookId, { status, limit = 50 } = {}) {
+    let query = client
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('webhook_id', webhookId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+    
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getDueWebhookDeliveries(limit = 20) {
+    const { data, error } = await client
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+    
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Atomically move a delivery from one status to another; returns null if
+  // the delivery was no longer in the expected status (claimed elsewhere)
+  async transitionWebhookDelivery(id, fromStatus, updates) {
+    const { data, error } = await client
+      .from('webhook_deliveries')
+      .update(updates)
+      .eq('id', id)
+      .eq('status', fromStatus)
+      .select();
+    
+    if (error) throw error;
+    return data[0] || null;
+  },
+
+  async updateWebhookDelivery(id, updates) {
+    const { data, error } = await client
+      .from('webhook_deliveries')
+      .update(updates)
+      .eq('id', id)
+      .select();
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  // Return deliveries left mid-attempt by a previous process to the queue
+  async resetStaleWebhookDeliveries() {
+    const { data, error } = await client
+      .from('webhook_deliveries')
+      .update({ status: 'pending', next_attempt_at: new Date().toISOString() })
+      .eq('status', 'delivering')
+      .select('id');
+    
+    if (error) throw error;
+    return (data || []).length;
+  },
+
+  // Scheduled messages
+  async createScheduledMessage(scheduledData) {
+    const { data, error } = await client
+      .from('scheduled_messages')
+      .insert([scheduledData])
+      .select();
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  async getScheduledMessage(id) {
+    const { data, error } = await client
+      .from('scheduled_messages')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Jobs ordered by send time; accountIds null means every account
+  async getScheduledMessages({ accountIds = null, status, limit = 100 } = {}) {
+    let query = client
+      .from('scheduled_messages')
+      .select('*')
+      .order('send_at', { ascending: true })
+      .limit(limit);
+
+    if (accountIds) query = query.in('account_id', accountIds);
+    if (status) query = query.in('status', status);
+
+    const { data, error } = await query;
+    
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getDueScheduledMessages(limit = 20) {
+    const { data, error } = await client
+      .from('scheduled_messages')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+    
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Same compare-and-set as transitionWebhookDelivery
+  async transitionScheduledMessage(id, fromStatus, updates) {
+    const { data, error } = await client
+      .from('scheduled_messages')
+      .update(updates)
+      .eq('id', id)
+      .eq('status', fromStatus)
+      .select();
+    
+    if (error) throw error;
+    return data[0] || null;
+  },
+
+  async updateScheduledMessage(id, updates) {
+    const { data, error } = await client
+      .from('scheduled_messages')
+      .update(updates)
+      .eq('id', id)
+      .select();
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  // Return jobs left mid-send by a previous process to the queue
+  async resetStaleScheduledMessages() {
+    const { data, error } = await client
+      .from('scheduled_messages')
+      .update({ status: 'pending', next_attempt_at: new Date().toISOString() })
+      .eq('status', 'sending')
+      .select('id');
+    
+    if (error) throw error;
+    return (data || []).length;
+  },
+
+  // Broadcast campaigns
+  async createCampaign(campaignData) {
+    const { data, error } = await client
+      .from('campaigns')
+      .insert([campaignData])
+      .select();
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  async getCampaign(id) {
+    const { data, error } = await client
+      .from('campaigns')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  async getCampaigns({ status, limit = 100 } = {}) {
+    let query = client
+      .from('campaigns')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) query = query.in('status', status);
+
+    const { data, error } = await query;
+    
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Running campaigns whose throttle delay has passed
+  async getDueCampaigns() {
+    const { data, error } = await client
+      .from('campaigns')
+      .select('*')
+      .eq('status', 'running')
+      .lte('next_send_at', new Date().toISOString())
+      .order('next_send_at', { ascending: true });
+    
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Move a campaign out of any of `fromStatuses`; null if it was in none of them
+  async transitionCampaign(id, fromStatuses, updates) {
+    const { data, error } = await client
+      .from('campaigns')
+      .update(updates)
+      .eq('id', id)
+      .in('status', fromStatuses)
+      .select();
+    
+    if (error) throw error;
+    return data[0] || null;
+  },
+
+  async updateCampaign(id, updates) {
+    const { data, error } = await client
+      .from('campaigns')
+      .update(updates)
+      .eq('id', id)
+      .select();
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  // Insert recipients in batches to keep statements a reasonable size
+  async addCampaignRecipients(recipients) {
+    for (let i = 0; i < recipients.length; i += 500) {
+      const { error } = await client
+        .from('campaign_recipients')
+        .insert(recipients.slice(i, i + 500));
+      
+      if (error) throw error;
+    }
+  },
+
+  async getCampaignRecipients(campaignId, { status, limit = 100, offset = 0 } = {}) {
+    let query = client
+      .from('campaign_recipients')
+      .select('*')
+      .eq('campaign_id', campaignId)
+      .order('position', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.in('status', status);
+
+    const { data, error } = await query;
+    
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getNextCampaignRecipient(campaignId) {
+    const { data, error } = await client
+      .from('campaign_recipients')
+      .select('*')
+      .eq('campaign_id', campaignId)
+      .eq('status', 'pending')
+      .order('position', { ascending: true })
+      .limit(1);
+    
+    if (error) throw error;
+    return (data && data[0]) || null;
+  },
+
+  // Same compare-and-set as transitionWebhookDelivery
+  async transitionCampaignRecipient(id, fromStatus, updates) {
+    const { data, error } = await client
+      .from('campaign_recipients')
+      .update(updates)
+      .eq('id', id)
+      .eq('status', fromStatus)
+      .select();
+    
+    if (error) throw error;
+    return data[0] || null;
+  },
+
+  async updateCampaignRecipient(id, updates) {
+    const { data, error } = await client
+      .from('campaign_recipients')
+      .update(updates)
+      .eq('id', id)
+      .select();
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  // Mark every still-pending recipient of a campaign as cancelled
+  async cancelCampaignRecipients(campaignId) {
+    const { data, error } = await client
+      .from('campaign_recipients')
+      .update({ status: 'cancelled' })
+      .eq('campaign_id', campaignId)
+      .eq('status', 'pending')
+      .select('id');
+    
+    if (error) throw error;
+    return (data || []).length;
+  },
+
+  // Return recipients left mid-send by a previous process to the queue
+  async resetStaleCampaignRecipients() {
+    const { data, error } = await client
+      .from('campaign_recipients')
+      .update({ status: 'pending' })
+      .eq('status', 'sending')
+      .select('id');
+    
+    if (error) throw error;
+    return (data || []).length;
+  },
+
+  // Recipient counts per status, keyed by campaign id (see get_campaign_progress)
+  async getCampaignProgress(campaignIds) {
+    const { data, error } = await client.rpc('get_campaign_progress', { campaign_uuids: campaignIds });
     
     if (error) throw error;
     
-    const stats = {
-      total: data.length,
-      incoming: data.filter(m => m.direction === 'incoming').length,
-      outgoing: data.filter(m => m.direction === 'outgoing').length,
-      success: data.filter(m => m.status === 'success').length,
-      failed: data.filter(m => m.status === 'failed').length
+    const progress = {};
+    for (const id of campaignIds) {
+      progress[id] = { total: 0, pending: 0, sent: 0, failed: 0, cancelled: 0 };
+    }
+    for (const row of data || []) {
+      for (const key of Object.keys(progress[row.campaign_id] || {})) {
+        progress[row.campaign_id][key] = Number(row[key]) || 0;
+      }
+    }
+    return progress;
+  },
+
+  // Message templates (account_id NULL = global)
+  async createMessageTemplate(templateData) {
+    const { data, error } = await client
+      .from('message_templates')
+      .insert([templateData])
+      .select();
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  async getMessageTemplate(id) {
+    const { data, error } = await client
+      .from('message_templates')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // All templates, or the global ones plus those of `accountId`
+  async getMessageTemplates({ accountId } = {}) {
+    let query = client
+      .from('message_templates')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (accountId) query = query.or(`account_id.is.null,account_id.eq."${accountId}"`);
+
+    const { data, error } = await query;
+    
+    if (error) throw error;
+    return data || [];
+  },
+
+  async updateMessageTemplate(id, updates) {
+    const { data, error } = await client
+      .from('message_templates')
+      .update(updates)
+      .eq('id', id)
+      .select();
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  async deleteMessageTemplate(id) {
+    const { error } = await client
+      .from('message_templates')
+      .delete()
+      .eq('id', id);
+    
+    if (error) throw error;
+    return true;
+  },
+
+  // Claim the away message of a chat: true when it was not sent in the last
+  // `intervalMinutes`. The conditional update lets only one caller win.
+  async claimAwayMessage(accountId, chatId, intervalMinutes) {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - intervalMinutes * 60 * 1000).toISOString();
+
+    const { error: upsertError } = await client
+      .from('away_messages')
+      .upsert({ account_id: accountId, chat_id: chatId }, { onConflict: 'account_id,chat_id' });
+    
+    if (upsertError) throw upsertError;
+
+    const { data, error } = await client
+      .from('away_messages')
+      .update({ sent_at: now.toISOString() })
+      .eq('account_id', accountId)
+      .eq('chat_id', chatId)
+      .or(`sent_at.is.null,sent_at.lt."${cutoff}"`)
+      .select();
+    
+    if (error) throw error;
+    return data.length > 0;
+  },
+
+  // Auto-reply rules
+  async createAutoReplyRule(ruleData) {
+    const { data, error } = await client
+      .from('auto_reply_rules')
+      .insert([ruleData])
+      .select();
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  async getAutoReplyRule(id) {
+    const { data, error } = await client
+      .from('auto_reply_rules')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Rules of an account in the order they are tried (lowest priority first)
+  async getAutoReplyRules(accountId, { activeOnly = false } = {}) {
+    let query = client
+      .from('auto_reply_rules')
+      .select('*')
+      .eq('account_id', accountId)
+      .order('priority', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (activeOnly) query = query.eq('is_active', true);
+
+    const { data, error } = await query;
+    
+    if (error) throw error;
+    return data || [];
+  },
+
+  async updateAutoReplyRule(id, updates) {
+    const { data, error } = await client
+      .from('auto_reply_rules')
+      .update(updates)
+      .eq('id', id)
+      .select();
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  async deleteAutoReplyRule(id) {
+    const { error } = await client
+      .from('auto_reply_rules')
+      .delete()
+      .eq('id', id);
+    
+    if (error) throw error;
+    return true;
+  },
+
+  // Chat tags
+  async addChatTag(accountId, chatId, tag, createdBy = null) {
+    const { data, error } = await client
+      .from('chat_tags')
+      .upsert({
+        account_id: accountId,
+        chat_id: chatId,
+        tag,
+        created_by: createdBy
+      }, { onConflict: 'account_id,chat_id,tag' })
+      .select();
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  // Tags of an account's chats as { chat_id: [tag, ...] }
+  async getChatTags(accountId) {
+    const { data, error } = await client
+      .from('chat_tags')
+      .select('chat_id, tag')
+      .eq('account_id', accountId)
+      .order('tag', { ascending: true });
+    
+    if (error) throw error;
+
+    const tags = {};
+    for (const row of data || []) {
+      (tags[row.chat_id] = tags[row.chat_id] || []).push(row.tag);
+    }
+    return tags;
+  },
+
+  async removeChatTag(accountId, chatId, tag) {
+    const { error } = await client
+      .from('chat_tags')
+      .delete()
+      .eq('account_id', accountId)
+      .eq('chat_id', chatId)
+      .eq('tag', tag);
+    
+    if (error) throw error;
+    return true;
+  },
+
+  // Contacts synced from the WhatsApp clients
+  async upsertContacts(accountId, rows) {
+    if (rows.length === 0) return [];
+
+    const { data, error } = await client
+      .from('contacts')
+      .upsert(rows.map(row => ({ ...row, account_id: accountId })), { onConflict: 'account_id,contact_id' })
+      .select();
+    
+    if (error) throw error;
+    return data || [];
+  },
+
+  // An account's contacts by name; `search` matches name, pushname or number
+  async searchContacts(accountId, { search, limit = 100, offset = 0 } = {}) {
+    let query = client
+      .from('contacts')
+      .select('*')
+      .eq('account_id', accountId)
+      .order('name', { ascending: true })
+      .order('pushname', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (search) {
+      const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`.replace(/["\\]/g, '\\$&');
+      query = query.or(`name.ilike."${pattern}",pushname.ilike."${pattern}",number.ilike."${pattern}"`);
+    }
+
+    const { data, error } = await query;
+    
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getContact(accountId, contactId) {
+    const { data, error } = await client
+      .from('contacts')
+      .select('*')
+      .eq('account_id', accountId)
+      .eq('contact_id', contactId)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Contacts with any of `contactIds` across accounts, for showing names
+  async getContactsByIds(accountIds, contactIds) {
+    if (contactIds.length === 0) return [];
+
+    const { data, error } = await client
+      .from('contacts')
+      .select('account_id, contact_id, name, pushname')
+      .in('account_id', accountIds)
+      .in('contact_id', contactIds);
+    
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Group management audit log
+  async logGroupAction(actionData) {
+    const { data, error } = await client
+      .from('group_actions')
+      .insert([actionData])
+      .select();
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  async getGroupActions(accountId, { groupId, limit = 100 } = {}) {
+    let query = client
+      .from('group_actions')
+      .select('*')
+      .eq('account_id', accountId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (groupId) query = query.eq('group_id', groupId);
+
+    const { data, error } = await query;
+    
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Idempotent sends: claim a key for a request. True when the key is new,
+  // its last request failed, or it was claimed before `windowStart` (expired);
+  // the conditional update lets only one caller win.
+  // Claim a key that is new, failed, expired, or stuck sending since before `staleBefore`
+  async claimSendRequest(accountId, key, fingerprint, windowStart, staleBefore) {
+    const { error: upsertError } = await client
+      .from('send_requests')
+      .upsert({ account_id: accountId, idempotency_key: key }, { onConflict: 'account_id,idempotency_key' });
+    
+    if (upsertError) throw upsertError;
+
+    const { data, error } = await client
+      .from('send_requests')
+      .update({ status: 'sending', fingerprint, response: null, claimed_at: new Date().toISOString() })
+      .eq('account_id', accountId)
+      .eq('idempotency_key', key)
+      .or(`status.is.null,status.eq.failed,claimed_at.lt."${windowStart}",and(status.eq.sending,claimed_at.lt."${staleBefore}")`)
+      .select();
+    
+    if (error) throw error;
+    return data.length > 0;
+  },
+
+  async getSendRequest(accountId, key) {
+    const { data, error } = await client
+      .from('send_requests')
+      .select('*')
+      .eq('account_id', accountId)
+      .eq('idempotency_key', key)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  async updateSendRequest(accountId, key, updates) {
+    const { error } = await client
+      .from('send_requests')
+      .update(updates)
+      .eq('account_id', accountId)
+      .eq('idempotency_key', key);
+    
+    if (error) throw error;
+  },
+
+  // Forget keys claimed before `windowStart`
+  async deleteExpiredSendRequests(windowStart) {
+    const { error } = await client
+      .from('send_requests')
+      .delete()
+      .lt('claimed_at', windowStart);
+    
+    if (error) throw error;
+  },
+
+  // Dashboard users (password hashes are only returned by getUserByUsername)
+  async createUser(userData) {
+    const { data, error } = await client
+      .from('users')
+      .insert([userData])
+      .select('id, username, display_name, role, is_active, last_login_at, created_at');
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  async getUsers() {
+    const { data, error } = await client
+      .from('users')
+      .select('id, username, display_name, role, is_active, last_login_at, created_at')
+      .order('created_at', { ascending: true });
+    
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getUser(id) {
+    const { data, error } = await client
+      .from('users')
+      .select('id, username, display_name, role, is_active, last_login_at, created_at')
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  async getUserByUsername(username) {
+    const { data, error } = await client
+      .from('users')
+      .select('*')
+      .eq('username', username)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  async updateUser(id, updates) {
+    const { data, error } = await client
+      .from('users')
+      .update(updates)
+      .eq('id', id)
+      .select('id, username, display_name, role, is_active, last_login_at, created_at');
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  async deleteUser(id) {
+    const { error } = await client
+      .from('users')
+      .delete()
+      .eq('id', id);
+    
+    if (error) throw error;
+    return true;
+  },
+
+  // API keys
+  async createApiKey(apiKeyData) {
+    const { data, error } = await client
+      .from('api_keys')
+      .insert([apiKeyData])
+      .select();
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  async getApiKeys() {
+    const { data, error } = await client
+      .from('api_keys')
+      .select('id, name, key_prefix, scopes, account_ids, created_by, last_used_at, revoked_at, created_at')
+      .order('created_at', { ascending: false });
+    
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getApiKeyByHash(keyHash) {
+    const { data, error } = await client
+      .from('api_keys')
+      .select('*')
+      .eq('key_hash', keyHash)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  async updateApiKey(id, updates) {
+    const { data, error } = await client
+      .from('api_keys')
+      .update(updates)
+      .eq('id', id)
+      .select('id, name, key_prefix, scopes, account_ids, created_by, last_used_at, revoked_at, created_at');
+    
+    if (error) throw error;
+    return data[0];
+  },
+
+  // Message statistics are aggregated in the database (see get_message_* in supabase-schema.sql)
+  async getMessageStats(accountId) {
+    const { data, error } = await client.rpc('get_message_stats', { account_uuid: accountId });
+    
+    if (error) throw error;
+    
+    const row = (data && data[0]) || {};
+    return {
+      total: Number(row.total) || 0,
+      incoming: Number(row.incoming) || 0,
+      outgoing: Number(row.outgoing) || 0,
+      success: Number(row.success) || 0,
+      failed: Number(row.failed) || 0
     };
+  },
+
+  // Totals across accounts in a single query; null means all accounts
+  async getMessageTotals(accountIds = null) {
+    const { data, error } = await client.rpc('get_message_totals', { account_uuids: accountIds });
+    
+    if (error) throw error;
+    
+    const row = (data && data[0]) || {};
+    const totals = {};
+    for (const key of ['total', 'incoming', 'outgoing', 'success', 'failed', 'webhook_success', 'webhook_failed']) {
+      totals[key] = Number(row[key]) || 0;
+    }
+    return totals;
+  },
+
+  // Message counts per hour/day bucket, direction and status in [from, to)
+  async getMessageSeries({ from, to, bucket = 'hour', accountIds = null }) {
+    const { data, error } = await client.rpc('get_message_series', {
+      start_at: from,
+      end_at: to,
+      bucket_size: bucket,
+      account_uuids: accountIds
+    });
+    
+    if (error) throw error;
     
-    return stats;
+    return (data || []).map(row => ({
+      bucket: new Date(row.bucket).toISOString(),
+      direction: row.direction,
+      status: row.status,
+      count: Number(row.count) || 0
+    }));
   }
 };
 
-module.exports = { supabase, db }; 
\ No newline at end of file
+module.exports = { storage, db }; 
\ No newline at end of file
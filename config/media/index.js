@@ -0,0 +1,39 @@
+const { createLocalMediaDriver } = require('./local');
+const { createS3MediaDriver } = require('./s3');
+
+const DRIVERS = ['local', 's3'];
+const DEFAULT_MEDIA_DIR = './data/media';
+
+/**
+ * Create the configured media driver. Drivers store opaque keys and expose
+ * `put(key, buffer, { mimetype })`, `get(key)` -> { stream, size } | null
+ * and `remove(key)`.
+ */
+function createMediaDriver(env = process.env) {
+  const name = (env.MEDIA_STORAGE || 'local').toLowerCase();
+
+  if (!DRIVERS.includes(name)) {
+    throw new Error(`Unknown MEDIA_STORAGE "${name}". Use one of: ${DRIVERS.join(', ')}`);
+  }
+
+  if (name === 's3') {
+    if (!env.S3_BUCKET) {
+      throw new Error('MEDIA_STORAGE=s3 requires S3_BUCKET. Please check your .env file.');
+    }
+    return createS3MediaDriver({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true'
+    });
+  }
+
+  return createLocalMediaDriver(env.MEDIA_DIR || DEFAULT_MEDIA_DIR);
+}
+
+module.exports = {
+  DRIVERS,
+  createMediaDriver
+};
\ No newline at end of file
@@ -0,0 +1,44 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+// Media files on the local disk, one file per key under `root`
+function createLocalMediaDriver(root) {
+  const base = path.resolve(root);
+
+  // Keys are generated by the media store, but never let one escape the root
+  const resolveKey = (key) => {
+    const file = path.resolve(base, key);
+    if (!file.startsWith(base + path.sep)) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const file = resolveKey(key);
+      await fs.ensureDir(path.dirname(file));
+      await fs.writeFile(file, buffer);
+    },
+
+    // { stream, size } or null when the file does not exist
+    async get(key) {
+      const file = resolveKey(key);
+      try {
+        const { size } = await fs.stat(file);
+        return { stream: fs.createReadStream(file), size };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await fs.remove(resolveKey(key));
+    }
+  };
+}
+
+module.exports = { createLocalMediaDriver };
\ No newline at end of file
@@ -0,0 +1,49 @@
+// S3-compatible object storage (AWS S3, MinIO, Cloudflare R2, ...) through
+// @aws-sdk/client-s3, an optional dependency
+function createS3MediaDriver({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+  let sdk;
+  try {
+    sdk = require('@aws-sdk/client-s3');
+  } catch (error) {
+    throw new Error('MEDIA_STORAGE=s3 requires the @aws-sdk/client-s3 package (npm install @aws-sdk/client-s3)');
+  }
+
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = sdk;
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    // Without explicit keys the SDK falls back to its default credential chain
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, { mimetype } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: mimetype || 'application/octet-stream'
+      }));
+    },
+
+    // { stream, size } or null when the object does not exist
+    async get(key) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { stream: object.Body, size: object.ContentLength };
+      } catch (error) {
+        if (error.name === 'NoSuchKey') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+}
+
+module.exports = { createS3MediaDriver };
\ No newline at end of file
@@ -0,0 +1,160 @@
+// Local equivalents of the Postgres functions in supabase-schema.sql. The
+// migration runner skips plpgsql, so SqlClient.rpc() builds these queries
+// directly. Each entry returns { sql, params } plus the result column kinds.
+
+const BUCKET_FORMATS = {
+  hour: "strftime('%Y-%m-%dT%H:00:00.000Z', created_at)",
+  day: "strftime('%Y-%m-%dT00:00:00.000Z', created_at)"
+};
+
+// " AND account_id IN (...)" for a list of accounts; null means all accounts
+function accountFilter(accountIds, params) {
+  if (!accountIds) return '';
+  if (accountIds.length === 0) return ' AND 1 = 0';
+  params.push(...accountIds);
+  return ` AND account_id IN (${accountIds.map(() => '?').join(', ')})`;
+}
+
+const FUNCTIONS = {
+  get_message_stats: {
+    columns: { total: 'integer', incoming: 'integer', outgoing: 'integer', success: 'integer', failed: 'integer' },
+    build(dialect, { account_uuid }) {
+      return {
+        sql: `SELECT
+            COUNT(*) AS total,
+            COUNT(*) FILTER (WHERE direction = 'incoming') AS incoming,
+            COUNT(*) FILTER (WHERE direction = 'outgoing') AS outgoing,
+            COUNT(*) FILTER (WHERE status = 'success') AS success,
+            COUNT(*) FILTER (WHERE status = 'failed') AS failed
+          FROM message_logs
+          WHERE account_id = ?`,
+        params: [account_uuid]
+      };
+    }
+  },
+
+  get_message_totals: {
+    columns: {
+      total: 'integer',
+      incoming: 'integer',
+      outgoing: 'integer',
+      success: 'integer',
+      failed: 'integer',
+      webhook_success: 'integer',
+      webhook_failed: 'integer'
+    },
+    build(dialect, { account_uuids = null }) {
+      const params = [];
+      return {
+        sql: `SELECT
+            COUNT(*) AS total,
+            COUNT(*) FILTER (WHERE direction = 'incoming') AS incoming,
+            COUNT(*) FILTER (WHERE direction = 'outgoing') AS outgoing,
+            COUNT(*) FILTER (WHERE status = 'success') AS success,
+            COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+            COUNT(*) FILTER (WHERE direction = 'webhook' AND status = 'success') AS webhook_success,
+            COUNT(*) FILTER (WHERE direction = 'webhook' AND status = 'failed') AS webhook_failed
+          FROM message_logs
+          WHERE 1 = 1${accountFilter(account_uuids, params)}`,
+        params
+      };
+    }
+  },
+
+  get_message_series: {
+    columns: { bucket: 'timestamp', direction: 'text', status: 'text', count: 'integer' },
+    build(dialect, { start_at, end_at, bucket_size = 'hour', account_uuids = null }) {
+      if (!BUCKET_FORMATS[bucket_size]) {
+        throw new Error(`Unsupported bucket size: ${bucket_size}`);
+      }
+
+      const bucket = dialect === 'sqlite'
+        ? BUCKET_FORMATS[bucket_size]
+        : `date_trunc('${bucket_size}', created_at)`;
+      const params = [start_at, end_at];
+
+      return {
+        sql: `SELECT ${bucket} AS bucket, direction, status, COUNT(*) AS count
+          FROM message_logs
+          WHERE created_at >= ? AND created_at < ?${accountFilter(account_uuids, params)}
+          GROUP BY 1, 2, 3
+          ORDER BY 1`,
+        params
+      };
+    }
+  },
+
+  get_chat_summaries: {
+    columns: {
+      chat_id: 'text',
+      is_group: 'boolean',
+      group_name: 'text',
+      message_count: 'integer',
+      unread_count: 'integer',
+      last_read_at: 'timestamp',
+      last_message: 'text',
+      last_direction: 'text',
+      last_type: 'text',
+      last_status: 'text',
+      last_message_at: 'timestamp'
+    },
+    // DISTINCT ON and BOOL_OR are Postgres-only, so the latest message is
+    // picked with ROW_NUMBER() and is_group aggregated as 0/1
+    build(dialect, { account_uuid, limit_count = 100 }) {
+      return {
+        sql: `WITH conversation AS (
+            SELECT * FROM message_logs
+            WHERE account_id = ? AND chat_id IS NOT NULL AND direction IN ('incoming', 'outgoing')
+          ),
+          latest AS (
+            SELECT chat_id, message, direction, type, status, created_at,
+              ROW_NUMBER() OVER (PARTITION BY chat_id ORDER BY created_at DESC, id DESC) AS position
+            FROM conversation
+          ),
+          totals AS (
+            SELECT c.chat_id,
+              MAX(CASE WHEN c.is_group THEN 1 ELSE 0 END) AS is_group,
+              MAX(c.group_name) AS group_name,
+              COUNT(*) AS message_count,
+              COUNT(*) FILTER (WHERE c.direction = 'incoming' AND (cr.last_read_at IS NULL OR c.created_at > cr.last_read_at)) AS unread_count,
+              MAX(cr.last_read_at) AS last_read_at
+            FROM conversation c
+            LEFT JOIN chat_reads cr ON cr.account_id = c.account_id AND cr.chat_id = c.chat_id
+            GROUP BY c.chat_id
+          )
+          SELECT t.chat_id, t.is_group, t.group_name, t.message_count, t.unread_count, t.last_read_at,
+            l.message AS last_message, l.direction AS last_direction, l.type AS last_type,
+            l.status AS last_status, l.created_at AS last_message_at
+          FROM totals t
+          JOIN latest l ON l.chat_id = t.chat_id AND l.position = 1
+          ORDER BY l.created_at DESC
+          LIMIT ?`,
+        params: [account_uuid, limit_count]
+      };
+    }
+  },
+
+  get_campaign_progress: {
+    columns: { campaign_id: 'text', total: 'integer', pending: 'integer', sent: 'integer', failed: 'integer', cancelled: 'integer' },
+    build(dialect, { campaign_uuids = [] }) {
+      if (campaign_uuids.length === 0) {
+        return { sql: 'SELECT NULL AS campaign_id WHERE 1 = 0', params: [] };
+      }
+
+      return {
+        sql: `SELECT campaign_id,
+            COUNT(*) AS total,
+            COUNT(*) FILTER (WHERE status IN ('pending', 'sending')) AS pending,
+            COUNT(*) FILTER (WHERE status = 'sent') AS sent,
+            COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+            COUNT(*) FILTER (WHERE status = 'cancelled') AS cancelled
+          FROM campaign_recipients
+          WHERE campaign_id IN (${campaign_uuids.map(() => '?').join(', ')})
+          GROUP BY campaign_id`,
+        params: campaign_uuids
+      };
+    }
+  }
+};
+
+module.exports = { FUNCTIONS };
\ No newline at end of file
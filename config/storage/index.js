@@ -0,0 +1,64 @@
+const { createSupabaseClient } = require('./supabase');
+const { createSqliteDriver } = require('./sqlite');
+const { createPostgresDriver } = require('./postgres');
+const { SqlClient } = require('./sql');
+const { migrate } = require('./migrate');
+
+const BACKENDS = ['supabase', 'sqlite', 'postgres'];
+const DEFAULT_SQLITE_PATH = './data/wa-automation.db';
+
+// DB_CLIENT wins; otherwise infer from whichever connection settings are present
+function resolveBackend(env = process.env) {
+  if (env.DB_CLIENT) return env.DB_CLIENT.toLowerCase();
+  if (env.SUPABASE_URL) return 'supabase';
+  if (env.DATABASE_URL) return 'postgres';
+  return 'sqlite';
+}
+
+/**
+ * Create the configured storage backend. Every backend exposes a
+ * supabase-js compatible `client` used by the `db` helpers, plus
+ * `migrate()` and `close()`.
+ */
+function createStorage(env = process.env) {
+  const backend = resolveBackend(env);
+
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown DB_CLIENT "${backend}". Use one of: ${BACKENDS.join(', ')}`);
+  }
+
+  if (backend === 'supabase') {
+    return {
+      backend,
+      client: createSupabaseClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY),
+      // Supabase schemas are managed in the SQL editor
+      async migrate() {
+        return [];
+      },
+      async close() {}
+    };
+  }
+
+  let driver;
+  if (backend === 'postgres') {
+    if (!env.DATABASE_URL) {
+      throw new Error('DB_CLIENT=postgres requires DATABASE_URL. Please check your .env file.');
+    }
+    driver = createPostgresDriver(env.DATABASE_URL);
+  } else {
+    driver = createSqliteDriver(env.SQLITE_PATH || DEFAULT_SQLITE_PATH);
+  }
+
+  return {
+    backend,
+    client: new SqlClient(driver),
+    migrate: (options) => migrate(driver, options),
+    close: () => driver.close()
+  };
+}
+
+module.exports = {
+  BACKENDS,
+  resolveBackend,
+  createStorage
+};
\ No newline at end of file
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { SCHEMA_PATH, parseSchema } = require('./schema');
+
+// Migration runner for the local backends. supabase-schema.sql stays the
+// single source of truth: its tables, columns and indexes are translated to
+// the target dialect and any that are missing are created. Existing data is
+// never dropped or altered, so adding a column or table to the schema file is
+// all a migration needs. Applied schema versions are kept in schema_migrations.
+
+const SQLITE_NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+// Translate one column definition from Postgres to the target dialect
+function translateColumn(column, dialect, { forAlter = false } = {}) {
+  let type = column.type;
+  let constraints = column.constraints;
+
+  if (dialect === 'postgres') {
+    // gen_random_uuid() is built in from Postgres 13; uuid-ossp may not be installed
+    constraints = constraints.replace(/uuid_generate_v4\(\)/gi, 'gen_random_uuid()');
+  } else {
+    type = {
+      boolean: 'INTEGER',
+      integer: 'INTEGER',
+      number: 'REAL'
+    }[column.kind] || 'TEXT';
+
+    // ids are generated by the query builder
+    constraints = constraints
+      .replace(/DEFAULT uuid_generate_v4\(\)/gi, '')
+      .replace(/DEFAULT NOW\(\)/gi, `DEFAULT ${SQLITE_NOW}`)
+      .replace(/DEFAULT true\b/gi, 'DEFAULT 1')
+      .replace(/DEFAULT false\b/gi, 'DEFAULT 0')
+      .replace(/DEFAULT '\{\}'/g, "DEFAULT '[]'");
+
+    // SQLite cannot add columns with expression defaults or NOT NULL without a default
+    if (forAlter) {
+      constraints = constraints.replace(`DEFAULT ${SQLITE_NOW}`, '');
+      if (!/DEFAULT/i.test(constraints)) constraints = constraints.replace(/NOT NULL/gi, '');
+    }
+  }
+
+  return `"${column.name}" ${type} ${constraints}`.replace(/\s+/g, ' ').trim();
+}
+
+function translateConstraint(constraint, dialect) {
+  return dialect === 'postgres'
+    ? constraint
+    : constraint.replace(/uuid_generate_v4\(\)/gi, '');
+}
+
+async function listColumns(driver, table) {
+  if (driver.dialect === 'sqlite') {
+    const rows = await driver.query(`PRAGMA table_info("${table}")`);
+    return rows.map(row => row.name);
+  }
+  const rows = await driver.query(
+    'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ?',
+    [table]
+  );
+  return rows.map(row => row.column_name);
+}
+
+/**
+ * Bring a SQLite or Postgres database up to date with supabase-schema.sql.
+ * Returns the list of statements that were applied (empty when current).
+ */
+async function migrate(driver, { schemaPath = SCHEMA_PATH, log = console.log } = {}) {
+  const sql = fs.readFileSync(schemaPath, 'utf8');
+  const version = crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+
+  await driver.query(
+    'CREATE TABLE IF NOT EXISTS schema_migrations (version VARCHAR(64) PRIMARY KEY, applied_at VARCHAR(64) NOT NULL)'
+  );
+  const applied = await driver.query('SELECT version FROM schema_migrations WHERE version = ?', [version]);
+  if (applied.length > 0) return [];
+
+  const { tables, indexes } = parseSchema(sql);
+  const statements = [];
+
+  for (const table of tables.values()) {
+    const existing = await listColumns(driver, table.name);
+
+    if (existing.length === 0) {
+      const definitions = [
+        ...table.columns.map(column => translateColumn(column, driver.dialect)),
+        ...table.constraints.map(constraint => translateConstraint(constraint, driver.dialect))
+      ];
+      statements.push(`CREATE TABLE IF NOT EXISTS "${table.name}" (${definitions.join(', ')})`);
+      continue;
+    }
+
+    for (const column of table.columns) {
+      if (!existing.includes(column.name)) {
+        statements.push(`ALTER TABLE "${table.name}" ADD COLUMN ${translateColumn(column, driver.dialect, { forAlter: true })}`);
+      }
+    }
+  }
+
+  for (const index of indexes) {
+    statements.push(
+      `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS "${index.name}" ON "${index.table}" (${index.columns})${index.where ? ` ${index.where}` : ''}`
+    );
+  }
+
+  for (const statement of statements) {
+    await driver.query(statement);
+  }
+
+  await driver.query('INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)', [version, new Date().toISOString()]);
+
+  const changes = statements.filter(statement => !statement.startsWith('CREATE INDEX IF NOT EXISTS') && !statement.startsWith('CREATE UNIQUE INDEX IF NOT EXISTS'));
+  log(`Database schema migrated (${changes.length} table/column change${changes.length === 1 ? '' : 's'})`);
+
+  return statements;
+}
+
+module.exports = {
+  migrate,
+  translateColumn
+};
+
+// `npm run migrate` applies the schema to the configured local backend
+if (require.main === module) {
+  const { storage } = require('../database');
+
+  storage.migrate()
+    .then(() => storage.close())
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
\ No newline at end of file
@@ -0,0 +1,33 @@
+// Plain Postgres driver (pg, an optional dependency) for self-hosted
+// installs that do not use Supabase
+function createPostgresDriver(connectionString) {
+  let pg;
+  try {
+    pg = require('pg');
+  } catch (error) {
+    throw new Error('DB_CLIENT=postgres requires the pg package (npm install pg)');
+  }
+
+  const pool = new pg.Pool({ connectionString });
+  pool.on('error', (error) => {
+    console.error('Postgres pool error:', error);
+  });
+
+  return {
+    dialect: 'postgres',
+
+    async query(sql, params = []) {
+      // The query builder emits "?" placeholders; pg expects $1, $2, ...
+      let index = 0;
+      const text = sql.replace(/\?/g, () => `$${++index}`);
+      const result = await pool.query(text, params);
+      return result.rows;
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
+
+module.exports = { createPostgresDriver };
\ No newline at end of file
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'supabase-schema.sql');
+
+// Keywords that end the type part of a column definition
+const CONSTRAINT_KEYWORDS = /\s+(PRIMARY|NOT|NULL|DEFAULT|REFERENCES|UNIQUE|CHECK|CONSTRAINT|GENERATED)\b/i;
+
+// Split on commas that are not nested inside parentheses
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+
+  return parts;
+}
+
+// Coarse value kind of a Postgres column type, used to encode/decode rows
+function typeKind(type) {
+  const normalized = type.toUpperCase();
+  if (normalized.endsWith('[]')) return 'array';
+  if (normalized === 'BOOLEAN') return 'boolean';
+  if (normalized === 'JSONB' || normalized === 'JSON') return 'json';
+  if (normalized.startsWith('TIMESTAMP')) return 'timestamp';
+  if (['BIGINT', 'INTEGER', 'INT', 'SMALLINT'].includes(normalized)) return 'integer';
+  if (normalized.startsWith('NUMERIC') || normalized === 'REAL' || normalized.startsWith('DOUBLE')) return 'number';
+  return 'text';
+}
+
+function parseColumn(definition) {
+  const [, name, rest] = definition.match(/^"?(\w+)"?\s+([\s\S]+)$/);
+  const constraintMatch = rest.match(CONSTRAINT_KEYWORDS);
+  const type = (constraintMatch ? rest.slice(0, constraintMatch.index) : rest).trim();
+  const constraints = constraintMatch ? rest.slice(constraintMatch.index).trim() : '';
+
+  return { name, type, kind: typeKind(type), constraints };
+}
+
+/**
+ * Parse the tables, columns and indexes out of supabase-schema.sql.
+ *
+ * Only the portable parts of the schema are returned; extensions, RLS
+ * policies, functions, triggers and comments are Supabase-specific and are
+ * handled by the storage layer instead (e.g. updated_at is set on update).
+ */
+function parseSchema(sql) {
+  const tables = new Map();
+  const indexes = [];
+
+  const statements = sql
+    .replace(/\$\$[\s\S]*?\$\$/g, '$$$$') // function bodies contain semicolons
+    .replace(/--[^\n]*/g, '')
+    .split(';')
+    .map(statement => statement.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  for (const statement of statements) {
+    const table = statement.match(/^CREATE TABLE (?:IF NOT EXISTS )?"?(\w+)"? \(([\s\S]*)\)$/i);
+    if (table) {
+      const columns = [];
+      const constraints = [];
+      for (const part of splitTopLevel(table[2])) {
+        if (/^(PRIMARY KEY|UNIQUE|FOREIGN KEY|CHECK|CONSTRAINT)\b/i.test(part)) {
+          constraints.push(part);
+        } else {
+          columns.push(parseColumn(part));
+        }
+      }
+      tables.set(table[1], { name: table[1], columns, constraints });
+      continue;
+    }
+
+    const addColumn = statement.match(/^ALTER TABLE "?(\w+)"? ADD COLUMN (?:IF NOT EXISTS )?([\s\S]+)$/i);
+    if (addColumn && tables.has(addColumn[1])) {
+      const column = parseColumn(addColumn[2]);
+      const existing = tables.get(addColumn[1]).columns;
+      if (!existing.some(c => c.name === column.name)) existing.push(column);
+      continue;
+    }
+
+    const index = statement.match(/^CREATE (UNIQUE )?INDEX (?:IF NOT EXISTS )?"?(\w+)"? ON "?(\w+)"? ?\(([^)]+)\)(.*)$/i);
+    if (index) {
+      indexes.push({
+        name: index[2],
+        table: index[3],
+        unique: !!index[1],
+        columns: index[4].trim(),
+        where: index[5].trim()
+      });
+    }
+  }
+
+  return { tables, indexes };
+}
+
+let cachedSchema = null;
+
+// Parsed schema from supabase-schema.sql, read once per process
+function loadSchema(schemaPath = SCHEMA_PATH) {
+  if (schemaPath !== SCHEMA_PATH) {
+    return parseSchema(fs.readFileSync(schemaPath, 'utf8'));
+  }
+  if (!cachedSchema) {
+    cachedSchema = parseSchema(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  }
+  return cachedSchema;
+}
+
+module.exports = {
+  SCHEMA_PATH,
+  parseSchema,
+  loadSchema
+};
\ No newline at end of file
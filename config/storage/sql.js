@@ -0,0 +1,442 @@
+const { v4: uuidv4 } = require('uuid');
+const { loadSchema } = require('./schema');
+const { FUNCTIONS } = require('./functions');
+
+// Query builder for the local SQL backends. It implements the subset of the
+// supabase-js query API used by config/database.js, so the `db` helpers run
+// unchanged on Supabase, SQLite and plain Postgres. Every call resolves to
+// { data, error, count } like supabase-js and never throws.
+
+const quote = (identifier) => `"${identifier}"`;
+
+const OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  ilike: 'ILIKE',
+  is: 'IS'
+};
+
+// Split a PostgREST logic expression on commas outside parentheses and quotes
+function splitLogic(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted && char === '\\') {
+      current += char + (text[++i] || '');
+      continue;
+    }
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+    if (!quoted && depth === 0 && char === ',') {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+
+  return parts;
+}
+
+// Parse the argument of .or() (e.g. 'a.eq.1,and(b.gt.2,c.is.null)') into filters
+function parseLogic(text) {
+  return splitLogic(text).map(part => {
+    const group = part.match(/^(and|or)\(([\s\S]*)\)$/);
+    if (group) {
+      return { logic: group[1].toUpperCase(), conditions: parseLogic(group[2]) };
+    }
+
+    const condition = part.match(/^(\w+)\.(\w+)\.([\s\S]*)$/);
+    if (!condition || !OPERATORS[condition[2]]) {
+      throw new Error(`Unsupported filter for local storage: ${part}`);
+    }
+
+    let value = condition[3];
+    if (value.length > 1 && value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    if (condition[2] === 'is') {
+      value = { null: null, true: true, false: false }[value];
+    }
+
+    return { column: condition[1], operator: OPERATORS[condition[2]], value };
+  });
+}
+
+function parseColumnList(columns) {
+  if (!columns || columns.trim() === '*') return '*';
+  return columns.split(',').map(column => {
+    const name = column.trim();
+    if (!/^\w+$/.test(name)) {
+      throw new Error(`Unsupported select expression for local storage: ${name}`);
+    }
+    return quote(name);
+  }).join(', ');
+}
+
+class QueryBuilder {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.columnTypes = client.columnTypes(table);
+    this.action = 'select';
+    this.columns = '*';
+    this.returning = null;
+    this.rows = null;
+    this.conflictColumns = null;
+    this.values = null;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.offsetCount = null;
+    this.singleMode = null;
+    this.countMode = null;
+    this.headOnly = false;
+  }
+
+  select(columns = '*', { count, head } = {}) {
+    if (this.action === 'select') {
+      this.columns = columns;
+      this.countMode = count || null;
+      this.headOnly = !!head;
+    } else {
+      this.returning = columns;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.rows = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  // INSERT ... ON CONFLICT (onConflict) DO UPDATE, like supabase-js
+  upsert(rows, { onConflict } = {}) {
+    this.insert(rows);
+    this.action = 'upsert';
+    this.conflictColumns = (onConflict || 'id').split(',').map(column => column.trim());
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  addFilter(column, operator, value) {
+    this.filters.push({ column, operator, value });
+    return this;
+  }
+
+  eq(column, value) { return this.addFilter(column, '=', value); }
+  neq(column, value) { return this.addFilter(column, '<>', value); }
+  gt(column, value) { return this.addFilter(column, '>', value); }
+  gte(column, value) { return this.addFilter(column, '>=', value); }
+  lt(column, value) { return this.addFilter(column, '<', value); }
+  lte(column, value) { return this.addFilter(column, '<=', value); }
+  in(column, values) { return this.addFilter(column, 'IN', values); }
+  is(column, value) { return this.addFilter(column, 'IS', value); }
+  like(column, pattern) { return this.addFilter(column, 'LIKE', pattern); }
+  ilike(column, pattern) { return this.addFilter(column, 'ILIKE', pattern); }
+
+  or(expression) {
+    this.filters.push({ logic: 'OR', conditions: parseLogic(expression) });
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push(`${quote(column)} ${ascending ? 'ASC' : 'DESC'}`);
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offsetCount = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+
+  buildCondition(filter, params) {
+    if (filter.logic) {
+      const clauses = filter.conditions.map(condition => this.buildCondition(condition, params));
+      return `(${clauses.join(` ${filter.logic} `)})`;
+    }
+
+    const { column, operator } = filter;
+    const kind = this.columnTypes[column];
+    if (!kind) {
+      throw new Error(`Unknown column ${this.table}.${column}`);
+    }
+
+    // Values parsed from .or() strings arrive as text
+    let value = filter.value;
+    if (kind === 'boolean' && typeof value === 'string') value = value === 'true';
+
+    if (operator === 'IS') {
+      if (value === null) return `${quote(column)} IS NULL`;
+      params.push(this.client.encode(value, kind));
+      return `${quote(column)} = ?`;
+    }
+    if (operator === 'IN') {
+      if (value.length === 0) return '1 = 0';
+      params.push(...value.map(v => this.client.encode(v, kind)));
+      return `${quote(column)} IN (${value.map(() => '?').join(', ')})`;
+    }
+    // Backslash escapes % and _ like it does in Postgres
+    if (operator === 'ILIKE') {
+      params.push(value);
+      return `LOWER(${quote(column)}) LIKE LOWER(?) ESCAPE '\\'`;
+    }
+    if (operator === 'LIKE') {
+      params.push(value);
+      return `${quote(column)} LIKE ? ESCAPE '\\'`;
+    }
+    params.push(this.client.encode(value, kind));
+    return `${quote(column)} ${operator} ?`;
+  }
+
+  buildWhere(params) {
+    if (this.filters.length === 0) return '';
+
+    const clauses = this.filters.map(filter => this.buildCondition(filter, params));
+    return ` WHERE ${clauses.join(' AND ')}`;
+  }
+
+  buildTail() {
+    let sql = '';
+    if (this.orders.length > 0) sql += ` ORDER BY ${this.orders.join(', ')}`;
+    if (this.limitCount !== null) sql += ` LIMIT ${parseInt(this.limitCount, 10)}`;
+    if (this.offsetCount !== null) sql += ` OFFSET ${parseInt(this.offsetCount, 10)}`;
+    return sql;
+  }
+
+  encodeRow(row) {
+    const columns = [];
+    const params = [];
+    for (const [column, value] of Object.entries(row)) {
+      if (value === undefined) continue;
+      if (!(column in this.columnTypes)) {
+        throw new Error(`Unknown column ${this.table}.${column}`);
+      }
+      columns.push(column);
+      params.push(this.client.encode(value, this.columnTypes[column]));
+    }
+    return { columns, params };
+  }
+
+  async execute() {
+    try {
+      let rows = [];
+      let count = null;
+
+      if (this.action === 'select') {
+        const params = [];
+        const where = this.buildWhere(params);
+
+        if (this.countMode) {
+          const [result] = await this.client.query(`SELECT COUNT(*) AS count FROM ${quote(this.table)}${where}`, params);
+          count = Number(result.count);
+        }
+        if (!this.headOnly) {
+          rows = await this.client.query(
+            `SELECT ${parseColumnList(this.columns)} FROM ${quote(this.table)}${where}${this.buildTail()}`,
+            [...params]
+          );
+        }
+      } else if (this.action === 'insert' || this.action === 'upsert') {
+        const returning = parseColumnList(this.returning || '*');
+        for (const row of this.rows) {
+          const values = { ...row };
+          if ('id' in this.columnTypes && !values.id) values.id = uuidv4();
+
+          const { columns, params } = this.encodeRow(values);
+          let conflict = '';
+          if (this.action === 'upsert') {
+            // Keep the existing id; refresh updated_at like the update triggers do
+            const updates = columns
+              .filter(column => column !== 'id' && !this.conflictColumns.includes(column))
+              .map(column => `${quote(column)} = excluded.${quote(column)}`);
+            if ('updated_at' in this.columnTypes && !columns.includes('updated_at')) {
+              updates.push(`${quote('updated_at')} = ?`);
+              params.push(new Date().toISOString());
+            }
+            conflict = ` ON CONFLICT (${this.conflictColumns.map(quote).join(', ')}) DO ${updates.length > 0 ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}`;
+          }
+
+          const inserted = await this.client.query(
+            `INSERT INTO ${quote(this.table)} (${columns.map(quote).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})${conflict} RETURNING ${returning}`,
+            params
+          );
+          rows.push(...inserted);
+        }
+      } else if (this.action === 'update') {
+        // Mirrors the updated_at triggers in supabase-schema.sql
+        const values = { ...this.values };
+        if ('updated_at' in this.columnTypes && values.updated_at === undefined) {
+          values.updated_at = new Date().toISOString();
+        }
+
+        const { columns, params } = this.encodeRow(values);
+        const where = this.buildWhere(params);
+        rows = await this.client.query(
+          `UPDATE ${quote(this.table)} SET ${columns.map(column => `${quote(column)} = ?`).join(', ')}${where} RETURNING ${parseColumnList(this.returning || '*')}`,
+          params
+        );
+      } else if (this.action === 'delete') {
+        const params = [];
+        const where = this.buildWhere(params);
+        rows = await this.client.query(
+          `DELETE FROM ${quote(this.table)}${where} RETURNING ${parseColumnList(this.returning || '*')}`,
+          params
+        );
+      }
+
+      let data = this.headOnly ? null : rows.map(row => this.client.decodeRow(row, this.columnTypes));
+
+      // Writes only return rows when .select() was chained, like supabase-js
+      if (this.action !== 'select' && this.returning === null) data = null;
+
+      if (this.singleMode) {
+        if (data.length > 1 || (data.length === 0 && this.singleMode === 'single')) {
+          return {
+            data: null,
+            count,
+            error: {
+              code: 'PGRST116',
+              message: `JSON object requested, ${data.length} rows returned`
+            }
+          };
+        }
+        data = data[0] || null;
+      }
+
+      return { data, error: null, count };
+    } catch (error) {
+      return { data: null, error, count: null };
+    }
+  }
+}
+
+// Supabase-compatible client over a driver ({ dialect, query, close })
+class SqlClient {
+  constructor(driver) {
+    this.driver = driver;
+    this.dialect = driver.dialect;
+  }
+
+  from(table) {
+    return new QueryBuilder(this, table);
+  }
+
+  query(sql, params = []) {
+    return this.driver.query(sql, params);
+  }
+
+  // Equivalent of supabase.rpc() for the functions in functions.js
+  async rpc(name, args = {}) {
+    const fn = FUNCTIONS[name];
+    if (!fn) {
+      return { data: null, error: new Error(`Unknown function ${name}`) };
+    }
+
+    try {
+      const { sql, params } = fn.build(this.dialect, args);
+      const rows = await this.query(sql, params);
+      return { data: rows.map(row => this.decodeRow(row, fn.columns)), error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+
+  close() {
+    return this.driver.close();
+  }
+
+  // Column name -> value kind for a table, from supabase-schema.sql
+  columnTypes(table) {
+    const definition = loadSchema().tables.get(table);
+    if (!definition) throw new Error(`Unknown table ${table}`);
+    return Object.fromEntries(definition.columns.map(column => [column.name, column.kind]));
+  }
+
+  encode(value, kind) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+
+    if (kind === 'json') return JSON.stringify(value);
+    if (this.dialect === 'sqlite') {
+      if (kind === 'boolean') return value ? 1 : 0;
+      if (kind === 'array') return JSON.stringify(value);
+    }
+    return value;
+  }
+
+  decodeRow(row, columnTypes) {
+    const decoded = {};
+    for (const [column, value] of Object.entries(row)) {
+      decoded[column] = this.decode(value, columnTypes[column]);
+    }
+    return decoded;
+  }
+
+  decode(value, kind) {
+    if (value === null || value === undefined) return null;
+
+    switch (kind) {
+      case 'boolean':
+        return value === true || value === 1 || value === '1';
+      case 'json':
+      case 'array':
+        // Postgres drivers already return parsed JSON and arrays
+        return this.dialect === 'sqlite' && typeof value === 'string' ? JSON.parse(value) : value;
+      case 'timestamp':
+        return value instanceof Date ? value.toISOString() : value;
+      case 'integer':
+      case 'number':
+        return Number(value);
+      default:
+        return value;
+    }
+  }
+}
+
+module.exports = {
+  SqlClient,
+  QueryBuilder
+};
\ No newline at end of file
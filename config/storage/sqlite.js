@@ -0,0 +1,40 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+// SQLite driver (better-sqlite3, an optional dependency). Queries run
+// synchronously on the main thread, which is fine for a single-node install.
+function createSqliteDriver(filename) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('DB_CLIENT=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  if (filename !== ':memory:') {
+    fs.ensureDirSync(path.dirname(path.resolve(filename)));
+  }
+
+  const database = new Database(filename);
+  database.pragma('journal_mode = WAL');
+  database.pragma('foreign_keys = ON');
+
+  return {
+    dialect: 'sqlite',
+
+    async query(sql, params = []) {
+      const statement = database.prepare(sql);
+      if (statement.reader) {
+        return statement.all(params);
+      }
+      statement.run(params);
+      return [];
+    },
+
+    async close() {
+      database.close();
+    }
+  };
+}
+
+module.exports = { createSqliteDriver };
\ No newline at end of file
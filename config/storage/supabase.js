@@ -0,0 +1,21 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Hosted Supabase backend. The schema is applied by running
+// supabase-schema.sql in the Supabase SQL editor.
+function createSupabaseClient(supabaseUrl, supabaseKey) {
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing Supabase configuration. Please check your .env file.');
+  }
+
+  return createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      autoRefreshToken: true,
+      persistSession: false
+    },
+    db: {
+      schema: 'public'
+    }
+  });
+}
+
+module.exports = { createSupabaseClient };
\ No newline at end of file
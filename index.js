@@ -2,26 +2,69 @@ const express = require('express');
 const session = require('express-session');
 const cors = require('cors');
 const path = require('path');
+const bcrypt = require('bcryptjs');
 const http = require('http');
 const socketIo = require('socket.io');
 require('dotenv').config();
 
-const { requireAuth, requireGuest, login, logout, getCurrentUser } = require('./middleware/auth');
-const { db } = require('./config/database');
+const {
+  requireAuth,
+  requireGuest,
+  requireSession,
+  requireScope,
+  requireRole,
+  hasRole,
+  requireAccountAccess,
+  hasAccountAccess,
+  requireSocketAuth,
+  API_KEY_SCOPES,
+  ROLES,
+  ensureDefaultAdmin,
+  login,
+  logout,
+  getCurrentUser,
+  changePassword
+} = require('./middleware/auth');
+const { mediaUpload, campaignUpload } = require('./middleware/upload');
+const { db, storage } = require('./config/database');
 const whatsappManager = require('./utils/whatsappManager');
+const eventBus = require('./utils/eventBus');
+const webhookQueue = require('./utils/webhookQueue');
+const { parseSendPayload, storeContentMedia } = require('./utils/messageContent');
+const { generateApiKey } = require('./utils/apiKeys');
+const { parseSeriesRange, buildSeries } = require('./utils/stats');
+const { parseLogQuery, encodeCursor } = require('./utils/logQuery');
+const mediaStore = require('./utils/mediaStore');
+const messageScheduler = require('./utils/messageScheduler');
+const { parseSchedule, formatInTimezone } = require('./utils/schedule');
+const campaignRunner = require('./utils/campaignRunner');
+const { parseCampaignOptions, parseRecipients } = require('./utils/campaigns');
+const { templatePlaceholders, parseTemplateInput, parseTemplatePayload } = require('./utils/messageTemplate');
+const { parseRuleInput, findMatchingRule, buildAutoReply } = require('./utils/autoReply');
+const { parseBusinessHours, isOpen } = require('./utils/businessHours');
+const { DEFAULT_WEBHOOK_EVENTS, parseWebhookEvents } = require('./utils/webhookEvents');
+const { secretsMatch } = require('./utils/webhookSignature');
+const groupManager = require('./utils/groupManager');
+const { PARTICIPANT_ACTIONS, parseParticipants, parseGroupInput, parseGroupUpdate } = require('./utils/groups');
+const { contactName, parseContactQuery } = require('./utils/contacts');
+const { DEFAULT_COUNTRY, parseCountry } = require('./utils/phoneNumber');
+const { parseSendLimits } = require('./utils/sendLimits');
+const { idempotencyKey, requestFingerprint, sendOnce } = require('./utils/idempotency');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server);
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+// X-Next-Cursor carries the log search pagination cursor
+app.use(cors({ exposedHeaders: ['X-Next-Cursor'] }));
+// Large enough for base64-encoded media in /api/send and /api/webhook-reply
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '25mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Session configuration
-app.use(session({
+const sessionMiddleware = session({
   secret: process.env.SESSION_SECRET || 'your-secret-key',
   resave: false,
   saveUninitialized: false,
@@ -29,11 +72,19 @@ app.use(session({
     secure: process.env.NODE_ENV === 'production',
     maxAge: 24 * 60 * 60 * 1000 // 24 hours
   }
-}));
+});
+
+app.use(sessionMiddleware);
+
+// Share the dashboard session with Socket.IO and reject unauthenticated sockets
+io.engine.use(sessionMiddleware);
+io.use(requireSocketAuth);
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
+  console.log('Client connected:', socket.id, 'user:', socket.request.session.username);
+  socket.join(`user:${socket.request.session.userId}`);
+  if (hasRole(socket.request, 'operator')) socket.join('operators');
 
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
@@ -45,6 +96,28 @@ const emitToAll = (event, data) => {
   io.emit(event, data);
 };
 
+// Like emitToAll, but only operators get an account's pairing QR code (as
+// with GET /api/accounts/:id/qr); viewers get the event without it
+const emitEvent = (event, data) => {
+  if (!data || !data.qr_code) return emitToAll(event, data);
+
+  const withoutQr = { ...data };
+  delete withoutQr.qr_code;
+  io.to('operators').emit(event, data);
+  io.except('operators').emit(event, withoutQr);
+};
+
+// Drop a user's live connections after their access changed; dashboards
+// reload, so a deactivated user is sent to the login page
+const disconnectUserSockets = (userId) => {
+  io.in(`user:${userId}`).disconnectSockets(true);
+};
+
+// Forward real-time events from the WhatsApp manager to all dashboards
+Object.values(eventBus.EVENTS).forEach(event => {
+  eventBus.on(event, (data) => emitEvent(event, data));
+});
+
 // Authentication routes
 app.get('/login', requireGuest, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'login.html'));
@@ -53,6 +126,321 @@ app.get('/login', requireGuest, (req, res) => {
 app.post('/api/auth/login', login);
 app.post('/api/auth/logout', logout);
 app.get('/api/auth/user', getCurrentUser);
+app.post('/api/auth/password', requireAuth, requireSession, changePassword);
+
+// Load the webhook in `:id` and check the caller may access its account
+const loadWebhook = async (req, res, next) => {
+  try {
+    const webhook = await db.getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    if (!hasAccountAccess(req, webhook.account_id)) {
+      return res.status(403).json({ error: 'API key is not allowed to access this account' });
+    }
+    req.webhook = webhook;
+    next();
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(404).json({ error: 'Webhook not found' });
+  }
+};
+
+// Load :id as an account, enforcing API key account restrictions
+const loadAccount = async (req, res, next) => {
+  try {
+    const account = await db.getAccount(req.params.id);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    if (!hasAccountAccess(req, account.id)) {
+      return res.status(403).json({ error: 'API key is not allowed to access this account' });
+    }
+    req.account = account;
+    next();
+  } catch (error) {
+    console.error('Error fetching account:', error);
+    res.status(404).json({ error: 'Account not found' });
+  }
+};
+
+// Load :id as a scheduled message, enforcing API key account restrictions
+const loadScheduledMessage = async (req, res, next) => {
+  try {
+    const scheduledMessage = await db.getScheduledMessage(req.params.id);
+    if (!scheduledMessage) {
+      return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+    if (!hasAccountAccess(req, scheduledMessage.account_id)) {
+      return res.status(403).json({ error: 'API key is not allowed to access this account' });
+    }
+    req.scheduledMessage = scheduledMessage;
+    next();
+  } catch (error) {
+    console.error('Error fetching scheduled message:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled message' });
+  }
+};
+
+// Load :id as a campaign; API keys must be allowed every account it sends from
+const loadCampaign = async (req, res, next) => {
+  try {
+    const campaign = await db.getCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (!campaign.account_ids.every(accountId => hasAccountAccess(req, accountId))) {
+      return res.status(403).json({ error: 'API key is not allowed to access this account' });
+    }
+    req.campaign = campaign;
+    next();
+  } catch (error) {
+    console.error('Error fetching campaign:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign' });
+  }
+};
+
+// Load :id as a message template; global templates are visible to everyone
+const loadTemplate = async (req, res, next) => {
+  try {
+    const template = await db.getMessageTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    if (template.account_id && !hasAccountAccess(req, template.account_id)) {
+      return res.status(403).json({ error: 'API key is not allowed to access this account' });
+    }
+    req.template = template;
+    next();
+  } catch (error) {
+    console.error('Error fetching template:', error);
+    res.status(404).json({ error: 'Template not found' });
+  }
+};
+
+// Load :id as an auto-reply rule, enforcing API key account restrictions
+const loadAutoReplyRule = async (req, res, next) => {
+  try {
+    const rule = await db.getAutoReplyRule(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Auto-reply rule not found' });
+    }
+    if (!hasAccountAccess(req, rule.account_id)) {
+      return res.status(403).json({ error: 'API key is not allowed to access this account' });
+    }
+    req.autoReplyRule = rule;
+    next();
+  } catch (error) {
+    console.error('Error fetching auto-reply rule:', error);
+    res.status(404).json({ error: 'Auto-reply rule not found' });
+  }
+};
+
+// Content of a send request: a template with `variables`, or the raw payload
+const parseMessageRequest = async (req) => {
+  const { template_id, account_id } = req.body;
+  if (!template_id) return parseSendPayload(req.body, req.file);
+
+  const template = await db.getMessageTemplate(template_id).catch(() => null);
+  if (!template || (template.account_id && template.account_id !== account_id)) {
+    const error = new Error('Template not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return parseTemplatePayload(template, req.body, req.file);
+};
+
+// Chat ids in routes are WhatsApp ids such as 123@c.us or 123-456@g.us
+const requireChatId = (req, res, next) => {
+  if (/^[\w.+-]+@[\w.]+$/.test(req.params.chatId)) {
+    return next();
+  }
+  res.status(400).json({ error: 'Invalid chat id' });
+};
+
+// Who performed an action, for audit fields
+const actorName = (req) => {
+  if (req.apiKey) return `api-key:${req.apiKey.name}`;
+  if (req.webhook) return `webhook:${req.webhook.id}`;
+  return req.session.username;
+};
+
+// Access to the group routes of account :id. Besides a login or API key
+// (with the manage_groups scope), the secret of an active webhook of the
+// account is accepted like on /api/webhook-reply: in an X-Webhook-Secret
+// header or as `webhook_secret` in the body. Not in the query string, which
+// ends up in access logs.
+const requireGroupAccess = (role) => {
+  const checks = [requireAuth, requireScope('manage_groups'), requireRole(role), loadAccount];
+
+  return async (req, res, next) => {
+    if (req.query.webhook_secret) {
+      return res.status(400).json({ error: 'Send webhook_secret in an X-Webhook-Secret header or the body, not the URL' });
+    }
+
+    const secret = req.get('X-Webhook-Secret') || (req.body && req.body.webhook_secret);
+    if (!secret) {
+      const run = (index) => index < checks.length ? checks[index](req, res, () => run(index + 1)) : next();
+      return run(0);
+    }
+
+    try {
+      const account = await db.getAccount(req.params.id).catch(() => null);
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+
+      const webhooks = await db.getWebhooks(account.id);
+      const webhook = webhooks.find(w => w.is_active && w.account_id === account.id && secretsMatch(secret, w.secret));
+      if (!webhook) {
+        return res.status(401).json({ error: 'Invalid webhook secret' });
+      }
+      req.account = account;
+      req.webhook = webhook;
+      next();
+    } catch (error) {
+      console.error('Error verifying webhook secret:', error);
+      res.status(500).json({ error: 'Failed to verify webhook secret' });
+    }
+  };
+};
+
+// Templates are returned with the placeholder names their body uses
+const withPlaceholders = (template) => ({ ...template, placeholders: templatePlaceholders(template.body) });
+
+// Store new template media; global templates keep theirs under "templates/"
+const saveTemplateMedia = async (accountId, media) => {
+  if (!media) return null;
+  const content = await storeContentMedia(accountId || 'templates', { type: null, media }, { downloadUrls: true });
+  return content.media;
+};
+
+// Prepare a parsed auto-reply rule for saving: new reply media is stored and
+// template rules must use a global template or one of the rule's account
+const saveRuleAction = async (accountId, action) => {
+  if (action.type === 'template') {
+    const template = await db.getMessageTemplate(action.template_id).catch(() => null);
+    if (!template || (template.account_id && template.account_id !== accountId)) {
+      const error = new Error('Template not found');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+  if (action.type === 'reply' && action.media) {
+    const content = await storeContentMedia(accountId, { type: null, media: action.media }, { downloadUrls: true });
+    return { ...action, media: content.media };
+  }
+  return action;
+};
+
+// Hide webhook secrets from users below the operator role
+const maskWebhookSecrets = (req, webhooks) => {
+  if (hasRole(req, 'operator')) return webhooks;
+  return webhooks.map(webhook => ({
+    ...webhook,
+    secret: webhook.secret ? '********' : ''
+  }));
+};
+
+// Account filter for stats and log search: null (every account) unless restricted
+const scopedAccountIds = (allAccounts, accounts) =>
+  accounts.length === allAccounts.length ? null : accounts.map(account => account.id);
+
+// Replace inlined base64 media with a link to the media route
+const withMediaLinks = (logs) => logs.map(log => {
+  if (!log.media) return log;
+  const { data, ...media } = log.media;
+  return {
+    ...log,
+    media: {
+      ...media,
+      preview_url: media.key || data || media.url ? `/api/accounts/${log.account_id}/logs/${log.id}/media` : null
+    }
+  };
+});
+
+// Headers for serving message media. Media comes from contacts, so only
+// images, video and audio are shown inline; everything else is downloaded.
+const setMediaHeaders = (res, { mimetype, filename }, cacheControl) => {
+  const type = mimetype || 'application/octet-stream';
+  if (!/^(image\/(?!svg)|video\/|audio\/)/.test(type)) {
+    res.attachment(filename || 'media');
+  }
+  res.set('Content-Type', type);
+  res.set('Content-Security-Policy', "default-src 'none'; sandbox");
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('Cache-Control', cacheControl);
+};
+
+// Stream a file from the media store
+const sendStoredMedia = async (res, key, media, cacheControl) => {
+  const file = await mediaStore.get(key);
+  if (!file) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+  
+  setMediaHeaders(res, media, cacheControl);
+  if (file.size) res.set('Content-Length', String(file.size));
+  file.stream.on('error', (error) => {
+    console.error('Error streaming media:', error);
+    res.destroy(error);
+  });
+  file.stream.pipe(res);
+};
+
+// Add the contact_name of each row's private chat (`chat_id`) from the
+// synced contacts, or null when the contact or its name is unknown
+const withContactNames = async (rows) => {
+  const chatIds = [...new Set(rows.filter(row => row.chat_id && !row.is_group).map(row => row.chat_id))];
+  const accountIds = [...new Set(rows.map(row => row.account_id))];
+  const contacts = await db.getContactsByIds(accountIds, chatIds);
+
+  const names = new Map(contacts.map(contact => [`${contact.account_id}:${contact.contact_id}`, contactName(contact)]));
+  return rows.map(row => ({ ...row, contact_name: names.get(`${row.account_id}:${row.chat_id}`) || null }));
+};
+
+// Send a page of logs; the cursor for the next page goes in X-Next-Cursor
+const sendLogPage = (res, { logs, hasMore }) => {
+  if (hasMore) {
+    res.set('X-Next-Cursor', encodeCursor(logs[logs.length - 1]));
+  }
+  res.json(logs);
+};
+
+// Add send_at in the job's own timezone, e.g. 2024-05-01T09:00:00+02:00
+const withLocalSendAt = (job) => ({
+  ...job,
+  send_at_local: formatInTimezone(job.send_at, job.timezone || 'UTC')
+});
+
+// Error response of a failed send; sends over the account's send_limits get
+// a 429 with Retry-After
+const sendFailed = (res, error) => {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(429).json({ error: error.message, retry_after: error.retryAfter });
+  }
+  res.status(error.statusCode || 500).json({ error: error.message || 'Failed to send message' });
+};
+
+// Send for /api/send and /api/webhook-reply. With an Idempotency-Key header
+// or `client_ref`, a repeated request gets the first result (and an
+// Idempotent-Replayed header) instead of sending the message again.
+const sendRequestedMessage = async (req, res, accountId, number, content) => {
+  const key = idempotencyKey(req);
+  if (!key) return whatsappManager.sendMessage(accountId, number, content);
+
+  const { result, replayed } = await sendOnce(accountId, key, requestFingerprint(req),
+    () => whatsappManager.sendMessage(accountId, number, content));
+  if (replayed) res.set('Idempotent-Replayed', 'true');
+  return result;
+};
+
+// Attach the supervisor's reconnect/restart state to accounts
+const withHealth = (accounts) => accounts.map(account => ({
+  ...account,
+  health: whatsappManager.getAccountHealth(account.id)
+}));
 
 // Dashboard route
 app.get('/dashboard', requireAuth, (req, res) => {
@@ -73,14 +461,14 @@ app.get('/api/health', (req, res) => {
 app.get('/api/accounts', requireAuth, async (req, res) => {
   try {
     const accounts = await db.getAccounts();
-    res.json(accounts);
+    res.json(withHealth(accounts.filter(account => hasAccountAccess(req, account.id))));
   } catch (error) {
     console.error('Error fetching accounts:', error);
     res.status(500).json({ error: 'Failed to fetch accounts' });
   }
 });
 
-app.post('/api/accounts', requireAuth, async (req, res) => {
+app.post('/api/accounts', requireAuth, requireSession, requireRole('operator'), async (req, res) => {
   try {
     const { name, description } = req.body;
     
@@ -88,28 +476,54 @@ app.post('/api/accounts', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Account name is required' });
     }
 
-    const account = await whatsappManager.createAccount(name, description);
+    const account = await whatsappManager.createAccount(name, description, {
+      defaultCountry: parseCountry(req.body.default_country),
+      sendLimits: parseSendLimits(req.body.send_limits)
+    });
     res.json(account);
   } catch (error) {
     console.error('Error creating account:', error);
-    res.status(500).json({ error: 'Failed to create account' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create account' });
+  }
+});
+
+// Rename an account or change its default country (empty = DEFAULT_COUNTRY)
+// or send limits (null = unlimited)
+app.patch('/api/accounts/:id', requireAuth, requireSession, requireRole('operator'), loadAccount, async (req, res) => {
+  try {
+    const updates = {};
+    if (req.body.name !== undefined) {
+      updates.name = String(req.body.name || '').trim();
+      if (!updates.name) {
+        return res.status(400).json({ error: 'Account name is required' });
+      }
+    }
+    if (req.body.description !== undefined) updates.description = req.body.description || '';
+    if (req.body.default_country !== undefined) updates.default_country = parseCountry(req.body.default_country);
+    if (req.body.send_limits !== undefined) updates.send_limits = parseSendLimits(req.body.send_limits);
+
+    const account = await db.updateAccount(req.account.id, { ...updates, updated_at: new Date().toISOString() });
+    res.json(withHealth([account])[0]);
+  } catch (error) {
+    console.error('Error updating account:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update account' });
   }
 });
 
-app.get('/api/accounts/:id', requireAuth, async (req, res) => {
+app.get('/api/accounts/:id', requireAuth, requireAccountAccess, async (req, res) => {
   try {
     const account = await db.getAccount(req.params.id);
     if (!account) {
       return res.status(404).json({ error: 'Account not found' });
     }
-    res.json(account);
+    res.json(withHealth([account])[0]);
   } catch (error) {
     console.error('Error fetching account:', error);
     res.status(500).json({ error: 'Failed to fetch account' });
   }
 });
 
-app.delete('/api/accounts/:id', requireAuth, async (req, res) => {
+app.delete('/api/accounts/:id', requireAuth, requireSession, requireRole('admin'), async (req, res) => {
   try {
     await whatsappManager.deleteAccount(req.params.id);
     res.json({ success: true });
@@ -119,22 +533,63 @@ app.delete('/api/accounts/:id', requireAuth, async (req, res) => {
   }
 });
 
+// Account lifecycle controls. Restart and reconnect return once the old client
+// is gone; progress (QR code, ready) is pushed over Socket.IO.
+app.post('/api/accounts/:id/restart', requireAuth, requireSession, requireRole('operator'), loadAccount, async (req, res) => {
+  whatsappManager.restartClient(req.account.id, `Restarted by ${req.session.username}`).catch(error => {
+    console.error('Error restarting account:', error);
+  });
+  res.json({ success: true, status: 'initializing' });
+});
+
+app.post('/api/accounts/:id/reconnect', requireAuth, requireSession, requireRole('operator'), loadAccount, async (req, res) => {
+  if (whatsappManager.hasClient(req.account.id)) {
+    return res.status(409).json({ error: 'Account already has a running client; restart it instead' });
+  }
+
+  whatsappManager.reconnect(req.account).catch(error => {
+    console.error('Error reconnecting account:', error);
+  });
+  res.json({ success: true, status: 'initializing' });
+});
+
+app.post('/api/accounts/:id/stop', requireAuth, requireSession, requireRole('operator'), loadAccount, async (req, res) => {
+  try {
+    await whatsappManager.stopAccount(req.account.id);
+    res.json({ success: true, status: 'stopped' });
+  } catch (error) {
+    console.error('Error stopping account:', error);
+    res.status(500).json({ error: 'Failed to stop account' });
+  }
+});
+
+app.post('/api/accounts/:id/logout', requireAuth, requireSession, requireRole('operator'), loadAccount, async (req, res) => {
+  try {
+    await whatsappManager.logoutAccount(req.account.id);
+    console.log(`Account ${req.account.name} logged out by ${req.session.username}`);
+    res.json({ success: true, status: 'disconnected' });
+  } catch (error) {
+    console.error('Error logging out account:', error);
+    res.status(500).json({ error: 'Failed to log out account' });
+  }
+});
+
 // Webhooks API
-app.get('/api/accounts/:id/webhooks', requireAuth, async (req, res) => {
+app.get('/api/accounts/:id/webhooks', requireAuth, requireScope('manage_webhooks'), requireAccountAccess, async (req, res) => {
   try {
     const webhooks = await db.getWebhooks(req.params.id);
-    res.json(webhooks);
+    res.json(maskWebhookSecrets(req, webhooks));
   } catch (error) {
     console.error('Error fetching webhooks:', error);
     res.status(500).json({ error: 'Failed to fetch webhooks' });
   }
 });
 
-app.post('/api/webhooks', requireAuth, async (req, res) => {
+app.post('/api/webhooks', requireAuth, requireScope('manage_webhooks'), requireRole('operator'), requireAccountAccess, async (req, res) => {
   try {
-    const { account_id, url, secret, is_active } = req.body;
+    const { account_id, url, secret, is_active, send_legacy_secret, inline_media, events } = req.body;
     
-    console.log('Received webhook creation request:', { account_id, url, secret, is_active });
+    console.log('Received webhook creation request:', { account_id, url, is_active, send_legacy_secret, inline_media, events });
     
     if (!account_id || !url) {
       console.log('Missing required fields:', { account_id, url });
@@ -146,28 +601,52 @@ app.post('/api/webhooks', requireAuth, async (req, res) => {
       account_id,
       url,
       secret: secret || '',
+      send_legacy_secret: send_legacy_secret === true,
+      inline_media: inline_media === true,
+      events: events === undefined ? DEFAULT_WEBHOOK_EVENTS : parseWebhookEvents(events),
       is_active: is_active !== false,
       created_at: new Date().toISOString()
     };
 
-    console.log('Creating webhook with data:', webhookData);
+    console.log('Creating webhook for account:', account_id, 'url:', url);
 
     const webhook = await db.createWebhook(webhookData);
-    console.log('Webhook created successfully:', webhook);
+    console.log('Webhook created successfully:', webhook.id);
     res.json(webhook);
   } catch (error) {
     console.error('Error creating webhook:', error);
-    res.status(500).json({ error: 'Failed to create webhook: ' + error.message });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create webhook: ' + error.message });
   }
 });
 
-app.patch('/api/webhooks/:id/toggle', requireAuth, async (req, res) => {
+app.patch('/api/webhooks/:id', requireAuth, requireScope('manage_webhooks'), requireRole('operator'), loadWebhook, async (req, res) => {
   try {
-    const webhook = await db.getWebhook(req.params.id);
-    if (!webhook) {
-      return res.status(404).json({ error: 'Webhook not found' });
+    const updates = {};
+    for (const field of ['url', 'secret', 'is_active', 'send_legacy_secret', 'inline_media']) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+    if (req.body.events !== undefined) updates.events = parseWebhookEvents(req.body.events);
+
+    if (updates.url === '') {
+      return res.status(400).json({ error: 'URL cannot be empty' });
     }
 
+    const updatedWebhook = await db.updateWebhook(req.params.id, {
+      ...updates,
+      updated_at: new Date().toISOString()
+    });
+
+    res.json(updatedWebhook);
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update webhook' });
+  }
+});
+
+app.patch('/api/webhooks/:id/toggle', requireAuth, requireScope('manage_webhooks'), requireRole('operator'), loadWebhook, async (req, res) => {
+  try {
+    const webhook = req.webhook;
+
     const updatedWebhook = await db.updateWebhook(req.params.id, {
       is_active: !webhook.is_active,
       updated_at: new Date().toISOString()
@@ -180,7 +659,7 @@ app.patch('/api/webhooks/:id/toggle', requireAuth, async (req, res) => {
   }
 });
 
-app.delete('/api/webhooks/:id', requireAuth, async (req, res) => {
+app.delete('/api/webhooks/:id', requireAuth, requireScope('manage_webhooks'), requireRole('operator'), loadWebhook, async (req, res) => {
   try {
     await db.deleteWebhook(req.params.id);
     res.json({ success: true });
@@ -190,14 +669,74 @@ app.delete('/api/webhooks/:id', requireAuth, async (req, res) => {
   }
 });
 
+// Webhook delivery queue API
+app.get('/api/webhooks/:id/deliveries', requireAuth, requireScope('manage_webhooks'), loadWebhook, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const deliveries = await db.getWebhookDeliveries(req.params.id, {
+      status: req.query.status,
+      limit
+    });
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+app.post('/api/webhooks/:id/deliveries/replay', requireAuth, requireScope('manage_webhooks'), requireRole('operator'), loadWebhook, async (req, res) => {
+  try {
+    const replayed = await webhookQueue.replayDead(req.params.id);
+    res.json({ success: true, replayed });
+  } catch (error) {
+    console.error('Error replaying webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to replay webhook deliveries' });
+  }
+});
+
+app.get('/api/webhook-deliveries/:id', requireAuth, requireScope('manage_webhooks'), async (req, res) => {
+  try {
+    const delivery = await db.getWebhookDelivery(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (!hasAccountAccess(req, delivery.account_id)) {
+      return res.status(403).json({ error: 'API key is not allowed to access this account' });
+    }
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+  }
+});
+
+app.post('/api/webhook-deliveries/:id/replay', requireAuth, requireScope('manage_webhooks'), requireRole('operator'), async (req, res) => {
+  try {
+    const existing = await db.getWebhookDelivery(req.params.id);
+    if (existing && !hasAccountAccess(req, existing.account_id)) {
+      return res.status(403).json({ error: 'API key is not allowed to access this account' });
+    }
+
+    const delivery = await webhookQueue.replay(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to replay webhook delivery' });
+  }
+});
+
 // Get webhook secrets for an account (for n8n configuration)
-app.get('/api/accounts/:id/webhook-secrets', requireAuth, async (req, res) => {
+app.get('/api/accounts/:id/webhook-secrets', requireAuth, requireScope('manage_webhooks'), requireRole('operator'), requireAccountAccess, async (req, res) => {
   try {
     const webhooks = await db.getWebhooks(req.params.id);
     const webhookSecrets = webhooks.map(webhook => ({
       id: webhook.id,
       url: webhook.url,
       secret: webhook.secret,
+      send_legacy_secret: webhook.send_legacy_secret,
       is_active: webhook.is_active
     }));
     res.json(webhookSecrets);
@@ -207,146 +746,1116 @@ app.get('/api/accounts/:id/webhook-secrets', requireAuth, async (req, res) => {
   }
 });
 
+// Find the active webhooks whose secret was presented, before a multipart
+// upload is buffered. Multipart fields are only read with the upload, so
+// those requests send the secret in an X-Webhook-Secret header.
+const requireWebhookSecret = async (req, res, next) => {
+  const secret = req.get('X-Webhook-Secret') || (req.body && req.body.webhook_secret);
+  if (!secret) {
+    return res.status(400).json({
+      error: req.is('multipart/form-data')
+        ? 'Multipart requests need the webhook secret in an X-Webhook-Secret header'
+        : 'webhook_secret is required'
+    });
+  }
+
+  try {
+    const webhooks = await db.getActiveWebhooks();
+    req.webhooks = webhooks.filter(webhook => secretsMatch(secret, webhook.secret));
+  } catch (error) {
+    console.error('Error verifying webhook secret:', error);
+    return res.status(500).json({ error: 'Failed to verify webhook secret' });
+  }
+
+  if (req.webhooks.length === 0) {
+    console.log('Invalid webhook secret presented');
+    return res.status(401).json({ error: 'Invalid webhook secret' });
+  }
+  next();
+};
+
 // Webhook-based reply API (uses webhook secret for authentication)
-app.post('/api/webhook-reply', async (req, res) => {
+// Accepts text, media (URL, base64 or multipart `media` file), location or contact
+app.post('/api/webhook-reply', requireWebhookSecret, mediaUpload, async (req, res) => {
   try {
-    const { account_id, number, message, webhook_secret } = req.body;
+    const { account_id, number, message } = req.body;
     
-    console.log('Received webhook reply request:', { account_id, number, message });
+    console.log('Received webhook reply request:', { account_id, number, message, type: req.body.type, file: !!req.file });
     
-    if (!account_id || !number || !message || !webhook_secret) {
-      console.log('Missing required fields:', { account_id: !!account_id, number: !!number, message: !!message, webhook_secret: !!webhook_secret });
-      return res.status(400).json({ error: 'Account ID, number, message, and webhook_secret are required' });
+    if (!account_id || !number) {
+      console.log('Missing required fields:', { account_id: !!account_id, number: !!number });
+      return res.status(400).json({ error: 'Account ID and number are required' });
     }
 
-    // Verify webhook secret
-    const webhooks = await db.getWebhooks(account_id);
-    const validWebhook = webhooks.find(webhook => webhook.secret === webhook_secret && webhook.is_active);
+    // The secret must belong to one of this account's webhooks
+    const validWebhook = req.webhooks.find(webhook => webhook.account_id === account_id);
     
     if (!validWebhook) {
       console.log('Invalid webhook secret for account:', account_id);
       return res.status(401).json({ error: 'Invalid webhook secret' });
     }
 
+    const content = await parseMessageRequest(req);
+
     console.log('Webhook secret verified, calling whatsappManager.sendMessage...');
-    const result = await whatsappManager.sendMessage(account_id, number, message);
+    const result = await sendRequestedMessage(req, res, account_id, number, content);
     console.log('Message sent successfully:', result);
     res.json(result);
   } catch (error) {
     console.error('Error sending webhook reply:', error);
-    res.status(500).json({ error: error.message || 'Failed to send message' });
+    sendFailed(res, error);
   }
 });
 
 // Message sending API (with API key authentication)
-app.post('/api/send', requireAuth, async (req, res) => {
+// Accepts text, media (URL, base64 or multipart `media` file), location or contact,
+// or a `template_id` with `variables` instead of `message`
+app.post('/api/send', requireAuth, requireScope('send'), requireRole('operator'), mediaUpload, requireAccountAccess, async (req, res) => {
   try {
     const { account_id, number, message } = req.body;
     
-    console.log('Received send message request:', { account_id, number, message });
+    console.log('Received send message request:', { account_id, number, message, type: req.body.type, file: !!req.file });
     
-    if (!account_id || !number || !message) {
-      console.log('Missing required fields:', { account_id: !!account_id, number: !!number, message: !!message });
-      return res.status(400).json({ error: 'Account ID, number, and message are required' });
+    if (!account_id || !number) {
+      console.log('Missing required fields:', { account_id: !!account_id, number: !!number });
+      return res.status(400).json({ error: 'Account ID and number are required' });
     }
 
+    const content = await parseMessageRequest(req);
+
     console.log('Calling whatsappManager.sendMessage...');
-    const result = await whatsappManager.sendMessage(account_id, number, message);
+    const result = await sendRequestedMessage(req, res, account_id, number, content);
     console.log('Message sent successfully:', result);
     res.json(result);
   } catch (error) {
     console.error('Error sending message:', error);
-    res.status(500).json({ error: error.message || 'Failed to send message' });
+    sendFailed(res, error);
   }
 });
 
-// Stats API
-app.get('/api/stats', requireAuth, async (req, res) => {
+// Scheduled messages API
+// Same payload as /api/send plus `send_at` (and optional `timezone`) or `delay_seconds`
+app.post('/api/scheduled-messages', requireAuth, requireScope('send'), requireRole('operator'), mediaUpload, requireAccountAccess, async (req, res) => {
   try {
-    const accounts = await db.getAccounts();
-    const totalAccounts = accounts.length;
-    const activeAccounts = accounts.filter(a => a.status === 'ready').length;
-    
-    // Get message stats from all accounts
-    let totalMessages = 0;
-    let successMessages = 0;
+    const { account_id, number } = req.body;
     
-    for (const account of accounts) {
-      const stats = await db.getMessageStats(account.id);
-      totalMessages += stats.total;
-      successMessages += stats.success;
+    if (!account_id || !number) {
+      return res.status(400).json({ error: 'Account ID and number are required' });
     }
-    
-    const successRate = totalMessages > 0 ? Math.round((successMessages / totalMessages) * 100) : 0;
-    
-    res.json({
-      totalAccounts,
-      activeAccounts,
-      totalMessages,
-      successRate
+
+    const content = await parseMessageRequest(req);
+    const { sendAt, timezone } = parseSchedule(req.body);
+
+    const account = await db.getAccount(account_id).catch(() => null);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const job = await messageScheduler.schedule({
+      accountId: account_id,
+      number,
+      content,
+      sendAt,
+      timezone,
+      createdBy: actorName(req)
     });
+    res.status(201).json(withLocalSendAt(job));
   } catch (error) {
-    console.error('Error fetching stats:', error);
-    res.status(500).json({ error: 'Failed to fetch stats' });
+    console.error('Error scheduling message:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to schedule message' });
   }
 });
 
-// Message logs API
-app.get('/api/accounts/:id/logs', requireAuth, async (req, res) => {
+app.get('/api/scheduled-messages', requireAuth, requireScope('send'), async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 100;
-    const logs = await db.getMessageLogs(req.params.id, limit);
-    res.json(logs);
+    const allAccounts = await db.getAccounts();
+    let accounts = allAccounts.filter(account => hasAccountAccess(req, account.id));
+    if (req.query.account_id) {
+      const requested = String(req.query.account_id).split(',');
+      accounts = accounts.filter(account => requested.includes(account.id));
+    }
+
+    const jobs = await db.getScheduledMessages({
+      accountIds: scopedAccountIds(allAccounts, accounts),
+      status: req.query.status ? String(req.query.status).split(',') : undefined,
+      limit: Math.min(parseInt(req.query.limit) || 100, 500)
+    });
+    res.json(jobs.map(withLocalSendAt));
   } catch (error) {
-    console.error('Error fetching message logs:', error);
-    res.status(500).json({ error: 'Failed to fetch message logs' });
+    console.error('Error fetching scheduled messages:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled messages' });
   }
 });
 
-// QR Code API
-app.get('/api/accounts/:id/qr', requireAuth, async (req, res) => {
+app.get('/api/scheduled-messages/:id', requireAuth, requireScope('send'), loadScheduledMessage, (req, res) => {
+  res.json(withLocalSendAt(req.scheduledMessage));
+});
+
+// Reschedule a pending message; the timezone defaults to the one it was scheduled in
+app.patch('/api/scheduled-messages/:id', requireAuth, requireScope('send'), requireRole('operator'), loadScheduledMessage, async (req, res) => {
   try {
-    const qrCode = whatsappManager.getQRCode(req.params.id);
-    if (!qrCode) {
-      return res.status(404).json({ error: 'QR code not available' });
-    }
-    res.json({ qr_code: qrCode });
+    const schedule = parseSchedule({ timezone: req.scheduledMessage.timezone, ...req.body });
+    const job = await messageScheduler.reschedule(req.params.id, schedule);
+    res.json(withLocalSendAt(job));
   } catch (error) {
-    console.error('Error fetching QR code:', error);
-    res.status(500).json({ error: 'Failed to fetch QR code' });
+    console.error('Error rescheduling message:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to reschedule message' });
   }
 });
 
-// Public webhook endpoint for receiving messages
-app.post('/webhook/:accountId', async (req, res) => {
+app.post('/api/scheduled-messages/:id/cancel', requireAuth, requireScope('send'), requireRole('operator'), loadScheduledMessage, async (req, res) => {
   try {
-    const { accountId } = req.params;
-    const messageData = req.body;
-    
-    // Log the incoming webhook
-    await db.logMessage({
-      account_id: accountId,
-      direction: 'webhook_incoming',
-      status: 'success',
-      message: JSON.stringify(messageData),
-      created_at: new Date().toISOString()
-    });
-    
-    res.json({ success: true });
+    const job = await messageScheduler.cancel(req.params.id);
+    res.json(withLocalSendAt(job));
   } catch (error) {
-    console.error('Error processing webhook:', error);
-    res.status(500).json({ error: 'Failed to process webhook' });
+    console.error('Error cancelling scheduled message:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to cancel scheduled message' });
   }
 });
 
-// View routes for dashboard
-app.get('/views/dashboard', requireAuth, async (req, res) => {
+// Message templates API
+// Templates have a `name`, a `body` with {{placeholders}} and optional media
+// (multipart `media` file, `media_url` or base64 `media`); without an
+// `account_id` they are global
+app.get('/api/templates', requireAuth, requireScope('send'), async (req, res) => {
   try {
-    const accounts = await db.getAccounts();
-    const stats = await db.getMessageStats();
-    
-    res.json({
-      accounts,
+    if (req.query.account_id && !hasAccountAccess(req, req.query.account_id)) {
+      return res.status(403).json({ error: 'API key is not allowed to access this account' });
+    }
+
+    const templates = await db.getMessageTemplates({ accountId: req.query.account_id });
+    res.json(templates
+      .filter(template => !template.account_id || hasAccountAccess(req, template.account_id))
+      .map(withPlaceholders));
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({ error: 'Failed to fetch templates' });
+  }
+});
+
+app.get('/api/templates/:id', requireAuth, requireScope('send'), loadTemplate, (req, res) => {
+  res.json(withPlaceholders(req.template));
+});
+
+app.post('/api/templates', requireAuth, requireScope('send'), requireRole('operator'), mediaUpload, async (req, res) => {
+  try {
+    const accountId = req.body.account_id || null;
+    if (!hasAccountAccess(req, accountId)) {
+      return res.status(403).json({ error: 'API key is not allowed to access this account' });
+    }
+    if (accountId && !(await db.getAccount(accountId).catch(() => null))) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const { name, body, media } = parseTemplateInput(req.body, req.file);
+    const template = await db.createMessageTemplate({
+      account_id: accountId,
+      name,
+      body,
+      media: await saveTemplateMedia(accountId, media),
+      created_by: actorName(req),
+      created_at: new Date().toISOString()
+    });
+    res.status(201).json(withPlaceholders(template));
+  } catch (error) {
+    console.error('Error creating template:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create template' });
+  }
+});
+
+// Replaced or removed media stays in the media store: sent messages' logs link to it
+app.patch('/api/templates/:id', requireAuth, requireScope('send'), requireRole('operator'), mediaUpload, loadTemplate, async (req, res) => {
+  try {
+    if (!hasAccountAccess(req, req.template.account_id)) {
+      return res.status(403).json({ error: 'API key is not allowed to access this account' });
+    }
+
+    const { name, body, media } = parseTemplateInput(req.body, req.file, req.template);
+    const template = await db.updateMessageTemplate(req.template.id, {
+      name,
+      body,
+      media: await saveTemplateMedia(req.template.account_id, media)
+    });
+    res.json(withPlaceholders(template));
+  } catch (error) {
+    console.error('Error updating template:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update template' });
+  }
+});
+
+app.delete('/api/templates/:id', requireAuth, requireScope('send'), requireRole('operator'), loadTemplate, async (req, res) => {
+  try {
+    if (!hasAccountAccess(req, req.template.account_id)) {
+      return res.status(403).json({ error: 'API key is not allowed to access this account' });
+    }
+
+    await db.deleteMessageTemplate(req.template.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+// Auto-reply rules API
+// Rules are tried by ascending priority and the first match fires; `conditions`
+// and `action` may be JSON strings when reply media is uploaded as multipart
+app.get('/api/accounts/:id/auto-reply-rules', requireAuth, requireScope('manage_auto_replies'), requireAccountAccess, async (req, res) => {
+  try {
+    const rules = await db.getAutoReplyRules(req.params.id);
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching auto-reply rules:', error);
+    res.status(500).json({ error: 'Failed to fetch auto-reply rules' });
+  }
+});
+
+app.post('/api/accounts/:id/auto-reply-rules', requireAuth, requireScope('manage_auto_replies'), requireRole('operator'), loadAccount, mediaUpload, async (req, res) => {
+  try {
+    const rule = parseRuleInput(req.body, req.file);
+    const created = await db.createAutoReplyRule({
+      ...rule,
+      account_id: req.account.id,
+      action: await saveRuleAction(req.account.id, rule.action),
+      created_by: actorName(req),
+      created_at: new Date().toISOString()
+    });
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating auto-reply rule:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create auto-reply rule' });
+  }
+});
+
+// Renumber priorities to follow `rule_ids`, as the dashboard's up/down buttons do
+app.post('/api/accounts/:id/auto-reply-rules/order', requireAuth, requireScope('manage_auto_replies'), requireRole('operator'), loadAccount, async (req, res) => {
+  try {
+    const ruleIds = Array.isArray(req.body.rule_ids) ? req.body.rule_ids : [];
+    const rules = await db.getAutoReplyRules(req.account.id);
+    const known = new Set(rules.map(rule => rule.id));
+    if (ruleIds.length !== rules.length || !ruleIds.every(id => known.has(id)) || new Set(ruleIds).size !== ruleIds.length) {
+      return res.status(400).json({ error: 'rule_ids must list every rule of the account once' });
+    }
+
+    for (const [index, id] of ruleIds.entries()) {
+      const priority = (index + 1) * 10;
+      if (rules.find(rule => rule.id === id).priority !== priority) {
+        await db.updateAutoReplyRule(id, { priority });
+      }
+    }
+    res.json(await db.getAutoReplyRules(req.account.id));
+  } catch (error) {
+    console.error('Error reordering auto-reply rules:', error);
+    res.status(500).json({ error: 'Failed to reorder auto-reply rules' });
+  }
+});
+
+// Which rule would fire for a sample message, and what it would do. Nothing is sent.
+app.post('/api/accounts/:id/auto-reply-rules/test', requireAuth, requireScope('manage_auto_replies'), requireAccountAccess, async (req, res) => {
+  try {
+    const isGroup = req.body.is_group === true || req.body.is_group === 'true';
+    const sender = String(req.body.sender || '').trim();
+    const sample = {
+      account_id: req.params.id,
+      direction: 'incoming',
+      sender,
+      message: String(req.body.message || ''),
+      chat_id: req.body.chat_id || (isGroup ? 'test@g.us' : `${sender.split('@')[0].replace(/\D/g, '') || '0'}@c.us`),
+      is_group: isGroup,
+      group_name: isGroup ? (req.body.group_name || null) : null
+    };
+
+    const rule = findMatchingRule(await db.getAutoReplyRules(req.params.id), sample);
+    if (!rule) {
+      return res.json({ matched: false, rule: null });
+    }
+
+    try {
+      const template = rule.action.type === 'template' ? await db.getMessageTemplate(rule.action.template_id) : null;
+      const reply = buildAutoReply(rule, sample, template);
+      res.json({
+        matched: true,
+        rule,
+        reply: reply.tag ? { tag: reply.tag } : { to: reply.to, text: reply.content.text, media: reply.content.media }
+      });
+    } catch (error) {
+      res.json({ matched: true, rule, error: error.message });
+    }
+  } catch (error) {
+    console.error('Error testing auto-reply rules:', error);
+    res.status(500).json({ error: 'Failed to test auto-reply rules' });
+  }
+});
+
+app.get('/api/auto-reply-rules/:id', requireAuth, requireScope('manage_auto_replies'), loadAutoReplyRule, (req, res) => {
+  res.json(req.autoReplyRule);
+});
+
+// Omitted fields keep their values; replaced reply media stays in the media store for the logs
+app.patch('/api/auto-reply-rules/:id', requireAuth, requireScope('manage_auto_replies'), requireRole('operator'), loadAutoReplyRule, mediaUpload, async (req, res) => {
+  try {
+    const existing = req.autoReplyRule;
+    const rule = parseRuleInput(req.body, req.file, existing);
+    const updated = await db.updateAutoReplyRule(existing.id, {
+      ...rule,
+      action: rule.action === existing.action ? rule.action : await saveRuleAction(existing.account_id, rule.action)
+    });
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating auto-reply rule:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update auto-reply rule' });
+  }
+});
+
+app.delete('/api/auto-reply-rules/:id', requireAuth, requireScope('manage_auto_replies'), requireRole('operator'), loadAutoReplyRule, async (req, res) => {
+  try {
+    await db.deleteAutoReplyRule(req.autoReplyRule.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting auto-reply rule:', error);
+    res.status(500).json({ error: 'Failed to delete auto-reply rule' });
+  }
+});
+
+// Business hours API
+// Outside business hours incoming messages are flagged `outside_business_hours`
+// in webhook payloads, and private chats get the away message if one is set
+const businessHoursResponse = (account) => ({
+  business_hours: account.business_hours || null,
+  open: account.business_hours ? isOpen(account.business_hours) : true
+});
+
+app.get('/api/accounts/:id/business-hours', requireAuth, requireScope('manage_auto_replies'), loadAccount, (req, res) => {
+  res.json(businessHoursResponse(req.account));
+});
+
+app.put('/api/accounts/:id/business-hours', requireAuth, requireScope('manage_auto_replies'), requireRole('operator'), loadAccount, async (req, res) => {
+  try {
+    const account = await db.updateAccount(req.account.id, { business_hours: parseBusinessHours(req.body) });
+    res.json(businessHoursResponse(account));
+  } catch (error) {
+    console.error('Error updating business hours:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update business hours' });
+  }
+});
+
+// Without business hours an account is always open
+app.delete('/api/accounts/:id/business-hours', requireAuth, requireScope('manage_auto_replies'), requireRole('operator'), loadAccount, async (req, res) => {
+  try {
+    await db.updateAccount(req.account.id, { business_hours: null });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing business hours:', error);
+    res.status(500).json({ error: 'Failed to remove business hours' });
+  }
+});
+
+// Broadcast campaigns API
+// Same message payload as /api/send (`message` is a template with {{placeholders}})
+// plus `name`, `account_ids`, `messages_per_minute`, `jitter_seconds`, `start` and
+// the recipients as a multipart `recipients` CSV file, `csv` text or a JSON array
+app.post('/api/campaigns', requireAuth, requireScope('send'), requireRole('operator'), campaignUpload, async (req, res) => {
+  try {
+    const options = parseCampaignOptions(req.body);
+
+    const countries = new Set();
+    for (const accountId of options.accountIds) {
+      if (!hasAccountAccess(req, accountId)) {
+        return res.status(403).json({ error: 'API key is not allowed to access this account' });
+      }
+      const account = await db.getAccount(accountId).catch(() => null);
+      if (!account) {
+        return res.status(404).json({ error: `Account not found: ${accountId}` });
+      }
+      countries.add(account.default_country || DEFAULT_COUNTRY);
+    }
+
+    const content = parseSendPayload(req.body, req.file);
+    const recipients = parseRecipients({
+      csv: req.recipientsFile ? req.recipientsFile.buffer.toString('utf8') : req.body.csv,
+      recipients: req.body.recipients,
+      template: content.text,
+      // Accounts of different countries would read a bare number differently
+      defaultCountry: countries.size === 1 ? [...countries][0] : null
+    });
+
+    const campaign = await campaignRunner.create({
+      options,
+      content,
+      recipients,
+      start: req.body.start === true || req.body.start === 'true',
+      createdBy: actorName(req)
+    });
+    const progress = await db.getCampaignProgress([campaign.id]);
+    res.status(201).json({ ...campaign, progress: progress[campaign.id] });
+  } catch (error) {
+    console.error('Error creating campaign:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create campaign' });
+  }
+});
+
+app.get('/api/campaigns', requireAuth, requireScope('send'), async (req, res) => {
+  try {
+    const campaigns = (await db.getCampaigns({
+      status: req.query.status ? String(req.query.status).split(',') : undefined,
+      limit: Math.min(parseInt(req.query.limit) || 100, 500)
+    })).filter(campaign => campaign.account_ids.every(accountId => hasAccountAccess(req, accountId)));
+
+    const progress = await db.getCampaignProgress(campaigns.map(campaign => campaign.id));
+    res.json(campaigns.map(campaign => ({ ...campaign, progress: progress[campaign.id] })));
+  } catch (error) {
+    console.error('Error fetching campaigns:', error);
+    res.status(500).json({ error: 'Failed to fetch campaigns' });
+  }
+});
+
+app.get('/api/campaigns/:id', requireAuth, requireScope('send'), loadCampaign, async (req, res) => {
+  try {
+    const progress = await db.getCampaignProgress([req.campaign.id]);
+    res.json({ ...req.campaign, progress: progress[req.campaign.id] });
+  } catch (error) {
+    console.error('Error fetching campaign progress:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign' });
+  }
+});
+
+app.get('/api/campaigns/:id/recipients', requireAuth, requireScope('send'), loadCampaign, async (req, res) => {
+  try {
+    const recipients = await db.getCampaignRecipients(req.campaign.id, {
+      status: req.query.status ? String(req.query.status).split(',') : undefined,
+      limit: Math.min(parseInt(req.query.limit) || 100, 500),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0)
+    });
+    res.json(recipients);
+  } catch (error) {
+    console.error('Error fetching campaign recipients:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign recipients' });
+  }
+});
+
+// Campaign controls: draft -> running <-> paused; anything unfinished can be cancelled
+const campaignActions = {
+  start: id => campaignRunner.startCampaign(id),
+  pause: id => campaignRunner.pause(id),
+  resume: id => campaignRunner.resume(id),
+  cancel: id => campaignRunner.cancel(id)
+};
+
+app.post('/api/campaigns/:id/:action(start|pause|resume|cancel)', requireAuth, requireScope('send'), requireRole('operator'), loadCampaign, async (req, res) => {
+  try {
+    const campaign = await campaignActions[req.params.action](req.campaign.id);
+    const progress = await db.getCampaignProgress([campaign.id]);
+    res.json({ ...campaign, progress: progress[campaign.id] });
+  } catch (error) {
+    console.error(`Error running campaign action ${req.params.action}:`, error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : `Failed to ${req.params.action} campaign` });
+  }
+});
+
+// Stats API
+app.get('/api/stats', requireAuth, requireScope('read_logs'), async (req, res) => {
+  try {
+    const allAccounts = await db.getAccounts();
+    const accounts = allAccounts.filter(account => hasAccountAccess(req, account.id));
+    const totalAccounts = accounts.length;
+    const activeAccounts = accounts.filter(a => a.status === 'ready').length;
+    
+    // Aggregate message stats for all accessible accounts in one query
+    const totals = await db.getMessageTotals(scopedAccountIds(allAccounts, accounts));
+    
+    const successRate = totals.total > 0 ? Math.round((totals.success / totals.total) * 100) : 0;
+    const webhookAttempts = totals.webhook_success + totals.webhook_failed;
+    
+    res.json({
+      totalAccounts,
+      activeAccounts,
+      totalMessages: totals.total,
+      successRate,
+      incoming: totals.incoming,
+      outgoing: totals.outgoing,
+      failed: totals.failed,
+      webhookSuccessRate: webhookAttempts > 0 ? Math.round((totals.webhook_success / webhookAttempts) * 100) : null
+    });
+  } catch (error) {
+    console.error('Error fetching stats:', error);
+    res.status(500).json({ error: 'Failed to fetch stats' });
+  }
+});
+
+// Message volume and webhook outcomes per hour/day bucket
+app.get('/api/stats/series', requireAuth, requireScope('read_logs'), async (req, res) => {
+  try {
+    const range = parseSeriesRange(req.query);
+    
+    const allAccounts = await db.getAccounts();
+    let accounts = allAccounts.filter(account => hasAccountAccess(req, account.id));
+    if (req.query.account_id) {
+      accounts = accounts.filter(account => account.id === req.query.account_id);
+      if (accounts.length === 0) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+    }
+    
+    const rows = await db.getMessageSeries({
+      ...range,
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      accountIds: scopedAccountIds(allAccounts, accounts)
+    });
+    
+    res.json({
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      bucket: range.bucket,
+      points: buildSeries(rows, range)
+    });
+  } catch (error) {
+    console.error('Error fetching stats series:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch stats series' });
+  }
+});
+
+// Message logs API
+// Filters: direction, status, sender, recipient, chat_id, is_group, type, from, to, q
+app.get('/api/accounts/:id/logs', requireAuth, requireScope('read_logs'), requireAccountAccess, async (req, res) => {
+  try {
+    const search = parseLogQuery(req.query);
+    const page = await db.searchMessageLogs({ ...search, accountIds: [req.params.id] });
+    sendLogPage(res, { ...page, logs: await withContactNames(page.logs) });
+  } catch (error) {
+    console.error('Error fetching message logs:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch message logs' });
+  }
+});
+
+// Log search across every accessible account (or a comma-separated account_id list)
+app.get('/api/logs', requireAuth, requireScope('read_logs'), async (req, res) => {
+  try {
+    const search = parseLogQuery(req.query);
+    
+    const allAccounts = await db.getAccounts();
+    let accounts = allAccounts.filter(account => hasAccountAccess(req, account.id));
+    if (req.query.account_id) {
+      const requested = String(req.query.account_id).split(',');
+      accounts = accounts.filter(account => requested.includes(account.id));
+    }
+    
+    const page = await db.searchMessageLogs({ ...search, accountIds: scopedAccountIds(allAccounts, accounts) });
+    sendLogPage(res, { ...page, logs: await withContactNames(page.logs) });
+  } catch (error) {
+    console.error('Error searching message logs:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to search message logs' });
+  }
+});
+
+// Media of a logged message: the stored file, legacy inline base64 data, or a
+// redirect to the URL outgoing media was sent from
+app.get('/api/accounts/:id/logs/:logId/media', requireAuth, requireScope('read_logs'), requireAccountAccess, async (req, res) => {
+  try {
+    const log = await db.getMessageLog(req.params.logId);
+    if (!log || log.account_id !== req.params.id || !log.media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    
+    if (log.media.key) {
+      return sendStoredMedia(res, log.media.key, log.media, 'private, max-age=86400');
+    }
+    if (log.media.data) {
+      setMediaHeaders(res, log.media, 'private, max-age=86400');
+      return res.send(Buffer.from(log.media.data, 'base64'));
+    }
+    // Media sent by URL was not stored; the caller's URL is not served from here
+    res.status(404).json({ error: 'Media not found' });
+  } catch (error) {
+    console.error('Error fetching message media:', error);
+    res.status(500).json({ error: 'Failed to fetch message media' });
+  }
+});
+
+// Conversation inbox API
+// `q` searches the chat id, group name and contact name among the latest 500 chats
+app.get('/api/accounts/:id/chats', requireAuth, requireScope('read_logs'), requireAccountAccess, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const search = req.query.q ? String(req.query.q).trim().toLowerCase() : '';
+    const [chats, tags] = await Promise.all([
+      db.getChatSummaries(req.params.id, search ? 500 : limit),
+      db.getChatTags(req.params.id)
+    ]);
+
+    const named = await withContactNames(chats.map(chat => ({ ...chat, account_id: req.params.id })));
+    const matches = (chat) => [chat.chat_id, chat.group_name, chat.contact_name]
+      .some(value => value && value.toLowerCase().includes(search));
+    res.json(named
+      .filter(chat => !search || matches(chat))
+      .slice(0, limit)
+      .map(chat => ({ ...chat, tags: tags[chat.chat_id] || [] })));
+  } catch (error) {
+    console.error('Error fetching chats:', error);
+    res.status(500).json({ error: 'Failed to fetch chats' });
+  }
+});
+
+// Messages of one chat, newest first, paginated like the log search
+app.get('/api/accounts/:id/chats/:chatId/messages', requireAuth, requireScope('read_logs'), requireAccountAccess, requireChatId, async (req, res) => {
+  try {
+    const search = parseLogQuery({ ...req.query, chat_id: req.params.chatId });
+    search.filters.direction = search.filters.direction || ['incoming', 'outgoing'];
+    
+    const page = await db.searchMessageLogs({ ...search, accountIds: [req.params.id] });
+    sendLogPage(res, { ...page, logs: withMediaLinks(await withContactNames(page.logs)) });
+  } catch (error) {
+    console.error('Error fetching chat messages:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch chat messages' });
+  }
+});
+
+// Reply in a chat; accepts the same payload as /api/send without account_id/number
+app.post('/api/accounts/:id/chats/:chatId/messages', requireAuth, requireScope('send'), requireRole('operator'), requireAccountAccess, requireChatId, mediaUpload, async (req, res) => {
+  try {
+    const content = parseSendPayload(req.body, req.file);
+    const result = await whatsappManager.sendMessage(req.params.id, req.params.chatId, content);
+    
+    // Replying from the inbox means the chat has been read
+    await db.markChatRead(req.params.id, req.params.chatId, { readBy: actorName(req) });
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error replying in chat:', error);
+    sendFailed(res, error);
+  }
+});
+
+app.post('/api/accounts/:id/chats/:chatId/read', requireAuth, requireScope('read_logs'), requireRole('operator'), requireAccountAccess, requireChatId, async (req, res) => {
+  try {
+    const read = await db.markChatRead(req.params.id, req.params.chatId, { readBy: actorName(req) });
+    res.json(read);
+  } catch (error) {
+    console.error('Error marking chat as read:', error);
+    res.status(500).json({ error: 'Failed to mark chat as read' });
+  }
+});
+
+// Chat tags, also set by auto-reply rules with a tag action
+app.post('/api/accounts/:id/chats/:chatId/tags', requireAuth, requireScope('read_logs'), requireRole('operator'), requireAccountAccess, requireChatId, async (req, res) => {
+  try {
+    const tag = String(req.body.tag || '').trim();
+    if (!tag || tag.length > 50) {
+      return res.status(400).json({ error: 'tag must be 1 to 50 characters' });
+    }
+
+    const created = await db.addChatTag(req.params.id, req.params.chatId, tag, actorName(req));
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error tagging chat:', error);
+    res.status(500).json({ error: 'Failed to tag chat' });
+  }
+});
+
+app.delete('/api/accounts/:id/chats/:chatId/tags/:tag', requireAuth, requireScope('read_logs'), requireRole('operator'), requireAccountAccess, requireChatId, async (req, res) => {
+  try {
+    await db.removeChatTag(req.params.id, req.params.chatId, req.params.tag);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing chat tag:', error);
+    res.status(500).json({ error: 'Failed to remove chat tag' });
+  }
+});
+
+// Contacts API
+app.get('/api/accounts/:id/contacts', requireAuth, requireScope('read_logs'), requireAccountAccess, async (req, res) => {
+  try {
+    res.json(await db.searchContacts(req.params.id, parseContactQuery(req.query)));
+  } catch (error) {
+    console.error('Error fetching contacts:', error);
+    res.status(500).json({ error: 'Failed to fetch contacts' });
+  }
+});
+
+// Runs in the background; a contacts_synced event reports the end
+app.post('/api/accounts/:id/contacts/sync', requireAuth, requireScope('read_logs'), requireRole('operator'), loadAccount, (req, res) => {
+  try {
+    whatsappManager.getReadyClient(req.params.id);
+    whatsappManager.syncContacts(req.params.id).catch(error => {
+      console.error(`Error syncing contacts for account ${req.params.id}:`, error);
+    });
+    res.status(202).json({ status: 'syncing' });
+  } catch (error) {
+    console.error('Error starting contact sync:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to sync contacts' });
+  }
+});
+
+app.get('/api/accounts/:id/contacts/:chatId', requireAuth, requireScope('read_logs'), requireAccountAccess, requireChatId, async (req, res) => {
+  try {
+    const contact = await db.getContact(req.params.id, req.params.chatId);
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+    res.json(contact);
+  } catch (error) {
+    console.error('Error fetching contact:', error);
+    res.status(500).json({ error: 'Failed to fetch contact' });
+  }
+});
+
+// Whether numbers are on WhatsApp: `number`, or up to 50 `numbers` (then an array is returned)
+app.post('/api/accounts/:id/check-number', requireAuth, requireScope('send'), requireAccountAccess, async (req, res) => {
+  try {
+    const { number, numbers } = req.body;
+    if (numbers !== undefined && (!Array.isArray(numbers) || numbers.length === 0 || numbers.length > 50)) {
+      return res.status(400).json({ error: 'numbers must be an array of 1 to 50 numbers' });
+    }
+    if (numbers === undefined && !number) {
+      return res.status(400).json({ error: 'number is required' });
+    }
+
+    if (numbers === undefined) {
+      return res.json(await whatsappManager.checkNumber(req.params.id, String(number)));
+    }
+    const results = [];
+    for (const entry of numbers) {
+      results.push(await whatsappManager.checkNumber(req.params.id, String(entry)));
+    }
+    res.json(results);
+  } catch (error) {
+    console.error('Error checking number:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to check number' });
+  }
+});
+
+// Groups API
+// Works on the account's live WhatsApp client, so it needs the account to be ready (409 otherwise)
+app.get('/api/accounts/:id/groups', requireGroupAccess('viewer'), async (req, res) => {
+  try {
+    res.json(await groupManager.listGroups(req.params.id));
+  } catch (error) {
+    console.error('Error fetching groups:', error);
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to fetch groups' });
+  }
+});
+
+app.post('/api/accounts/:id/groups', requireGroupAccess('operator'), async (req, res) => {
+  try {
+    const group = await groupManager.createGroup(req.params.id, parseGroupInput(req.body), actorName(req));
+    res.status(201).json(group);
+  } catch (error) {
+    console.error('Error creating group:', error);
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to create group' });
+  }
+});
+
+app.get('/api/accounts/:id/group-actions', requireGroupAccess('viewer'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    res.json(await db.getGroupActions(req.params.id, { groupId: req.query.group_id, limit }));
+  } catch (error) {
+    console.error('Error fetching group actions:', error);
+    res.status(500).json({ error: 'Failed to fetch group actions' });
+  }
+});
+
+app.get('/api/accounts/:id/groups/:chatId', requireGroupAccess('viewer'), requireChatId, async (req, res) => {
+  try {
+    res.json(await groupManager.getGroup(req.params.id, req.params.chatId));
+  } catch (error) {
+    console.error('Error fetching group:', error);
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to fetch group' });
+  }
+});
+
+app.patch('/api/accounts/:id/groups/:chatId', requireGroupAccess('operator'), requireChatId, async (req, res) => {
+  try {
+    const group = await groupManager.updateGroup(req.params.id, req.params.chatId, parseGroupUpdate(req.body), actorName(req));
+    res.json(group);
+  } catch (error) {
+    console.error('Error updating group:', error);
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to update group' });
+  }
+});
+
+app.post('/api/accounts/:id/groups/:chatId/participants/:action', requireGroupAccess('operator'), requireChatId, async (req, res) => {
+  try {
+    if (!PARTICIPANT_ACTIONS.includes(req.params.action)) {
+      return res.status(400).json({ error: `action must be one of: ${PARTICIPANT_ACTIONS.join(', ')}` });
+    }
+    const result = await groupManager.changeParticipants(
+      req.params.id,
+      req.params.chatId,
+      req.params.action,
+      parseParticipants(req.body.participants),
+      actorName(req)
+    );
+    res.json(result);
+  } catch (error) {
+    console.error('Error changing group participants:', error);
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to change group participants' });
+  }
+});
+
+app.get('/api/accounts/:id/groups/:chatId/invite', requireGroupAccess('operator'), requireChatId, async (req, res) => {
+  try {
+    res.json(await groupManager.getInviteLink(req.params.id, req.params.chatId, actorName(req)));
+  } catch (error) {
+    console.error('Error fetching group invite link:', error);
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to fetch invite link' });
+  }
+});
+
+app.post('/api/accounts/:id/groups/:chatId/invite/revoke', requireGroupAccess('operator'), requireChatId, async (req, res) => {
+  try {
+    res.json(await groupManager.revokeInviteLink(req.params.id, req.params.chatId, actorName(req)));
+  } catch (error) {
+    console.error('Error revoking group invite link:', error);
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to revoke invite link' });
+  }
+});
+
+// QR Code API
+app.get('/api/accounts/:id/qr', requireAuth, requireSession, requireRole('operator'), async (req, res) => {
+  try {
+    const qrCode = whatsappManager.getQRCode(req.params.id);
+    if (!qrCode) {
+      return res.status(404).json({ error: 'QR code not available' });
+    }
+    res.json({ qr_code: qrCode });
+  } catch (error) {
+    console.error('Error fetching QR code:', error);
+    res.status(500).json({ error: 'Failed to fetch QR code' });
+  }
+});
+
+// API Keys management (dashboard only; keys cannot manage keys)
+app.get('/api/api-keys', requireAuth, requireSession, requireRole('admin'), async (req, res) => {
+  try {
+    const apiKeys = await db.getApiKeys();
+    res.json(apiKeys);
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+app.post('/api/api-keys', requireAuth, requireSession, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, scopes, account_ids } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'API key name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'At least one permission is required' });
+    }
+    const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({ error: `Invalid permissions: ${invalidScopes.join(', ')}` });
+    }
+    if (account_ids !== undefined && account_ids !== null && !Array.isArray(account_ids)) {
+      return res.status(400).json({ error: 'account_ids must be an array' });
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+    const apiKey = await db.createApiKey({
+      name,
+      key_prefix: prefix,
+      key_hash: hash,
+      scopes,
+      account_ids: account_ids && account_ids.length > 0 ? account_ids : null,
+      created_by: req.session.username,
+      created_at: new Date().toISOString()
+    });
+
+    // The plaintext key is only ever returned here
+    const { key_hash, ...safeApiKey } = apiKey;
+    res.json({ ...safeApiKey, key });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+app.delete('/api/api-keys/:id', requireAuth, requireSession, requireRole('admin'), async (req, res) => {
+  try {
+    const apiKey = await db.updateApiKey(req.params.id, {
+      revoked_at: new Date().toISOString()
+    });
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// Users management (admin only)
+app.get('/api/users', requireAuth, requireSession, requireRole('admin'), async (req, res) => {
+  try {
+    const users = await db.getUsers();
+    res.json(users);
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+app.post('/api/users', requireAuth, requireSession, requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, role, display_name } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (await db.getUserByUsername(username)) {
+      return res.status(409).json({ error: 'Username already exists' });
+    }
+
+    const user = await db.createUser({
+      username,
+      display_name: display_name || null,
+      password_hash: await bcrypt.hash(password, 10),
+      role: role || 'viewer',
+      is_active: true,
+      created_at: new Date().toISOString()
+    });
+
+    console.log(`User ${username} (${user.role}) created by ${req.session.username}`);
+    res.json(user);
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+app.patch('/api/users/:id', requireAuth, requireSession, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await db.getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { role, is_active, password, display_name } = req.body;
+    const updates = {};
+
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+      }
+      updates.role = role;
+    }
+    if (is_active !== undefined) {
+      if (typeof is_active !== 'boolean') {
+        return res.status(400).json({ error: 'is_active must be true or false' });
+      }
+      updates.is_active = is_active;
+    }
+    if (display_name !== undefined) updates.display_name = display_name || null;
+    if (password !== undefined) {
+      if (!password || password.length < 8) {
+        return res.status(400).json({ error: 'Password must be at least 8 characters' });
+      }
+      updates.password_hash = await bcrypt.hash(password, 10);
+    }
+
+    // Never leave the system without an active admin
+    const losesAdmin = user.role === 'admin' && user.is_active &&
+      ((updates.role && updates.role !== 'admin') || updates.is_active === false);
+    if (losesAdmin) {
+      if (user.id === req.session.userId) {
+        return res.status(400).json({ error: 'You cannot remove your own admin access' });
+      }
+      const admins = (await db.getUsers()).filter(u => u.role === 'admin' && u.is_active);
+      if (admins.length <= 1) {
+        return res.status(400).json({ error: 'At least one active admin is required' });
+      }
+    }
+
+    const updatedUser = await db.updateUser(req.params.id, updates);
+    console.log(`User ${user.username} updated by ${req.session.username}:`, Object.keys(updates).join(', '));
+    if ((updates.role && updates.role !== user.role) || updates.is_active === false) {
+      disconnectUserSockets(user.id);
+    }
+    res.json(updatedUser);
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+app.delete('/api/users/:id', requireAuth, requireSession, requireRole('admin'), async (req, res) => {
+  try {
+    if (req.params.id === req.session.userId) {
+      return res.status(400).json({ error: 'You cannot delete your own user' });
+    }
+
+    const user = await db.getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await db.deleteUser(req.params.id);
+    console.log(`User ${user.username} deleted by ${req.session.username}`);
+    disconnectUserSockets(user.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+// Public webhook endpoint for receiving messages
+app.post('/webhook/:accountId', async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    const messageData = req.body;
+    
+    // Log the incoming webhook
+    await db.logMessage({
+      account_id: accountId,
+      direction: 'webhook_incoming',
+      status: 'success',
+      message: JSON.stringify(messageData),
+      created_at: new Date().toISOString()
+    });
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error processing webhook:', error);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+// Signed media downloads for webhook receivers; the signature is the credential
+app.get('/media/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+    const media = mediaStore.verify(key, req.query);
+    if (!media) {
+      return res.status(403).json({ error: 'Invalid or expired media link' });
+    }
+    
+    await sendStoredMedia(res, key, media, 'private, no-cache');
+  } catch (error) {
+    console.error('Error serving media:', error);
+    res.status(500).json({ error: 'Failed to fetch media' });
+  }
+});
+
+// View routes for dashboard
+app.get('/views/dashboard', requireAuth, async (req, res) => {
+  try {
+    const accounts = await db.getAccounts();
+    const stats = await db.getMessageTotals();
+    
+    res.json({
+      accounts,
       stats
     });
   } catch (error) {
@@ -369,7 +1878,7 @@ app.get('/views/webhooks', requireAuth, async (req, res) => {
     const webhooks = {};
     
     for (const account of accounts) {
-      webhooks[account.id] = await db.getWebhooks(account.id);
+      webhooks[account.id] = maskWebhookSecrets(req, await db.getWebhooks(account.id));
     }
     
     res.json({ accounts, webhooks });
@@ -402,6 +1911,24 @@ async function initializeApp() {
     const fs = require('fs-extra');
     await fs.ensureDir('./sessions');
     
+    // Create or update tables on local storage backends
+    await storage.migrate();
+    
+    // Make sure there is an admin who can log in
+    await ensureDefaultAdmin();
+    
+    // Start delivering queued webhooks (including retries left from a previous run)
+    await webhookQueue.start();
+    
+    // Send scheduled messages, including ones that came due while the server was down
+    await messageScheduler.start();
+    
+    // Carry on with running broadcast campaigns
+    await campaignRunner.start();
+    
+    // Supervise clients so dropped or hung accounts are reconnected
+    whatsappManager.startSupervisor();
+    
     // Initialize existing accounts
     await whatsappManager.initializeExistingAccounts();
     
@@ -424,6 +1951,10 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  webhookQueue.stop();
+  messageScheduler.stop();
+  campaignRunner.stop();
+  whatsappManager.stopSupervisor();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -432,6 +1963,10 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully...');
+  webhookQueue.stop();
+  messageScheduler.stop();
+  campaignRunner.stop();
+  whatsappManager.stopSupervisor();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -1,17 +1,85 @@
 const bcrypt = require('bcryptjs');
+const { db } = require('../config/database');
+const { hashApiKey } = require('../utils/apiKeys');
 require('dotenv').config();
 
-// Middleware to check if user is authenticated
-const requireAuth = (req, res, next) => {
-  if (req.session && req.session.authenticated) {
-    return next();
+// Permissions that can be granted to API keys
+const API_KEY_SCOPES = ['send', 'read_logs', 'manage_webhooks', 'manage_auto_replies', 'manage_groups'];
+
+// Dashboard user roles, from least to most privileged
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// How often a session's user is re-read so role changes and deactivation apply
+const SESSION_USER_REFRESH_MS = 60 * 1000;
+
+// Avoid a database write on every request just to bump last_used_at
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+// Resolve the API key from an `Authorization: Bearer <key>` header
+const authenticateApiKey = async (req) => {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) return null;
+
+  const apiKey = await db.getApiKeyByHash(hashApiKey(match[1]));
+  if (!apiKey || apiKey.revoked_at) return null;
+
+  const lastUsed = apiKey.last_used_at ? new Date(apiKey.last_used_at).getTime() : 0;
+  if (Date.now() - lastUsed > LAST_USED_UPDATE_INTERVAL_MS) {
+    db.updateApiKey(apiKey.id, { last_used_at: new Date().toISOString() })
+      .catch(error => console.error('Error updating API key last_used_at:', error));
+  }
+
+  return apiKey;
+};
+
+// Whether the request carries a session for an existing, active user.
+// `refresh` re-reads the user even if it was checked recently.
+const validateSessionUser = async (req, { refresh = false } = {}) => {
+  const session = req.session;
+  if (!session || !session.authenticated || !session.userId) return false;
+
+  if (!refresh && Date.now() - (session.userCheckedAt || 0) < SESSION_USER_REFRESH_MS) {
+    return true;
+  }
+
+  const user = await db.getUser(session.userId);
+  if (!user || !user.is_active) {
+    session.authenticated = false;
+    return false;
+  }
+
+  session.username = user.username;
+  session.role = user.role;
+  session.userCheckedAt = Date.now();
+  return true;
+};
+
+// Middleware to check if user is authenticated (session, or bearer API key on /api/* routes)
+const requireAuth = async (req, res, next) => {
+  try {
+    if (await validateSessionUser(req)) {
+      return next();
+    }
+  } catch (error) {
+    console.error('Session validation error:', error);
   }
   
-  // For API routes, return JSON error
+  // For API routes, accept an API key or return JSON error
   if (req.path.startsWith('/api/')) {
+    try {
+      const apiKey = await authenticateApiKey(req);
+      if (apiKey) {
+        req.apiKey = apiKey;
+        return next();
+      }
+    } catch (error) {
+      console.error('API key authentication error:', error);
+    }
+
     return res.status(401).json({ 
       error: 'Authentication required',
-      message: 'Please login to access this resource'
+      message: 'Please login or provide a valid API key to access this resource'
     });
   }
   
@@ -19,27 +87,135 @@ const requireAuth = (req, res, next) => {
   res.redirect('/login');
 };
 
-// Middleware to check if user is not authenticated (for login page)
-const requireGuest = (req, res, next) => {
-  if (req.session && req.session.authenticated) {
-    return res.redirect('/dashboard');
+// Middleware for routes only available to dashboard sessions (not API keys)
+const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'This resource is only available from the dashboard'
+    });
+  }
+  next();
+};
+
+// Middleware factory requiring an API key permission (sessions have all permissions)
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey || (req.apiKey.scopes || []).includes(scope)) {
+    return next();
+  }
+  res.status(403).json({
+    error: 'Forbidden',
+    message: `API key is missing the '${scope}' permission`
+  });
+};
+
+// Whether the request has at least the given role. API keys are governed by
+// their scopes instead, so role checks do not apply to them.
+const hasRole = (req, role) => {
+  if (req.apiKey) return true;
+  const userRole = req.session && req.session.role;
+  return ROLES.indexOf(userRole) >= ROLES.indexOf(role);
+};
+
+// Middleware factory requiring a minimum dashboard role
+const requireRole = (role) => (req, res, next) => {
+  if (hasRole(req, role)) {
+    return next();
+  }
+  res.status(403).json({
+    error: 'Forbidden',
+    message: `This action requires the ${role} role`
+  });
+};
+
+// Whether the request may act on an account (API keys can be limited to some accounts)
+const hasAccountAccess = (req, accountId) => {
+  if (!req.apiKey) return true;
+  const accountIds = req.apiKey.account_ids;
+  return !accountIds || accountIds.length === 0 || accountIds.includes(accountId);
+};
+
+// Middleware checking access to the account in `:id` or `account_id` of the body
+const requireAccountAccess = (req, res, next) => {
+  const accountId = req.params.id || (req.body && req.body.account_id);
+  if (!accountId || hasAccountAccess(req, accountId)) {
+    return next();
+  }
+  res.status(403).json({
+    error: 'Forbidden',
+    message: 'API key is not allowed to access this account'
+  });
+};
+
+// Middleware to check if user is not authenticated (for login page). The
+// user is re-read so a deactivated one is not sent back to the dashboard.
+const requireGuest = async (req, res, next) => {
+  try {
+    if (await validateSessionUser(req, { refresh: true })) {
+      return res.redirect('/dashboard');
+    }
+  } catch (error) {
+    console.error('Session validation error:', error);
   }
   next();
 };
 
+// Socket.IO middleware to only accept sockets from active users' sessions
+// (requires the express-session middleware to be attached to io.engine).
+// Sockets of users who are changed later are dropped with disconnectUserSockets.
+const requireSocketAuth = async (socket, next) => {
+  try {
+    if (await validateSessionUser(socket.request, { refresh: true })) {
+      return next();
+    }
+  } catch (error) {
+    console.error('Socket session validation error:', error);
+  }
+
+  const error = new Error('Authentication required');
+  error.data = { message: 'Please login to access this resource' };
+  next(error);
+};
+
+// Create the first admin from DASHBOARD_USERNAME/DASHBOARD_PASSWORD when no users exist
+const ensureDefaultAdmin = async () => {
+  const users = await db.getUsers();
+  if (users.length > 0) return;
+
+  const username = process.env.DASHBOARD_USERNAME || 'admin';
+  const password = process.env.DASHBOARD_PASSWORD || 'admin123';
+
+  await db.createUser({
+    username,
+    password_hash: await bcrypt.hash(password, 10),
+    role: 'admin',
+    is_active: true,
+    created_at: new Date().toISOString()
+  });
+
+  console.log(`Created initial admin user '${username}' from DASHBOARD_USERNAME/DASHBOARD_PASSWORD`);
+};
+
 // Login handler
 const login = async (req, res) => {
   const { username, password } = req.body;
   
-  const expectedUsername = process.env.DASHBOARD_USERNAME || 'admin';
-  const expectedPassword = process.env.DASHBOARD_PASSWORD || 'admin123';
-  
   try {
-    // Check username and password
-    if (username === expectedUsername && await bcrypt.compare(password, await bcrypt.hash(expectedPassword, 10))) {
+    // Check username and password against the stored bcrypt hash
+    const user = username ? await db.getUserByUsername(username) : null;
+    if (user && user.is_active && password && await bcrypt.compare(password, user.password_hash)) {
+      // Issue a fresh session id so a pre-login session cannot be fixated
+      await new Promise((resolve, reject) => req.session.regenerate(err => err ? reject(err) : resolve()));
+
       req.session.authenticated = true;
-      req.session.username = username;
+      req.session.userId = user.id;
+      req.session.username = user.username;
+      req.session.role = user.role;
+      req.session.userCheckedAt = Date.now();
       req.session.loginTime = new Date();
+
+      db.updateUser(user.id, { last_login_at: new Date().toISOString() })
+        .catch(error => console.error('Error updating last login:', error));
       
       return res.json({ 
         success: true, 
@@ -81,22 +257,64 @@ const logout = (req, res) => {
 };
 
 // Get current user info
-const getCurrentUser = (req, res) => {
-  if (req.session && req.session.authenticated) {
-    return res.json({
-      authenticated: true,
-      username: req.session.username,
-      loginTime: req.session.loginTime
-    });
+const getCurrentUser = async (req, res) => {
+  try {
+    if (await validateSessionUser(req)) {
+      return res.json({
+        authenticated: true,
+        id: req.session.userId,
+        username: req.session.username,
+        role: req.session.role,
+        loginTime: req.session.loginTime
+      });
+    }
+  } catch (error) {
+    console.error('Error fetching current user:', error);
   }
   
   res.json({ authenticated: false });
 };
 
+// Change the logged-in user's own password
+const changePassword = async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  if (!current_password || !new_password) {
+    return res.status(400).json({ error: 'Current and new password are required' });
+  }
+  if (new_password.length < 8) {
+    return res.status(400).json({ error: 'New password must be at least 8 characters' });
+  }
+
+  try {
+    const user = await db.getUserByUsername(req.session.username);
+    if (!user || !await bcrypt.compare(current_password, user.password_hash)) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    await db.updateUser(user.id, { password_hash: await bcrypt.hash(new_password, 10) });
+    res.json({ success: true, message: 'Password changed' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+};
+
 module.exports = {
   requireAuth,
   requireGuest,
+  requireSession,
+  requireScope,
+  requireRole,
+  hasRole,
+  requireAccountAccess,
+  hasAccountAccess,
+  requireSocketAuth,
+  API_KEY_SCOPES,
+  ROLES,
+  ensureDefaultAdmin,
   login,
   logout,
-  getCurrentUser
+  getCurrentUser,
+  changePassword
 }; 
\ No newline at end of file
@@ -0,0 +1,79 @@
+const multer = require('multer');
+const { MAX_MEDIA_BYTES, ALLOWED_MIMETYPES } = require('../utils/messageContent');
+
+const allowedMimetypes = Object.values(ALLOWED_MIMETYPES).flat();
+
+// Keep uploads in memory; they are forwarded to WhatsApp as base64 anyway
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_MEDIA_BYTES,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (allowedMimetypes.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    const error = new Error(`Unsupported media type: ${file.mimetype}`);
+    error.statusCode = 400;
+    cb(error);
+  }
+});
+
+// Recipient lists are accepted under whatever type the browser guesses for .csv
+const csvMimetypes = ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel', 'application/octet-stream'];
+
+const campaignFiles = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_MEDIA_BYTES,
+    files: 2
+  },
+  fileFilter: (req, file, cb) => {
+    const allowed = file.fieldname === 'recipients'
+      ? csvMimetypes.includes(file.mimetype) || /\.csv$/i.test(file.originalname)
+      : allowedMimetypes.includes(file.mimetype);
+    if (allowed) {
+      return cb(null, true);
+    }
+    const error = new Error(`Unsupported ${file.fieldname === 'recipients' ? 'recipients file' : 'media'} type: ${file.mimetype}`);
+    error.statusCode = 400;
+    cb(error);
+  }
+});
+
+// Wrap a multer handler so upload errors become JSON 400 responses
+const handleUpload = (handler, label) => (req, res, next) => {
+  handler(req, res, (err) => {
+    if (!err) return next();
+
+    const message = err.code === 'LIMIT_FILE_SIZE'
+      ? `${label} exceeds the ${MAX_MEDIA_BYTES / (1024 * 1024)}MB limit`
+      : err.message;
+
+    res.status(err.statusCode || 400).json({ error: message });
+  });
+};
+
+// Middleware accepting an optional `media` file on multipart requests
+const mediaUpload = handleUpload(upload.single('media'), 'Media');
+
+// Middleware accepting a `recipients` CSV file and an optional `media` file;
+// single files are moved to req.recipientsFile and req.file
+const campaignUpload = [
+  handleUpload(campaignFiles.fields([
+    { name: 'recipients', maxCount: 1 },
+    { name: 'media', maxCount: 1 }
+  ]), 'File'),
+  (req, res, next) => {
+    const files = req.files || {};
+    req.recipientsFile = files.recipients ? files.recipients[0] : undefined;
+    req.file = files.media ? files.media[0] : undefined;
+    next();
+  }
+];
+
+module.exports = {
+  mediaUpload,
+  campaignUpload
+};
\ No newline at end of file
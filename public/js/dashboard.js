@@ -6,16 +6,64 @@ class Dashboard {
     this.accounts = [];
     this.webhooks = {};
     this.messageLogs = {};
+    this.user = null;
+    this.charts = {};
+    this.logSearch = null;
+    this.logObserver = null;
+    this.inbox = { accountId: null, chatId: null, chats: [], messages: [], cursor: null };
+    this.inboxRefreshTimer = null;
+    this.scheduledStatus = 'pending,sending';
+    this.scheduledRefreshTimer = null;
+    this.campaigns = [];
+    this.templates = [];
+    this.sendTemplates = [];
+    this.autoReplies = { accountId: null, rules: [], templates: [], businessHours: null };
     this.init();
   }
 
   async init() {
+    if (!await this.loadCurrentUser()) return;
     this.setupEventListeners();
     this.setupSocketConnection();
     await this.loadDashboard();
     this.startAutoRefresh();
   }
 
+  // Load the logged-in user and hide controls their role cannot use
+  async loadCurrentUser() {
+    try {
+      const response = await fetch('/api/auth/user');
+      const user = await response.json();
+
+      if (!user.authenticated) {
+        window.location.href = '/login';
+        return false;
+      }
+
+      this.user = user;
+      document.getElementById('userName').textContent = user.username;
+      document.getElementById('userRole').textContent = user.role.charAt(0).toUpperCase() + user.role.slice(1);
+
+      document.querySelectorAll('[data-min-role]').forEach(element => {
+        if (!this.hasRole(element.dataset.minRole)) {
+          element.style.display = 'none';
+        }
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Error loading current user:', error);
+      window.location.href = '/login';
+      return false;
+    }
+  }
+
+  // Mirror of the server-side role hierarchy (viewer < operator < admin)
+  hasRole(role) {
+    const roles = ['viewer', 'operator', 'admin'];
+    return !!this.user && roles.indexOf(this.user.role) >= roles.indexOf(role);
+  }
+
   setupEventListeners() {
     // Navigation
     document.querySelectorAll('.nav-link').forEach(link => {
@@ -26,6 +74,11 @@ class Dashboard {
       });
     });
 
+    // Activity charts
+    document.getElementById('statsRange')?.addEventListener('change', () => {
+      this.loadCharts();
+    });
+
     // Account management
     document.getElementById('createAccountBtn')?.addEventListener('click', () => {
       this.showCreateAccountModal();
@@ -42,6 +95,77 @@ class Dashboard {
       this.createWebhook();
     });
 
+    // Webhook deliveries
+    document.getElementById('deliveryStatusFilter')?.addEventListener('change', () => {
+      this.loadWebhookDeliveries();
+    });
+
+    document.getElementById('replayDeadDeliveriesBtn')?.addEventListener('click', () => {
+      this.replayDeadDeliveries();
+    });
+
+    // Templates
+    document.getElementById('templateForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveTemplate();
+    });
+
+    document.getElementById('messageTemplate')?.addEventListener('change', () => {
+      this.renderTemplateVariables();
+    });
+
+    // Auto-replies
+    document.getElementById('autoReplyForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveAutoReplyRule();
+    });
+
+    document.getElementById('businessHoursForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveBusinessHours();
+    });
+
+    ['autoReplyMatch', 'autoReplyAction', 'autoReplyHoursEnabled'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => {
+        this.updateAutoReplyFields();
+      });
+    });
+
+    // Campaigns
+    document.getElementById('createCampaignForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.createCampaign();
+    });
+
+    document.getElementById('recipientStatusFilter')?.addEventListener('change', () => {
+      this.loadCampaignRecipients();
+    });
+
+    // API keys
+    document.getElementById('createApiKeyForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.createApiKey();
+    });
+
+    document.getElementById('copyApiKeyBtn')?.addEventListener('click', () => {
+      navigator.clipboard.writeText(document.getElementById('apiKeyValue').textContent);
+    });
+
+    // Users
+    document.getElementById('createUserForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.createUser();
+    });
+
+    document.getElementById('changePasswordBtn')?.addEventListener('click', () => {
+      this.showChangePasswordModal();
+    });
+
+    document.getElementById('changePasswordForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.changePassword();
+    });
+
     // Message sending
     document.getElementById('sendMessageForm')?.addEventListener('submit', (e) => {
       e.preventDefault();
@@ -84,9 +208,24 @@ class Dashboard {
       this.updateConnectionStatus(true);
     });
 
-    this.socket.on('disconnect', () => {
+    this.socket.on('disconnect', (reason) => {
       console.log('Disconnected from server');
       this.updateConnectionStatus(false);
+
+      // The server drops sockets of users whose role or access changed
+      if (reason === 'io server disconnect') {
+        window.location.reload();
+      }
+    });
+
+    this.socket.on('connect_error', (error) => {
+      console.error('Socket connection error:', error.message);
+      this.updateConnectionStatus(false);
+
+      // The server rejects sockets without a valid dashboard session
+      if (error.message === 'Authentication required') {
+        window.location.href = '/login';
+      }
     });
 
     this.socket.on('account_status_update', (data) => {
@@ -95,11 +234,28 @@ class Dashboard {
 
     this.socket.on('new_message', (data) => {
       this.addMessageToLog(data);
+      this.handleInboxMessage(data);
     });
 
     this.socket.on('webhook_delivery', (data) => {
       this.updateWebhookStatus(data);
     });
+
+    this.socket.on('scheduled_message_update', () => {
+      this.handleScheduledUpdate();
+    });
+
+    this.socket.on('campaign_progress', (data) => {
+      this.handleCampaignProgress(data);
+    });
+
+    this.socket.on('message_ack', (data) => {
+      this.handleMessageAck(data);
+    });
+
+    this.socket.on('contacts_synced', (data) => {
+      this.handleContactsSynced(data);
+    });
   }
 
   updateConnectionStatus(connected) {
@@ -119,11 +275,105 @@ class Dashboard {
 
       this.accounts = accounts;
       this.renderDashboard(accounts, stats);
+      this.loadCharts();
     } catch (error) {
       this.showAlert('Error loading dashboard: ' + error.message, 'error');
     }
   }
 
+  async loadCharts() {
+    const rangeSelect = document.getElementById('statsRange');
+    if (!rangeSelect || typeof Chart === 'undefined') return;
+
+    try {
+      const response = await fetch(`/api/stats/series?range=${rangeSelect.value}`);
+      if (!response.ok) throw new Error('Failed to fetch activity');
+      this.renderCharts(await response.json());
+    } catch (error) {
+      console.error('Error loading charts:', error);
+    }
+  }
+
+  renderCharts(series) {
+    const labels = series.points.map(point => {
+      const date = new Date(point.time);
+      return series.bucket === 'hour'
+        ? date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+    });
+
+    const volume = {
+      labels,
+      datasets: [
+        {
+          label: 'Incoming',
+          data: series.points.map(point => point.incoming.success + point.incoming.failed),
+          backgroundColor: '#4facfe'
+        },
+        {
+          label: 'Outgoing',
+          data: series.points.map(point => point.outgoing.success),
+          backgroundColor: '#667eea'
+        },
+        {
+          label: 'Failed sends',
+          data: series.points.map(point => point.outgoing.failed),
+          backgroundColor: '#ef4444'
+        }
+      ]
+    };
+
+    // Buckets without deliveries are gaps rather than 0%
+    const webhooks = {
+      labels,
+      datasets: [{
+        label: 'Webhook success rate (%)',
+        data: series.points.map(point => {
+          const attempts = point.webhook.success + point.webhook.failed;
+          return attempts > 0 ? Math.round((point.webhook.success / attempts) * 100) : null;
+        }),
+        borderColor: '#10b981',
+        backgroundColor: 'rgba(16, 185, 129, 0.2)',
+        fill: true,
+        spanGaps: true,
+        tension: 0.3
+      }]
+    };
+
+    this.renderChart('messageVolumeChart', 'bar', volume, {
+      scales: { x: { stacked: true }, y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } } }
+    });
+    this.renderChart('webhookSuccessChart', 'line', webhooks, {
+      scales: { y: { min: 0, max: 100 } }
+    });
+  }
+
+  // Create a chart once, then update its data in place on refresh
+  renderChart(canvasId, type, data, options) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    const existing = this.charts[canvasId];
+    if (existing && existing.canvas === canvas) {
+      existing.data = data;
+      existing.update();
+      return;
+    }
+    if (existing) existing.destroy();
+
+    this.charts[canvasId] = new Chart(canvas, {
+      type,
+      data,
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: { legend: { labels: { color: '#b8b8d1' } } },
+        ...options
+      }
+    });
+  }
+
   async fetchAccounts() {
     const response = await fetch('/api/accounts');
     if (!response.ok) throw new Error('Failed to fetch accounts');
@@ -163,6 +413,10 @@ class Dashboard {
         <div class="stat-number">${stats.successRate}%</div>
         <div class="stat-label">Success Rate</div>
       </div>
+      <div class="stat-card fade-in">
+        <div class="stat-number">${stats.webhookSuccessRate === null ? '–' : stats.webhookSuccessRate + '%'}</div>
+        <div class="stat-label">Webhook Success</div>
+      </div>
     `;
   }
 
@@ -185,12 +439,13 @@ class Dashboard {
           <span class="status-badge status-${account.status}">
             ${this.formatStatus(account.status)}
           </span>
+          ${this.formatHealth(account.health)}
         </td>
         <td>${account.phone_number || 'Not connected'}</td>
         <td>${this.formatDate(account.created_at)}</td>
         <td>
           <div class="btn-group">
-            ${account.status === 'qr_ready' ? 
+            ${account.status === 'qr_ready' && this.hasRole('operator') ? 
               `<button class="btn btn-sm btn-primary" onclick="dashboard.showQRCode('${account.id}')">
                 <i class="fas fa-qrcode"></i> QR Code
               </button>` : ''
@@ -198,12 +453,22 @@ class Dashboard {
             <button class="btn btn-sm btn-secondary" onclick="dashboard.manageWebhooks('${account.id}')">
               <i class="fas fa-link"></i> Webhooks
             </button>
-            <button class="btn btn-sm btn-success" onclick="dashboard.sendMessageModal('${account.id}')">
-              <i class="fas fa-paper-plane"></i> Send
-            </button>
-            <button class="btn btn-sm btn-danger" onclick="dashboard.deleteAccount('${account.id}')">
-              <i class="fas fa-trash"></i>
-            </button>
+            ${this.hasRole('operator') ? `
+              <button class="btn btn-sm btn-success" onclick="dashboard.sendMessageModal('${account.id}')">
+                <i class="fas fa-paper-plane"></i> Send
+              </button>` : ''
+            }
+            ${this.hasRole('operator') ? `
+              <button class="btn btn-sm btn-secondary" title="Edit account" onclick="dashboard.showCreateAccountModal('${account.id}')">
+                <i class="fas fa-pen"></i>
+              </button>` : ''
+            }
+            ${this.renderLifecycleButtons(account)}
+            ${this.hasRole('admin') ? `
+              <button class="btn btn-sm btn-danger" onclick="dashboard.deleteAccount('${account.id}')">
+                <i class="fas fa-trash"></i>
+              </button>` : ''
+            }
           </div>
         </td>
       </tr>
@@ -229,11 +494,32 @@ class Dashboard {
       'qr_ready': 'QR Ready',
       'initializing': 'Initializing',
       'disconnected': 'Disconnected',
-      'auth_failed': 'Auth Failed'
+      'auth_failed': 'Auth Failed',
+      'stopped': 'Stopped'
     };
     return statusMap[status] || status;
   }
 
+  // Reconnect/restart details reported by the server's client supervisor
+  formatHealth(health) {
+    if (!health) return '';
+
+    const details = [];
+    if (health.next_reconnect_at) {
+      details.push(`Reconnecting at ${new Date(health.next_reconnect_at).toLocaleTimeString()}`);
+    }
+    if (health.restart_count > 0) {
+      details.push(`${health.restart_count} restart${health.restart_count === 1 ? '' : 's'}`);
+    }
+    if (details.length === 0 && !health.last_error) return '';
+
+    return `
+      <div class="text-muted" style="font-size: 0.8em; margin-top: 2px;" title="${this.escapeHtml(health.last_error || '')}">
+        ${details.join(' &middot; ') || 'Last error'}${health.last_error ? ' <i class="fas fa-exclamation-circle"></i>' : ''}
+      </div>
+    `;
+  }
+
   formatDate(dateString) {
     return new Date(dateString).toLocaleDateString();
   }
@@ -281,9 +567,30 @@ class Dashboard {
       case 'messages':
         this.loadMessagesView();
         break;
+      case 'inbox':
+        this.loadInboxView();
+        break;
+      case 'scheduled':
+        this.loadScheduledView();
+        break;
+      case 'campaigns':
+        this.loadCampaignsView();
+        break;
+      case 'templates':
+        this.loadTemplatesView();
+        break;
+      case 'autoReplies':
+        this.loadAutoRepliesView();
+        break;
       case 'logs':
         this.loadLogsView();
         break;
+      case 'apiKeys':
+        this.loadApiKeysView();
+        break;
+      case 'users':
+        this.loadUsersView();
+        break;
     }
   }
 
@@ -321,165 +628,1271 @@ class Dashboard {
   }
 
   async loadMessagesView() {
+    await this.loadLogSearchView('messages');
+  }
+
+  async loadLogsView() {
+    await this.loadLogSearchView('logs');
+  }
+
+  // Messages and Logs both search GET /api/logs across accounts, with a
+  // filter bar and the next page loaded as the list is scrolled
+  async loadLogSearchView(view) {
     try {
-      const accounts = await this.fetchAccounts();
-      const messages = {};
-      
-      for (const account of accounts) {
-        try {
-          const response = await fetch(`/api/accounts/${account.id}/logs?limit=50`);
-          if (response.ok) {
-            messages[account.id] = await response.json();
-          }
-        } catch (error) {
-          console.error(`Error fetching messages for account ${account.id}:`, error);
-          messages[account.id] = [];
-        }
-      }
-      
-      this.renderMessagesView(accounts, messages);
+      this.accounts = await this.fetchAccounts();
+      this.renderLogSearchView(view);
+      await this.searchLogs();
     } catch (error) {
-      this.showAlert('Error loading messages: ' + error.message, 'error');
+      this.showAlert(`Error loading ${view}: ` + error.message, 'error');
     }
   }
 
-  async loadLogsView() {
+  // Start a new search from the current filter bar values
+  async searchLogs() {
+    const form = document.getElementById('logFilters');
+    if (!form) return;
+
+    const params = new URLSearchParams({ limit: 50 });
+    for (const [name, value] of new FormData(form)) {
+      if (!value) continue;
+      // datetime-local inputs are in the browser's timezone
+      params.set(name, ['from', 'to'].includes(name) ? new Date(value).toISOString() : value);
+    }
+
+    this.logSearch = { view: form.dataset.view, params, cursor: null, count: 0, done: false, loading: false };
+    document.getElementById('logResults').innerHTML = '';
+    await this.loadMoreLogs();
+  }
+
+  async loadMoreLogs() {
+    const search = this.logSearch;
+    if (!search || search.loading || search.done) return;
+
+    const footer = document.getElementById('logResultsFooter');
+    search.loading = true;
+    footer.textContent = 'Loading...';
+
     try {
-      const accounts = await this.fetchAccounts();
-      const logs = {};
-      
-      for (const account of accounts) {
-        try {
-          const response = await fetch(`/api/accounts/${account.id}/logs?limit=100`);
-          if (response.ok) {
-            logs[account.id] = await response.json();
-          }
-        } catch (error) {
-          console.error(`Error fetching logs for account ${account.id}:`, error);
-          logs[account.id] = [];
-        }
+      const params = new URLSearchParams(search.params);
+      if (search.cursor) params.set('cursor', search.cursor);
+
+      const response = await fetch(`/api/logs?${params}`);
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to search logs');
       }
-      
-      this.renderLogsView(accounts, logs);
+      const logs = await response.json();
+
+      // Filters changed or the view was left while this page was loading
+      const results = document.getElementById('logResults');
+      if (this.logSearch !== search || !results) return;
+
+      search.cursor = response.headers.get('X-Next-Cursor');
+      search.done = !search.cursor;
+      search.count += logs.length;
+
+      results.insertAdjacentHTML('beforeend', logs.map(log => this.renderLogItem(log)).join(''));
+      footer.textContent = search.count === 0
+        ? `No ${search.view === 'messages' ? 'messages' : 'logs'} found`
+        : (search.done ? 'No more results' : '');
     } catch (error) {
-      this.showAlert('Error loading logs: ' + error.message, 'error');
+      footer.textContent = '';
+      this.showAlert('Error searching logs: ' + error.message, 'error');
+      search.done = true;
+    } finally {
+      search.loading = false;
+    }
+
+    // The observer only fires on changes, so keep going while the end is in view
+    if (!search.done && this.logSearch === search && footer.isConnected &&
+        footer.getBoundingClientRect().top < window.innerHeight) {
+      await this.loadMoreLogs();
     }
   }
 
-  // Account Management
-  showCreateAccountModal() {
-    const modal = document.getElementById('createAccountModal');
-    const form = document.getElementById('createAccountForm');
-    
-    if (modal && form) {
-      // Reset the form before showing the modal
-      form.reset();
-      modal.classList.add('show');
-      console.log('Create account modal opened');
+  // Conversation inbox: chats of one account on the left, the open thread on the right
+  async loadInboxView() {
+    try {
+      this.accounts = await this.fetchAccounts();
+      if (!this.accounts.some(account => account.id === this.inbox.accountId)) {
+        this.inbox = { accountId: this.accounts[0]?.id || null, chatId: null, chats: [], messages: [], cursor: null };
+      }
+
+      this.renderInboxView();
+      await this.loadChats();
+      if (this.inbox.chatId) await this.openChat(this.inbox.chatId);
+    } catch (error) {
+      this.showAlert('Error loading inbox: ' + error.message, 'error');
     }
   }
 
-  async createAccount() {
-    const form = document.getElementById('createAccountForm');
-    const formData = new FormData(form);
-    
-    console.log('Creating account with data:', {
-      name: formData.get('name'),
-      description: formData.get('description')
-    });
-    
+  async loadChats() {
+    if (!this.inbox.accountId) return;
+
     try {
-      const response = await fetch('/api/accounts', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          name: formData.get('name'),
-          description: formData.get('description')
-        })
-      });
+      const params = new URLSearchParams();
+      if (this.inbox.search) params.set('q', this.inbox.search);
 
-      if (!response.ok) throw new Error('Failed to create account');
-      
-      const account = await response.json();
-      console.log('Account created successfully:', account);
-      this.showAlert('Account created successfully!', 'success');
-      
-      // Reset the form
-      form.reset();
-      console.log('Form reset');
-      
-      // Close the modal with a small delay to ensure proper execution
-      setTimeout(() => {
-        this.closeAllModals();
-        console.log('Modals closed');
-        
-        // Also specifically close the create account modal as a fallback
-        this.closeCreateAccountModal();
-      }, 100);
-      
-      // Reload dashboard to show the new account
-      await this.loadDashboard();
-      console.log('Dashboard reloaded');
+      const response = await fetch(`/api/accounts/${this.inbox.accountId}/chats?${params}`);
+      if (!response.ok) throw new Error('Failed to fetch chats');
+
+      this.inbox.chats = await response.json();
+      this.renderChatList();
     } catch (error) {
-      console.error('Error creating account:', error);
-      this.showAlert('Error creating account: ' + error.message, 'error');
+      this.showAlert('Error loading chats: ' + error.message, 'error');
     }
   }
 
-  async deleteAccount(accountId) {
-    if (!confirm('Are you sure you want to delete this account?')) return;
+  selectInboxAccount(accountId) {
+    this.inbox = { accountId, chatId: null, chats: [], messages: [], cursor: null };
+    this.renderInboxView();
+    this.loadChats();
+  }
 
+  // Refresh the inbox account's contact names from its phone
+  async syncContacts() {
+    const accountId = this.inbox.accountId;
     try {
-      const response = await fetch(`/api/accounts/${accountId}`, {
-        method: 'DELETE'
-      });
+      const response = await fetch(`/api/accounts/${accountId}/contacts/sync`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to sync contacts');
 
-      if (!response.ok) throw new Error('Failed to delete account');
-      
-      this.showAlert('Account deleted successfully!', 'success');
-      this.loadDashboard();
+      this.contactSyncAccountId = accountId;
+      this.showAlert('Syncing contacts...', 'info');
     } catch (error) {
-      this.showAlert('Error deleting account: ' + error.message, 'error');
+      this.showAlert('Error syncing contacts: ' + error.message, 'error');
     }
   }
 
-  showQRCode(accountId) {
-    const account = this.accounts.find(a => a.id === accountId);
-    if (!account || !account.qr_code) {
-      this.showAlert('QR code not available for this account', 'warning');
-      return;
+  handleContactsSynced(data) {
+    if (data.account_id === this.contactSyncAccountId) {
+      this.contactSyncAccountId = null;
+      this.showAlert(`Synced ${data.count} contacts`, 'success');
+    }
+    if (this.currentView === 'inbox' && data.account_id === this.inbox.accountId) {
+      this.loadChats();
     }
+  }
 
-    const modal = document.getElementById('qrModal');
-    modal.querySelector('.modal-title').textContent = `Scan QR Code - ${account.name} (ID: ${account.id})`;
-    const qrImage = modal.querySelector('.qr-code img');
-    qrImage.src = account.qr_code;
-    modal.classList.add('show');
+  async openChat(chatId) {
+    this.inbox.chatId = chatId;
+    this.inbox.messages = [];
+    this.inbox.cursor = null;
+    this.renderChatList();
+    this.renderThread();
+
+    await this.loadThread();
+    this.markChatRead();
   }
 
-  // Webhook Management
-  async manageWebhooks(accountId) {
+  // Load the newest page of the open chat, or the page before the oldest loaded message
+  async loadThread({ older = false } = {}) {
+    const { accountId, chatId } = this.inbox;
+    if (!chatId) return;
+
     try {
-      const response = await fetch(`/api/accounts/${accountId}/webhooks`);
-      if (!response.ok) throw new Error('Failed to fetch webhooks');
-      
-      const webhooks = await response.json();
-      this.webhooks[accountId] = webhooks;
-      
-      this.showWebhooksModal(accountId, webhooks);
+      const params = new URLSearchParams({ limit: 30 });
+      if (older) params.set('cursor', this.inbox.cursor);
+
+      const response = await fetch(`/api/accounts/${accountId}/chats/${encodeURIComponent(chatId)}/messages?${params}`);
+      if (!response.ok) throw new Error('Failed to fetch messages');
+      const messages = await response.json();
+
+      // Another chat was opened while this page was loading
+      if (this.inbox.chatId !== chatId) return;
+
+      if (older || !this.inbox.messages.length) {
+        this.inbox.cursor = response.headers.get('X-Next-Cursor');
+      }
+
+      // Merge by id so live refreshes keep already loaded older pages
+      const byId = new Map(this.inbox.messages.map(message => [message.id, message]));
+      messages.forEach(message => byId.set(message.id, message));
+      this.inbox.messages = Array.from(byId.values())
+        .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id));
+
+      this.renderThreadMessages({ scrollToBottom: !older });
     } catch (error) {
-      this.showAlert('Error loading webhooks: ' + error.message, 'error');
+      this.showAlert('Error loading messages: ' + error.message, 'error');
     }
   }
 
-  showWebhooksModal(accountId, webhooks) {
-    const modal = document.getElementById('webhooksModal');
-    const account = this.accounts.find(a => a.id === accountId);
-    
-    modal.querySelector('.modal-title').textContent = `Webhooks - ${account.name} (ID: ${account.id})`;
+  async markChatRead() {
+    const chat = this.inbox.chats.find(c => c.chat_id === this.inbox.chatId);
+    if (!chat || chat.unread_count === 0 || !this.hasRole('operator')) return;
+
+    try {
+      const response = await fetch(`/api/accounts/${this.inbox.accountId}/chats/${encodeURIComponent(chat.chat_id)}/read`, {
+        method: 'POST'
+      });
+      if (!response.ok) throw new Error('Failed to mark chat as read');
+
+      chat.unread_count = 0;
+      this.renderChatList();
+    } catch (error) {
+      console.error('Error marking chat as read:', error);
+    }
+  }
+
+  // Tags of the open chat in the thread header, removable by operators
+  renderChatTags() {
+    const container = document.getElementById('inboxChatTags');
+    const chat = this.inbox.chats.find(c => c.chat_id === this.inbox.chatId);
+    if (!container) return;
+
+    const canEdit = this.hasRole('operator');
+    container.innerHTML = `
+      ${(chat?.tags || []).map((tag, index) => `
+        <span class="chat-tag">
+          ${this.escapeHtml(tag)}
+          ${canEdit ? `<button type="button" class="chat-tag-remove" data-tag-index="${index}" title="Remove tag">&times;</button>` : ''}
+        </span>
+      `).join('')}
+      ${canEdit && chat ? '<button type="button" class="btn btn-sm btn-secondary" data-add-tag><i class="fas fa-tag"></i> Tag</button>' : ''}
+    `;
+  }
+
+  async addChatTag() {
+    const chat = this.inbox.chats.find(c => c.chat_id === this.inbox.chatId);
+    const tag = (prompt('Tag this chat as:') || '').trim();
+    if (!chat || !tag) return;
+
+    try {
+      const response = await fetch(`/api/accounts/${this.inbox.accountId}/chats/${encodeURIComponent(chat.chat_id)}/tags`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tag })
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to tag chat');
+
+      chat.tags = [...new Set([...(chat.tags || []), result.tag])].sort();
+      this.renderChatList();
+      this.renderChatTags();
+    } catch (error) {
+      this.showAlert('Error tagging chat: ' + error.message, 'error');
+    }
+  }
+
+  async removeChatTag(tag) {
+    const chat = this.inbox.chats.find(c => c.chat_id === this.inbox.chatId);
+    if (!chat) return;
+
+    try {
+      const response = await fetch(`/api/accounts/${this.inbox.accountId}/chats/${encodeURIComponent(chat.chat_id)}/tags/${encodeURIComponent(tag)}`, {
+        method: 'DELETE'
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to remove tag');
+
+      chat.tags = chat.tags.filter(t => t !== tag);
+      this.renderChatList();
+      this.renderChatTags();
+    } catch (error) {
+      this.showAlert('Error removing tag: ' + error.message, 'error');
+    }
+  }
+
+  async sendReply() {
+    const form = document.getElementById('inboxReplyForm');
+    const formData = new FormData(form);
+    const mediaFile = formData.get('media');
+    const hasFile = mediaFile && mediaFile.size > 0;
+
+    if (!formData.get('message') && !hasFile) return;
+
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    try {
+      // Attachments go as multipart; text replies stay JSON
+      const response = await fetch(`/api/accounts/${this.inbox.accountId}/chats/${encodeURIComponent(this.inbox.chatId)}/messages`, hasFile ? {
+        method: 'POST',
+        body: formData
+      } : {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ message: formData.get('message') })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to send message');
+      }
+
+      form.reset();
+      await Promise.all([this.loadThread(), this.loadChats()]);
+    } catch (error) {
+      this.showAlert('Error sending reply: ' + error.message, 'error');
+      // The failed attempt is logged too, so show it in the thread
+      this.loadThread();
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // Live updates for the account shown in the inbox, batched per second
+  handleInboxMessage(message) {
+    if (this.currentView !== 'inbox' || message.account_id !== this.inbox.accountId) return;
+
+    clearTimeout(this.inboxRefreshTimer);
+    this.inboxRefreshTimer = setTimeout(async () => {
+      await this.loadChats();
+      if (this.inbox.chatId && message.chat_id === this.inbox.chatId) {
+        await this.loadThread();
+        this.markChatRead();
+      }
+    }, 1000);
+  }
+
+  async loadScheduledView() {
+    try {
+      const params = new URLSearchParams();
+      if (this.scheduledStatus) params.set('status', this.scheduledStatus);
+
+      const [accounts, response] = await Promise.all([
+        this.fetchAccounts(),
+        fetch(`/api/scheduled-messages?${params}`)
+      ]);
+      if (!response.ok) throw new Error('Failed to fetch scheduled messages');
+
+      this.accounts = accounts;
+      this.renderScheduledView(await response.json());
+    } catch (error) {
+      this.showAlert('Error loading scheduled messages: ' + error.message, 'error');
+    }
+  }
+
+  filterScheduled(status) {
+    this.scheduledStatus = status;
+    this.loadScheduledView();
+  }
+
+  // Refresh the list on job updates, unless a reschedule form is being edited
+  handleScheduledUpdate() {
+    if (this.currentView !== 'scheduled') return;
+
+    clearTimeout(this.scheduledRefreshTimer);
+    this.scheduledRefreshTimer = setTimeout(() => {
+      if (!document.querySelector('.reschedule-form:not([hidden])')) {
+        this.loadScheduledView();
+      }
+    }, 1000);
+  }
+
+  toggleReschedule(jobId) {
+    const form = document.getElementById(`reschedule-${jobId}`);
+    if (form) form.hidden = !form.hidden;
+  }
+
+  async rescheduleMessage(jobId) {
+    const input = document.querySelector(`#reschedule-${jobId} input`);
+    if (!input || !input.value) {
+      this.showAlert('Pick a new date and time', 'error');
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/scheduled-messages/${jobId}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ send_at: input.value, timezone: this.browserTimezone() })
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to reschedule message');
+
+      this.showAlert(`Message rescheduled for ${new Date(result.send_at).toLocaleString()}`, 'success');
+      this.loadScheduledView();
+    } catch (error) {
+      this.showAlert('Error rescheduling message: ' + error.message, 'error');
+    }
+  }
+
+  async cancelScheduledMessage(jobId) {
+    if (!confirm('Cancel this scheduled message?')) return;
+
+    try {
+      const response = await fetch(`/api/scheduled-messages/${jobId}/cancel`, { method: 'POST' });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to cancel message');
+
+      this.showAlert('Scheduled message cancelled', 'success');
+      this.loadScheduledView();
+    } catch (error) {
+      this.showAlert('Error cancelling message: ' + error.message, 'error');
+    }
+  }
+
+  async loadCampaignsView() {
+    try {
+      const [accounts, response] = await Promise.all([
+        this.fetchAccounts(),
+        fetch('/api/campaigns')
+      ]);
+      if (!response.ok) throw new Error('Failed to fetch campaigns');
+
+      this.accounts = accounts;
+      this.campaigns = await response.json();
+      this.renderCampaignsView();
+    } catch (error) {
+      this.showAlert('Error loading campaigns: ' + error.message, 'error');
+    }
+  }
+
+  // Live progress: replace the campaign in place and redraw
+  handleCampaignProgress(campaign) {
+    if (this.currentView !== 'campaigns') return;
+
+    const index = this.campaigns.findIndex(c => c.id === campaign.id);
+    if (index === -1) {
+      this.campaigns.unshift(campaign);
+    } else {
+      this.campaigns[index] = campaign;
+    }
+    this.renderCampaignsView();
+  }
+
+  showCreateCampaignModal() {
+    const modal = document.getElementById('createCampaignModal');
+    const form = document.getElementById('createCampaignForm');
+
+    form.reset();
+    document.getElementById('campaignAccounts').innerHTML = this.accounts.map(account => `
+      <label class="form-label">
+        <input type="checkbox" name="account_ids" value="${account.id}">
+        ${this.escapeHtml(account.name)}
+        <span class="status-badge status-${account.status}">${this.formatStatus(account.status)}</span>
+      </label>
+    `).join('') || '<div class="text-muted">No accounts yet</div>';
+
+    modal.classList.add('show');
+  }
+
+  async createCampaign() {
+    const form = document.getElementById('createCampaignForm');
+    const formData = new FormData(form);
+
+    const accountIds = formData.getAll('account_ids');
+    if (accountIds.length === 0) {
+      this.showAlert('Select at least one account to send from', 'error');
+      return;
+    }
+    formData.set('account_ids', accountIds.join(','));
+    formData.set('start', formData.get('start') === 'on' ? 'true' : 'false');
+
+    const mediaFile = formData.get('media');
+    if (!mediaFile || mediaFile.size === 0) formData.delete('media');
+
+    try {
+      const response = await fetch('/api/campaigns', {
+        method: 'POST',
+        body: formData
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to create campaign');
+
+      this.showAlert(`Campaign created with ${result.progress.total} recipients`, 'success');
+      this.closeAllModals();
+      form.reset();
+      this.loadCampaignsView();
+    } catch (error) {
+      this.showAlert('Error creating campaign: ' + error.message, 'error');
+    }
+  }
+
+  // start, pause, resume or cancel a campaign
+  async campaignAction(campaignId, action) {
+    if (action === 'cancel' && !confirm('Cancel this campaign? Recipients not messaged yet will be skipped.')) return;
+
+    try {
+      const response = await fetch(`/api/campaigns/${campaignId}/${action}`, { method: 'POST' });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || `Failed to ${action} campaign`);
+
+      this.handleCampaignProgress(result);
+    } catch (error) {
+      this.showAlert(`Error updating campaign: ${error.message}`, 'error');
+    }
+  }
+
+  showCampaignRecipients(campaignId) {
+    const modal = document.getElementById('campaignRecipientsModal');
+    const campaign = this.campaigns.find(c => c.id === campaignId);
+
+    modal.dataset.campaignId = campaignId;
+    modal.querySelector('.modal-title').textContent = `Recipients - ${campaign ? campaign.name : campaignId}`;
+    document.getElementById('recipientStatusFilter').value = '';
+    modal.classList.add('show');
+    this.loadCampaignRecipients();
+  }
+
+  async loadCampaignRecipients() {
+    const modal = document.getElementById('campaignRecipientsModal');
+    const campaignId = modal.dataset.campaignId;
+    const status = document.getElementById('recipientStatusFilter').value;
+    const list = document.getElementById('campaignRecipientsList');
+
+    try {
+      const params = new URLSearchParams({ limit: 500 });
+      if (status) params.set('status', status === 'pending' ? 'pending,sending' : status);
+
+      const response = await fetch(`/api/campaigns/${campaignId}/recipients?${params}`);
+      if (!response.ok) throw new Error('Failed to fetch recipients');
+
+      const recipients = await response.json();
+      list.innerHTML = recipients.map(recipient => `
+        <div class="delivery-item">
+          <div>
+            <span class="status-badge status-${recipient.status}">${recipient.status}</span>
+            <span class="font-weight-600">${this.escapeHtml(recipient.number)}</span>
+            <div class="delivery-meta">
+              #${recipient.position}
+              ${recipient.sent_at ? `&middot; sent ${new Date(recipient.sent_at).toLocaleString()}` : ''}
+              ${recipient.account_id ? `&middot; via ${this.escapeHtml(this.accountName(recipient.account_id))}` : ''}
+            </div>
+            ${recipient.error_message ? `<div class="log-error">${this.escapeHtml(recipient.error_message)}</div>` : ''}
+          </div>
+        </div>
+      `).join('') || '<div class="text-center text-muted">No recipients found</div>';
+    } catch (error) {
+      this.showAlert('Error loading recipients: ' + error.message, 'error');
+    }
+  }
+
+  async loadTemplatesView() {
+    try {
+      const [accounts, response] = await Promise.all([
+        this.fetchAccounts(),
+        fetch('/api/templates')
+      ]);
+      if (!response.ok) throw new Error('Failed to fetch templates');
+
+      this.accounts = accounts;
+      this.templates = await response.json();
+      this.renderTemplatesView();
+    } catch (error) {
+      this.showAlert('Error loading templates: ' + error.message, 'error');
+    }
+  }
+
+  // Open the template modal empty, or filled in to edit `templateId`
+  showTemplateModal(templateId = null) {
+    const modal = document.getElementById('templateModal');
+    const form = document.getElementById('templateForm');
+    const template = this.templates.find(t => t.id === templateId);
+
+    form.reset();
+    const accountSelect = document.getElementById('templateAccount');
+    accountSelect.innerHTML = '<option value="">All accounts</option>' + this.accounts.map(account => `
+      <option value="${account.id}">${this.escapeHtml(account.name)}</option>
+    `).join('');
+    // A template's account cannot change, so an edit keeps it
+    accountSelect.disabled = !!template;
+
+    modal.querySelector('.modal-title').textContent = template ? 'Edit Template' : 'New Template';
+    document.getElementById('templateId').value = template ? template.id : '';
+    document.getElementById('templateName').value = template ? template.name : '';
+    document.getElementById('templateBody').value = template ? template.body : '';
+    accountSelect.value = template && template.account_id ? template.account_id : '';
+
+    const currentMedia = document.getElementById('templateCurrentMedia');
+    currentMedia.hidden = !(template && template.media);
+    document.getElementById('templateMediaName').textContent = template && template.media
+      ? template.media.filename || template.media.mimetype || 'file'
+      : '';
+
+    modal.classList.add('show');
+  }
+
+  async saveTemplate() {
+    const form = document.getElementById('templateForm');
+    const formData = new FormData(form);
+    const templateId = formData.get('id');
+    formData.delete('id');
+
+    const mediaFile = formData.get('media');
+    if (!mediaFile || mediaFile.size === 0) formData.delete('media');
+    if (!formData.get('media_url')) formData.delete('media_url');
+    if (!formData.get('account_id')) formData.delete('account_id');
+    formData.set('remove_media', formData.get('remove_media') === 'on' ? 'true' : 'false');
+
+    try {
+      const response = await fetch(templateId ? `/api/templates/${templateId}` : '/api/templates', {
+        method: templateId ? 'PATCH' : 'POST',
+        body: formData
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to save template');
+
+      this.showAlert(`Template "${result.name}" saved`, 'success');
+      this.closeAllModals();
+      form.reset();
+      this.loadTemplatesView();
+    } catch (error) {
+      this.showAlert('Error saving template: ' + error.message, 'error');
+    }
+  }
+
+  async deleteTemplate(templateId) {
+    if (!confirm('Delete this template?')) return;
+
+    try {
+      const response = await fetch(`/api/templates/${templateId}`, { method: 'DELETE' });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to delete template');
+
+      this.showAlert('Template deleted', 'success');
+      this.loadTemplatesView();
+    } catch (error) {
+      this.showAlert('Error deleting template: ' + error.message, 'error');
+    }
+  }
+
+  async loadAutoRepliesView() {
+    try {
+      this.accounts = await this.fetchAccounts();
+      if (!this.accounts.some(account => account.id === this.autoReplies.accountId)) {
+        this.autoReplies.accountId = this.accounts[0]?.id || null;
+      }
+
+      this.renderAutoRepliesView();
+      await this.loadAutoReplyRules();
+    } catch (error) {
+      this.showAlert('Error loading auto-replies: ' + error.message, 'error');
+    }
+  }
+
+  // Rules of the selected account, the templates its rules can use and its business hours
+  async loadAutoReplyRules() {
+    const accountId = this.autoReplies.accountId;
+    if (!accountId) return;
+
+    try {
+      const [rulesResponse, templatesResponse, hoursResponse] = await Promise.all([
+        fetch(`/api/accounts/${accountId}/auto-reply-rules`),
+        fetch(`/api/templates?account_id=${encodeURIComponent(accountId)}`),
+        fetch(`/api/accounts/${accountId}/business-hours`)
+      ]);
+      if (!rulesResponse.ok) throw new Error('Failed to fetch auto-reply rules');
+
+      this.autoReplies.rules = await rulesResponse.json();
+      this.autoReplies.templates = templatesResponse.ok ? await templatesResponse.json() : [];
+      this.autoReplies.businessHours = hoursResponse.ok ? await hoursResponse.json() : null;
+      this.renderBusinessHours();
+      this.renderAutoReplyRules();
+    } catch (error) {
+      this.showAlert('Error loading auto-reply rules: ' + error.message, 'error');
+    }
+  }
+
+  selectAutoReplyAccount(accountId) {
+    this.autoReplies = { accountId, rules: [], templates: [], businessHours: null };
+    this.renderAutoRepliesView();
+    this.loadAutoReplyRules();
+  }
+
+  // Open the business hours modal with the account's hours, or weekdays 9-17 in the browser's timezone
+  showBusinessHoursModal() {
+    const form = document.getElementById('businessHoursForm');
+    const hours = this.autoReplies.businessHours?.business_hours;
+
+    form.reset();
+    form.timezone.value = hours ? hours.timezone : this.browserTimezone();
+    if (hours) {
+      form.querySelectorAll('[data-day]').forEach(row => {
+        const day = Number(row.dataset.day);
+        const slot = hours.schedule.find(w => w.days.includes(day));
+        row.querySelector(`[name="open_${day}"]`).checked = !!slot;
+        if (slot) {
+          row.querySelector(`[name="from_${day}"]`).value = slot.from;
+          row.querySelector(`[name="to_${day}"]`).value = slot.to;
+        }
+      });
+      form.holidays.value = hours.holidays.join('\n');
+      form.away_message.value = hours.away_message || '';
+      form.away_interval_minutes.value = hours.away_interval_minutes;
+    }
+
+    document.getElementById('businessHoursModal').classList.add('show');
+  }
+
+  async saveBusinessHours() {
+    const form = document.getElementById('businessHoursForm');
+
+    // Days with the same hours share one schedule window
+    const windows = {};
+    form.querySelectorAll('[data-day]').forEach(row => {
+      const day = Number(row.dataset.day);
+      if (!row.querySelector(`[name="open_${day}"]`).checked) return;
+
+      const from = row.querySelector(`[name="from_${day}"]`).value;
+      const to = row.querySelector(`[name="to_${day}"]`).value;
+      const key = `${from}-${to}`;
+      windows[key] = windows[key] || { days: [], from, to };
+      windows[key].days.push(day);
+    });
+
+    try {
+      const response = await fetch(`/api/accounts/${this.autoReplies.accountId}/business-hours`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          timezone: form.timezone.value.trim(),
+          schedule: Object.values(windows),
+          holidays: form.holidays.value,
+          away_message: form.away_message.value,
+          away_interval_minutes: form.away_interval_minutes.value
+        })
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to save business hours');
+
+      this.autoReplies.businessHours = result;
+      this.showAlert('Business hours saved', 'success');
+      this.closeAllModals();
+      this.renderBusinessHours();
+    } catch (error) {
+      this.showAlert('Error saving business hours: ' + error.message, 'error');
+    }
+  }
+
+  async removeBusinessHours() {
+    if (!confirm('Remove the business hours? The account will count as always open.')) return;
+
+    try {
+      const response = await fetch(`/api/accounts/${this.autoReplies.accountId}/business-hours`, { method: 'DELETE' });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to remove business hours');
+
+      this.autoReplies.businessHours = { business_hours: null, open: true };
+      this.renderBusinessHours();
+    } catch (error) {
+      this.showAlert('Error removing business hours: ' + error.message, 'error');
+    }
+  }
+
+  // Open the rule modal empty, or filled in to edit `ruleId`
+  showAutoReplyModal(ruleId = null) {
+    const modal = document.getElementById('autoReplyModal');
+    const form = document.getElementById('autoReplyForm');
+    const rule = this.autoReplies.rules.find(r => r.id === ruleId);
+    const conditions = rule ? rule.conditions : {};
+    const action = rule ? rule.action : { type: 'reply' };
+
+    form.reset();
+    modal.querySelector('.modal-title').textContent = rule ? 'Edit Auto-Reply Rule' : 'New Auto-Reply Rule';
+    document.getElementById('autoReplyId').value = rule ? rule.id : '';
+    document.getElementById('autoReplyName').value = rule ? rule.name : '';
+    document.getElementById('autoReplyMatch').value = conditions.match || 'any';
+    document.getElementById('autoReplyChatType').value = conditions.chat_type || 'any';
+    document.getElementById('autoReplyPattern').value = conditions.pattern || '';
+    document.getElementById('autoReplyKeywords').value = (conditions.keywords || []).join(', ');
+    document.getElementById('autoReplyCaseSensitive').checked = !!conditions.case_sensitive;
+    document.getElementById('autoReplySenders').value = (conditions.senders || []).join(', ');
+    document.getElementById('autoReplyCooldown').value = rule ? rule.cooldown_seconds : 0;
+    document.getElementById('autoReplyActive').checked = rule ? rule.is_active : true;
+
+    // Times are edited in the browser's timezone; existing windows keep theirs
+    const hours = conditions.hours;
+    document.getElementById('autoReplyHoursEnabled').checked = !!hours;
+    document.getElementById('autoReplyTimezone').textContent = hours ? hours.timezone : this.browserTimezone();
+    if (hours) {
+      document.getElementById('autoReplyHoursFrom').value = hours.from;
+      document.getElementById('autoReplyHoursTo').value = hours.to;
+      form.querySelectorAll('[name="hours_days"]').forEach(input => {
+        input.checked = hours.days.includes(Number(input.value));
+      });
+    }
+
+    document.getElementById('autoReplyAction').value = action.type;
+    document.getElementById('autoReplyText').value = action.text || '';
+    document.getElementById('autoReplyForward').value = action.number || '';
+    document.getElementById('autoReplyTag').value = action.tag || '';
+    document.getElementById('autoReplyTemplate').innerHTML = this.autoReplies.templates.map(template => `
+      <option value="${template.id}" ${template.id === action.template_id ? 'selected' : ''}>${this.escapeHtml(template.name)}${template.account_id ? '' : ' (all accounts)'}</option>
+    `).join('') || '<option value="">No templates yet</option>';
+
+    const media = action.type === 'reply' ? action.media : null;
+    document.getElementById('autoReplyCurrentMedia').hidden = !media;
+    document.getElementById('autoReplyMediaName').textContent = media ? media.filename || media.mimetype || 'file' : '';
+
+    this.updateAutoReplyFields();
+    modal.classList.add('show');
+  }
+
+  // Show only the inputs of the selected match and action types
+  updateAutoReplyFields() {
+    const match = document.getElementById('autoReplyMatch').value;
+    const action = document.getElementById('autoReplyAction').value;
+
+    document.querySelectorAll('#autoReplyForm [data-match]').forEach(element => {
+      element.hidden = !element.dataset.match.split(' ').includes(match);
+    });
+    document.querySelectorAll('#autoReplyForm [data-action]').forEach(element => {
+      element.hidden = element.dataset.action !== action;
+    });
+    document.getElementById('autoReplyHours').hidden = !document.getElementById('autoReplyHoursEnabled').checked;
+  }
+
+  async saveAutoReplyRule() {
+    const form = document.getElementById('autoReplyForm');
+    const formData = new FormData(form);
+    const ruleId = formData.get('id');
+    const existing = this.autoReplies.rules.find(r => r.id === ruleId);
+
+    const conditions = {
+      match: formData.get('match'),
+      pattern: formData.get('pattern'),
+      keywords: formData.get('keywords'),
+      case_sensitive: formData.get('case_sensitive') === 'on',
+      senders: formData.get('senders'),
+      chat_type: formData.get('chat_type'),
+      hours: formData.get('hours_enabled') === 'on' ? {
+        from: formData.get('hours_from'),
+        to: formData.get('hours_to'),
+        days: formData.getAll('hours_days').map(Number),
+        timezone: existing && existing.conditions.hours ? existing.conditions.hours.timezone : this.browserTimezone()
+      } : null
+    };
+
+    const action = { type: formData.get('action_type') };
+    if (action.type === 'reply') {
+      action.text = formData.get('text');
+      action.remove_media = formData.get('remove_media') === 'on';
+    } else if (action.type === 'template') {
+      action.template_id = formData.get('template_id');
+    } else if (action.type === 'forward') {
+      action.number = formData.get('number');
+    } else {
+      action.tag = formData.get('tag');
+    }
+
+    // Multipart so reply media can be uploaded; conditions and action go as JSON
+    const body = new FormData();
+    body.set('name', formData.get('name'));
+    body.set('cooldown_seconds', formData.get('cooldown_seconds') || '0');
+    body.set('is_active', formData.get('is_active') === 'on' ? 'true' : 'false');
+    body.set('conditions', JSON.stringify(conditions));
+    body.set('action', JSON.stringify(action));
+    const mediaFile = formData.get('media');
+    if (action.type === 'reply' && mediaFile && mediaFile.size > 0) body.set('media', mediaFile);
+    // New rules go last
+    if (!existing) {
+      const last = this.autoReplies.rules[this.autoReplies.rules.length - 1];
+      body.set('priority', String(last ? last.priority + 10 : 10));
+    }
+
+    try {
+      const response = await fetch(existing ? `/api/auto-reply-rules/${existing.id}` : `/api/accounts/${this.autoReplies.accountId}/auto-reply-rules`, {
+        method: existing ? 'PATCH' : 'POST',
+        body
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to save rule');
+
+      this.showAlert(`Rule "${result.name}" saved`, 'success');
+      this.closeAllModals();
+      form.reset();
+      this.loadAutoReplyRules();
+    } catch (error) {
+      this.showAlert('Error saving rule: ' + error.message, 'error');
+    }
+  }
+
+  async toggleAutoReplyRule(ruleId) {
+    const rule = this.autoReplies.rules.find(r => r.id === ruleId);
+    if (!rule) return;
+
+    try {
+      const response = await fetch(`/api/auto-reply-rules/${ruleId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ is_active: !rule.is_active })
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to update rule');
+
+      this.loadAutoReplyRules();
+    } catch (error) {
+      this.showAlert('Error updating rule: ' + error.message, 'error');
+    }
+  }
+
+  // Move a rule up (-1) or down (1) in the order rules are tried
+  async moveAutoReplyRule(ruleId, offset) {
+    const ruleIds = this.autoReplies.rules.map(rule => rule.id);
+    const index = ruleIds.indexOf(ruleId);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= ruleIds.length) return;
+
+    [ruleIds[index], ruleIds[target]] = [ruleIds[target], ruleIds[index]];
+
+    try {
+      const response = await fetch(`/api/accounts/${this.autoReplies.accountId}/auto-reply-rules/order`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rule_ids: ruleIds })
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to reorder rules');
+
+      this.autoReplies.rules = result;
+      this.renderAutoReplyRules();
+    } catch (error) {
+      this.showAlert('Error reordering rules: ' + error.message, 'error');
+    }
+  }
+
+  async deleteAutoReplyRule(ruleId) {
+    if (!confirm('Delete this rule?')) return;
+
+    try {
+      const response = await fetch(`/api/auto-reply-rules/${ruleId}`, { method: 'DELETE' });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to delete rule');
+
+      this.showAlert('Rule deleted', 'success');
+      this.loadAutoReplyRules();
+    } catch (error) {
+      this.showAlert('Error deleting rule: ' + error.message, 'error');
+    }
+  }
+
+  // Show which rule would fire for the sample message in the test box
+  async testAutoReplyRules() {
+    const form = document.getElementById('autoReplyTestForm');
+    const output = document.getElementById('autoReplyTestResult');
+    const formData = new FormData(form);
+
+    try {
+      const response = await fetch(`/api/accounts/${this.autoReplies.accountId}/auto-reply-rules/test`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          message: formData.get('message'),
+          sender: formData.get('sender'),
+          is_group: formData.get('is_group') === 'on',
+          group_name: formData.get('group_name')
+        })
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to test rules');
+
+      if (!result.matched) {
+        output.innerHTML = '<span class="text-muted">No rule matches this message</span>';
+      } else if (result.error) {
+        output.innerHTML = `<strong>${this.escapeHtml(result.rule.name)}</strong> matches, but fails: ${this.escapeHtml(result.error)}`;
+      } else if (result.reply.tag) {
+        output.innerHTML = `<strong>${this.escapeHtml(result.rule.name)}</strong> tags the chat <span class="chat-tag">${this.escapeHtml(result.reply.tag)}</span>`;
+      } else {
+        output.innerHTML = `
+          <strong>${this.escapeHtml(result.rule.name)}</strong> sends to ${this.escapeHtml(result.reply.to)}:
+          <div class="template-body">${this.escapeHtml(result.reply.text || '')}</div>
+          ${result.reply.media ? `<div class="text-muted"><i class="fas fa-paperclip"></i> ${this.escapeHtml(result.reply.media.filename || result.reply.media.mimetype || 'file')}</div>` : ''}
+        `;
+      }
+    } catch (error) {
+      this.showAlert('Error testing rules: ' + error.message, 'error');
+    }
+  }
+
+  // Fill the send dialog's template picker with the account's and global templates
+  async loadSendTemplates(accountId) {
+    const select = document.getElementById('messageTemplate');
+    select.innerHTML = '<option value="">No template</option>';
+    this.sendTemplates = [];
+    this.renderTemplateVariables();
+
+    try {
+      const response = await fetch(`/api/templates?account_id=${encodeURIComponent(accountId)}`);
+      if (!response.ok) throw new Error('Failed to fetch templates');
+
+      this.sendTemplates = await response.json();
+      select.innerHTML += this.sendTemplates.map(template => `
+        <option value="${template.id}">${this.escapeHtml(template.name)}${template.account_id ? '' : ' (all accounts)'}</option>
+      `).join('');
+    } catch (error) {
+      console.error('Error loading templates:', error);
+    }
+  }
+
+  // One input per placeholder of the selected template; the template replaces the message
+  renderTemplateVariables() {
+    const select = document.getElementById('messageTemplate');
+    const container = document.getElementById('messageTemplateVariables');
+    const messageText = document.getElementById('messageText');
+    const template = this.sendTemplates.find(t => t.id === select.value);
+
+    messageText.disabled = !!template;
+    messageText.value = template ? template.body : '';
+    container.innerHTML = template ? template.placeholders.map(name => `
+      <input type="text" class="form-input" data-variable="${this.escapeHtml(name)}" placeholder="${this.escapeHtml(name)}" required>
+    `).join('') : '';
+  }
+
+  templateVariables() {
+    const variables = {};
+    document.querySelectorAll('#messageTemplateVariables [data-variable]').forEach(input => {
+      variables[input.dataset.variable] = input.value;
+    });
+    return variables;
+  }
+
+  accountName(id) {
+    const account = this.accounts.find(a => a.id === id);
+    return account ? account.name : id;
+  }
+
+  browserTimezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
+
+  // Value for a datetime-local input, in the browser's timezone
+  toLocalInputValue(dateString) {
+    const date = new Date(dateString);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  async loadApiKeysView() {
+    try {
+      const [accounts, response] = await Promise.all([
+        this.fetchAccounts(),
+        fetch('/api/api-keys')
+      ]);
+      if (!response.ok) throw new Error('Failed to fetch API keys');
+
+      this.accounts = accounts;
+      this.renderApiKeysView(await response.json());
+    } catch (error) {
+      this.showAlert('Error loading API keys: ' + error.message, 'error');
+    }
+  }
+
+  async loadUsersView() {
+    try {
+      const response = await fetch('/api/users');
+      if (!response.ok) throw new Error('Failed to fetch users');
+
+      this.renderUsersView(await response.json());
+    } catch (error) {
+      this.showAlert('Error loading users: ' + error.message, 'error');
+    }
+  }
+
+  // Account Management
+  showCreateAccountModal(accountId = null) {
+    const modal = document.getElementById('createAccountModal');
+    const form = document.getElementById('createAccountForm');
+    const account = accountId ? this.accounts.find(a => a.id === accountId) : null;
+    
+    if (modal && form) {
+      // Reset the form before showing the modal
+      form.reset();
+      modal.querySelector('.modal-title').textContent = account ? 'Edit WhatsApp Account' : 'Create New WhatsApp Account';
+      document.getElementById('accountSubmitLabel').textContent = account ? 'Save Account' : 'Create Account';
+      document.getElementById('editAccountId').value = account ? account.id : '';
+      if (account) {
+        document.getElementById('accountName').value = account.name;
+        document.getElementById('accountDescription').value = account.description || '';
+        document.getElementById('accountDefaultCountry').value = account.default_country || '';
+        const limits = account.send_limits || {};
+        document.querySelectorAll('#accountSendLimits input').forEach(input => {
+          input.value = limits[input.name] || '';
+        });
+        form.elements.typing.checked = !!limits.typing;
+      }
+      modal.classList.add('show');
+      console.log('Create account modal opened');
+    }
+  }
+
+  async createAccount() {
+    const form = document.getElementById('createAccountForm');
+    const formData = new FormData(form);
+    const accountId = formData.get('id');
+    const sendLimits = { typing: formData.get('typing') === 'on' };
+    document.querySelectorAll('#accountSendLimits input').forEach(input => {
+      if (input.value !== '') sendLimits[input.name] = Number(input.value);
+    });
+    const accountData = {
+      name: formData.get('name'),
+      description: formData.get('description'),
+      default_country: formData.get('default_country').trim().toUpperCase(),
+      send_limits: sendLimits
+    };
+    
+    console.log('Saving account with data:', accountData);
+    
+    try {
+      const response = await fetch(accountId ? `/api/accounts/${accountId}` : '/api/accounts', {
+        method: accountId ? 'PATCH' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(accountData)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save account');
+      }
+      
+      const account = await response.json();
+      console.log('Account saved successfully:', account);
+      this.showAlert(accountId ? 'Account updated successfully!' : 'Account created successfully!', 'success');
+      
+      // Reset the form
+      form.reset();
+      console.log('Form reset');
+      
+      // Close the modal with a small delay to ensure proper execution
+      setTimeout(() => {
+        this.closeAllModals();
+        console.log('Modals closed');
+        
+        // Also specifically close the create account modal as a fallback
+        this.closeCreateAccountModal();
+      }, 100);
+      
+      // Reload dashboard to show the new account
+      await this.loadDashboard();
+      console.log('Dashboard reloaded');
+    } catch (error) {
+      console.error('Error saving account:', error);
+      this.showAlert('Error saving account: ' + error.message, 'error');
+    }
+  }
+
+  async deleteAccount(accountId) {
+    if (!confirm('Are you sure you want to delete this account?')) return;
+
+    try {
+      const response = await fetch(`/api/accounts/${accountId}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) throw new Error('Failed to delete account');
+      
+      this.showAlert('Account deleted successfully!', 'success');
+      this.loadDashboard();
+    } catch (error) {
+      this.showAlert('Error deleting account: ' + error.message, 'error');
+    }
+  }
+
+  // Restart/stop a running client, or reconnect one that is down; logout is
+  // offered in both cases since it also clears a broken saved session
+  renderLifecycleButtons(account) {
+    if (!this.hasRole('operator')) return '';
+
+    const running = ['ready', 'qr_ready', 'initializing'].includes(account.status);
+    return `
+      ${running ? `
+        <button class="btn btn-sm btn-secondary" onclick="dashboard.accountAction('${account.id}', 'restart')" title="Restart">
+          <i class="fas fa-redo"></i>
+        </button>
+        <button class="btn btn-sm btn-secondary" onclick="dashboard.accountAction('${account.id}', 'stop')" title="Stop">
+          <i class="fas fa-stop"></i>
+        </button>
+      ` : `
+        <button class="btn btn-sm btn-primary" onclick="dashboard.accountAction('${account.id}', 'reconnect')" title="Reconnect">
+          <i class="fas fa-plug"></i> Reconnect
+        </button>
+      `}
+      <button class="btn btn-sm btn-secondary" onclick="dashboard.accountAction('${account.id}', 'logout')" title="Log out and re-link">
+        <i class="fas fa-sign-out-alt"></i>
+      </button>
+    `;
+  }
+
+  async accountAction(accountId, action) {
+    const confirmations = {
+      stop: 'Stop this account? It will stay offline until reconnected.',
+      logout: 'Log this account out of WhatsApp? The device will be unlinked and a new QR scan will be required. Webhooks and history are kept.'
+    };
+    if (confirmations[action] && !confirm(confirmations[action])) return;
+
+    try {
+      const response = await fetch(`/api/accounts/${accountId}/${action}`, {
+        method: 'POST'
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `Failed to ${action} account`);
+      }
+
+      const messages = {
+        restart: 'Account restarting',
+        reconnect: 'Account reconnecting',
+        stop: 'Account stopped',
+        logout: 'Account logged out. Reconnect to scan a new QR code.'
+      };
+      this.showAlert(messages[action], 'success');
+      this.loadDashboard();
+      if (this.currentView === 'accounts') this.loadAccountsView();
+    } catch (error) {
+      this.showAlert(`Error: ${error.message}`, 'error');
+    }
+  }
+
+  showQRCode(accountId) {
+    const account = this.accounts.find(a => a.id === accountId);
+    if (!account || !account.qr_code) {
+      this.showAlert('QR code not available for this account', 'warning');
+      return;
+    }
+
+    const modal = document.getElementById('qrModal');
+    modal.dataset.accountId = accountId;
+    modal.querySelector('.modal-title').textContent = `Scan QR Code - ${account.name} (ID: ${account.id})`;
+    const qrImage = modal.querySelector('.qr-code img');
+    qrImage.src = account.qr_code;
+    modal.classList.add('show');
+  }
+
+  // Webhook Management
+  async manageWebhooks(accountId) {
+    try {
+      const response = await fetch(`/api/accounts/${accountId}/webhooks`);
+      if (!response.ok) throw new Error('Failed to fetch webhooks');
+      
+      const webhooks = await response.json();
+      this.webhooks[accountId] = webhooks;
+      
+      this.showWebhooksModal(accountId, webhooks);
+    } catch (error) {
+      this.showAlert('Error loading webhooks: ' + error.message, 'error');
+    }
+  }
+
+  showWebhooksModal(accountId, webhooks) {
+    const modal = document.getElementById('webhooksModal');
+    const account = this.accounts.find(a => a.id === accountId);
+    
+    modal.querySelector('.modal-title').textContent = `Webhooks - ${account.name} (ID: ${account.id})`;
     
+    this.accountWebhooks = webhooks;
     const webhooksList = modal.querySelector('.webhooks-list');
     webhooksList.innerHTML = webhooks.map(webhook => `
       <div class="webhook-item">
@@ -495,15 +1908,32 @@ class Dashboard {
             <span class="status-badge ${webhook.is_active ? 'status-ready' : 'status-disconnected'}">
               ${webhook.is_active ? 'Active' : 'Inactive'}
             </span>
+            ${webhook.send_legacy_secret ? '<span class="status-badge status-pending">Legacy secret header</span>' : ''}
+            ${webhook.inline_media ? '<span class="status-badge status-pending">Inline media</span>' : ''}
           </div>
+          ${this.renderWebhookEvents(webhook)}
         </div>
         <div class="webhook-actions">
-          <button class="btn btn-sm btn-secondary" onclick="dashboard.toggleWebhook('${webhook.id}')">
-            ${webhook.is_active ? 'Disable' : 'Enable'}
-          </button>
-          <button class="btn btn-sm btn-danger" onclick="dashboard.deleteWebhook('${webhook.id}')">
-            Delete
+          <button class="btn btn-sm btn-secondary" onclick="dashboard.showWebhookDeliveries('${webhook.id}')">
+            Deliveries
           </button>
+          ${this.hasRole('operator') ? `
+            <button class="btn btn-sm btn-secondary" onclick="dashboard.showCreateWebhookModal('${accountId}', '${webhook.id}')">
+              Edit
+            </button>
+            <button class="btn btn-sm btn-secondary" onclick="dashboard.toggleLegacySecret('${webhook.id}', ${!webhook.send_legacy_secret})">
+              ${webhook.send_legacy_secret ? 'Stop raw secret' : 'Send raw secret'}
+            </button>
+            <button class="btn btn-sm btn-secondary" onclick="dashboard.toggleInlineMedia('${webhook.id}', ${!webhook.inline_media})">
+              ${webhook.inline_media ? 'Media links only' : 'Inline media'}
+            </button>
+            <button class="btn btn-sm btn-secondary" onclick="dashboard.toggleWebhook('${webhook.id}')">
+              ${webhook.is_active ? 'Disable' : 'Enable'}
+            </button>
+            <button class="btn btn-sm btn-danger" onclick="dashboard.deleteWebhook('${webhook.id}')">
+              Delete
+            </button>
+          ` : ''}
         </div>
       </div>
     `).join('');
@@ -512,14 +1942,44 @@ class Dashboard {
     const addWebhookBtn = modal.querySelector('button[onclick*="showCreateWebhookModal"]');
     if (addWebhookBtn) {
       addWebhookBtn.onclick = () => this.showCreateWebhookModal(accountId);
+      addWebhookBtn.style.display = this.hasRole('operator') ? '' : 'none';
     }
     
     modal.classList.add('show');
   }
 
-  showCreateWebhookModal(accountId) {
+  // Event types a webhook receives; null means those of webhooks created
+  // before subscriptions
+  renderWebhookEvents(webhook) {
+    const events = webhook.events || ['message', 'message_ack'];
+    return `
+      <div class="webhook-events-list">
+        <strong>Events:</strong> ${events.map(event => `<code>${this.escapeHtml(event)}</code>`).join(' ')}
+      </div>
+    `;
+  }
+
+  // Open the webhook modal empty, or filled in to edit `webhookId`
+  showCreateWebhookModal(accountId, webhookId = null) {
     const modal = document.getElementById('createWebhookModal');
     const form = document.getElementById('createWebhookForm');
+    const webhook = webhookId ? (this.accountWebhooks || []).find(w => w.id === webhookId) : null;
+
+    form.reset();
+    modal.querySelector('.modal-title').textContent = webhook ? 'Edit Webhook' : 'Create New Webhook';
+    document.getElementById('webhookSubmitLabel').textContent = webhook ? 'Save Webhook' : 'Create Webhook';
+    document.getElementById('webhookId').value = webhook ? webhook.id : '';
+    if (webhook) {
+      document.getElementById('webhookUrl').value = webhook.url;
+      document.getElementById('webhookSecret').value = webhook.secret || '';
+      document.getElementById('webhookActive').checked = webhook.is_active;
+      document.getElementById('webhookLegacySecret').checked = webhook.send_legacy_secret;
+      document.getElementById('webhookInlineMedia').checked = webhook.inline_media;
+      const events = webhook.events || ['message', 'message_ack'];
+      form.querySelectorAll('input[name="events"]').forEach(input => {
+        input.checked = events.includes(input.value);
+      });
+    }
     
     // Add account_id to the form
     let accountIdInput = form.querySelector('input[name="account_id"]');
@@ -537,19 +1997,28 @@ class Dashboard {
   async createWebhook() {
     const form = document.getElementById('createWebhookForm');
     const formData = new FormData(form);
+    const webhookId = formData.get('id');
     
     const webhookData = {
       account_id: formData.get('account_id'),
       url: formData.get('url'),
       secret: formData.get('secret'),
-      is_active: formData.get('is_active') === 'on'
+      is_active: formData.get('is_active') === 'on',
+      send_legacy_secret: formData.get('send_legacy_secret') === 'on',
+      inline_media: formData.get('inline_media') === 'on',
+      events: formData.getAll('events')
     };
     
-    console.log('Creating webhook with data:', webhookData);
+    if (webhookData.events.length === 0) {
+      this.showAlert('Choose at least one event', 'error');
+      return;
+    }
+    
+    console.log('Saving webhook with data:', webhookData);
     
     try {
-      const response = await fetch('/api/webhooks', {
-        method: 'POST',
+      const response = await fetch(webhookId ? `/api/webhooks/${webhookId}` : '/api/webhooks', {
+        method: webhookId ? 'PATCH' : 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
@@ -558,13 +2027,13 @@ class Dashboard {
 
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to create webhook');
+        throw new Error(errorData.error || 'Failed to save webhook');
       }
       
       const result = await response.json();
-      console.log('Webhook created successfully:', result);
+      console.log('Webhook saved successfully:', result);
       
-      this.showAlert('Webhook created successfully!', 'success');
+      this.showAlert(webhookId ? 'Webhook updated successfully!' : 'Webhook created successfully!', 'success');
       this.closeAllModals();
       
       // Refresh the webhooks list
@@ -572,8 +2041,8 @@ class Dashboard {
         this.manageWebhooks(webhookData.account_id);
       }
     } catch (error) {
-      console.error('Error creating webhook:', error);
-      this.showAlert('Error creating webhook: ' + error.message, 'error');
+      console.error('Error saving webhook:', error);
+      this.showAlert('Error saving webhook: ' + error.message, 'error');
     }
   }
 
@@ -591,6 +2060,46 @@ class Dashboard {
     }
   }
 
+  async toggleLegacySecret(webhookId, enabled) {
+    try {
+      const response = await fetch(`/api/webhooks/${webhookId}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ send_legacy_secret: enabled })
+      });
+
+      if (!response.ok) throw new Error('Failed to update webhook');
+
+      const webhook = await response.json();
+      this.showAlert(`Legacy secret header ${enabled ? 'enabled' : 'disabled'}`, 'success');
+      this.manageWebhooks(webhook.account_id);
+    } catch (error) {
+      this.showAlert('Error updating webhook: ' + error.message, 'error');
+    }
+  }
+
+  async toggleInlineMedia(webhookId, enabled) {
+    try {
+      const response = await fetch(`/api/webhooks/${webhookId}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ inline_media: enabled })
+      });
+
+      if (!response.ok) throw new Error('Failed to update webhook');
+
+      const webhook = await response.json();
+      this.showAlert(`Inline media ${enabled ? 'enabled' : 'disabled'}`, 'success');
+      this.manageWebhooks(webhook.account_id);
+    } catch (error) {
+      this.showAlert('Error updating webhook: ' + error.message, 'error');
+    }
+  }
+
   async deleteWebhook(webhookId) {
     if (!confirm('Are you sure you want to delete this webhook?')) return;
 
@@ -607,6 +2116,304 @@ class Dashboard {
     }
   }
 
+  // Webhook Deliveries
+  showWebhookDeliveries(webhookId) {
+    const modal = document.getElementById('webhookDeliveriesModal');
+    modal.dataset.webhookId = webhookId;
+    document.getElementById('deliveryStatusFilter').value = '';
+    document.getElementById('deliveryPayload').style.display = 'none';
+
+    this.closeAllModals();
+    modal.classList.add('show');
+    this.loadWebhookDeliveries();
+  }
+
+  async loadWebhookDeliveries() {
+    const modal = document.getElementById('webhookDeliveriesModal');
+    const webhookId = modal.dataset.webhookId;
+    const status = document.getElementById('deliveryStatusFilter').value;
+    const list = document.getElementById('deliveriesList');
+
+    try {
+      const query = status ? `?status=${encodeURIComponent(status)}` : '';
+      const response = await fetch(`/api/webhooks/${webhookId}/deliveries${query}`);
+      if (!response.ok) throw new Error('Failed to fetch deliveries');
+
+      const deliveries = await response.json();
+      list.innerHTML = deliveries.map(delivery => `
+        <div class="delivery-item">
+          <div>
+            <span class="status-badge status-${delivery.status}">${delivery.status}</span>
+            <div class="delivery-meta">
+              ${new Date(delivery.created_at).toLocaleString()} &middot;
+              ${delivery.attempts}/${delivery.max_attempts} attempts
+              ${delivery.last_response_status ? `&middot; HTTP ${delivery.last_response_status}` : ''}
+              ${delivery.status === 'pending' && delivery.attempts > 0 ? `&middot; next retry ${new Date(delivery.next_attempt_at).toLocaleTimeString()}` : ''}
+            </div>
+            ${delivery.last_error ? `<div class="log-error">${this.escapeHtml(delivery.last_error)}</div>` : ''}
+          </div>
+          <div class="btn-group">
+            <button class="btn btn-xs btn-secondary" onclick="dashboard.inspectDelivery('${delivery.id}')">Inspect</button>
+            ${this.hasRole('operator') && (delivery.status === 'dead' || delivery.status === 'delivered') ?
+              `<button class="btn btn-xs btn-primary" onclick="dashboard.replayDelivery('${delivery.id}')">Replay</button>` : ''
+            }
+          </div>
+        </div>
+      `).join('') || '<div class="text-center text-muted">No deliveries found</div>';
+    } catch (error) {
+      this.showAlert('Error loading deliveries: ' + error.message, 'error');
+    }
+  }
+
+  async inspectDelivery(deliveryId) {
+    try {
+      const response = await fetch(`/api/webhook-deliveries/${deliveryId}`);
+      if (!response.ok) throw new Error('Failed to fetch delivery');
+
+      const delivery = await response.json();
+      const payloadEl = document.getElementById('deliveryPayload');
+      payloadEl.textContent = JSON.stringify(delivery.payload, null, 2);
+      payloadEl.style.display = 'block';
+    } catch (error) {
+      this.showAlert('Error loading delivery: ' + error.message, 'error');
+    }
+  }
+
+  async replayDelivery(deliveryId) {
+    try {
+      const response = await fetch(`/api/webhook-deliveries/${deliveryId}/replay`, {
+        method: 'POST'
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to replay delivery');
+      }
+
+      this.showAlert('Delivery queued for replay', 'success');
+      this.loadWebhookDeliveries();
+    } catch (error) {
+      this.showAlert('Error replaying delivery: ' + error.message, 'error');
+    }
+  }
+
+  async replayDeadDeliveries() {
+    const webhookId = document.getElementById('webhookDeliveriesModal').dataset.webhookId;
+    if (!confirm('Replay all dead deliveries for this webhook?')) return;
+
+    try {
+      const response = await fetch(`/api/webhooks/${webhookId}/deliveries/replay`, {
+        method: 'POST'
+      });
+
+      if (!response.ok) throw new Error('Failed to replay deliveries');
+
+      const result = await response.json();
+      this.showAlert(`${result.replayed} deliveries queued for replay`, 'success');
+      this.loadWebhookDeliveries();
+    } catch (error) {
+      this.showAlert('Error replaying deliveries: ' + error.message, 'error');
+    }
+  }
+
+  // API Key Management
+  showCreateApiKeyModal() {
+    const modal = document.getElementById('createApiKeyModal');
+    const form = document.getElementById('createApiKeyForm');
+
+    form.reset();
+    form.style.display = 'block';
+    document.getElementById('apiKeyResult').style.display = 'none';
+    document.getElementById('apiKeyAccounts').innerHTML = this.accounts.map(account => `
+      <label class="form-label">
+        <input type="checkbox" name="account_ids" value="${account.id}">
+        ${this.escapeHtml(account.name)}
+      </label>
+    `).join('') || '<div class="text-muted">No accounts yet</div>';
+
+    modal.classList.add('show');
+  }
+
+  async createApiKey() {
+    const form = document.getElementById('createApiKeyForm');
+    const formData = new FormData(form);
+
+    const apiKeyData = {
+      name: formData.get('name'),
+      scopes: formData.getAll('scopes'),
+      account_ids: formData.getAll('account_ids')
+    };
+
+    try {
+      const response = await fetch('/api/api-keys', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(apiKeyData)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to create API key');
+      }
+
+      const apiKey = await response.json();
+      form.style.display = 'none';
+      document.getElementById('apiKeyValue').textContent = apiKey.key;
+      document.getElementById('apiKeyResult').style.display = 'block';
+
+      if (this.currentView === 'apiKeys') this.loadApiKeysView();
+    } catch (error) {
+      this.showAlert('Error creating API key: ' + error.message, 'error');
+    }
+  }
+
+  async revokeApiKey(apiKeyId) {
+    if (!confirm('Revoke this API key? Requests using it will be rejected immediately.')) return;
+
+    try {
+      const response = await fetch(`/api/api-keys/${apiKeyId}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) throw new Error('Failed to revoke API key');
+
+      this.showAlert('API key revoked', 'success');
+      this.loadApiKeysView();
+    } catch (error) {
+      this.showAlert('Error revoking API key: ' + error.message, 'error');
+    }
+  }
+
+  // User Management
+  showCreateUserModal() {
+    document.getElementById('createUserForm').reset();
+    document.getElementById('createUserModal').classList.add('show');
+  }
+
+  async createUser() {
+    const form = document.getElementById('createUserForm');
+    const formData = new FormData(form);
+
+    const userData = {
+      username: formData.get('username'),
+      display_name: formData.get('display_name'),
+      password: formData.get('password'),
+      role: formData.get('role')
+    };
+
+    try {
+      const response = await fetch('/api/users', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(userData)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to create user');
+      }
+
+      this.showAlert('User created successfully', 'success');
+      this.closeAllModals();
+      this.loadUsersView();
+    } catch (error) {
+      this.showAlert('Error creating user: ' + error.message, 'error');
+    }
+  }
+
+  async updateUser(userId, updates, successMessage) {
+    try {
+      const response = await fetch(`/api/users/${userId}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(updates)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update user');
+      }
+
+      this.showAlert(successMessage, 'success');
+    } catch (error) {
+      this.showAlert('Error updating user: ' + error.message, 'error');
+    }
+    this.loadUsersView();
+  }
+
+  changeUserRole(userId, role) {
+    this.updateUser(userId, { role }, 'Role updated');
+  }
+
+  toggleUserActive(userId, isActive) {
+    this.updateUser(userId, { is_active: isActive }, isActive ? 'User activated' : 'User deactivated');
+  }
+
+  resetUserPassword(userId) {
+    const password = prompt('New password (at least 8 characters):');
+    if (!password) return;
+    this.updateUser(userId, { password }, 'Password reset');
+  }
+
+  async deleteUser(userId) {
+    if (!confirm('Are you sure you want to delete this user?')) return;
+
+    try {
+      const response = await fetch(`/api/users/${userId}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to delete user');
+      }
+
+      this.showAlert('User deleted', 'success');
+      this.loadUsersView();
+    } catch (error) {
+      this.showAlert('Error deleting user: ' + error.message, 'error');
+    }
+  }
+
+  showChangePasswordModal() {
+    document.getElementById('changePasswordForm').reset();
+    document.getElementById('changePasswordModal').classList.add('show');
+  }
+
+  async changePassword() {
+    const form = document.getElementById('changePasswordForm');
+    const formData = new FormData(form);
+
+    try {
+      const response = await fetch('/api/auth/password', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          current_password: formData.get('current_password'),
+          new_password: formData.get('new_password')
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to change password');
+      }
+
+      this.showAlert('Password changed successfully', 'success');
+      this.closeAllModals();
+    } catch (error) {
+      this.showAlert('Error changing password: ' + error.message, 'error');
+    }
+  }
+
   // Message Sending
   sendMessageModal(accountId) {
     const modal = document.getElementById('sendMessageModal');
@@ -625,6 +2432,7 @@ class Dashboard {
     
     modal.querySelector('.modal-title').textContent = `Send Message - ${account.name} (ID: ${account.id})`;
     modal.querySelector('#messageAccountId').value = accountId;
+    this.loadSendTemplates(accountId);
     modal.classList.add('show');
     console.log('Send message modal opened for account:', account);
   }
@@ -633,23 +2441,54 @@ class Dashboard {
     const form = document.getElementById('sendMessageForm');
     const formData = new FormData(form);
     
+    const mediaFile = formData.get('media');
+    const hasFile = mediaFile && mediaFile.size > 0;
+    
     const messageData = {
       account_id: formData.get('account_id'),
       number: formData.get('number'),
-      message: formData.get('message')
+      message: formData.get('message'),
+      media_url: formData.get('media_url') || undefined,
+      as_document: formData.get('as_document') === 'on',
+      as_voice: formData.get('as_voice') === 'on'
     };
     
-    console.log('Sending message with data:', messageData);
+    // A template replaces the message; its placeholders come from the variable inputs
+    const templateId = formData.get('template_id');
+    if (templateId) {
+      messageData.template_id = templateId;
+      messageData.variables = this.templateVariables();
+      formData.set('variables', JSON.stringify(messageData.variables));
+    } else {
+      formData.delete('template_id');
+    }
+    
+    // A send time turns the message into a scheduled job
+    const sendAt = formData.get('send_at');
+    if (sendAt) {
+      messageData.send_at = sendAt;
+      messageData.timezone = this.browserTimezone();
+      formData.set('timezone', messageData.timezone);
+    } else {
+      formData.delete('send_at');
+    }
+    
+    console.log('Sending message with data:', messageData, hasFile ? `file: ${mediaFile.name}` : '');
     
     // Validate form data
-    if (!messageData.account_id || !messageData.number || !messageData.message) {
-      this.showAlert('Please fill in all fields: Account ID, Phone Number, and Message', 'error');
+    if (!messageData.account_id || !messageData.number || (!messageData.message && !hasFile && !messageData.media_url && !templateId)) {
+      this.showAlert('Please fill in the Phone Number and a Message or attachment', 'error');
       return;
     }
     
     try {
       console.log('Making API request to /api/send...');
-      const response = await fetch('/api/send', {
+      // Attachments go as multipart; everything else stays JSON
+      if (!hasFile) formData.delete('media');
+      const response = await fetch(sendAt ? '/api/scheduled-messages' : '/api/send', hasFile ? {
+        method: 'POST',
+        body: formData
+      } : {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -667,13 +2506,14 @@ class Dashboard {
       
       const result = await response.json();
       console.log('Message sent successfully:', result);
-      this.showAlert('Message sent successfully!', 'success');
+      this.showAlert(sendAt ? `Message scheduled for ${new Date(result.send_at).toLocaleString()}` : 'Message sent successfully!', 'success');
       
       // Close the modal
       this.closeAllModals();
       
       // Reset the form
       form.reset();
+      this.renderTemplateVariables();
       
       // Reload dashboard to show updated message logs
       await this.loadDashboard();
@@ -789,7 +2629,22 @@ class Dashboard {
     const account = this.accounts.find(a => a.id === data.accountId);
     if (account) {
       account.status = data.status;
+      if (data.qr_code) account.qr_code = data.qr_code;
+      if (data.phone_number) account.phone_number = data.phone_number;
+      if (data.health) account.health = data.health;
       this.renderAccountsTable(this.accounts);
+
+      // Refresh the QR code if it is currently being shown for this account
+      const qrModal = document.getElementById('qrModal');
+      if (data.qr_code && qrModal?.classList.contains('show') && qrModal.dataset.accountId === account.id) {
+        qrModal.querySelector('.qr-code img').src = data.qr_code;
+      }
+      if (data.status === 'ready' && qrModal?.dataset.accountId === account.id) {
+        qrModal.classList.remove('show');
+        this.showAlert(`Account ${account.name} connected`, 'success');
+      }
+    } else if (this.currentView === 'dashboard') {
+      this.loadDashboard();
     }
   }
 
@@ -797,14 +2652,19 @@ class Dashboard {
     // Add message to recent messages list
     const messagesContainer = document.getElementById('recentMessages');
     if (messagesContainer) {
+      // Drop the empty-state placeholder on the first live message
+      if (!messagesContainer.querySelector('.message-item')) {
+        messagesContainer.innerHTML = '';
+      }
+
       const messageEl = document.createElement('div');
       messageEl.className = 'message-item fade-in';
       messageEl.innerHTML = `
         <div class="message-header">
-          <span class="message-direction">${message.direction}</span>
+          <span class="message-direction ${message.direction}">${message.direction}</span>
           <span class="message-time">${this.formatDate(message.created_at)}</span>
         </div>
-        <div class="message-content">${message.message}</div>
+        <div class="message-content">${this.escapeHtml(message.message || (message.media ? `[${message.type || 'media'}]` : 'No content'))}</div>
       `;
       
       messagesContainer.insertBefore(messageEl, messagesContainer.firstChild);
@@ -817,247 +2677,1073 @@ class Dashboard {
     }
   }
 
+  // WhatsApp-style ticks for the delivery status of an outgoing message
+  deliveryTicks(message) {
+    if (message.direction !== 'outgoing' || !message.delivery_status) return '';
+
+    const icons = {
+      pending: 'far fa-clock',
+      sent: 'fas fa-check',
+      delivered: 'fas fa-check-double',
+      read: 'fas fa-check-double',
+      played: 'fas fa-check-double',
+      error: 'fas fa-exclamation-circle'
+    };
+    const times = [
+      ['Sent', message.sent_at],
+      ['Delivered', message.delivered_at],
+      ['Read', message.read_at],
+      ['Played', message.played_at]
+    ].filter(([, time]) => time).map(([label, time]) => `${label} ${new Date(time).toLocaleString()}`);
+    const title = times.join('\n') || message.delivery_status;
+
+    return `<span class="message-ticks ticks-${message.delivery_status}" title="${this.escapeHtml(title)}"><i class="${icons[message.delivery_status] || icons.pending}"></i></span>`;
+  }
+
+  // Update the ticks of a message shown in the inbox or log lists
+  handleMessageAck(receipt) {
+    const message = this.inbox.messages.find(m => m.id === receipt.log_id);
+    const updated = { ...(message || { direction: 'outgoing' }), ...receipt };
+    if (message) Object.assign(message, receipt);
+
+    document.querySelectorAll(`[data-log-id="${receipt.log_id}"] .message-ticks`).forEach(ticks => {
+      ticks.outerHTML = this.deliveryTicks(updated);
+    });
+  }
+
   updateWebhookStatus(data) {
     // Update webhook delivery status in real-time
     console.log('Webhook delivery:', data);
+
+    const deliveriesModal = document.getElementById('webhookDeliveriesModal');
+    if (deliveriesModal?.classList.contains('show') && deliveriesModal.dataset.webhookId === data.webhook_id) {
+      this.loadWebhookDeliveries();
+    }
+
+    if (data.status === 'failed') {
+      this.showAlert(`Webhook delivery to ${this.escapeHtml(data.webhook_url)} failed: ${this.escapeHtml(data.error_message)}`, 'warning');
+    }
+  }
+
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+  }
+
+  // View rendering functions
+  renderAccountsView(accounts) {
+    const contentContainer = document.getElementById('mainContent');
+    if (!contentContainer) return;
+
+    contentContainer.innerHTML = `
+      <div class="content-header">
+        <h2>Accounts Management</h2>
+        <p>Manage your WhatsApp automation accounts</p>
+      </div>
+      
+      ${this.hasRole('operator') ? `
+        <div class="content-actions">
+          <button class="btn btn-primary" onclick="dashboard.showCreateAccountModal()">
+            <i class="fas fa-plus"></i> Create Account
+          </button>
+        </div>
+      ` : ''}
+      
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Account</th>
+              <th>Status</th>
+              <th>Phone Number</th>
+              <th>Created</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${accounts.map(account => `
+              <tr>
+                <td>
+                  <div>
+                    <div class="font-weight-600">${account.name}</div>
+                    <div class="text-muted">${account.description || 'No description'}</div>
+                    <div class="text-muted" style="font-size: 0.8em; margin-top: 2px;">
+                      <i class="fas fa-fingerprint"></i> ID: ${account.id}
+                    </div>
+                  </div>
+                </td>
+                <td>
+                  <span class="status-badge status-${account.status}">
+                    ${this.formatStatus(account.status)}
+                  </span>
+                  ${this.formatHealth(account.health)}
+                </td>
+                <td>${account.phone_number || 'Not connected'}</td>
+                <td>${this.formatDate(account.created_at)}</td>
+                <td>
+                  <div class="btn-group">
+                    ${account.status === 'qr_ready' && this.hasRole('operator') ? 
+                      `<button class="btn btn-sm btn-primary" onclick="dashboard.showQRCode('${account.id}')">
+                        <i class="fas fa-qrcode"></i> QR Code
+                      </button>` : ''
+                    }
+                    <button class="btn btn-sm btn-secondary" onclick="dashboard.manageWebhooks('${account.id}')">
+                      <i class="fas fa-link"></i> Webhooks
+                    </button>
+                    ${this.hasRole('operator') ? `
+                      <button class="btn btn-sm btn-success" onclick="dashboard.sendMessageModal('${account.id}')">
+                        <i class="fas fa-paper-plane"></i> Send
+                      </button>` : ''
+                    }
+                    ${this.hasRole('operator') ? `
+                      <button class="btn btn-sm btn-secondary" title="Edit account" onclick="dashboard.showCreateAccountModal('${account.id}')">
+                        <i class="fas fa-pen"></i>
+                      </button>` : ''
+                    }
+                    ${this.renderLifecycleButtons(account)}
+                    ${this.hasRole('admin') ? `
+                      <button class="btn btn-sm btn-danger" onclick="dashboard.deleteAccount('${account.id}')">
+                        <i class="fas fa-trash"></i>
+                      </button>` : ''
+                    }
+                  </div>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  renderWebhooksView(accounts, webhooks) {
+    const contentContainer = document.getElementById('mainContent');
+    if (!contentContainer) return;
+
+    contentContainer.innerHTML = `
+      <div class="content-header">
+        <h2>Webhooks Management</h2>
+        <p>Manage webhooks for all accounts</p>
+      </div>
+      
+      <div class="webhooks-grid">
+        ${accounts.map(account => `
+          <div class="webhook-account-card">
+            <div class="card-header">
+              <h3>${account.name}</h3>
+              <div class="text-muted" style="font-size: 0.8em; margin-top: 2px;">
+                <i class="fas fa-fingerprint"></i> ID: ${account.id}
+              </div>
+              <span class="status-badge status-${account.status}">
+                ${this.formatStatus(account.status)}
+              </span>
+            </div>
+            
+            <div class="webhook-list">
+              ${(webhooks[account.id] || []).map(webhook => `
+                <div class="webhook-item">
+                  <div class="webhook-info">
+                    <div class="webhook-url">${webhook.url}</div>
+                    <div class="webhook-status">
+                      <span class="status-badge ${webhook.is_active ? 'status-ready' : 'status-disconnected'}">
+                        ${webhook.is_active ? 'Active' : 'Inactive'}
+                      </span>
+                    </div>
+                    ${this.renderWebhookEvents(webhook)}
+                  </div>
+                  <div class="webhook-actions">
+                    <button class="btn btn-sm btn-secondary" onclick="dashboard.showWebhookDeliveries('${webhook.id}')">
+                      Deliveries
+                    </button>
+                    ${this.hasRole('operator') ? `
+                      <button class="btn btn-sm btn-secondary" onclick="dashboard.toggleWebhook('${webhook.id}')">
+                        ${webhook.is_active ? 'Disable' : 'Enable'}
+                      </button>
+                      <button class="btn btn-sm btn-danger" onclick="dashboard.deleteWebhook('${webhook.id}')">
+                        Delete
+                      </button>
+                    ` : ''}
+                  </div>
+                </div>
+              `).join('')}
+              
+              ${(webhooks[account.id] || []).length === 0 ? 
+                '<div class="text-center text-muted">No webhooks configured</div>' : ''
+              }
+            </div>
+            
+            ${this.hasRole('operator') ? `
+              <div class="card-actions">
+                <button class="btn btn-primary" onclick="dashboard.showCreateWebhookModal('${account.id}')">
+                  <i class="fas fa-plus"></i> Add Webhook
+                </button>
+              </div>
+            ` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  renderLogSearchView(view) {
+    const contentContainer = document.getElementById('mainContent');
+    if (!contentContainer) return;
+
+    const isMessages = view === 'messages';
+    const directions = isMessages
+      ? [['incoming,outgoing', 'Incoming & outgoing'], ['incoming', 'Incoming'], ['outgoing', 'Outgoing']]
+      : [['', 'All directions'], ['incoming', 'Incoming'], ['outgoing', 'Outgoing'], ['webhook', 'Webhook'], ['webhook_incoming', 'Webhook reply']];
+
+    contentContainer.innerHTML = `
+      <div class="content-header">
+        <h2>${isMessages ? 'Messages' : 'System Logs'}</h2>
+        <p>${isMessages ? 'Search messages sent and received by all accounts' : 'Search message and webhook logs for all accounts'}</p>
+      </div>
+      
+      <form id="logFilters" class="log-filters" data-view="${view}">
+        <input type="search" name="q" class="form-input log-filter-search" placeholder="Search message text">
+        <select name="account_id" class="form-input">
+          <option value="">All accounts</option>
+          ${this.accounts.map(account => `
+            <option value="${account.id}">${this.escapeHtml(account.name)}</option>
+          `).join('')}
+        </select>
+        <select name="direction" class="form-input">
+          ${directions.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+        <select name="status" class="form-input">
+          <option value="">All statuses</option>
+          <option value="success">Success</option>
+          <option value="failed">Failed</option>
+        </select>
+        <select name="is_group" class="form-input">
+          <option value="">Groups & direct</option>
+          <option value="true">Groups only</option>
+          <option value="false">Direct only</option>
+        </select>
+        <input type="text" name="type" class="form-input" placeholder="Type (chat, image...)">
+        <input type="text" name="chat_id" class="form-input" placeholder="Chat ID">
+        <input type="text" name="sender" class="form-input" placeholder="Sender">
+        <input type="text" name="recipient" class="form-input" placeholder="Recipient">
+        <input type="datetime-local" name="from" class="form-input" title="From">
+        <input type="datetime-local" name="to" class="form-input" title="To">
+        <button type="submit" class="btn btn-primary">
+          <i class="fas fa-search"></i> Search
+        </button>
+        <button type="reset" class="btn btn-secondary">Reset</button>
+      </form>
+      
+      <div id="logResults" class="log-results"></div>
+      <div id="logResultsFooter" class="log-results-footer text-center text-muted"></div>
+    `;
+
+    const form = document.getElementById('logFilters');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.searchLogs();
+    });
+    // Reset clears the inputs after the event, so search on the next tick
+    form.addEventListener('reset', () => setTimeout(() => this.searchLogs()));
+
+    if (this.logObserver) this.logObserver.disconnect();
+    this.logObserver = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) this.loadMoreLogs();
+    }, { rootMargin: '200px' });
+    this.logObserver.observe(document.getElementById('logResultsFooter'));
+  }
+
+  renderLogItem(log) {
+    const account = this.accounts.find(a => a.id === log.account_id);
+    const contact = log.contact_name || (log.direction === 'incoming' ? log.sender : log.recipient);
+    const details = [
+      account ? account.name : log.account_id,
+      log.is_group && log.group_name ? log.group_name : contact,
+      log.type,
+      log.webhook_url,
+      log.response_status ? `HTTP ${log.response_status}` : null
+    ].filter(Boolean);
+
+    return `
+      <div class="log-item" data-log-id="${log.id}">
+        <div class="log-header">
+          <span class="log-direction ${log.direction}">${log.direction}</span>
+          <span class="log-time">${new Date(log.created_at).toLocaleString()}</span>
+        </div>
+        <div class="text-muted log-details">${details.map(detail => this.escapeHtml(detail)).join(' &middot; ')}</div>
+        <div class="log-content">${this.escapeHtml(log.message || 'No content')}</div>
+        <div class="log-status">
+          <span class="status-badge ${log.status === 'success' ? 'status-ready' : 'status-disconnected'}">
+            ${log.status}
+          </span>
+          ${this.deliveryTicks(log)}
+        </div>
+        ${log.error_message ? `
+          <div class="log-error">
+            <strong>Error:</strong> ${this.escapeHtml(log.error_message)}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  renderInboxView() {
+    const contentContainer = document.getElementById('mainContent');
+    if (!contentContainer) return;
+
+    contentContainer.innerHTML = `
+      <div class="content-header">
+        <h2>Inbox</h2>
+        <p>Read and reply to conversations of each account</p>
+      </div>
+      
+      ${this.accounts.length === 0 ? '<div class="text-center text-muted">No accounts yet</div>' : `
+        <div class="inbox">
+          <div class="inbox-sidebar">
+            <select id="inboxAccount" class="form-input" onchange="dashboard.selectInboxAccount(this.value)">
+              ${this.accounts.map(account => `
+                <option value="${account.id}" ${account.id === this.inbox.accountId ? 'selected' : ''}>${this.escapeHtml(account.name)}</option>
+              `).join('')}
+            </select>
+            <div class="inbox-toolbar">
+              <input type="search" id="inboxSearch" class="form-input" placeholder="Search chats and contacts"
+                     value="${this.escapeHtml(this.inbox.search || '')}">
+              ${this.hasRole('operator') ? `
+                <button class="btn btn-secondary" title="Sync contact names from the phone" onclick="dashboard.syncContacts()">
+                  <i class="fas fa-address-book"></i>
+                </button>
+              ` : ''}
+            </div>
+            <div id="inboxChats" class="inbox-chats">
+              <div class="text-center text-muted">Loading chats...</div>
+            </div>
+          </div>
+          <div id="inboxThread" class="inbox-thread">
+            <div class="inbox-empty text-muted">Select a chat to read the conversation</div>
+          </div>
+        </div>
+      `}
+    `;
+
+    document.getElementById('inboxChats')?.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-chat-index]');
+      if (item) this.openChat(this.inbox.chats[item.dataset.chatIndex].chat_id);
+    });
+    document.getElementById('inboxSearch')?.addEventListener('input', (e) => {
+      clearTimeout(this.inboxSearchTimer);
+      this.inboxSearchTimer = setTimeout(() => {
+        this.inbox.search = e.target.value.trim();
+        this.loadChats();
+      }, 300);
+    });
+  }
+
+  // Group name, contact name, or the phone number of a direct chat
+  chatTitle(chat) {
+    if (chat.group_name) return chat.group_name;
+    if (chat.contact_name) return chat.contact_name;
+    const [user, server] = chat.chat_id.split('@');
+    return server === 'c.us' ? `+${user}` : chat.chat_id;
+  }
+
+  renderChatList() {
+    const container = document.getElementById('inboxChats');
+    if (!container) return;
+
+    if (this.inbox.chats.length === 0) {
+      container.innerHTML = '<div class="text-center text-muted">No conversations yet</div>';
+      return;
+    }
+
+    container.innerHTML = this.inbox.chats.map((chat, index) => `
+      <div class="inbox-chat ${chat.chat_id === this.inbox.chatId ? 'active' : ''}" data-chat-index="${index}">
+        <div class="inbox-chat-header">
+          <span class="inbox-chat-title">
+            ${chat.is_group ? '<i class="fas fa-users"></i> ' : ''}${this.escapeHtml(this.chatTitle(chat))}
+          </span>
+          <span class="message-time">${new Date(chat.last_message_at).toLocaleString()}</span>
+        </div>
+        <div class="inbox-chat-preview">
+          <span class="text-muted">
+            ${chat.last_direction === 'outgoing' ? '<i class="fas fa-reply"></i> ' : ''}${this.escapeHtml(chat.last_message || `[${chat.last_type || 'message'}]`)}
+          </span>
+          ${chat.unread_count > 0 ? `<span class="inbox-unread">${chat.unread_count}</span>` : ''}
+        </div>
+        ${chat.tags && chat.tags.length > 0 ? `
+          <div class="chat-tags">${chat.tags.map(tag => `<span class="chat-tag">${this.escapeHtml(tag)}</span>`).join('')}</div>
+        ` : ''}
+      </div>
+    `).join('');
+  }
+
+  renderThread() {
+    const container = document.getElementById('inboxThread');
+    const chat = this.inbox.chats.find(c => c.chat_id === this.inbox.chatId) || { chat_id: this.inbox.chatId };
+    if (!container) return;
+
+    container.innerHTML = `
+      <div class="inbox-thread-header">
+        <h3>${this.escapeHtml(this.chatTitle(chat))}</h3>
+        <span class="text-muted">${this.escapeHtml(chat.chat_id)}</span>
+        <div id="inboxChatTags" class="chat-tags"></div>
+      </div>
+      <div id="inboxMessages" class="inbox-messages"></div>
+      ${this.hasRole('operator') ? `
+        <form id="inboxReplyForm" class="inbox-reply">
+          <textarea name="message" class="form-input" rows="2" placeholder="Type a reply"></textarea>
+          <label class="btn btn-secondary" title="Attach media">
+            <i class="fas fa-paperclip"></i>
+            <input type="file" name="media" hidden>
+          </label>
+          <button type="submit" class="btn btn-primary">
+            <i class="fas fa-paper-plane"></i> Send
+          </button>
+        </form>
+      ` : ''}
+    `;
+
+    this.renderChatTags();
+    document.getElementById('inboxChatTags')?.addEventListener('click', (e) => {
+      const remove = e.target.closest('[data-tag-index]');
+      if (remove) this.removeChatTag(chat.tags[remove.dataset.tagIndex]);
+      if (e.target.closest('[data-add-tag]')) this.addChatTag();
+    });
+
+    const form = document.getElementById('inboxReplyForm');
+    form?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.sendReply();
+    });
+    // Enter sends, Shift+Enter adds a line
+    form?.message.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.sendReply();
+      }
+    });
+  }
+
+  renderThreadMessages({ scrollToBottom = false } = {}) {
+    const container = document.getElementById('inboxMessages');
+    if (!container) return;
+
+    const previousHeight = container.scrollHeight;
+    const previousTop = container.scrollTop;
+
+    container.innerHTML = `
+      ${this.inbox.cursor ? `
+        <div class="text-center">
+          <button class="btn btn-sm btn-secondary" onclick="dashboard.loadThread({ older: true })">Load older messages</button>
+        </div>
+      ` : ''}
+      ${this.inbox.messages.map(message => `
+        <div class="inbox-bubble ${message.direction} ${message.status === 'failed' ? 'failed' : ''}" data-log-id="${message.id}">
+          ${message.is_group && message.direction === 'incoming' ? `<div class="inbox-bubble-sender">${this.escapeHtml(message.sender)}</div>` : ''}
+          ${message.media ? this.renderMediaPreview(message.media) : ''}
+          ${message.message ? `<div class="inbox-bubble-text">${this.escapeHtml(message.message)}</div>` : ''}
+          ${!message.message && !message.media ? `<div class="text-muted">[${this.escapeHtml(message.type || 'message')}]</div>` : ''}
+          <div class="inbox-bubble-meta">
+            ${new Date(message.created_at).toLocaleString()}
+            ${message.status === 'failed' ? ` &middot; Failed: ${this.escapeHtml(message.error_message || 'unknown error')}` : ''}
+            ${this.deliveryTicks(message)}
+          </div>
+        </div>
+      `).join('')}
+      ${this.inbox.messages.length === 0 ? '<div class="inbox-empty text-muted">No messages in this chat</div>' : ''}
+    `;
+
+    // Stay at the bottom for new messages, keep the position when older ones are prepended
+    container.scrollTop = scrollToBottom
+      ? container.scrollHeight
+      : previousTop + (container.scrollHeight - previousHeight);
+  }
+
+  renderMediaPreview(media) {
+    const name = this.escapeHtml(media.filename || media.mimetype || 'attachment');
+    if (!media.preview_url) {
+      return `<div class="text-muted"><i class="fas fa-paperclip"></i> ${name}</div>`;
+    }
+
+    const mimetype = media.mimetype || '';
+    if (mimetype.startsWith('image/') && mimetype !== 'image/svg+xml') {
+      return `<a href="${media.preview_url}" target="_blank"><img class="inbox-media" src="${media.preview_url}" alt="Image" loading="lazy"></a>`;
+    }
+    if (mimetype.startsWith('video/')) {
+      return `<video class="inbox-media" src="${media.preview_url}" controls preload="metadata"></video>`;
+    }
+    if (mimetype.startsWith('audio/')) {
+      return `<audio src="${media.preview_url}" controls preload="none"></audio>`;
+    }
+    return `<a href="${media.preview_url}" target="_blank"><i class="fas fa-file"></i> ${name}</a>`;
+  }
+
+  renderScheduledView(jobs) {
+    const contentContainer = document.getElementById('mainContent');
+    if (!contentContainer) return;
+
+    const accountName = (id) => {
+      const account = this.accounts.find(a => a.id === id);
+      return account ? account.name : id;
+    };
+    const filters = [
+      ['pending,sending', 'Upcoming'],
+      ['sent', 'Sent'],
+      ['failed', 'Failed'],
+      ['cancelled', 'Cancelled'],
+      ['', 'All']
+    ];
+    const canEdit = this.hasRole('operator');
+
+    contentContainer.innerHTML = `
+      <div class="content-header">
+        <h2>Scheduled Messages</h2>
+        <p>Messages queued to send later. Schedule one from an account's <strong>Send Message</strong> dialog.</p>
+      </div>
+      
+      <div class="schedule-filters">
+        <select class="form-input" onchange="dashboard.filterScheduled(this.value)">
+          ${filters.map(([value, label]) => `<option value="${value}" ${value === this.scheduledStatus ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+      </div>
+      
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Send At</th>
+              <th>Account</th>
+              <th>Recipient</th>
+              <th>Message</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${jobs.map(job => `
+              <tr>
+                <td>
+                  <div class="font-weight-600">${new Date(job.send_at).toLocaleString()}</div>
+                  ${job.timezone && job.timezone !== this.browserTimezone() ? `<div class="text-muted" style="font-size: 0.8em;">${this.escapeHtml(job.send_at_local)} (${this.escapeHtml(job.timezone)})</div>` : ''}
+                </td>
+                <td>${this.escapeHtml(accountName(job.account_id))}</td>
+                <td>${this.escapeHtml(job.number)}</td>
+                <td>
+                  <div>${this.escapeHtml(job.content.text || `[${job.content.type || 'media'}]`)}</div>
+                  ${job.created_by ? `<div class="text-muted" style="font-size: 0.8em;">By ${this.escapeHtml(job.created_by)}</div>` : ''}
+                </td>
+                <td>
+                  <span class="status-badge status-${job.status}">${job.status}</span>
+                  ${job.attempts > 0 && job.status !== 'sent' ? `<div class="text-muted" style="font-size: 0.8em;">${job.attempts} attempt${job.attempts === 1 ? '' : 's'}</div>` : ''}
+                  ${job.last_error ? `<div class="text-muted" style="font-size: 0.8em;">${this.escapeHtml(job.last_error)}</div>` : ''}
+                </td>
+                <td>
+                  ${canEdit && job.status === 'pending' ? `
+                    <button class="btn btn-sm btn-secondary" onclick="dashboard.toggleReschedule('${job.id}')">
+                      Reschedule
+                    </button>
+                    <button class="btn btn-sm btn-danger" onclick="dashboard.cancelScheduledMessage('${job.id}')">
+                      Cancel
+                    </button>
+                    <div class="reschedule-form" id="reschedule-${job.id}" hidden>
+                      <input type="datetime-local" class="form-input" value="${this.toLocalInputValue(job.send_at)}">
+                      <button class="btn btn-sm btn-primary" onclick="dashboard.rescheduleMessage('${job.id}')">Save</button>
+                    </div>
+                  ` : ''}
+                </td>
+              </tr>
+            `).join('')}
+            ${jobs.length === 0 ? '<tr><td colspan="6" class="text-center text-muted">No scheduled messages</td></tr>' : ''}
+          </tbody>
+        </table>
+      </div>
+    `;
   }
 
-  // View rendering functions
-  renderAccountsView(accounts) {
+  renderTemplatesView() {
     const contentContainer = document.getElementById('mainContent');
     if (!contentContainer) return;
 
+    const canEdit = this.hasRole('operator');
+
     contentContainer.innerHTML = `
       <div class="content-header">
-        <h2>Accounts Management</h2>
-        <p>Manage your WhatsApp automation accounts</p>
+        <h2>Message Templates</h2>
+        <p>Reusable messages for the <strong>Send Message</strong> dialog and the API (<code>template_id</code> with <code>variables</code>)</p>
       </div>
       
-      <div class="content-actions">
-        <button class="btn btn-primary" onclick="dashboard.showCreateAccountModal()">
-          <i class="fas fa-plus"></i> Create Account
-        </button>
-      </div>
+      ${canEdit ? `
+        <div class="content-actions">
+          <button class="btn btn-primary" onclick="dashboard.showTemplateModal()">
+            <i class="fas fa-plus"></i> New Template
+          </button>
+        </div>
+      ` : ''}
       
       <div class="table-container">
         <table class="data-table">
           <thead>
             <tr>
+              <th>Name</th>
               <th>Account</th>
-              <th>Status</th>
-              <th>Phone Number</th>
-              <th>Created</th>
+              <th>Message</th>
+              <th>Placeholders</th>
               <th>Actions</th>
             </tr>
           </thead>
           <tbody>
-            ${accounts.map(account => `
+            ${this.templates.map(template => `
               <tr>
                 <td>
-                  <div>
-                    <div class="font-weight-600">${account.name}</div>
-                    <div class="text-muted">${account.description || 'No description'}</div>
-                    <div class="text-muted" style="font-size: 0.8em; margin-top: 2px;">
-                      <i class="fas fa-fingerprint"></i> ID: ${account.id}
-                    </div>
-                  </div>
+                  <div class="font-weight-600">${this.escapeHtml(template.name)}</div>
+                  ${template.created_by ? `<div class="text-muted" style="font-size: 0.8em;">By ${this.escapeHtml(template.created_by)}</div>` : ''}
                 </td>
+                <td>${template.account_id ? this.escapeHtml(this.accountName(template.account_id)) : '<span class="text-muted">All accounts</span>'}</td>
                 <td>
-                  <span class="status-badge status-${account.status}">
-                    ${this.formatStatus(account.status)}
-                  </span>
+                  <div class="template-body">${this.escapeHtml(template.body)}</div>
+                  ${template.media ? `<div class="text-muted" style="font-size: 0.8em;"><i class="fas fa-paperclip"></i> ${this.escapeHtml(template.media.filename || template.media.mimetype || 'file')}</div>` : ''}
                 </td>
-                <td>${account.phone_number || 'Not connected'}</td>
-                <td>${this.formatDate(account.created_at)}</td>
+                <td>${template.placeholders.map(name => `<code>{{${this.escapeHtml(name)}}}</code>`).join(' ') || '<span class="text-muted">None</span>'}</td>
                 <td>
-                  <div class="btn-group">
-                    ${account.status === 'qr_ready' ? 
-                      `<button class="btn btn-sm btn-primary" onclick="dashboard.showQRCode('${account.id}')">
-                        <i class="fas fa-qrcode"></i> QR Code
-                      </button>` : ''
-                    }
-                    <button class="btn btn-sm btn-secondary" onclick="dashboard.manageWebhooks('${account.id}')">
-                      <i class="fas fa-link"></i> Webhooks
+                  ${canEdit ? `
+                    <button class="btn btn-sm btn-secondary" onclick="dashboard.showTemplateModal('${template.id}')">
+                      Edit
                     </button>
-                    <button class="btn btn-sm btn-success" onclick="dashboard.sendMessageModal('${account.id}')">
-                      <i class="fas fa-paper-plane"></i> Send
-                    </button>
-                    <button class="btn btn-sm btn-danger" onclick="dashboard.deleteAccount('${account.id}')">
-                      <i class="fas fa-trash"></i>
+                    <button class="btn btn-sm btn-danger" onclick="dashboard.deleteTemplate('${template.id}')">
+                      Delete
                     </button>
-                  </div>
+                  ` : ''}
                 </td>
               </tr>
             `).join('')}
+            ${this.templates.length === 0 ? '<tr><td colspan="5" class="text-center text-muted">No templates yet</td></tr>' : ''}
           </tbody>
         </table>
       </div>
     `;
   }
 
-  renderWebhooksView(accounts, webhooks) {
+  renderAutoRepliesView() {
     const contentContainer = document.getElementById('mainContent');
     if (!contentContainer) return;
 
     contentContainer.innerHTML = `
       <div class="content-header">
-        <h2>Webhooks Management</h2>
-        <p>Manage webhooks for all accounts</p>
+        <h2>Auto-Replies</h2>
+        <p>Rules are tried from the top for every incoming message; the first match fires</p>
       </div>
       
-      <div class="webhooks-grid">
-        ${accounts.map(account => `
-          <div class="webhook-account-card">
-            <div class="card-header">
-              <h3>${account.name}</h3>
-              <div class="text-muted" style="font-size: 0.8em; margin-top: 2px;">
-                <i class="fas fa-fingerprint"></i> ID: ${account.id}
+      ${this.accounts.length === 0 ? '<div class="text-center text-muted">No accounts yet</div>' : `
+        <div class="deliveries-toolbar">
+          <select class="form-input" onchange="dashboard.selectAutoReplyAccount(this.value)">
+            ${this.accounts.map(account => `
+              <option value="${account.id}" ${account.id === this.autoReplies.accountId ? 'selected' : ''}>${this.escapeHtml(account.name)}</option>
+            `).join('')}
+          </select>
+          ${this.hasRole('operator') ? `
+            <button class="btn btn-primary" onclick="dashboard.showAutoReplyModal()">
+              <i class="fas fa-plus"></i> New Rule
+            </button>
+          ` : ''}
+        </div>
+        
+        <div id="businessHoursCard" class="card business-hours-card"></div>
+        
+        <div id="autoReplyRules" class="table-container">
+          <div class="loading">Loading...</div>
+        </div>
+        
+        <div class="card auto-reply-test">
+          <h3>Test</h3>
+          <form id="autoReplyTestForm">
+            <div class="form-row">
+              <div class="form-group">
+                <label class="form-label">Message</label>
+                <input type="text" name="message" class="form-input" placeholder="What are your opening hours?">
+              </div>
+              <div class="form-group">
+                <label class="form-label">Sender</label>
+                <input type="text" name="sender" class="form-input" placeholder="+1234567890">
               </div>
-              <span class="status-badge status-${account.status}">
-                ${this.formatStatus(account.status)}
-              </span>
             </div>
-            
-            <div class="webhook-list">
-              ${(webhooks[account.id] || []).map(webhook => `
-                <div class="webhook-item">
-                  <div class="webhook-info">
-                    <div class="webhook-url">${webhook.url}</div>
-                    <div class="webhook-status">
-                      <span class="status-badge ${webhook.is_active ? 'status-ready' : 'status-disconnected'}">
-                        ${webhook.is_active ? 'Active' : 'Inactive'}
-                      </span>
-                    </div>
-                  </div>
-                  <div class="webhook-actions">
-                    <button class="btn btn-sm btn-secondary" onclick="dashboard.toggleWebhook('${webhook.id}')">
-                      ${webhook.is_active ? 'Disable' : 'Enable'}
-                    </button>
-                    <button class="btn btn-sm btn-danger" onclick="dashboard.deleteWebhook('${webhook.id}')">
-                      Delete
-                    </button>
-                  </div>
-                </div>
-              `).join('')}
-              
-              ${(webhooks[account.id] || []).length === 0 ? 
-                '<div class="text-center text-muted">No webhooks configured</div>' : ''
-              }
+            <div class="form-row">
+              <div class="form-group">
+                <label class="form-label"><input type="checkbox" name="is_group"> Sent in a group</label>
+              </div>
+              <div class="form-group">
+                <input type="text" name="group_name" class="form-input" placeholder="Group name (Optional)">
+              </div>
             </div>
-            
-            <div class="card-actions">
-              <button class="btn btn-primary" onclick="dashboard.showCreateWebhookModal('${account.id}')">
-                <i class="fas fa-plus"></i> Add Webhook
-              </button>
+            <button type="submit" class="btn btn-secondary">
+              <i class="fas fa-vial"></i> Which rule fires?
+            </button>
+          </form>
+          <div id="autoReplyTestResult" class="auto-reply-test-result"></div>
+        </div>
+      `}
+    `;
+
+    document.getElementById('autoReplyTestForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.testAutoReplyRules();
+    });
+  }
+
+  renderBusinessHours() {
+    const container = document.getElementById('businessHoursCard');
+    if (!container) return;
+
+    const state = this.autoReplies.businessHours;
+    const hours = state?.business_hours;
+    const canEdit = this.hasRole('operator');
+    const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    container.innerHTML = `
+      <div class="business-hours-summary">
+        <div>
+          <h3>
+            Business Hours
+            ${hours ? `<span class="status-badge ${state.open ? 'status-ready' : 'status-disconnected'}">${state.open ? 'Open now' : 'Closed now'}</span>` : ''}
+          </h3>
+          ${hours ? `
+            <div>${hours.schedule.map(w => `${w.days.map(day => days[day]).join(' ')} ${w.from}-${w.to}`).map(text => this.escapeHtml(text)).join(' · ')} (${this.escapeHtml(hours.timezone)})</div>
+            ${hours.holidays.length > 0 ? `<div class="text-muted" style="font-size: 0.8em;">Closed on ${hours.holidays.map(day => this.escapeHtml(day)).join(', ')}</div>` : ''}
+            <div class="text-muted" style="font-size: 0.8em;">
+              ${hours.away_message ? `Away message at most every ${hours.away_interval_minutes} min: "${this.escapeHtml(hours.away_message)}"` : 'No away message'}
             </div>
+          ` : '<div class="text-muted">Not set: messages are never flagged as outside business hours</div>'}
+        </div>
+        ${canEdit ? `
+          <div>
+            <button class="btn btn-sm btn-secondary" onclick="dashboard.showBusinessHoursModal()">
+              ${hours ? 'Edit' : 'Set Hours'}
+            </button>
+            ${hours ? '<button class="btn btn-sm btn-danger" onclick="dashboard.removeBusinessHours()">Remove</button>' : ''}
           </div>
-        `).join('')}
+        ` : ''}
       </div>
     `;
   }
 
-  renderMessagesView(accounts, messages) {
+  // Short description of a rule's conditions or action for the rules table
+  describeAutoReplyConditions(conditions) {
+    const parts = [];
+    if (conditions.match === 'exact') parts.push(`Is "${conditions.pattern}"`);
+    if (conditions.match === 'keywords') parts.push(`Contains ${conditions.keywords.join(', ')}`);
+    if (conditions.match === 'regex') parts.push(`Matches /${conditions.pattern}/`);
+    if (conditions.match === 'any') parts.push('Any message');
+    if (conditions.chat_type !== 'any') parts.push(`${conditions.chat_type} chats`);
+    if (conditions.senders.length > 0) parts.push(`from ${conditions.senders.join(', ')}`);
+    if (conditions.hours) {
+      const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+      parts.push(`${conditions.hours.from}-${conditions.hours.to} ${conditions.hours.days.map(day => days[day]).join(' ')} (${conditions.hours.timezone})`);
+    }
+    return parts.join(' · ');
+  }
+
+  describeAutoReplyAction(action) {
+    switch (action.type) {
+      case 'template': {
+        const template = this.autoReplies.templates.find(t => t.id === action.template_id);
+        return `Template "${template ? template.name : 'deleted'}"`;
+      }
+      case 'forward':
+        return `Forward to ${action.number}`;
+      case 'tag':
+        return `Tag "${action.tag}"`;
+      default:
+        return `Reply "${action.text || ''}"${action.media ? ' + attachment' : ''}`;
+    }
+  }
+
+  renderAutoReplyRules() {
+    const container = document.getElementById('autoReplyRules');
+    if (!container) return;
+
+    const canEdit = this.hasRole('operator');
+    const rules = this.autoReplies.rules;
+
+    container.innerHTML = `
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Order</th>
+            <th>Name</th>
+            <th>When</th>
+            <th>Then</th>
+            <th>Matches</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rules.map((rule, index) => `
+            <tr>
+              <td>
+                ${canEdit ? `
+                  <button class="btn btn-sm btn-secondary" onclick="dashboard.moveAutoReplyRule('${rule.id}', -1)" ${index === 0 ? 'disabled' : ''} title="Move up">
+                    <i class="fas fa-arrow-up"></i>
+                  </button>
+                  <button class="btn btn-sm btn-secondary" onclick="dashboard.moveAutoReplyRule('${rule.id}', 1)" ${index === rules.length - 1 ? 'disabled' : ''} title="Move down">
+                    <i class="fas fa-arrow-down"></i>
+                  </button>
+                ` : index + 1}
+              </td>
+              <td>
+                <div class="font-weight-600">${this.escapeHtml(rule.name)}</div>
+                <span class="status-badge ${rule.is_active ? 'status-ready' : 'status-disconnected'}">
+                  ${rule.is_active ? 'Active' : 'Inactive'}
+                </span>
+              </td>
+              <td>${this.escapeHtml(this.describeAutoReplyConditions(rule.conditions))}</td>
+              <td>
+                <div class="template-body">${this.escapeHtml(this.describeAutoReplyAction(rule.action))}</div>
+                ${rule.cooldown_seconds > 0 ? `<div class="text-muted" style="font-size: 0.8em;">Once per ${rule.cooldown_seconds}s per chat</div>` : ''}
+              </td>
+              <td>
+                ${rule.match_count || 0}
+                ${rule.last_matched_at ? `<div class="text-muted" style="font-size: 0.8em;">Last ${new Date(rule.last_matched_at).toLocaleString()}</div>` : ''}
+              </td>
+              <td>
+                ${canEdit ? `
+                  <button class="btn btn-sm btn-secondary" onclick="dashboard.toggleAutoReplyRule('${rule.id}')">
+                    ${rule.is_active ? 'Disable' : 'Enable'}
+                  </button>
+                  <button class="btn btn-sm btn-secondary" onclick="dashboard.showAutoReplyModal('${rule.id}')">
+                    Edit
+                  </button>
+                  <button class="btn btn-sm btn-danger" onclick="dashboard.deleteAutoReplyRule('${rule.id}')">
+                    Delete
+                  </button>
+                ` : ''}
+              </td>
+            </tr>
+          `).join('')}
+          ${rules.length === 0 ? '<tr><td colspan="6" class="text-center text-muted">No rules yet</td></tr>' : ''}
+        </tbody>
+      </table>
+    `;
+  }
+
+  renderCampaignsView() {
     const contentContainer = document.getElementById('mainContent');
     if (!contentContainer) return;
 
+    const canEdit = this.hasRole('operator');
+    const actions = {
+      draft: ['start', 'cancel'],
+      running: ['pause', 'cancel'],
+      paused: ['resume', 'cancel']
+    };
+    const buttonClass = { start: 'btn-success', pause: 'btn-secondary', resume: 'btn-success', cancel: 'btn-danger' };
+
     contentContainer.innerHTML = `
       <div class="content-header">
-        <h2>Recent Messages</h2>
-        <p>View recent messages from all accounts</p>
+        <h2>Campaigns</h2>
+        <p>Broadcast a templated message to a list of recipients, throttled to look like normal use</p>
       </div>
       
-      <div class="messages-grid">
-        ${accounts.map(account => `
-          <div class="message-account-card">
-            <div class="card-header">
-              <h3>${account.name}</h3>
-              <div class="text-muted" style="font-size: 0.8em; margin-top: 2px;">
-                <i class="fas fa-fingerprint"></i> ID: ${account.id}
-              </div>
-              <span class="status-badge status-${account.status}">
-                ${this.formatStatus(account.status)}
-              </span>
-            </div>
-            
-            <div class="message-list">
-              ${(messages[account.id] || []).slice(0, 10).map(message => `
-                <div class="message-item">
-                  <div class="message-header">
-                    <span class="message-direction ${message.direction}">${message.direction}</span>
-                    <span class="message-time">${this.formatDate(message.created_at)}</span>
+      ${canEdit ? `
+        <div class="content-actions">
+          <button class="btn btn-primary" onclick="dashboard.showCreateCampaignModal()">
+            <i class="fas fa-plus"></i> New Campaign
+          </button>
+        </div>
+      ` : ''}
+      
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Campaign</th>
+              <th>Accounts</th>
+              <th>Progress</th>
+              <th>Rate</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${this.campaigns.map(campaign => {
+              const progress = campaign.progress || { total: 0, pending: 0, sent: 0, failed: 0, cancelled: 0 };
+              const done = progress.total - progress.pending;
+              const percent = progress.total ? Math.round(done / progress.total * 100) : 0;
+              return `
+              <tr>
+                <td>
+                  <div class="font-weight-600">${this.escapeHtml(campaign.name)}</div>
+                  <div class="text-muted" style="font-size: 0.8em;">
+                    ${new Date(campaign.created_at).toLocaleString()}${campaign.created_by ? ` by ${this.escapeHtml(campaign.created_by)}` : ''}
                   </div>
-                  <div class="message-content">${message.message || 'No content'}</div>
-                  <div class="message-status">
-                    <span class="status-badge ${message.status === 'success' ? 'status-ready' : 'status-disconnected'}">
-                      ${message.status}
-                    </span>
+                </td>
+                <td>${campaign.account_ids.map(id => this.escapeHtml(this.accountName(id))).join(', ')}</td>
+                <td>
+                  <div class="campaign-progress"><div class="campaign-progress-bar" style="width: ${percent}%"></div></div>
+                  <div class="text-muted" style="font-size: 0.8em;">
+                    ${done}/${progress.total} &middot; ${progress.sent} sent
+                    ${progress.failed ? `&middot; ${progress.failed} failed` : ''}
+                    ${progress.cancelled ? `&middot; ${progress.cancelled} skipped` : ''}
                   </div>
-                </div>
-              `).join('')}
-              
-              ${(messages[account.id] || []).length === 0 ? 
-                '<div class="text-center text-muted">No messages yet</div>' : ''
-              }
-            </div>
-          </div>
-        `).join('')}
+                </td>
+                <td>${campaign.messages_per_minute}/min${campaign.jitter_seconds ? ` +0-${campaign.jitter_seconds}s` : ''}</td>
+                <td>
+                  <span class="status-badge status-${campaign.status}">${campaign.status}</span>
+                  ${campaign.last_error && campaign.status === 'running' ? `<div class="text-muted" style="font-size: 0.8em;">${this.escapeHtml(campaign.last_error)}</div>` : ''}
+                </td>
+                <td>
+                  <button class="btn btn-sm btn-secondary" onclick="dashboard.showCampaignRecipients('${campaign.id}')">
+                    Recipients
+                  </button>
+                  ${canEdit ? (actions[campaign.status] || []).map(action => `
+                    <button class="btn btn-sm ${buttonClass[action]}" onclick="dashboard.campaignAction('${campaign.id}', '${action}')">
+                      ${action.charAt(0).toUpperCase() + action.slice(1)}
+                    </button>
+                  `).join('') : ''}
+                </td>
+              </tr>
+            `;
+            }).join('')}
+            ${this.campaigns.length === 0 ? '<tr><td colspan="6" class="text-center text-muted">No campaigns yet</td></tr>' : ''}
+          </tbody>
+        </table>
       </div>
     `;
   }
 
-  renderLogsView(accounts, logs) {
+  renderApiKeysView(apiKeys) {
     const contentContainer = document.getElementById('mainContent');
     if (!contentContainer) return;
 
+    const accountName = (id) => {
+      const account = this.accounts.find(a => a.id === id);
+      return account ? account.name : id;
+    };
+
     contentContainer.innerHTML = `
       <div class="content-header">
-        <h2>System Logs</h2>
-        <p>View detailed logs for all accounts</p>
+        <h2>API Keys</h2>
+        <p>Bearer tokens for programmatic access (<code>Authorization: Bearer &lt;key&gt;</code>)</p>
       </div>
       
-      <div class="logs-grid">
-        ${accounts.map(account => `
-          <div class="log-account-card">
-            <div class="card-header">
-              <h3>${account.name}</h3>
-              <div class="text-muted" style="font-size: 0.8em; margin-top: 2px;">
-                <i class="fas fa-fingerprint"></i> ID: ${account.id}
-              </div>
-              <span class="status-badge status-${account.status}">
-                ${this.formatStatus(account.status)}
-              </span>
-            </div>
-            
-            <div class="log-list">
-              ${(logs[account.id] || []).map(log => `
-                <div class="log-item">
-                  <div class="log-header">
-                    <span class="log-direction ${log.direction}">${log.direction}</span>
-                    <span class="log-time">${this.formatDate(log.created_at)}</span>
-                  </div>
-                  <div class="log-content">${log.message || 'No content'}</div>
-                  <div class="log-status">
-                    <span class="status-badge ${log.status === 'success' ? 'status-ready' : 'status-disconnected'}">
-                      ${log.status}
-                    </span>
+      <div class="content-actions">
+        <button class="btn btn-primary" onclick="dashboard.showCreateApiKeyModal()">
+          <i class="fas fa-plus"></i> Create API Key
+        </button>
+      </div>
+      
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Key</th>
+              <th>Permissions</th>
+              <th>Accounts</th>
+              <th>Last Used</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${apiKeys.map(apiKey => `
+              <tr>
+                <td>
+                  <div class="font-weight-600">${this.escapeHtml(apiKey.name)}</div>
+                  <div class="text-muted" style="font-size: 0.8em;">Created ${this.formatDate(apiKey.created_at)}${apiKey.created_by ? ` by ${this.escapeHtml(apiKey.created_by)}` : ''}</div>
+                </td>
+                <td><code>${apiKey.key_prefix}…</code></td>
+                <td>${apiKey.scopes.join(', ')}</td>
+                <td>${apiKey.account_ids && apiKey.account_ids.length > 0 ? apiKey.account_ids.map(id => this.escapeHtml(accountName(id))).join(', ') : 'All accounts'}</td>
+                <td>${apiKey.last_used_at ? new Date(apiKey.last_used_at).toLocaleString() : 'Never'}</td>
+                <td>
+                  <span class="status-badge ${apiKey.revoked_at ? 'status-disconnected' : 'status-ready'}">
+                    ${apiKey.revoked_at ? 'Revoked' : 'Active'}
+                  </span>
+                </td>
+                <td>
+                  ${apiKey.revoked_at ? '' : `
+                    <button class="btn btn-sm btn-danger" onclick="dashboard.revokeApiKey('${apiKey.id}')">
+                      Revoke
+                    </button>
+                  `}
+                </td>
+              </tr>
+            `).join('')}
+            ${apiKeys.length === 0 ? '<tr><td colspan="7" class="text-center text-muted">No API keys yet</td></tr>' : ''}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  renderUsersView(users) {
+    const contentContainer = document.getElementById('mainContent');
+    if (!contentContainer) return;
+
+    contentContainer.innerHTML = `
+      <div class="content-header">
+        <h2>Users</h2>
+        <p>Dashboard logins and their roles</p>
+      </div>
+      
+      <div class="content-actions">
+        <button class="btn btn-primary" onclick="dashboard.showCreateUserModal()">
+          <i class="fas fa-user-plus"></i> Create User
+        </button>
+      </div>
+      
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>User</th>
+              <th>Role</th>
+              <th>Last Login</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${users.map(user => `
+              <tr>
+                <td>
+                  <div class="font-weight-600">${this.escapeHtml(user.username)}</div>
+                  <div class="text-muted" style="font-size: 0.8em;">${user.display_name ? this.escapeHtml(user.display_name) + ' &middot; ' : ''}Created ${this.formatDate(user.created_at)}</div>
+                </td>
+                <td>
+                  <select class="form-input" onchange="dashboard.changeUserRole('${user.id}', this.value)" ${user.id === this.user.id ? 'disabled' : ''}>
+                    ${['viewer', 'operator', 'admin'].map(role => `
+                      <option value="${role}" ${user.role === role ? 'selected' : ''}>${role}</option>
+                    `).join('')}
+                  </select>
+                </td>
+                <td>${user.last_login_at ? new Date(user.last_login_at).toLocaleString() : 'Never'}</td>
+                <td>
+                  <span class="status-badge ${user.is_active ? 'status-ready' : 'status-disconnected'}">
+                    ${user.is_active ? 'Active' : 'Inactive'}
+                  </span>
+                </td>
+                <td>
+                  <div class="btn-group">
+                    <button class="btn btn-sm btn-secondary" onclick="dashboard.resetUserPassword('${user.id}')">
+                      Reset Password
+                    </button>
+                    ${user.id === this.user.id ? '' : `
+                      <button class="btn btn-sm btn-secondary" onclick="dashboard.toggleUserActive('${user.id}', ${!user.is_active})">
+                        ${user.is_active ? 'Deactivate' : 'Activate'}
+                      </button>
+                      <button class="btn btn-sm btn-danger" onclick="dashboard.deleteUser('${user.id}')">
+                        Delete
+                      </button>
+                    `}
                   </div>
-                  ${log.error_message ? `
-                    <div class="log-error">
-                      <strong>Error:</strong> ${log.error_message}
-                    </div>
-                  ` : ''}
-                </div>
-              `).join('')}
-              
-              ${(logs[account.id] || []).length === 0 ? 
-                '<div class="text-center text-muted">No logs available</div>' : ''
-              }
-            </div>
-          </div>
-        `).join('')}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
       </div>
     `;
   }
+
 }
 
 // Initialize dashboard when DOM is loaded
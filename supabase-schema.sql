@@ -13,6 +13,9 @@ CREATE TABLE whatsapp_accounts (
     session_dir VARCHAR(500),
     qr_code TEXT,
     error_message TEXT,
+    business_hours JSONB, -- weekly schedule, holidays, timezone and away message; NULL = always open
+    default_country VARCHAR(2), -- ISO 3166 country of numbers without a country code; NULL = DEFAULT_COUNTRY
+    send_limits JSONB, -- outbound rate limits and pacing (see utils/sendLimits.js); NULL = unlimited
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -23,6 +26,9 @@ CREATE TABLE webhooks (
     account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
     url VARCHAR(500) NOT NULL,
     secret VARCHAR(255),
+    send_legacy_secret BOOLEAN DEFAULT false, -- also send the raw secret in X-Webhook-Secret
+    inline_media BOOLEAN DEFAULT false, -- also send small media files as base64, not only a signed URL
+    events JSONB, -- subscribed event types; NULL means message and message_ack
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -45,12 +51,224 @@ CREATE TABLE message_logs (
     media JSONB, -- Store media information as JSON
     status VARCHAR(50) DEFAULT 'success', -- 'success', 'failed'
     error_message TEXT,
+    delivery_status VARCHAR(20), -- outgoing only: 'pending', 'sent', 'delivered', 'read', 'played', 'error'
+    sent_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    read_at TIMESTAMP WITH TIME ZONE,
+    played_at TIMESTAMP WITH TIME ZONE,
+    new_contact BOOLEAN DEFAULT false, -- outgoing only: first message of the chat (send_limits.new_contacts_per_day)
     webhook_id UUID REFERENCES webhooks(id),
     webhook_url VARCHAR(500),
     response_status INTEGER,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Webhook Deliveries Table (durable outbound delivery queue)
+CREATE TABLE webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    payload JSONB NOT NULL,
+    status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'delivering', 'delivered', 'dead'
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 8,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    last_response_status INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Dashboard Users Table
+CREATE TABLE users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    username VARCHAR(255) NOT NULL UNIQUE,
+    display_name VARCHAR(255),
+    password_hash VARCHAR(255) NOT NULL, -- bcrypt
+    role VARCHAR(50) NOT NULL DEFAULT 'viewer', -- 'admin', 'operator', 'viewer'
+    is_active BOOLEAN DEFAULT true,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- API Keys Table (programmatic access; only the SHA-256 hash of each key is stored)
+CREATE TABLE api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    key_prefix VARCHAR(50) NOT NULL,
+    key_hash VARCHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL DEFAULT '{}', -- 'send', 'read_logs', 'manage_webhooks'
+    account_ids UUID[], -- NULL or empty = all accounts
+    created_by VARCHAR(255),
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Chat Reads Table (inbox read markers, shared by all dashboard users)
+CREATE TABLE chat_reads (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    chat_id VARCHAR(255) NOT NULL,
+    last_read_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(), -- incoming messages after this are unread
+    read_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (account_id, chat_id)
+);
+
+-- Scheduled Messages Table (messages queued to be sent at a later time)
+CREATE TABLE scheduled_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    number VARCHAR(255) NOT NULL,
+    content JSONB NOT NULL, -- parsed send payload; uploaded media is referenced by media store key
+    send_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    timezone VARCHAR(100) DEFAULT 'UTC', -- zone send_at was entered in, for display
+    status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'sending', 'sent', 'failed', 'cancelled'
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 10,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_error TEXT,
+    message_id VARCHAR(255),
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Campaigns Table (bulk broadcasts sent at a throttled rate)
+CREATE TABLE campaigns (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    account_ids UUID[] NOT NULL, -- accounts the campaign rotates across
+    content JSONB NOT NULL, -- parsed send payload; text is a template with {{placeholders}}
+    messages_per_minute INTEGER DEFAULT 10,
+    jitter_seconds INTEGER DEFAULT 5, -- random extra delay added after each message
+    status VARCHAR(50) DEFAULT 'draft', -- 'draft', 'running', 'paused', 'completed', 'cancelled'
+    next_send_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    created_by VARCHAR(255),
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Campaign Recipients Table (one row per number, linked to its message log entry)
+CREATE TABLE campaign_recipients (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL, -- send order
+    number VARCHAR(255) NOT NULL,
+    variables JSONB, -- template variables from the recipient's CSV row
+    status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'sending', 'sent', 'failed', 'cancelled'
+    account_id UUID REFERENCES whatsapp_accounts(id) ON DELETE SET NULL,
+    message_log_id UUID REFERENCES message_logs(id) ON DELETE SET NULL,
+    message_id VARCHAR(255),
+    error_message TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Message Templates Table (reusable messages with {{placeholders}})
+CREATE TABLE message_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID REFERENCES whatsapp_accounts(id) ON DELETE CASCADE, -- NULL = available to every account
+    name VARCHAR(255) NOT NULL,
+    body TEXT DEFAULT '', -- text or media caption with {{placeholders}}
+    media JSONB, -- media store key and metadata
+    created_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Auto-Reply Rules Table (built-in responses to incoming messages)
+CREATE TABLE auto_reply_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    priority INTEGER DEFAULT 100, -- lowest first; the first matching rule fires
+    is_active BOOLEAN DEFAULT true,
+    conditions JSONB NOT NULL, -- match type and pattern, senders, chat type, hours
+    action JSONB NOT NULL, -- reply, template, forward or tag
+    cooldown_seconds INTEGER DEFAULT 0, -- minimum gap between firings in the same chat
+    match_count INTEGER DEFAULT 0,
+    last_matched_at TIMESTAMP WITH TIME ZONE,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Chat Tags Table (labels on chats, set by auto-reply rules or operators)
+CREATE TABLE chat_tags (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    chat_id VARCHAR(255) NOT NULL,
+    tag VARCHAR(50) NOT NULL,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (account_id, chat_id, tag)
+);
+
+-- Away Messages Table (when each chat last got the away message)
+CREATE TABLE away_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    chat_id VARCHAR(255) NOT NULL,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (account_id, chat_id)
+);
+
+-- Contacts Table (each account's WhatsApp contacts, synced from its client)
+CREATE TABLE contacts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    contact_id VARCHAR(255) NOT NULL, -- WhatsApp id such as 15551234567@c.us
+    number VARCHAR(50),
+    name VARCHAR(255), -- name in the phone's address book
+    pushname VARCHAR(255), -- name the contact set for themselves
+    is_business BOOLEAN DEFAULT false,
+    is_my_contact BOOLEAN DEFAULT false,
+    profile_pic_url TEXT,
+    labels JSONB DEFAULT '[]', -- WhatsApp Business label names
+    synced_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (account_id, contact_id)
+);
+
+-- Group Actions Table (audit log of group management through the API)
+CREATE TABLE group_actions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    group_id VARCHAR(255), -- NULL when creating a group failed
+    action VARCHAR(50) NOT NULL, -- 'create', 'update', 'add', 'remove', 'promote', 'demote', 'get_invite', 'revoke_invite'
+    params JSONB,
+    result JSONB,
+    status VARCHAR(50) NOT NULL, -- 'success', 'failed'
+    error_message TEXT,
+    performed_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Send Requests Table (Idempotency-Key / client_ref of send requests and their results)
+CREATE TABLE send_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(255) NOT NULL,
+    fingerprint VARCHAR(64), -- SHA-256 of the request, to refuse a key reused for another message
+    status VARCHAR(20), -- 'sending', 'sent', 'failed'
+    response JSONB, -- response of the original request, returned for duplicates
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (account_id, idempotency_key)
+);
+
 -- Indexes for better performance
 CREATE INDEX idx_whatsapp_accounts_status ON whatsapp_accounts(status);
 CREATE INDEX idx_whatsapp_accounts_created_at ON whatsapp_accounts(created_at);
@@ -60,12 +278,42 @@ CREATE INDEX idx_message_logs_account_id ON message_logs(account_id);
 CREATE INDEX idx_message_logs_direction ON message_logs(direction);
 CREATE INDEX idx_message_logs_created_at ON message_logs(created_at);
 CREATE INDEX idx_message_logs_status ON message_logs(status);
+CREATE INDEX idx_message_logs_account_created_at ON message_logs(account_id, created_at);
+CREATE INDEX idx_message_logs_account_chat ON message_logs(account_id, chat_id, created_at);
+CREATE INDEX idx_message_logs_account_message_id ON message_logs(account_id, message_id);
+CREATE INDEX idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id);
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX idx_scheduled_messages_due ON scheduled_messages(status, next_attempt_at);
+CREATE INDEX idx_scheduled_messages_account_id ON scheduled_messages(account_id, send_at);
+CREATE INDEX idx_campaigns_status ON campaigns(status, next_send_at);
+CREATE INDEX idx_campaign_recipients_campaign ON campaign_recipients(campaign_id, status, position);
+CREATE INDEX idx_message_templates_account_id ON message_templates(account_id, name);
+CREATE INDEX idx_auto_reply_rules_account_id ON auto_reply_rules(account_id, priority);
+CREATE INDEX idx_contacts_account_name ON contacts(account_id, name);
+CREATE INDEX idx_group_actions_account_id ON group_actions(account_id, created_at);
+CREATE INDEX idx_send_requests_claimed_at ON send_requests(claimed_at);
+CREATE INDEX idx_api_keys_key_hash ON api_keys(key_hash);
+CREATE INDEX idx_users_username ON users(username);
 
 -- Row Level Security (RLS) Policies
 -- Enable RLS on all tables
 ALTER TABLE whatsapp_accounts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE webhooks ENABLE ROW LEVEL SECURITY;
 ALTER TABLE message_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE chat_reads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scheduled_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE campaign_recipients ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE auto_reply_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE chat_tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE away_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE contacts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE group_actions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE send_requests ENABLE ROW LEVEL SECURITY;
 
 -- For this application, we'll allow all operations (you can customize based on your needs)
 CREATE POLICY "Allow all operations on whatsapp_accounts" ON whatsapp_accounts
@@ -77,6 +325,48 @@ CREATE POLICY "Allow all operations on webhooks" ON webhooks
 CREATE POLICY "Allow all operations on message_logs" ON message_logs
     FOR ALL USING (true);
 
+CREATE POLICY "Allow all operations on webhook_deliveries" ON webhook_deliveries
+    FOR ALL USING (true);
+
+CREATE POLICY "Allow all operations on api_keys" ON api_keys
+    FOR ALL USING (true);
+
+CREATE POLICY "Allow all operations on users" ON users
+    FOR ALL USING (true);
+
+CREATE POLICY "Allow all operations on chat_reads" ON chat_reads
+    FOR ALL USING (true);
+
+CREATE POLICY "Allow all operations on scheduled_messages" ON scheduled_messages
+    FOR ALL USING (true);
+
+CREATE POLICY "Allow all operations on campaigns" ON campaigns
+    FOR ALL USING (true);
+
+CREATE POLICY "Allow all operations on campaign_recipients" ON campaign_recipients
+    FOR ALL USING (true);
+
+CREATE POLICY "Allow all operations on message_templates" ON message_templates
+    FOR ALL USING (true);
+
+CREATE POLICY "Allow all operations on auto_reply_rules" ON auto_reply_rules
+    FOR ALL USING (true);
+
+CREATE POLICY "Allow all operations on chat_tags" ON chat_tags
+    FOR ALL USING (true);
+
+CREATE POLICY "Allow all operations on away_messages" ON away_messages
+    FOR ALL USING (true);
+
+CREATE POLICY "Allow all operations on contacts" ON contacts
+    FOR ALL USING (true);
+
+CREATE POLICY "Allow all operations on group_actions" ON group_actions
+    FOR ALL USING (true);
+
+CREATE POLICY "Allow all operations on send_requests" ON send_requests
+    FOR ALL USING (true);
+
 -- Functions for automatic timestamp updates
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -95,6 +385,46 @@ CREATE TRIGGER update_webhooks_updated_at
     BEFORE UPDATE ON webhooks 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_webhook_deliveries_updated_at 
+    BEFORE UPDATE ON webhook_deliveries 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_api_keys_updated_at 
+    BEFORE UPDATE ON api_keys 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_users_updated_at 
+    BEFORE UPDATE ON users 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_chat_reads_updated_at
+    BEFORE UPDATE ON chat_reads
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_scheduled_messages_updated_at
+    BEFORE UPDATE ON scheduled_messages
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_campaigns_updated_at
+    BEFORE UPDATE ON campaigns
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_campaign_recipients_updated_at
+    BEFORE UPDATE ON campaign_recipients
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_message_templates_updated_at
+    BEFORE UPDATE ON message_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_auto_reply_rules_updated_at
+    BEFORE UPDATE ON auto_reply_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_contacts_updated_at
+    BEFORE UPDATE ON contacts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Function to get message statistics
 CREATE OR REPLACE FUNCTION get_message_stats(account_uuid UUID)
 RETURNS TABLE(
@@ -117,6 +447,140 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Function to get message totals across several accounts (NULL = all accounts)
+CREATE OR REPLACE FUNCTION get_message_totals(account_uuids UUID[] DEFAULT NULL)
+RETURNS TABLE(
+    total BIGINT,
+    incoming BIGINT,
+    outgoing BIGINT,
+    success BIGINT,
+    failed BIGINT,
+    webhook_success BIGINT,
+    webhook_failed BIGINT
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT 
+        COUNT(*) as total,
+        COUNT(*) FILTER (WHERE direction = 'incoming') as incoming,
+        COUNT(*) FILTER (WHERE direction = 'outgoing') as outgoing,
+        COUNT(*) FILTER (WHERE status = 'success') as success,
+        COUNT(*) FILTER (WHERE status = 'failed') as failed,
+        COUNT(*) FILTER (WHERE direction = 'webhook' AND status = 'success') as webhook_success,
+        COUNT(*) FILTER (WHERE direction = 'webhook' AND status = 'failed') as webhook_failed
+    FROM message_logs
+    WHERE account_uuids IS NULL OR account_id = ANY(account_uuids);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to get message counts per time bucket ('hour' or 'day'), direction and status
+CREATE OR REPLACE FUNCTION get_message_series(
+    start_at TIMESTAMP WITH TIME ZONE,
+    end_at TIMESTAMP WITH TIME ZONE,
+    bucket_size TEXT DEFAULT 'hour',
+    account_uuids UUID[] DEFAULT NULL
+)
+RETURNS TABLE(
+    bucket TIMESTAMP WITH TIME ZONE,
+    direction VARCHAR(50),
+    status VARCHAR(50),
+    count BIGINT
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT 
+        date_trunc(bucket_size, ml.created_at) as bucket,
+        ml.direction,
+        ml.status,
+        COUNT(*) as count
+    FROM message_logs ml
+    WHERE ml.created_at >= start_at
+      AND ml.created_at < end_at
+      AND (account_uuids IS NULL OR ml.account_id = ANY(account_uuids))
+    GROUP BY 1, 2, 3
+    ORDER BY 1;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to list an account's chats with their latest message and unread count
+CREATE OR REPLACE FUNCTION get_chat_summaries(account_uuid UUID, limit_count INTEGER DEFAULT 100)
+RETURNS TABLE(
+    chat_id VARCHAR(255),
+    is_group BOOLEAN,
+    group_name VARCHAR(255),
+    message_count BIGINT,
+    unread_count BIGINT,
+    last_read_at TIMESTAMP WITH TIME ZONE,
+    last_message TEXT,
+    last_direction VARCHAR(50),
+    last_type VARCHAR(50),
+    last_status VARCHAR(50),
+    last_message_at TIMESTAMP WITH TIME ZONE
+) AS $$
+    WITH conversation AS (
+        SELECT ml.*
+        FROM message_logs ml
+        WHERE ml.account_id = account_uuid
+          AND ml.chat_id IS NOT NULL
+          AND ml.direction IN ('incoming', 'outgoing')
+    ),
+    latest AS (
+        SELECT DISTINCT ON (c.chat_id) c.chat_id, c.message, c.direction, c.type, c.status, c.created_at
+        FROM conversation c
+        ORDER BY c.chat_id, c.created_at DESC, c.id DESC
+    ),
+    totals AS (
+        SELECT
+            c.chat_id,
+            BOOL_OR(c.is_group) as is_group,
+            MAX(c.group_name) as group_name,
+            COUNT(*) as message_count,
+            COUNT(*) FILTER (WHERE c.direction = 'incoming' AND (cr.last_read_at IS NULL OR c.created_at > cr.last_read_at)) as unread_count,
+            MAX(cr.last_read_at) as last_read_at
+        FROM conversation c
+        LEFT JOIN chat_reads cr ON cr.account_id = c.account_id AND cr.chat_id = c.chat_id
+        GROUP BY c.chat_id
+    )
+    SELECT 
+        t.chat_id,
+        t.is_group,
+        t.group_name,
+        t.message_count,
+        t.unread_count,
+        t.last_read_at,
+        l.message,
+        l.direction,
+        l.type,
+        l.status,
+        l.created_at
+    FROM totals t
+    JOIN latest l ON l.chat_id = t.chat_id
+    ORDER BY l.created_at DESC
+    LIMIT limit_count;
+$$ LANGUAGE sql STABLE;
+
+-- Function to count campaign recipients per status
+CREATE OR REPLACE FUNCTION get_campaign_progress(campaign_uuids UUID[])
+RETURNS TABLE(
+    campaign_id UUID,
+    total BIGINT,
+    pending BIGINT,
+    sent BIGINT,
+    failed BIGINT,
+    cancelled BIGINT
+) AS $$
+    SELECT
+        cr.campaign_id,
+        COUNT(*) as total,
+        COUNT(*) FILTER (WHERE cr.status IN ('pending', 'sending')) as pending,
+        COUNT(*) FILTER (WHERE cr.status = 'sent') as sent,
+        COUNT(*) FILTER (WHERE cr.status = 'failed') as failed,
+        COUNT(*) FILTER (WHERE cr.status = 'cancelled') as cancelled
+    FROM campaign_recipients cr
+    WHERE cr.campaign_id = ANY(campaign_uuids)
+    GROUP BY cr.campaign_id;
+$$ LANGUAGE sql STABLE;
+
 -- Function to get recent messages
 CREATE OR REPLACE FUNCTION get_recent_messages(account_uuid UUID, limit_count INTEGER DEFAULT 100)
 RETURNS TABLE(
@@ -154,5 +618,23 @@ $$ LANGUAGE plpgsql;
 COMMENT ON TABLE whatsapp_accounts IS 'Stores WhatsApp account information and status';
 COMMENT ON TABLE webhooks IS 'Stores webhook configurations for each account';
 COMMENT ON TABLE message_logs IS 'Stores all message activity and webhook delivery logs';
+COMMENT ON TABLE users IS 'Stores dashboard users with bcrypt-hashed passwords and roles';
+COMMENT ON TABLE api_keys IS 'Stores hashed API keys with permission and account scopes';
+COMMENT ON TABLE webhook_deliveries IS 'Durable queue of outbound webhook deliveries with retry and dead-letter state';
+COMMENT ON TABLE chat_reads IS 'Stores the last time each chat was read in the dashboard inbox';
+COMMENT ON TABLE scheduled_messages IS 'Messages queued to be sent at a later time, with retry state';
+COMMENT ON TABLE campaigns IS 'Bulk broadcast campaigns with their template, accounts and send rate';
+COMMENT ON TABLE campaign_recipients IS 'Campaign recipients with per-recipient delivery status';
+COMMENT ON TABLE message_templates IS 'Reusable message templates, global or for one account';
+COMMENT ON TABLE auto_reply_rules IS 'Per-account rules that answer, forward or tag incoming messages';
+COMMENT ON TABLE chat_tags IS 'Labels on chats, set by auto-reply rules or from the inbox';
+COMMENT ON TABLE away_messages IS 'Last away message per chat, to send it at most once per interval';
+COMMENT ON TABLE contacts IS 'WhatsApp contacts of each account, synced from its client';
+COMMENT ON TABLE group_actions IS 'Group management actions taken through the API, with their outcome';
+COMMENT ON TABLE send_requests IS 'Idempotency keys of send requests, to answer retries with the original result';
 COMMENT ON FUNCTION get_message_stats(UUID) IS 'Returns message statistics for a specific account';
-COMMENT ON FUNCTION get_recent_messages(UUID, INTEGER) IS 'Returns recent messages for a specific account'; 
\ No newline at end of file
+COMMENT ON FUNCTION get_recent_messages(UUID, INTEGER) IS 'Returns recent messages for a specific account';
+COMMENT ON FUNCTION get_message_totals(UUID[]) IS 'Returns message and webhook delivery totals across accounts';
+COMMENT ON FUNCTION get_message_series(TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, UUID[]) IS 'Returns message counts per time bucket, direction and status'; 
+COMMENT ON FUNCTION get_chat_summaries(UUID, INTEGER) IS 'Returns chats with their latest message and unread count for a specific account';
+COMMENT ON FUNCTION get_campaign_progress(UUID[]) IS 'Returns recipient counts per status for each campaign';
\ No newline at end of file
@@ -1,12 +1,58 @@
-const { db } = require('./config/database');
+const { db, storage } = require('./config/database');
+const webhookSignature = require('./utils/webhookSignature');
+const { encodeCursor, decodeCursor } = require('./utils/logQuery');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mediaStore = require('./utils/mediaStore');
+const { parseSendPayload, buildOutgoingMessage } = require('./utils/messageContent');
+const { parseSchedule } = require('./utils/schedule');
+const { parseRecipients } = require('./utils/campaigns');
+const { renderTemplate, parseTemplateInput, parseTemplatePayload } = require('./utils/messageTemplate');
+const { parseRuleInput, findMatchingRule, buildAutoReply } = require('./utils/autoReply');
+const { parseBusinessHours, isOpen, renderAwayMessage } = require('./utils/businessHours');
+const { ackUpdates } = require('./utils/messageAck');
+const { parseWebhookEvents, isSubscribed } = require('./utils/webhookEvents');
+const { parseParticipants, parseGroupUpdate, serializeGroupDetails } = require('./utils/groups');
+const { contactRow, contactName, parseContactQuery } = require('./utils/contacts');
+const { normalizePhoneNumber, toChatId, parseCountry } = require('./utils/phoneNumber');
+const { parseSendLimits } = require('./utils/sendLimits');
+const sendQueue = require('./utils/sendQueue');
+const { idempotencyKey, requestFingerprint, sendOnce } = require('./utils/idempotency');
+const webhookQueue = require('./utils/webhookQueue');
+const { generateApiKey } = require('./utils/apiKeys');
+const whatsappManager = require('./utils/whatsappManager');
+const eventBus = require('./utils/eventBus');
+const campaignRunner = require('./utils/campaignRunner');
+const { requireAuth, requireSession, requireScope, requireRole, requireAccountAccess, requireSocketAuth } = require('./middleware/auth');
+const { v4: uuidv4 } = require('uuid');
+
+// Run an Express middleware on a stub request; resolves with 'next' or the
+// status it answered with
+function runMiddleware(middleware, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      status: (code) => ({ json: () => resolve(code) }),
+      redirect: () => resolve(302)
+    };
+    Promise.resolve(middleware(req, res, () => resolve('next'))).catch(reject);
+  });
+}
+
+// A stub request for middleware tests
+function stubRequest({ path = '/api/send', headers = {}, session = {}, params = {}, body = {}, apiKey } = {}) {
+  return { path, session, params, body, apiKey, get: (name) => headers[name.toLowerCase()] };
+}
 
 async function testDatabaseConnection() {
   try {
-    console.log('🧪 Testing database connection...');
+    console.log(`🧪 Testing database connection (${storage.backend})...`);
+    
+    // Local backends create their tables from supabase-schema.sql
+    await storage.migrate();
     
     // Test basic database operations
     const testAccount = {
-      id: 'test-' + Date.now(),
       name: 'Test Account',
       description: 'Test account for database connection',
       status: 'test',
@@ -35,16 +81,10 @@ async function testDatabaseConnection() {
     });
     console.log('✅ Account updated:', updatedAccount.description);
 
-    // Test deleting account
-    console.log('🗑️ Testing account deletion...');
-    await db.deleteAccount(createdAccount.id);
-    console.log('✅ Account deleted successfully');
-
     // Test webhook operations
     console.log('🔗 Testing webhook operations...');
     const testWebhook = {
-      id: 'webhook-' + Date.now(),
-      account_id: 'test-account',
+      account_id: createdAccount.id,
       url: 'https://test.com/webhook',
       secret: 'test-secret',
       is_active: true,
@@ -54,16 +94,63 @@ async function testDatabaseConnection() {
     const createdWebhook = await db.createWebhook(testWebhook);
     console.log('✅ Webhook created:', createdWebhook.url);
 
-    const webhooks = await db.getWebhooks('test-account');
+    const webhooks = await db.getWebhooks(createdAccount.id);
     console.log('✅ Retrieved webhooks:', webhooks.length);
 
+    // Webhooks without events keep the ones sent before subscriptions
+    const subscribed = await db.updateWebhook(createdWebhook.id, { events: parseWebhookEvents('call, change_state,call') });
+    if (!isSubscribed(createdWebhook, 'message') || isSubscribed(createdWebhook, 'call')
+      || !isSubscribed(subscribed, 'call') || isSubscribed(subscribed, 'message')
+      || JSON.stringify(subscribed.events) !== '["call","change_state"]') {
+      throw new Error(`Webhook events were not applied: ${JSON.stringify(subscribed.events)}`);
+    }
+    for (const invalid of [[], 'message,typing']) {
+      try {
+        parseWebhookEvents(invalid);
+        throw new Error(`Invalid webhook events were accepted: ${invalid}`);
+      } catch (error) {
+        if (error.statusCode !== 400) throw error;
+      }
+    }
+    console.log('✅ Webhook event subscriptions work');
+
+    // Test webhook delivery queue
+    console.log('📬 Testing webhook delivery queue...');
+    const delivery = await db.createWebhookDelivery({
+      account_id: createdAccount.id,
+      webhook_id: createdWebhook.id,
+      payload: { message: 'Test delivery' },
+      status: 'pending',
+      attempts: 0,
+      max_attempts: 3,
+      next_attempt_at: new Date().toISOString()
+    });
+    console.log('✅ Delivery queued:', delivery.id);
+
+    const claimed = await db.transitionWebhookDelivery(delivery.id, 'pending', { status: 'delivering' });
+    const claimedAgain = await db.transitionWebhookDelivery(delivery.id, 'pending', { status: 'delivering' });
+    if (!claimed || claimedAgain) {
+      throw new Error('Delivery claim is not exclusive');
+    }
+    console.log('✅ Delivery claimed exclusively');
+
+    await db.updateWebhookDelivery(delivery.id, { status: 'dead', attempts: 3, last_error: 'Test failure' });
+    const deadDeliveries = await db.getWebhookDeliveries(createdWebhook.id, { status: 'dead' });
+    console.log('✅ Retrieved dead deliveries:', deadDeliveries.length);
+
+    const unknownDelivery = uuidv4();
+    if (await db.getWebhookDelivery(unknownDelivery) !== null || await webhookQueue.replay(unknownDelivery) !== null) {
+      throw new Error('An unknown delivery was not reported as missing');
+    }
+    console.log('✅ Unknown deliveries are not found');
+
     await db.deleteWebhook(createdWebhook.id);
     console.log('✅ Webhook deleted successfully');
 
     // Test message logging
     console.log('💬 Testing message logging...');
     const testMessage = {
-      account_id: 'test-account',
+      account_id: createdAccount.id,
       direction: 'outgoing',
       message: 'Test message',
       status: 'success',
@@ -73,12 +160,609 @@ async function testDatabaseConnection() {
     const loggedMessage = await db.logMessage(testMessage);
     console.log('✅ Message logged:', loggedMessage.message);
 
-    const messageLogs = await db.getMessageLogs('test-account', 10);
+    const messageLogs = await db.getMessageLogs(createdAccount.id, 10);
     console.log('✅ Retrieved message logs:', messageLogs.length);
 
-    const messageStats = await db.getMessageStats('test-account');
+    const messageStats = await db.getMessageStats(createdAccount.id);
     console.log('✅ Message stats:', messageStats);
 
+    const messageTotals = await db.getMessageTotals([createdAccount.id]);
+    if (messageTotals.outgoing !== messageStats.outgoing) {
+      throw new Error('Message totals do not match per-account stats');
+    }
+    console.log('✅ Message totals:', messageTotals);
+
+    const series = await db.getMessageSeries({
+      from: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+      to: new Date(Date.now() + 60 * 1000).toISOString(),
+      bucket: 'hour',
+      accountIds: [createdAccount.id]
+    });
+    const seriesOutgoing = series
+      .filter(row => row.direction === 'outgoing')
+      .reduce((sum, row) => sum + row.count, 0);
+    if (seriesOutgoing !== messageStats.outgoing) {
+      throw new Error('Message series does not match per-account stats');
+    }
+    console.log('✅ Message series buckets:', series.length);
+
+    // Test log search: filters, free text and cursor pagination
+    await db.logMessage({ account_id: createdAccount.id, direction: 'incoming', message: '100% done_ok', status: 'success' });
+    await db.logMessage({ account_id: createdAccount.id, direction: 'incoming', message: '100 percent done', status: 'failed' });
+
+    const matches = await db.searchMessageLogs({ accountIds: [createdAccount.id], filters: { search: '100% done_' } });
+    if (matches.logs.length !== 1) {
+      throw new Error('Log search did not match free text literally');
+    }
+
+    const pages = [];
+    let cursor = null;
+    do {
+      const page = await db.searchMessageLogs({ accountIds: [createdAccount.id], cursor, limit: 1 });
+      pages.push(...page.logs);
+      cursor = page.hasMore ? decodeCursor(encodeCursor(page.logs[page.logs.length - 1])) : null;
+    } while (cursor);
+    if (pages.length !== 3 || new Set(pages.map(log => log.id)).size !== 3) {
+      throw new Error('Log pagination skipped or repeated rows');
+    }
+
+    const failedIncoming = await db.searchMessageLogs({
+      accountIds: [createdAccount.id],
+      filters: { direction: ['incoming'], status: ['failed'] }
+    });
+    console.log('✅ Log search returned', matches.logs.length, 'text match,', pages.length, 'paged rows,', failedIncoming.logs.length, 'failed incoming');
+
+    // Test conversation inbox: chat summaries and read markers
+    const chatId = '15550001111@c.us';
+    const sentAt = Date.now();
+    await db.logMessage({ account_id: createdAccount.id, direction: 'incoming', chat_id: chatId, message: 'Hi', status: 'success', created_at: new Date(sentAt).toISOString() });
+    await db.logMessage({ account_id: createdAccount.id, direction: 'outgoing', chat_id: chatId, message: 'Hello!', status: 'success', created_at: new Date(sentAt + 1).toISOString() });
+
+    let [chat] = await db.getChatSummaries(createdAccount.id);
+    if (!chat || chat.chat_id !== chatId || chat.unread_count !== 1 || chat.last_message !== 'Hello!') {
+      throw new Error('Chat summary is wrong');
+    }
+
+    await db.markChatRead(createdAccount.id, chatId, { readBy: 'test' });
+    await db.markChatRead(createdAccount.id, chatId, { readBy: 'test' });
+    [chat] = await db.getChatSummaries(createdAccount.id);
+    if (chat.unread_count !== 0) {
+      throw new Error('Chat is still unread after marking it read');
+    }
+    console.log('✅ Chat summaries and read markers work');
+
+    // Test scheduled messages: local times in a timezone, due jobs and exclusive claims
+    console.log('⏰ Testing scheduled messages...');
+    const schedule = parseSchedule(
+      { send_at: '2030-01-15 09:30', timezone: 'America/New_York' },
+      { now: new Date('2030-01-01T00:00:00Z') }
+    );
+    if (schedule.sendAt !== '2030-01-15T14:30:00.000Z') {
+      throw new Error(`Scheduled time was not converted from the timezone: ${schedule.sendAt}`);
+    }
+
+    const job = await db.createScheduledMessage({
+      account_id: createdAccount.id,
+      number: '15550001111',
+      content: { type: 'text', text: 'Later' },
+      send_at: new Date(Date.now() - 1000).toISOString(),
+      next_attempt_at: new Date(Date.now() - 1000).toISOString(),
+      status: 'pending',
+      attempts: 0,
+      max_attempts: 3
+    });
+    const dueJobs = await db.getDueScheduledMessages();
+    if (!dueJobs.some(dueJob => dueJob.id === job.id) || dueJobs[0].content.text !== 'Later') {
+      throw new Error('Due scheduled message was not returned');
+    }
+
+    const claimedJob = await db.transitionScheduledMessage(job.id, 'pending', { status: 'sending' });
+    const claimedJobAgain = await db.transitionScheduledMessage(job.id, 'pending', { status: 'sending' });
+    if (!claimedJob || claimedJobAgain) {
+      throw new Error('Scheduled message claim is not exclusive');
+    }
+
+    const resetJobs = await db.resetStaleScheduledMessages();
+    const pendingJobs = await db.getScheduledMessages({ accountIds: [createdAccount.id], status: ['pending'] });
+    if (resetJobs !== 1 || pendingJobs.length !== 1) {
+      throw new Error('Interrupted scheduled message was not requeued');
+    }
+    console.log('✅ Scheduled messages are converted, claimed and requeued');
+
+    // Test campaigns: CSV recipients, templates, claims and progress counts
+    console.log('📣 Testing campaigns...');
+    const template = 'Hi {{name}} ({{number}})';
+    const recipients = parseRecipients({
+      csv: 'number,name\r\n15550002222,Ann\r\n"15550003333","Bo, Jr."\r\n15550002222,Dup\r\n',
+      template,
+      defaultCountry: 'US'
+    });
+    if (recipients.length !== 2 || recipients[1].variables.name !== 'Bo, Jr.') {
+      throw new Error('Campaign CSV was not parsed and deduplicated');
+    }
+    const sameChat = parseRecipients({
+      recipients: ['+919876543210', '919876543210', '098765 43210', '919876543210@c.us', '+15550002222'],
+      template: 'Hi',
+      defaultCountry: 'IN'
+    });
+    if (sameChat.length !== 2 || sameChat[0].number !== '+919876543210') {
+      throw new Error(`Campaign numbers were not deduplicated in E.164 form: ${sameChat.length} recipients`);
+    }
+    for (const [numbers, defaultCountry] of [[['12345'], 'IN'], [['9876543210'], null]]) {
+      try {
+        parseRecipients({ recipients: numbers, template: 'Hi', defaultCountry });
+        throw new Error(`Campaign number ${numbers[0]} was accepted`);
+      } catch (error) {
+        if (error.statusCode !== 400) throw error;
+      }
+    }
+    if (renderTemplate(template, { ...recipients[1].variables, number: recipients[1].number }) !== 'Hi Bo, Jr. (15550003333)') {
+      throw new Error('Template was not rendered');
+    }
+    try {
+      parseRecipients({ csv: 'number,name\n15550004444,\n', template, defaultCountry: 'US' });
+      throw new Error('Recipient without a template variable was accepted');
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+    }
+
+    const campaign = await db.createCampaign({
+      name: 'Test campaign',
+      account_ids: [createdAccount.id],
+      content: { type: 'text', text: template },
+      messages_per_minute: 10,
+      jitter_seconds: 0,
+      status: 'running',
+      next_send_at: new Date(Date.now() - 1000).toISOString()
+    });
+    await db.addCampaignRecipients(recipients.map((recipient, index) => ({
+      campaign_id: campaign.id,
+      position: index + 1,
+      number: recipient.number,
+      variables: recipient.variables,
+      status: 'pending'
+    })));
+    if (!(await db.getDueCampaigns()).some(dueCampaign => dueCampaign.id === campaign.id)) {
+      throw new Error('Due campaign was not returned');
+    }
+
+    const nextRecipient = await db.getNextCampaignRecipient(campaign.id);
+    const claimedRecipient = await db.transitionCampaignRecipient(nextRecipient.id, 'pending', { status: 'sending' });
+    const claimedRecipientAgain = await db.transitionCampaignRecipient(nextRecipient.id, 'pending', { status: 'sending' });
+    if (nextRecipient.position !== 1 || !claimedRecipient || claimedRecipientAgain) {
+      throw new Error('Campaign recipient claim is not exclusive or out of order');
+    }
+    await db.updateCampaignRecipient(nextRecipient.id, { status: 'sent', sent_at: new Date().toISOString() });
+    await db.cancelCampaignRecipients(campaign.id);
+
+    const progress = (await db.getCampaignProgress([campaign.id]))[campaign.id];
+    if (progress.total !== 2 || progress.sent !== 1 || progress.cancelled !== 1 || progress.pending !== 0) {
+      throw new Error(`Unexpected campaign progress: ${JSON.stringify(progress)}`);
+    }
+    await db.transitionCampaign(campaign.id, ['running'], { status: 'cancelled' });
+    console.log('✅ Campaign recipients are parsed, claimed and counted');
+
+    // Test message templates: global and per-account lookup, rendering and missing variables
+    console.log('📝 Testing message templates...');
+    const templateInput = parseTemplateInput({ name: ' Order ready ', body: 'Order {{order_id}} is ready' });
+    const accountTemplate = await db.createMessageTemplate({ account_id: createdAccount.id, ...templateInput });
+    const globalTemplate = await db.createMessageTemplate({ account_id: null, name: 'Welcome', body: 'Welcome!' });
+    const otherAccount = await db.createAccount({ name: 'Other Account', status: 'disconnected' });
+
+    const accountTemplates = await db.getMessageTemplates({ accountId: createdAccount.id });
+    const otherTemplates = await db.getMessageTemplates({ accountId: otherAccount.id });
+    if (accountTemplates.length !== 2 || otherTemplates.length !== 1 || otherTemplates[0].id !== globalTemplate.id) {
+      throw new Error('Templates were not scoped to their account');
+    }
+
+    const templated = parseTemplatePayload(accountTemplate, { variables: '{"order_id":"A-17"}', as_document: 'true' });
+    if (templated.text !== 'Order A-17 is ready' || !templated.asDocument) {
+      throw new Error(`Template was not applied: ${templated.text}`);
+    }
+    try {
+      parseTemplatePayload(accountTemplate, { variables: {} });
+      throw new Error('Template without its variables was accepted');
+    } catch (error) {
+      if (error.statusCode !== 400 || !error.message.includes('order_id')) throw error;
+    }
+
+    await db.deleteMessageTemplate(globalTemplate.id);
+    await db.deleteAccount(otherAccount.id);
+    console.log('✅ Message templates are scoped and rendered');
+
+    // Test auto-reply rules: matching, priority order, replies and chat tags
+    console.log('🤖 Testing auto-reply rules...');
+    const keywordRule = await db.createAutoReplyRule({
+      account_id: createdAccount.id,
+      ...parseRuleInput({
+        name: 'Hours',
+        priority: 20,
+        conditions: { match: 'keywords', keywords: 'hours, open', chat_type: 'private' },
+        action: { type: 'reply', text: 'Hi {{sender}}, we open at 9' }
+      })
+    });
+    const regexRule = await db.createAutoReplyRule({
+      account_id: createdAccount.id,
+      ...parseRuleInput({
+        name: 'Orders',
+        priority: 10,
+        conditions: JSON.stringify({ match: 'regex', pattern: '^order\\s+\\d+' }),
+        action: JSON.stringify({ type: 'tag', tag: 'orders' })
+      })
+    });
+    // Friday nights in Berlin; 2024-05-04T02:00Z is 04:00 on the Saturday morning there
+    const nightRule = parseRuleInput({
+      name: 'Night',
+      conditions: { hours: { from: '22:00', to: '06:00', days: [5], timezone: 'Europe/Berlin' } },
+      action: { type: 'forward', number: '+15550009999' }
+    });
+
+    const rules = await db.getAutoReplyRules(createdAccount.id, { activeOnly: true });
+    const incoming = { sender: '15551234567@c.us', chat_id: '15551234567@c.us', is_group: false };
+    const match = (message, ruleList = rules, now) => findMatchingRule(ruleList, { ...incoming, ...message }, now);
+    if (rules[0].id !== regexRule.id
+      || match({ message: 'Order 42 please' })?.id !== regexRule.id
+      || match({ message: 'When are you OPEN?' })?.id !== keywordRule.id
+      || match({ message: 'Do you reopen soon?' })
+      || match({ message: 'open?', is_group: true })) {
+      throw new Error('Auto-reply rules did not match as expected');
+    }
+    if (findMatchingRule([{ ...nightRule, is_active: true }], incoming, new Date('2024-05-04T02:00:00Z'))?.name !== 'Night'
+      || findMatchingRule([{ ...nightRule, is_active: true }], incoming, new Date('2024-05-04T05:00:00Z'))) {
+      throw new Error('Auto-reply hours were not applied');
+    }
+
+    const reply = buildAutoReply(keywordRule, { ...incoming, message: 'open?' });
+    if (reply.to !== incoming.chat_id || reply.content.text !== 'Hi 15551234567, we open at 9') {
+      throw new Error(`Unexpected auto-reply: ${JSON.stringify(reply)}`);
+    }
+    const forward = buildAutoReply(nightRule, { ...incoming, message: 'Hello?' });
+    if (forward.to !== '+15550009999' || forward.content.text !== 'Forwarded from 15551234567:\nHello?') {
+      throw new Error(`Unexpected forward: ${JSON.stringify(forward)}`);
+    }
+    try {
+      parseRuleInput({ name: 'Bad', action: { type: 'reply', text: 'Hi {{name}}' } });
+      throw new Error('Reply with an unknown variable was accepted');
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+    }
+
+    await db.addChatTag(createdAccount.id, incoming.chat_id, 'orders');
+    await db.addChatTag(createdAccount.id, incoming.chat_id, 'orders');
+    await db.addChatTag(createdAccount.id, incoming.chat_id, 'vip');
+    await db.removeChatTag(createdAccount.id, incoming.chat_id, 'vip');
+    const chatTags = await db.getChatTags(createdAccount.id);
+    if (JSON.stringify(chatTags) !== JSON.stringify({ [incoming.chat_id]: ['orders'] })) {
+      throw new Error(`Unexpected chat tags: ${JSON.stringify(chatTags)}`);
+    }
+
+    // A cooldown suppresses repeats in a chat and is forgotten when it ends
+    const cooldownKey = `${regexRule.id}:${incoming.chat_id}`;
+    await whatsappManager.applyAutoReply(createdAccount.id, { ...incoming, message: 'order 1' });
+    if (whatsappManager.autoReplyCooldowns.has(cooldownKey)) {
+      throw new Error('A rule without a cooldown kept a cooldown entry');
+    }
+    await db.updateAutoReplyRule(regexRule.id, { cooldown_seconds: 1 });
+    await whatsappManager.applyAutoReply(createdAccount.id, { ...incoming, message: 'order 2' });
+    await whatsappManager.applyAutoReply(createdAccount.id, { ...incoming, message: 'order 3' });
+    const firedRule = (await db.getAutoReplyRules(createdAccount.id)).find(rule => rule.id === regexRule.id);
+    if (firedRule.match_count !== 2 || !whatsappManager.autoReplyCooldowns.has(cooldownKey)) {
+      throw new Error(`Auto-reply cooldown was not applied: ${firedRule.match_count} matches`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    if (whatsappManager.autoReplyCooldowns.has(cooldownKey)) {
+      throw new Error('An ended auto-reply cooldown was kept');
+    }
+    console.log('✅ Auto-reply rules match, reply and tag');
+
+    // Test business hours: weekly windows, holidays and the away message interval
+    console.log('🕘 Testing business hours...');
+    const businessHours = parseBusinessHours({
+      timezone: 'America/New_York',
+      schedule: [{ days: [1, 2, 3, 4, 5], from: '09:00', to: '17:00' }, { days: [6], from: '10:00', to: '14:00' }],
+      holidays: '2024-07-04',
+      away_message: 'Hi {{sender}}, we are closed',
+      away_interval_minutes: '60'
+    });
+    // 2024-07-03 is a Wednesday; 13:00Z is 09:00 in New York
+    if (!isOpen(businessHours, new Date('2024-07-03T13:00:00Z'))
+      || isOpen(businessHours, new Date('2024-07-03T12:59:00Z'))
+      || isOpen(businessHours, new Date('2024-07-04T15:00:00Z'))
+      || !isOpen(businessHours, new Date('2024-07-06T15:00:00Z'))
+      || isOpen(businessHours, new Date('2024-07-07T15:00:00Z'))) {
+      throw new Error('Business hours were not applied');
+    }
+    if (renderAwayMessage(businessHours, incoming) !== 'Hi 15551234567, we are closed') {
+      throw new Error('Away message was not rendered');
+    }
+    for (const invalid of [{ schedule: [] }, { schedule: [{ from: '9:00', to: '17:00' }] }, { schedule: [{ from: '09:00', to: '17:00' }], holidays: ['2024-02-30'] }]) {
+      try {
+        parseBusinessHours(invalid);
+        throw new Error(`Invalid business hours were accepted: ${JSON.stringify(invalid)}`);
+      } catch (error) {
+        if (error.statusCode !== 400) throw error;
+      }
+    }
+
+    const firstAway = await db.claimAwayMessage(createdAccount.id, incoming.chat_id, 60);
+    const repeatedAway = await db.claimAwayMessage(createdAccount.id, incoming.chat_id, 60);
+    const otherChatAway = await db.claimAwayMessage(createdAccount.id, '15559876543@c.us', 60);
+    if (!firstAway || repeatedAway || !otherChatAway) {
+      throw new Error('Away messages were not limited to one per interval');
+    }
+    console.log('✅ Business hours and away messages work');
+
+    // Test delivery receipts: acks only move forward and fill skipped timestamps
+    console.log('✔️ Testing delivery receipts...');
+    const sentLog = await db.logMessage({
+      account_id: createdAccount.id,
+      direction: 'outgoing',
+      message_id: 'true_15551234567@c.us_ACKTEST',
+      recipient: incoming.chat_id,
+      chat_id: incoming.chat_id,
+      message: 'Tracked',
+      status: 'success',
+      delivery_status: 'pending'
+    });
+    const found = await db.getOutgoingMessageLog(createdAccount.id, 'true_15551234567@c.us_ACKTEST');
+    const readLog = await db.updateMessageLog(found.id, ackUpdates(found, 3, '2024-05-01T09:03:00.000Z'));
+    if (found.id !== sentLog.id || readLog.delivery_status !== 'read'
+      || readLog.sent_at !== '2024-05-01T09:03:00.000Z' || readLog.delivered_at !== '2024-05-01T09:03:00.000Z') {
+      throw new Error(`Read receipt was not recorded: ${JSON.stringify(readLog)}`);
+    }
+    if (ackUpdates(readLog, 2) || ackUpdates(readLog, -1) || ackUpdates(readLog, 7)) {
+      throw new Error('A stale ack would have moved a message backwards');
+    }
+    if (ackUpdates({ delivery_status: 'sent' }, -1)?.delivery_status !== 'error'
+      || ackUpdates({ delivery_status: 'error' }, 2)?.delivery_status !== 'delivered') {
+      throw new Error('Ack errors were not applied');
+    }
+    console.log('✅ Delivery receipts are recorded in order');
+
+    // Test group requests and the group action log
+    console.log('👥 Testing groups...');
+    const updates = parseGroupUpdate({ subject: ' Team ', messages_admins_only: 'true' });
+    if (updates.subject !== 'Team' || updates.messages_admins_only !== true || 'description' in updates
+      || parseParticipants('+1 555 123 4567,\n15559876543@c.us, +1 555 123 4567').length !== 2) {
+      throw new Error(`Group request was not parsed: ${JSON.stringify(updates)}`);
+    }
+    for (const invalid of [{}, { subject: '' }, { info_admins_only: 'yes' }]) {
+      try {
+        parseGroupUpdate(invalid);
+        throw new Error(`Invalid group update was accepted: ${JSON.stringify(invalid)}`);
+      } catch (error) {
+        if (error.statusCode !== 400) throw error;
+      }
+    }
+    const group = serializeGroupDetails({
+      id: { _serialized: '123-456@g.us' },
+      name: 'Team',
+      groupMetadata: {
+        desc: 'Support team',
+        creation: 1714554000,
+        announce: true,
+        participants: [
+          { id: { _serialized: '15551234567@c.us' }, isAdmin: false, isSuperAdmin: true },
+          { id: { _serialized: '15559876543@c.us' }, isAdmin: false, isSuperAdmin: false }
+        ]
+      }
+    });
+    if (group.participant_count !== 2 || group.admins.join() !== '15551234567@c.us' || !group.settings.messages_admins_only) {
+      throw new Error(`Group was not serialized: ${JSON.stringify(group)}`);
+    }
+
+    await db.logGroupAction({
+      account_id: createdAccount.id,
+      group_id: '123-456@g.us',
+      action: 'add',
+      params: { participants: ['15559876543'] },
+      result: { participants: { '15559876543@c.us': { code: 200 } } },
+      status: 'success',
+      performed_by: 'test'
+    });
+    const groupActions = await db.getGroupActions(createdAccount.id, { groupId: '123-456@g.us' });
+    if (groupActions.length !== 1 || groupActions[0].params.participants[0] !== '15559876543') {
+      throw new Error('Group action was not logged');
+    }
+    console.log('✅ Group requests are validated and logged');
+
+    // Test synced contacts and their search
+    console.log('📇 Testing contacts...');
+    const waContact = (user, fields) => ({ id: { _serialized: `${user}@c.us`, user }, isMyContact: true, ...fields });
+    await db.upsertContacts(createdAccount.id, [
+      contactRow(waContact('15551234567', { name: 'Jane 100%', pushname: 'J' }), { profile_pic_url: 'https://pps.example/jane.jpg', labels: ['VIP'] }),
+      contactRow(waContact('15559876543', { pushname: 'Bob' }), { profile_pic_url: null, labels: [] })
+    ]);
+    // A name update from an incoming message keeps the synced picture
+    await db.upsertContacts(createdAccount.id, [contactRow(waContact('15551234567', { name: 'Jane 100%', pushname: 'Janie' }))]);
+    const jane = await db.getContact(createdAccount.id, '15551234567@c.us');
+    if (jane.pushname !== 'Janie' || jane.profile_pic_url !== 'https://pps.example/jane.jpg' || jane.labels[0] !== 'VIP') {
+      throw new Error(`Contact was not upserted: ${JSON.stringify(jane)}`);
+    }
+    const contactQuery = parseContactQuery({ q: ' 100% ', limit: '9999' });
+    const foundContacts = await db.searchContacts(createdAccount.id, contactQuery);
+    const byNumber = await db.searchContacts(createdAccount.id, parseContactQuery({ q: '9876' }));
+    if (contactQuery.limit !== 500 || foundContacts.length !== 1 || foundContacts[0].number !== '15551234567'
+      || byNumber.length !== 1 || contactName(byNumber[0]) !== 'Bob'
+      || (await db.searchContacts(createdAccount.id, parseContactQuery({ q: '_' }))).length !== 0) {
+      throw new Error(`Contact search returned the wrong contacts: ${JSON.stringify(foundContacts)}`);
+    }
+    const named = await db.getContactsByIds([createdAccount.id], ['15559876543@c.us', '15550000000@c.us']);
+    if (named.length !== 1 || contactName(named[0]) !== 'Bob' || contactName(null) !== null) {
+      throw new Error('Contacts were not looked up by id');
+    }
+    console.log('✅ Contacts are synced and searchable');
+
+    // Test send limits and the send queue
+    console.log('🚦 Testing send limits...');
+    const sendLimits = parseSendLimits({ per_minute: '2', jitter_seconds: 0, typing: 'true' });
+    if (sendLimits.per_minute !== 2 || !sendLimits.typing || 'jitter_seconds' in sendLimits || parseSendLimits({}) !== null) {
+      throw new Error(`Send limits were not parsed: ${JSON.stringify(sendLimits)}`);
+    }
+    for (const invalid of [{ per_minute: 0 }, { per_hour: 1.5 }, { min_interval_seconds: 601 }, 'fast']) {
+      try {
+        parseSendLimits(invalid);
+        throw new Error(`Invalid send limits were accepted: ${JSON.stringify(invalid)}`);
+      } catch (error) {
+        if (error.statusCode !== 400) throw error;
+      }
+    }
+
+    const limitedAccount = await db.createAccount({ name: 'Limited Account', status: 'disconnected' });
+    for (const chatId of ['15550000001@c.us', '15550000002@c.us']) {
+      await db.logMessage({
+        account_id: limitedAccount.id,
+        direction: 'outgoing',
+        chat_id: chatId,
+        message: 'Hi',
+        status: 'success',
+        new_contact: true,
+        created_at: new Date(Date.now() - 10000).toISOString()
+      });
+    }
+    const queueSend = (chatId, limits, sendMs = 0) => sendQueue.enqueue(limitedAccount.id, chatId, limits, async ({ newContact }) => {
+      await new Promise(resolve => setTimeout(resolve, sendMs));
+      return { newContact };
+    });
+    const expectLimited = async (promise, name) => {
+      try {
+        await promise;
+      } catch (error) {
+        if (error.statusCode !== 429 || !(error.retryAfter > 0)) throw error;
+        return error;
+      }
+      throw new Error(`Send was not limited: ${name}`);
+    };
+
+    const perMinute = await expectLimited(queueSend('15550000003@c.us', { per_minute: 2 }), 'per_minute');
+    if (perMinute.retryAfter < 45 || perMinute.retryAfter > 51) {
+      throw new Error(`Retry-after was not taken from the oldest send: ${perMinute.retryAfter}`);
+    }
+    await expectLimited(queueSend('15550000001@c.us', { recipient_cooldown_seconds: 60 }), 'recipient cooldown');
+    await expectLimited(queueSend('15550000003@c.us', { new_contacts_per_day: 2 }), 'new contacts');
+    const known = await queueSend('15550000001@c.us', { new_contacts_per_day: 2, per_minute: 3 });
+    const fresh = await queueSend('15550000003@c.us', { per_minute: 3, recipient_cooldown_seconds: 60 });
+    if (known.newContact || !fresh.newContact) {
+      throw new Error('New contacts were not told apart from known chats');
+    }
+    // Queued messages count towards the limit before they are logged
+    const concurrent = await Promise.allSettled([
+      queueSend('15550000004@c.us', { per_minute: 3 }, 100),
+      queueSend('15550000005@c.us', { per_minute: 3 }, 100)
+    ]);
+    if (concurrent.filter(result => result.status === 'rejected' && result.reason.statusCode === 429).length !== 1) {
+      throw new Error('Concurrent sends were not limited together');
+    }
+    // Pacing is waited out only up to maxWaitMs (SEND_MAX_WAIT_SECONDS, 30s by default)
+    const paced = (limits, options) => sendQueue.enqueue(limitedAccount.id, '15550000006@c.us', limits, async () => 'sent', options);
+    const longWait = await expectLimited(paced({ min_interval_seconds: 600 }), 'long pacing wait');
+    if (longWait.retryAfter < 560 || longWait.retryAfter > 570) {
+      throw new Error(`Retry-after did not leave the allowed wait: ${longWait.retryAfter}`);
+    }
+    await expectLimited(paced({ min_interval_seconds: 1 }, { maxWaitMs: 0 }), 'pacing without waiting');
+    const pacedAt = Date.now();
+    if (await paced({ min_interval_seconds: 1 }) !== 'sent' || Date.now() - pacedAt < 900) {
+      throw new Error('Send was not paced');
+    }
+
+    // A campaign on a paced account is rescheduled instead of holding up the others
+    await db.updateAccount(limitedAccount.id, { send_limits: { min_interval_seconds: 60 } });
+    whatsappManager.accountStatus.set(limitedAccount.id, 'ready');
+    const pacedCampaign = await db.createCampaign({
+      name: 'Paced campaign',
+      account_ids: [limitedAccount.id],
+      content: { type: 'text', text: 'Hi' },
+      messages_per_minute: 60,
+      jitter_seconds: 0,
+      status: 'running',
+      next_send_at: new Date().toISOString()
+    });
+    await db.addCampaignRecipients([{ campaign_id: pacedCampaign.id, position: 1, number: '+15550000007', variables: {}, status: 'pending' }]);
+    const campaignStartedAt = Date.now();
+    await campaignRunner.sendNext(pacedCampaign);
+    const rescheduled = await db.getCampaign(pacedCampaign.id);
+    const retryIn = Date.parse(rescheduled.next_send_at) - Date.now();
+    whatsappManager.accountStatus.delete(limitedAccount.id);
+    if (Date.now() - campaignStartedAt > 5000 || retryIn < 50000 || retryIn > 61000
+      || (await db.getNextCampaignRecipient(pacedCampaign.id))?.status !== 'pending') {
+      throw new Error(`Paced campaign was not rescheduled: next send in ${retryIn}ms`);
+    }
+    await db.cancelCampaignRecipients(pacedCampaign.id);
+    await db.transitionCampaign(pacedCampaign.id, ['running'], { status: 'cancelled' });
+    await db.deleteAccount(limitedAccount.id);
+    console.log('✅ Sends over the limits are refused with a retry time');
+
+    // Test idempotent sends
+    console.log('🔁 Testing idempotent sends...');
+    const sendRequest = (body, header) => ({ body, get: (name) => (name === 'Idempotency-Key' ? header : undefined) });
+    const request = sendRequest({ account_id: createdAccount.id, number: '+15551234567', message: 'Shipped', client_ref: 'ref-1' });
+    if (idempotencyKey(request) !== 'ref-1' || idempotencyKey(sendRequest({ client_ref: 'ref-1' }, ' key-1 ')) !== 'key-1'
+      || idempotencyKey(sendRequest({})) !== null
+      || requestFingerprint(request) !== requestFingerprint(sendRequest({ ...request.body, webhook_secret: 'x', client_ref: 'ref-2' }))
+      || requestFingerprint(request) === requestFingerprint(sendRequest({ ...request.body, message: 'Delivered' }))) {
+      throw new Error('Idempotency keys or request fingerprints were not derived');
+    }
+
+    let sends = 0;
+    const fingerprint = requestFingerprint(request);
+    const sendShipped = () => sendOnce(createdAccount.id, 'ref-1', fingerprint, async () => ({ messageId: `msg-${++sends}` }));
+    const first = await sendShipped();
+    const repeat = await sendShipped();
+    if (sends !== 1 || first.replayed || !repeat.replayed || repeat.result.messageId !== 'msg-1') {
+      throw new Error(`Repeated send was not deduplicated: ${JSON.stringify(repeat)}`);
+    }
+    try {
+      await sendOnce(createdAccount.id, 'ref-1', 'other-fingerprint', async () => ({}));
+      throw new Error('A reused key was accepted for another message');
+    } catch (error) {
+      if (error.statusCode !== 422) throw error;
+    }
+
+    const failing = () => sendOnce(createdAccount.id, 'ref-2', fingerprint, async () => {
+      if (++sends === 2) throw new Error('Client not ready');
+      return { messageId: `msg-${sends}` };
+    });
+    await failing().catch(error => {
+      if (error.message !== 'Client not ready') throw error;
+    });
+    if ((await failing()).result.messageId !== 'msg-3') {
+      throw new Error('A failed send did not free its key');
+    }
+
+    // A send left 'sending' (e.g. by a restart) is a 409 until it goes stale
+    await db.claimSendRequest(createdAccount.id, 'ref-3', fingerprint,
+      new Date(Date.now() - 60000).toISOString(), new Date(Date.now() - 60000).toISOString());
+    const stuck = () => sendOnce(createdAccount.id, 'ref-3', fingerprint, async () => ({ messageId: `msg-${++sends}` }));
+    try {
+      await stuck();
+      throw new Error('A key that is still sending was claimed again');
+    } catch (error) {
+      if (error.statusCode !== 409) throw error;
+    }
+    await db.updateSendRequest(createdAccount.id, 'ref-3', { claimed_at: new Date(Date.now() - 10 * 60 * 1000).toISOString() });
+    if ((await stuck()).result.messageId !== 'msg-4') {
+      throw new Error('A stale sending key was not freed');
+    }
+
+    // A key removed between claiming and reading it is claimed again
+    const claimSendRequest = db.claimSendRequest;
+    let claims = 0;
+    db.claimSendRequest = (...args) => (++claims === 1 ? Promise.resolve(false) : claimSendRequest.apply(db, args));
+    try {
+      const reclaimed = await sendOnce(createdAccount.id, 'ref-4', fingerprint, async () => ({ messageId: `msg-${++sends}` }));
+      if (claims !== 2 || reclaimed.result.messageId !== 'msg-5') {
+        throw new Error('A removed key was not claimed again');
+      }
+    } finally {
+      db.claimSendRequest = claimSendRequest;
+    }
+    console.log('✅ Repeated sends return the original result');
+
+    // Test deleting account (cascades to its logs)
+    console.log('🗑️ Testing account deletion...');
+    await db.deleteAccount(createdAccount.id);
+    console.log('✅ Account deleted successfully');
+
     console.log('\n🎉 All database tests passed successfully!');
     console.log('✅ Database connection is working properly');
     
@@ -89,17 +773,236 @@ async function testDatabaseConnection() {
   }
 }
 
+async function testApiKeyAccess() {
+  console.log('\n🔑 Testing API key access...');
+
+  const allowedAccount = uuidv4();
+  const otherAccount = uuidv4();
+  const limited = generateApiKey();
+  const unrestricted = generateApiKey();
+  const limitedKey = await db.createApiKey({
+    name: 'Test send key',
+    key_prefix: limited.prefix,
+    key_hash: limited.hash,
+    scopes: ['send'],
+    account_ids: [allowedAccount],
+    created_at: new Date().toISOString()
+  });
+  const unrestrictedKey = await db.createApiKey({
+    name: 'Test log key',
+    key_prefix: unrestricted.prefix,
+    key_hash: unrestricted.hash,
+    scopes: ['read_logs'],
+    account_ids: null,
+    created_at: new Date().toISOString()
+  });
+
+  try {
+    const bearer = (key) => ({ authorization: `Bearer ${key}` });
+    const authenticated = stubRequest({ headers: bearer(limited.key) });
+    if (await runMiddleware(requireAuth, authenticated) !== 'next' || !authenticated.apiKey || authenticated.apiKey.id !== limitedKey.id) {
+      throw new Error('A valid API key was not accepted');
+    }
+    const limitedRecord = authenticated.apiKey;
+    const unrestrictedRecord = await db.getApiKeyByHash(unrestricted.hash);
+
+    const cases = [
+      ['unknown key', requireAuth, stubRequest({ headers: bearer('wak_unknown') }), 401],
+      ['malformed header', requireAuth, stubRequest({ headers: { authorization: limited.key } }), 401],
+      ['key on a dashboard page', requireAuth, stubRequest({ path: '/dashboard', headers: bearer(limited.key) }), 302],
+      ['granted scope', requireScope('send'), stubRequest({ apiKey: limitedRecord }), 'next'],
+      ['missing scope', requireScope('read_logs'), stubRequest({ apiKey: limitedRecord }), 403],
+      ['session has every scope', requireScope('manage_webhooks'), stubRequest(), 'next'],
+      ['allowed account in path', requireAccountAccess, stubRequest({ apiKey: limitedRecord, params: { id: allowedAccount } }), 'next'],
+      ['other account in path', requireAccountAccess, stubRequest({ apiKey: limitedRecord, params: { id: otherAccount } }), 403],
+      ['other account in body', requireAccountAccess, stubRequest({ apiKey: limitedRecord, body: { account_id: otherAccount } }), 403],
+      ['key for all accounts', requireAccountAccess, stubRequest({ apiKey: unrestrictedRecord, params: { id: otherAccount } }), 'next'],
+      ['dashboard-only route', requireSession, stubRequest({ apiKey: limitedRecord }), 403]
+    ];
+
+    for (const [name, middleware, req, expected] of cases) {
+      const actual = await runMiddleware(middleware, req);
+      if (actual !== expected) {
+        throw new Error(`API key check failed: ${name} (expected ${expected}, got ${actual})`);
+      }
+      console.log(`✅ ${name}`);
+    }
+
+    await db.updateApiKey(limitedKey.id, { revoked_at: new Date().toISOString() });
+    if (await runMiddleware(requireAuth, stubRequest({ headers: bearer(limited.key) })) !== 401) {
+      throw new Error('A revoked API key was accepted');
+    }
+    console.log('✅ revoked key');
+  } finally {
+    const revokedAt = new Date().toISOString();
+    await db.updateApiKey(limitedKey.id, { revoked_at: revokedAt });
+    await db.updateApiKey(unrestrictedKey.id, { revoked_at: revokedAt });
+  }
+}
+
+async function testUserRoles() {
+  console.log('\n🛂 Testing dashboard roles...');
+
+  const suffix = uuidv4().slice(0, 8);
+  const createUser = (name, role, isActive = true) => db.createUser({
+    username: `test-${name}-${suffix}`,
+    password_hash: 'not-a-real-hash',
+    role,
+    is_active: isActive,
+    created_at: new Date().toISOString()
+  });
+  const users = {
+    viewer: await createUser('viewer', 'viewer'),
+    operator: await createUser('operator', 'operator'),
+    admin: await createUser('admin', 'admin'),
+    inactive: await createUser('inactive', 'operator', false)
+  };
+
+  // A session as login leaves it; userCheckedAt 0 makes requireAuth re-read the user
+  const session = (user, role = user.role) => ({ authenticated: true, userId: user.id, role, userCheckedAt: 0 });
+
+  try {
+    const cases = [
+      ['viewer may read', requireRole('viewer'), stubRequest({ session: session(users.viewer) }), 'next'],
+      ['viewer may not send', requireRole('operator'), stubRequest({ session: session(users.viewer) }), 403],
+      ['operator may send', requireRole('operator'), stubRequest({ session: session(users.operator) }), 'next'],
+      ['operator may not manage users', requireRole('admin'), stubRequest({ session: session(users.operator) }), 403],
+      ['admin may manage users', requireRole('admin'), stubRequest({ session: session(users.admin) }), 'next'],
+      ['session without a role', requireRole('viewer'), stubRequest({ session: { authenticated: true } }), 403],
+      ['active user', requireAuth, stubRequest({ session: session(users.viewer) }), 'next'],
+      ['deactivated user', requireAuth, stubRequest({ session: session(users.inactive) }), 401],
+      ['deactivated user on a page', requireAuth, stubRequest({ path: '/dashboard', session: session(users.inactive) }), 302],
+      ['no session', requireAuth, stubRequest(), 401]
+    ];
+
+    for (const [name, middleware, req, expected] of cases) {
+      const actual = await runMiddleware(middleware, req);
+      if (actual !== expected) {
+        throw new Error(`Role check failed: ${name} (expected ${expected}, got ${actual})`);
+      }
+      console.log(`✅ ${name}`);
+    }
+
+    // A downgrade applies to sessions that logged in with the old role
+    await db.updateUser(users.operator.id, { role: 'viewer' });
+    const downgraded = stubRequest({ session: session(users.operator) });
+    if (await runMiddleware(requireAuth, downgraded) !== 'next' || downgraded.session.role !== 'viewer'
+      || await runMiddleware(requireRole('operator'), downgraded) !== 403) {
+      throw new Error('A role change did not apply to an existing session');
+    }
+    console.log('✅ role change applies to existing sessions');
+
+    // Sockets are checked against the stored user, however recent the session check
+    const socketAccepted = (user) => new Promise(resolve => requireSocketAuth(
+      { request: { session: { ...session(user), userCheckedAt: Date.now() } } },
+      error => resolve(!error)
+    ));
+    await db.updateUser(users.viewer.id, { is_active: false });
+    if (!await socketAccepted(users.admin) || await socketAccepted(users.viewer)) {
+      throw new Error('Sockets of deactivated users were accepted');
+    }
+    console.log('✅ deactivated users cannot open sockets');
+  } finally {
+    for (const user of Object.values(users)) {
+      await db.deleteUser(user.id);
+    }
+  }
+}
+
+async function testAccountControls() {
+  console.log('\n⏯️  Testing account controls...');
+
+  const account = await db.createAccount({
+    name: 'Test Controlled Account',
+    status: 'ready',
+    phone_number: '15551234567',
+    created_at: new Date().toISOString()
+  });
+  const statuses = [];
+  const onStatus = (update) => {
+    if (update.accountId === account.id) statuses.push(update.status);
+  };
+  eventBus.on(eventBus.EVENTS.ACCOUNT_STATUS_UPDATE, onStatus);
+
+  // A stand-in for a running whatsapp-web.js client
+  const calls = [];
+  const runningClient = () => ({
+    pupPage: {},
+    logout: async () => { calls.push('logout'); },
+    destroy: async () => { calls.push('destroy'); }
+  });
+
+  try {
+    // The routes are dashboard-only and need the operator role
+    const operatorSession = { session: { authenticated: true, role: 'operator' } };
+    const guards = [
+      ['operator', requireRole('operator'), stubRequest(operatorSession), 'next'],
+      ['viewer', requireRole('operator'), stubRequest({ session: { authenticated: true, role: 'viewer' } }), 403],
+      ['API key', requireSession, stubRequest({ apiKey: { scopes: ['send'] } }), 403]
+    ];
+    for (const [name, middleware, req, expected] of guards) {
+      if (await runMiddleware(middleware, req) !== expected) {
+        throw new Error(`Account controls were not limited to dashboard operators: ${name}`);
+      }
+    }
+
+    // Stop closes the client, cancels a pending reconnect and keeps the account down
+    whatsappManager.startSupervisor();
+    whatsappManager.clients.set(account.id, runningClient());
+    whatsappManager.scheduleReconnect(account.id, 'Disconnected: test');
+    await whatsappManager.stopAccount(account.id);
+    whatsappManager.stopSupervisor();
+
+    const stopped = await db.getAccount(account.id);
+    if (calls.join() !== 'destroy' || whatsappManager.hasClient(account.id)
+      || whatsappManager.reconnectTimers.has(account.id) || stopped.status !== 'stopped') {
+      throw new Error(`Account was not stopped: ${stopped.status}, calls ${calls.join()}`);
+    }
+    console.log('✅ stop');
+
+    // Logout unlinks the device and removes the saved session
+    const sessionDir = path.join('sessions', account.id);
+    fs.mkdirSync(sessionDir, { recursive: true });
+    calls.length = 0;
+    whatsappManager.clients.set(account.id, runningClient());
+    await whatsappManager.logoutAccount(account.id);
+
+    const loggedOut = await db.getAccount(account.id);
+    if (calls.join() !== 'logout,destroy' || fs.existsSync(sessionDir) || loggedOut.status !== 'disconnected'
+      || loggedOut.error_message !== 'LOGOUT' || loggedOut.phone_number !== null) {
+      throw new Error(`Account was not logged out: ${JSON.stringify(loggedOut)}, calls ${calls.join()}`);
+    }
+    console.log('✅ logout');
+
+    if (statuses.join() !== 'stopped,disconnected') {
+      throw new Error(`Unexpected status updates: ${statuses.join()}`);
+    }
+    console.log('✅ status updates pushed to dashboards');
+  } finally {
+    eventBus.off(eventBus.EVENTS.ACCOUNT_STATUS_UPDATE, onStatus);
+    whatsappManager.stopSupervisor();
+    whatsappManager.clients.delete(account.id);
+    whatsappManager.accountStatus.delete(account.id);
+    whatsappManager.health.delete(account.id);
+    await db.deleteAccount(account.id);
+  }
+}
+
 async function testEnvironmentVariables() {
   console.log('\n🔧 Testing environment variables...');
   
   const requiredVars = [
-    'SUPABASE_URL',
-    'SUPABASE_SERVICE_ROLE_KEY',
     'DASHBOARD_PASSWORD',
     'DASHBOARD_USERNAME',
     'SESSION_SECRET'
   ];
 
+  if (storage.backend === 'supabase') {
+    requiredVars.unshift('SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY');
+  } else if (storage.backend === 'postgres') {
+    requiredVars.unshift('DATABASE_URL');
+  }
+
   const missingVars = [];
   
   for (const varName of requiredVars) {
@@ -119,12 +1022,295 @@ async function testEnvironmentVariables() {
   console.log('✅ All required environment variables are set');
 }
 
+async function testWebhookSignature() {
+  console.log('\n🔏 Testing webhook signatures...');
+
+  const secret = 'test-secret';
+  const body = JSON.stringify({ account_id: 'test-account', message: 'Hello' });
+  const { header, timestamp } = webhookSignature.signPayload(secret, body);
+
+  const cases = [
+    ['valid signature', webhookSignature.verifySignature(body, header, secret), true],
+    ['valid signature (Buffer body)', webhookSignature.verifySignature(Buffer.from(body), header, secret), true],
+    ['tampered body', webhookSignature.verifySignature(body + ' ', header, secret), false],
+    ['wrong secret', webhookSignature.verifySignature(body, header, 'other-secret'), false],
+    ['missing header', webhookSignature.verifySignature(body, undefined, secret), false],
+    ['expired timestamp', webhookSignature.verifySignature(body, header, secret, { now: timestamp + 301 }), false],
+    ['matching secret', webhookSignature.secretsMatch(secret, secret), true],
+    ['other secret', webhookSignature.secretsMatch('test-secre', secret), false],
+    ['secret of a webhook without one', webhookSignature.secretsMatch(secret, null), false],
+    ['empty secret', webhookSignature.secretsMatch('', secret), false]
+  ];
+
+  for (const [name, actual, expected] of cases) {
+    if (actual !== expected) {
+      throw new Error(`Webhook signature check failed: ${name} (expected ${expected}, got ${actual})`);
+    }
+    console.log(`✅ ${name}`);
+  }
+}
+
+async function testPhoneNumbers() {
+  console.log('\n☎️  Testing phone number normalization...');
+
+  // [input, default country, expected E.164 or null when it must be rejected]
+  const numbers = [
+    ['+1 (555) 123-4567', null, '+15551234567'],
+    ['0044 7911 123456', null, '+447911123456'],
+    ['+44 (0)20 7946 0000', null, '+442079460000'],
+    ['+44 020 7946 0000', null, '+442079460000'],
+    ['5551234567', 'US', '+15551234567'],
+    ['1-555-123-4567', 'us', '+15551234567'],
+    ['098765 43210', 'IN', '+919876543210'],
+    ['919876543210', 'IN', '+919876543210'],
+    ['020 7946 0000', 'GB', '+442079460000'],
+    ['06 1234 5678', 'IT', '+390612345678'],
+    ['8 (812) 123-45-67', 'RU', '+78121234567'],
+    ['+971 50 123 4567', 'US', '+971501234567'],
+    ['5551234567', '', null],
+    ['12345', 'IN', null],
+    ['0987654321', 'IN', null],
+    ['+1 555', null, null],
+    ['+999 1234 5678', null, null],
+    ['+1234567890123456', null, null],
+    ['555-CALL-NOW', 'US', null],
+    ['', 'US', null]
+  ];
+
+  for (const [input, country, expected] of numbers) {
+    let actual;
+    try {
+      actual = normalizePhoneNumber(input, country);
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+      actual = null;
+    }
+    if (actual !== expected) {
+      throw new Error(`Phone number ${JSON.stringify(input)} in ${country || 'no country'}: expected ${expected}, got ${actual}`);
+    }
+  }
+
+  const chatIds = [
+    ['+1 555 123 4567', '15551234567@c.us'],
+    ['15551234567@c.us', '15551234567@c.us'],
+    ['+15551234567@c.us', '15551234567@c.us'],
+    ['120363041234567890@g.us', '120363041234567890@g.us'],
+    ['15551234567-1714554000@g.us', '15551234567-1714554000@g.us'],
+    ['118923461234567@lid', '118923461234567@lid'],
+    ['120363025246125486@newsletter', '120363025246125486@newsletter'],
+    ['status@broadcast', null],
+    ['someone@example.com', null],
+    ['abc@g.us', null]
+  ];
+
+  for (const [input, expected] of chatIds) {
+    let actual;
+    try {
+      actual = toChatId(input, 'US');
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+      actual = null;
+    }
+    if (actual !== expected) {
+      throw new Error(`Chat id of ${input}: expected ${expected}, got ${actual}`);
+    }
+  }
+
+  if (parseCountry(' gb ') !== 'GB' || parseCountry('') !== null) {
+    throw new Error('Default country was not parsed');
+  }
+  try {
+    parseCountry('XX');
+    throw new Error('Unknown country was accepted');
+  } catch (error) {
+    if (error.statusCode !== 400) throw error;
+  }
+  console.log(`✅ ${numbers.length} numbers and ${chatIds.length} chat ids normalized`);
+}
+
+async function testSendPayloads() {
+  console.log('\n📎 Testing send payloads...');
+
+  const png = Buffer.from('fake png bytes').toString('base64');
+
+  // [name, request body, expected message type to send, or null when it must be a 400]
+  const payloads = [
+    ['text', { message: 'Hello' }, 'text'],
+    ['base64 image', { media: { data: png, mimetype: 'image/png' } }, 'image'],
+    ['data URL image', { media: JSON.stringify({ data: `data:image/png;base64,${png}` }) }, 'image'],
+    ['image as document', { media: { data: png, mimetype: 'image/png' }, as_document: 'true' }, 'document'],
+    ['voice note', { type: 'voice', media: { data: png, mimetype: 'audio/ogg' } }, 'voice'],
+    ['location', { location: { latitude: '12.97', longitude: 77.59, name: 'Office' } }, 'location'],
+    ['contact', { contact: { name: 'Jane', number: '+15551234567' } }, 'contact'],
+    ['raw vCard', { contact: 'BEGIN:VCARD\nVERSION:3.0\nFN:Jane\nEND:VCARD' }, 'contact'],
+    ['empty request', {}, null],
+    ['unknown type', { type: 'sticker', message: 'Hi' }, null],
+    ['image type without media', { type: 'image', message: 'Hi' }, null],
+    ['media without url or data', { media: { mimetype: 'image/png' } }, null],
+    ['media that is not JSON', { media: '{url:' }, null],
+    ['latitude out of range', { location: { latitude: 91, longitude: 0 } }, null],
+    ['contact without a number', { contact: { name: 'Jane' } }, null],
+    ['unsupported mimetype', { media: { data: png, mimetype: 'text/html' } }, null],
+    ['image sent as video', { type: 'video', media: { data: png, mimetype: 'image/png' } }, null],
+    ['image sent as voice note', { type: 'voice', media: { data: png, mimetype: 'image/png' } }, null],
+    ['empty media', { media: { data: '', mimetype: 'image/png' } }, null],
+    ['non-http url', { media_url: 'file:///etc/passwd' }, null],
+    ['loopback url', { media_url: 'http://127.0.0.1/a.png' }, null],
+    ['metadata url', { media_url: 'http://169.254.169.254/latest/meta-data' }, null],
+    ['IPv6 loopback url', { media_url: 'http://[::1]/a.png' }, null],
+    ['malformed file name', { media_url: 'https://example.com/%E0%A4%A' }, null]
+  ];
+
+  for (const [name, body, expected] of payloads) {
+    let actual;
+    try {
+      actual = (await buildOutgoingMessage(parseSendPayload(body))).type;
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+      actual = null;
+    }
+    if (actual !== expected) {
+      throw new Error(`Send payload "${name}": expected ${expected}, got ${actual}`);
+    }
+  }
+
+  const caption = await buildOutgoingMessage(parseSendPayload({ message: 'Invoice', media: { data: png, mimetype: 'image/png' } }));
+  if (caption.options.caption !== 'Invoice' || caption.media.mimetype !== 'image/png' || caption.media.size !== 14) {
+    throw new Error(`Media caption or metadata was not set: ${JSON.stringify(caption.media)}`);
+  }
+  console.log(`✅ ${payloads.length} send payloads parsed and validated`);
+}
+
+async function testSupervisor() {
+  console.log('\n🩺 Testing client supervision...');
+
+  const accountId = `test-supervised-${uuidv4()}`;
+  const health = whatsappManager.getHealthRecord(accountId);
+  const restarts = [];
+  const restartClient = whatsappManager.restartClient;
+  whatsappManager.restartClient = async (id, reason) => { restarts.push(reason); };
+  whatsappManager.startSupervisor();
+
+  try {
+    // Reconnect delays double from RECONNECT_BASE_MS (5s) up to RECONNECT_MAX_MS (5 min)
+    const delays = [];
+    for (let attempt = 0; attempt < 8; attempt++) {
+      whatsappManager.scheduleReconnect(accountId, 'Disconnected: test');
+      delays.push(Math.round((Date.parse(health.next_reconnect_at) - Date.now()) / 1000));
+      whatsappManager.cancelReconnect(accountId);
+    }
+    if (delays.join() !== '5,10,20,40,80,160,300,300' || health.reconnect_attempts !== 8 || health.next_reconnect_at !== null) {
+      throw new Error(`Unexpected reconnect backoff: ${delays.join(', ')}s`);
+    }
+
+    whatsappManager.scheduleReconnect(accountId, 'Disconnected: test');
+    whatsappManager.scheduleReconnect(accountId, 'Disconnected: again');
+    if (health.reconnect_attempts !== 9 || whatsappManager.reconnectTimers.size !== 1) {
+      throw new Error('A second reconnect was scheduled while one was pending');
+    }
+    whatsappManager.cancelReconnect(accountId);
+    console.log(`✅ reconnect backoff: ${delays.join(', ')}s`);
+
+    // A ready client is restarted after HEALTH_CHECK_FAILURE_THRESHOLD (2) failed probes in a row
+    let state = 'CONNECTED';
+    whatsappManager.clients.set(accountId, { pupPage: {}, getState: async () => state });
+    whatsappManager.accountStatus.set(accountId, 'ready');
+
+    await whatsappManager.checkClient(accountId);
+    state = 'CONFLICT';
+    await whatsappManager.checkClient(accountId);
+    state = 'CONNECTED';
+    await whatsappManager.checkClient(accountId);
+    if (restarts.length !== 0 || health.consecutive_failures !== 0) {
+      throw new Error('A client was restarted after a single failed probe');
+    }
+
+    state = 'CONFLICT';
+    await whatsappManager.checkClient(accountId);
+    await whatsappManager.checkClient(accountId);
+    if (restarts.length !== 1 || !restarts[0].includes('CONFLICT')) {
+      throw new Error(`Failing client was not restarted: ${JSON.stringify(restarts)}`);
+    }
+    console.log('✅ restart after repeated failed probes');
+
+    // A client stuck starting is restarted once CLIENT_INIT_TIMEOUT_MS (3 min) has passed
+    whatsappManager.accountStatus.set(accountId, 'initializing');
+    health.started_at = Date.now() - 60 * 1000;
+    await whatsappManager.checkClient(accountId);
+    health.started_at = Date.now() - 4 * 60 * 1000;
+    await whatsappManager.checkClient(accountId);
+    if (restarts.length !== 2 || restarts[1] !== 'Client initialization timed out') {
+      throw new Error(`Hung client was not restarted: ${JSON.stringify(restarts)}`);
+    }
+    console.log('✅ restart after a startup timeout');
+  } finally {
+    whatsappManager.stopSupervisor();
+    whatsappManager.restartClient = restartClient;
+    whatsappManager.clients.delete(accountId);
+    whatsappManager.accountStatus.delete(accountId);
+    whatsappManager.health.delete(accountId);
+  }
+}
+
+async function testMediaStore() {
+  console.log('\n🖼️  Testing media storage...');
+
+  // Keep test files out of the real media directory
+  const mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-media-'));
+  process.env.MEDIA_DIR = mediaDir;
+
+  try {
+    const content = Buffer.from('fake image bytes');
+    const media = await mediaStore.save('test-account', content, { mimetype: 'image/png', filename: 'photo.png' });
+    if (!media.key.startsWith('test-account/') || !media.key.endsWith('.png') || media.size !== content.length) {
+      throw new Error(`Unexpected media metadata: ${JSON.stringify(media)}`);
+    }
+
+    const stored = await mediaStore.read(media.key);
+    if (!stored || !stored.equals(content)) {
+      throw new Error('Stored media does not match the original');
+    }
+    console.log('✅ Media saved and read back:', media.key);
+
+    const query = Object.fromEntries(new URL(mediaStore.signedUrl(media).url).searchParams);
+    const cases = [
+      ['valid link', mediaStore.verify(media.key, query) !== null, true],
+      ['other key', mediaStore.verify('test-account/other.png', query) !== null, false],
+      ['tampered type', mediaStore.verify(media.key, { ...query, type: 'text/html' }) !== null, false],
+      ['expired link', mediaStore.verify(media.key, { ...query, expires: '1' }) !== null, false]
+    ];
+
+    for (const [name, actual, expected] of cases) {
+      if (actual !== expected) {
+        throw new Error(`Media link check failed: ${name} (expected ${expected}, got ${actual})`);
+      }
+      console.log(`✅ ${name}`);
+    }
+
+    await mediaStore.remove(media.key);
+    if (await mediaStore.get(media.key)) {
+      throw new Error('Media still present after removal');
+    }
+    console.log('✅ Media removed');
+  } finally {
+    fs.rmSync(mediaDir, { recursive: true, force: true });
+  }
+}
+
 async function runTests() {
   console.log('🚀 Starting WhatsApp Multi-Automation System Tests\n');
   
   try {
     await testEnvironmentVariables();
+    await testWebhookSignature();
+    await testPhoneNumbers();
+    await testSendPayloads();
+    await testSupervisor();
+    await testMediaStore();
     await testDatabaseConnection();
+    await testApiKeyAccess();
+    await testUserRoles();
+    await testAccountControls();
     
     console.log('\n🎊 All tests completed successfully!');
     console.log('🚀 Your WhatsApp Multi-Automation system is ready to use!');
@@ -142,6 +1328,14 @@ if (require.main === module) {
 
 module.exports = {
   testDatabaseConnection,
+  testApiKeyAccess,
+  testUserRoles,
+  testAccountControls,
   testEnvironmentVariables,
+  testWebhookSignature,
+  testPhoneNumbers,
+  testSendPayloads,
+  testSupervisor,
+  testMediaStore,
   runTests
 }; 
\ No newline at end of file
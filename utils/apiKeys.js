@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'wak_';
+
+// API keys are random 32-byte tokens; only their SHA-256 hash is stored.
+// A fast hash is sufficient because the keys are high-entropy (unlike passwords).
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Generate a new key; the plaintext is returned once and never persisted
+function generateApiKey() {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return {
+    key,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    hash: hashApiKey(key)
+  };
+}
+
+module.exports = {
+  hashApiKey,
+  generateApiKey
+};
\ No newline at end of file
@@ -0,0 +1,277 @@
+const { validationError, parseSendPayload } = require('./messageContent');
+const { renderTemplate, templatePlaceholders } = require('./messageTemplate');
+const { parseTimeWindow, isWithinTimeWindow } = require('./schedule');
+
+const MATCH_TYPES = ['any', 'exact', 'keywords', 'regex'];
+const CHAT_TYPES = ['any', 'private', 'group'];
+const ACTION_TYPES = ['reply', 'template', 'forward', 'tag'];
+const MAX_PATTERN_LENGTH = 500;
+const MAX_COOLDOWN_SECONDS = 24 * 60 * 60;
+
+// Placeholders every reply text and template can use, filled from the message
+const MESSAGE_VARIABLES = ['sender', 'message', 'chat_id', 'group_name'];
+
+// Digits of a number or the user part of a chat id, for comparing senders
+const senderKey = (value) => {
+  const text = String(value || '').trim();
+  return text.includes('@') ? text.split('@')[0] : text.replace(/\D/g, '');
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A JSON field that may arrive as a string from a multipart form
+function parseJsonField(value, field) {
+  if (value === undefined || value === null || value === '') return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw validationError(`${field} must be a JSON object`);
+  }
+}
+
+function parseList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+function parseConditions(input) {
+  const match = input.match || 'any';
+  if (!MATCH_TYPES.includes(match)) {
+    throw validationError(`conditions.match must be one of: ${MATCH_TYPES.join(', ')}`);
+  }
+
+  const conditions = {
+    match,
+    case_sensitive: input.case_sensitive === true || input.case_sensitive === 'true',
+    senders: parseList(input.senders),
+    chat_type: input.chat_type || 'any',
+    hours: input.hours ? parseTimeWindow(input.hours, 'conditions.hours') : null
+  };
+
+  if (!CHAT_TYPES.includes(conditions.chat_type)) {
+    throw validationError(`conditions.chat_type must be one of: ${CHAT_TYPES.join(', ')}`);
+  }
+
+  if (match === 'keywords') {
+    conditions.keywords = parseList(input.keywords);
+    if (conditions.keywords.length === 0) {
+      throw validationError('conditions.keywords needs at least one keyword');
+    }
+  } else if (match !== 'any') {
+    conditions.pattern = String(input.pattern || '');
+    if (!conditions.pattern.trim()) {
+      throw validationError(`conditions.pattern is required for ${match} matches`);
+    }
+    if (conditions.pattern.length > MAX_PATTERN_LENGTH) {
+      throw validationError(`conditions.pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+    }
+    if (match === 'regex') {
+      try {
+        new RegExp(conditions.pattern);
+      } catch (error) {
+        throw validationError(`Invalid regular expression: ${error.message}`);
+      }
+    }
+  }
+
+  return conditions;
+}
+
+// The action with any new reply media unsaved; `existingAction` supplies
+// media kept on update
+function parseAction(input, file, existingAction) {
+  const type = input.type;
+  if (!ACTION_TYPES.includes(type)) {
+    throw validationError(`action.type must be one of: ${ACTION_TYPES.join(', ')}`);
+  }
+
+  if (type === 'reply') {
+    const removeMedia = input.remove_media === true || input.remove_media === 'true';
+    const keptMedia = existingAction && existingAction.type === 'reply' && !removeMedia ? existingAction.media : null;
+    const text = String(input.text || '');
+    if (!text.trim() && !file && !input.media_url && !keptMedia) {
+      throw validationError('A reply needs text or media');
+    }
+    const unknown = templatePlaceholders(text).filter(name => !MESSAGE_VARIABLES.includes(name));
+    if (unknown.length > 0) {
+      throw validationError(`Unknown reply variables: ${unknown.join(', ')} (available: ${MESSAGE_VARIABLES.join(', ')})`);
+    }
+
+    const content = parseSendPayload({ message: text, media_url: input.media_url }, file, { defaultMedia: keptMedia });
+    return { type, text: content.text, media: content.media };
+  }
+
+  if (type === 'template') {
+    if (!input.template_id) {
+      throw validationError('action.template_id is required');
+    }
+    return { type, template_id: String(input.template_id), variables: parseJsonField(input.variables, 'action.variables') };
+  }
+
+  if (type === 'forward') {
+    const number = String(input.number || '').trim();
+    if (!number) {
+      throw validationError('action.number is required to forward messages');
+    }
+    return { type, number };
+  }
+
+  const tag = String(input.tag || '').trim();
+  if (!tag || tag.length > 50) {
+    throw validationError('action.tag must be 1 to 50 characters');
+  }
+  return { type, tag };
+}
+
+/**
+ * Validate an auto-reply rule from a create or update request into
+ * { name, priority, is_active, cooldown_seconds, conditions, action }.
+ * `conditions` and `action` may be JSON strings (multipart forms); omitted
+ * fields keep the values of `existing`. New reply media is returned unsaved.
+ */
+function parseRuleInput(input = {}, file = null, existing = null) {
+  const pick = (field, fallback) => input[field] !== undefined ? input[field] : (existing ? existing[field] : fallback);
+
+  const name = String(pick('name', '')).trim();
+  if (!name) {
+    throw validationError('Rule name is required');
+  }
+
+  const priority = Number(pick('priority', 100));
+  if (!Number.isInteger(priority)) {
+    throw validationError('priority must be a whole number');
+  }
+
+  const cooldownSeconds = Number(pick('cooldown_seconds', 0));
+  if (!Number.isInteger(cooldownSeconds) || cooldownSeconds < 0 || cooldownSeconds > MAX_COOLDOWN_SECONDS) {
+    throw validationError(`cooldown_seconds must be a whole number from 0 to ${MAX_COOLDOWN_SECONDS}`);
+  }
+
+  const isActive = pick('is_active', true);
+
+  return {
+    name,
+    priority,
+    is_active: isActive === true || isActive === 'true',
+    cooldown_seconds: cooldownSeconds,
+    conditions: parseConditions(input.conditions !== undefined
+      ? parseJsonField(input.conditions, 'conditions')
+      : (existing ? existing.conditions : {})),
+    action: input.action !== undefined || file || !existing
+      ? parseAction(
+        input.action !== undefined ? parseJsonField(input.action, 'action') : (existing ? existing.action : {}),
+        file,
+        existing && existing.action
+      )
+      : existing.action
+  };
+}
+
+// Whether the text of a message satisfies a rule's match condition
+function textMatches(conditions, text) {
+  const flags = conditions.case_sensitive ? 'u' : 'iu';
+
+  switch (conditions.match) {
+    case 'exact':
+      return conditions.case_sensitive
+        ? text.trim() === conditions.pattern.trim()
+        : text.trim().toLowerCase() === conditions.pattern.trim().toLowerCase();
+    case 'keywords':
+      // Whole words only, so "hi" does not match "this"
+      return conditions.keywords.some(keyword =>
+        new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(keyword)}($|[^\\p{L}\\p{N}_])`, flags).test(text));
+    case 'regex':
+      return new RegExp(conditions.pattern, conditions.case_sensitive ? '' : 'i').test(text);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Whether an incoming message (a message_logs row) satisfies every condition
+ * of a rule at `now`.
+ */
+function ruleMatches(rule, message, now = new Date()) {
+  const { conditions } = rule;
+
+  if (conditions.chat_type === 'private' && message.is_group) return false;
+  if (conditions.chat_type === 'group' && !message.is_group) return false;
+
+  if (conditions.senders && conditions.senders.length > 0) {
+    const sender = senderKey(message.sender);
+    if (!conditions.senders.some(entry => senderKey(entry) === sender)) return false;
+  }
+
+  if (conditions.hours && !isWithinTimeWindow(conditions.hours, now)) return false;
+
+  return textMatches(conditions, message.message || '');
+}
+
+// First active rule, by priority (lowest first), matching the message
+function findMatchingRule(rules, message, now = new Date()) {
+  return [...rules]
+    .filter(rule => rule.is_active)
+    .sort((a, b) => a.priority - b.priority || new Date(a.created_at) - new Date(b.created_at))
+    .find(rule => ruleMatches(rule, message, now)) || null;
+}
+
+// Values of MESSAGE_VARIABLES for a message
+function messageVariables(message) {
+  return {
+    sender: senderKey(message.sender),
+    message: message.message || '',
+    chat_id: message.chat_id,
+    group_name: message.group_name || ''
+  };
+}
+
+/**
+ * What a matched rule does for a message: { tag } for tag rules, otherwise
+ * { to, content } to pass to sendMessage. Template rules need their template.
+ */
+function buildAutoReply(rule, message, template = null) {
+  const { action } = rule;
+  const variables = messageVariables(message);
+
+  if (action.type === 'tag') {
+    return { tag: action.tag };
+  }
+
+  if (action.type === 'forward') {
+    const origin = message.is_group ? `${variables.sender} in ${variables.group_name || message.chat_id}` : variables.sender;
+    return {
+      to: action.number,
+      content: parseSendPayload(
+        { message: `Forwarded from ${origin}:\n${variables.message}` },
+        null,
+        { defaultMedia: message.media && message.media.key ? message.media : null }
+      )
+    };
+  }
+
+  if (action.type === 'template') {
+    if (!template) {
+      throw validationError('The rule\'s template no longer exists');
+    }
+    const text = renderTemplate(template.body, { ...variables, ...action.variables });
+    const media = template.media ? { ...template.media, template_id: template.id } : null;
+    return { to: message.chat_id, content: parseSendPayload({ message: text }, null, { defaultMedia: media }) };
+  }
+
+  return {
+    to: message.chat_id,
+    content: parseSendPayload({ message: renderTemplate(action.text, variables) }, null, { defaultMedia: action.media })
+  };
+}
+
+module.exports = {
+  MATCH_TYPES,
+  ACTION_TYPES,
+  MESSAGE_VARIABLES,
+  messageVariables,
+  parseRuleInput,
+  ruleMatches,
+  findMatchingRule,
+  buildAutoReply
+};
\ No newline at end of file
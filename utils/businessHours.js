@@ -0,0 +1,95 @@
+const { validationError } = require('./messageContent');
+const { templatePlaceholders, renderTemplate } = require('./messageTemplate');
+const { DEFAULT_TIMEZONE, isValidTimezone, parseTimeWindow, isWithinTimeWindow } = require('./schedule');
+const { MESSAGE_VARIABLES, messageVariables } = require('./autoReply');
+
+const DEFAULT_AWAY_INTERVAL_MINUTES = 24 * 60;
+const MAX_AWAY_INTERVAL_MINUTES = 30 * 24 * 60;
+const MAX_HOLIDAYS = 366;
+
+// Calendar date (YYYY-MM-DD) of an instant in a zone
+function localDate(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+function parseHolidays(value) {
+  const holidays = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  const dates = [...new Set(holidays.map(day => String(day).trim()).filter(Boolean))].sort();
+
+  if (dates.length > MAX_HOLIDAYS) {
+    throw validationError(`At most ${MAX_HOLIDAYS} holidays are allowed`);
+  }
+  for (const day of dates) {
+    const parsed = new Date(`${day}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || isNaN(parsed) || parsed.toISOString().slice(0, 10) !== day) {
+      throw validationError(`Invalid holiday date: ${day} (use YYYY-MM-DD)`);
+    }
+  }
+  return dates;
+}
+
+/**
+ * Validate an account's business hours into { timezone, schedule, holidays,
+ * away_message, away_interval_minutes }. `schedule` lists weekly windows
+ * { days, from, to } as in auto-reply conditions; the account is open while
+ * any of them contains the current time, except on `holidays` (local dates).
+ */
+function parseBusinessHours(input = {}) {
+  const timezone = input.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) {
+    throw validationError(`Unknown timezone: ${timezone}`);
+  }
+
+  if (!Array.isArray(input.schedule) || input.schedule.length === 0) {
+    throw validationError('schedule needs at least one { days, from, to } window');
+  }
+  const schedule = input.schedule.map((window, index) => {
+    const { from, to, days } = parseTimeWindow({ ...window, timezone }, `schedule[${index}]`);
+    return { days, from, to };
+  });
+
+  const awayMessage = input.away_message ? String(input.away_message) : '';
+  const unknown = templatePlaceholders(awayMessage).filter(name => !MESSAGE_VARIABLES.includes(name));
+  if (unknown.length > 0) {
+    throw validationError(`Unknown away message variables: ${unknown.join(', ')} (available: ${MESSAGE_VARIABLES.join(', ')})`);
+  }
+
+  const interval = input.away_interval_minutes === undefined || input.away_interval_minutes === null || input.away_interval_minutes === ''
+    ? DEFAULT_AWAY_INTERVAL_MINUTES
+    : Number(input.away_interval_minutes);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_AWAY_INTERVAL_MINUTES) {
+    throw validationError(`away_interval_minutes must be a whole number from 1 to ${MAX_AWAY_INTERVAL_MINUTES}`);
+  }
+
+  return {
+    timezone,
+    schedule,
+    holidays: parseHolidays(input.holidays),
+    away_message: awayMessage.trim() ? awayMessage : null,
+    away_interval_minutes: interval
+  };
+}
+
+// Whether an account with these business hours is open at `date`
+function isOpen(businessHours, date = new Date()) {
+  const { timezone, schedule, holidays = [] } = businessHours;
+  if (holidays.includes(localDate(date, timezone))) return false;
+
+  return schedule.some(window => isWithinTimeWindow({ ...window, timezone }, date));
+}
+
+// Text of the away message for an incoming message
+function renderAwayMessage(businessHours, message) {
+  return renderTemplate(businessHours.away_message, messageVariables(message));
+}
+
+module.exports = {
+  parseBusinessHours,
+  isOpen,
+  renderAwayMessage
+};
\ No newline at end of file
@@ -0,0 +1,245 @@
+const { db } = require('../config/database');
+const eventBus = require('./eventBus');
+const whatsappManager = require('./whatsappManager');
+const { storeContentMedia } = require('./messageContent');
+const { renderTemplate } = require('./messageTemplate');
+
+const POLL_INTERVAL_MS = parseInt(process.env.CAMPAIGN_POLL_MS) || 1000;
+const NO_ACCOUNT_RETRY_MS = parseInt(process.env.CAMPAIGN_NO_ACCOUNT_RETRY_MS) || 30000;
+
+// Sends broadcast campaigns one recipient at a time. Each campaign waits
+// 60s / messages_per_minute plus a random 0..jitter_seconds between messages
+// and rotates across the ready accounts in its account_ids. All state is in
+// the database, so running campaigns carry on after a restart.
+class CampaignRunner {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+    this.pendingRun = false;
+    // Next index into account_ids per campaign, for round-robin rotation
+    this.rotation = new Map();
+  }
+
+  async start() {
+    if (this.timer) return;
+
+    try {
+      const reset = await db.resetStaleCampaignRecipients();
+      if (reset > 0) {
+        console.log(`Requeued ${reset} campaign recipients interrupted by the last shutdown`);
+      }
+    } catch (error) {
+      console.error('Error requeuing stale campaign recipients:', error);
+    }
+
+    this.timer = setInterval(() => this.processDue(), POLL_INTERVAL_MS);
+    this.processDue();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Create a campaign and its recipients. `content` is the output of
+   * parseSendPayload with the template as its text; media (including media
+   * URLs) is stored once so it is not downloaded again for every recipient.
+   */
+  async create({ options, content, recipients, start = false, createdBy = null }) {
+    const campaign = await db.createCampaign({
+      name: options.name,
+      account_ids: options.accountIds,
+      content: await storeContentMedia(options.accountIds[0], content, { downloadUrls: true }),
+      messages_per_minute: options.messagesPerMinute,
+      jitter_seconds: options.jitterSeconds,
+      status: 'draft',
+      created_by: createdBy,
+      created_at: new Date().toISOString()
+    });
+
+    await db.addCampaignRecipients(recipients.map((recipient, index) => ({
+      campaign_id: campaign.id,
+      position: index + 1,
+      number: recipient.number,
+      variables: recipient.variables,
+      status: 'pending'
+    })));
+
+    if (start) return this.startCampaign(campaign.id);
+
+    await this.publish(campaign);
+    return campaign;
+  }
+
+  startCampaign(id) {
+    return this.transition(id, ['draft'], {
+      status: 'running',
+      started_at: new Date().toISOString(),
+      next_send_at: new Date().toISOString()
+    });
+  }
+
+  pause(id) {
+    return this.transition(id, ['running'], { status: 'paused' });
+  }
+
+  resume(id) {
+    return this.transition(id, ['paused'], {
+      status: 'running',
+      last_error: null,
+      next_send_at: new Date().toISOString()
+    });
+  }
+
+  async cancel(id) {
+    const campaign = await this.transition(id, ['draft', 'running', 'paused'], {
+      status: 'cancelled',
+      completed_at: new Date().toISOString()
+    });
+    if (campaign) {
+      await db.cancelCampaignRecipients(id);
+      await this.publish(campaign);
+    }
+    return campaign;
+  }
+
+  // Change a campaign's status; 409 when it is not in one of `fromStatuses`
+  async transition(id, fromStatuses, updates) {
+    const campaign = await db.transitionCampaign(id, fromStatuses, updates);
+    if (!campaign) {
+      const existing = await db.getCampaign(id);
+      if (!existing) return null;
+
+      const error = new Error(`Campaign is already ${existing.status}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await this.publish(campaign);
+    if (campaign.status === 'running') this.processDue();
+    return campaign;
+  }
+
+  // Send the next message of every due campaign; concurrent calls are coalesced
+  async processDue() {
+    if (this.processing) {
+      this.pendingRun = true;
+      return;
+    }
+
+    this.processing = true;
+    try {
+      do {
+        this.pendingRun = false;
+        const campaigns = await db.getDueCampaigns();
+
+        for (const campaign of campaigns) {
+          await this.sendNext(campaign);
+        }
+      } while (this.pendingRun);
+    } catch (error) {
+      console.error('Error processing campaigns:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async sendNext(campaign) {
+    const recipient = await db.getNextCampaignRecipient(campaign.id);
+    if (!recipient) {
+      const completed = await db.transitionCampaign(campaign.id, ['running'], {
+        status: 'completed',
+        completed_at: new Date().toISOString()
+      });
+      this.rotation.delete(campaign.id);
+      if (completed) await this.publish(completed);
+      return;
+    }
+
+    const accountId = this.pickAccount(campaign);
+    if (!accountId) {
+      const waiting = await db.updateCampaign(campaign.id, {
+        last_error: 'None of the campaign accounts is ready',
+        next_send_at: new Date(Date.now() + NO_ACCOUNT_RETRY_MS).toISOString()
+      });
+      await this.publish(waiting);
+      return;
+    }
+
+    const claimed = await db.transitionCampaignRecipient(recipient.id, 'pending', {
+      status: 'sending',
+      account_id: accountId
+    });
+    if (!claimed) return;
+
+    try {
+      const text = renderTemplate(campaign.content.text, { ...claimed.variables, number: claimed.number });
+      // sendMessage logs the message; the recipient keeps a link to that row.
+      // It never waits for the account's pacing, which would hold up every
+      // other campaign; a 429 reschedules this campaign instead.
+      const result = await whatsappManager.sendMessage(accountId, claimed.number, { ...campaign.content, text }, { maxWaitMs: 0 });
+
+      await db.updateCampaignRecipient(claimed.id, {
+        status: 'sent',
+        message_log_id: result.logId,
+        message_id: result.messageId,
+        error_message: null,
+        sent_at: new Date().toISOString()
+      });
+    } catch (error) {
+      // Over the account's send limits or pacing: the recipient waits for the next try
+      if (error.statusCode === 429) {
+        await db.updateCampaignRecipient(claimed.id, { status: 'pending', account_id: null });
+        const limited = await db.updateCampaign(campaign.id, {
+          last_error: error.message,
+          next_send_at: new Date(Date.now() + error.retryAfter * 1000).toISOString()
+        });
+        await this.publish(limited);
+        return;
+      }
+
+      await db.updateCampaignRecipient(claimed.id, {
+        status: 'failed',
+        message_log_id: error.logId || null,
+        error_message: error.message
+      });
+    }
+
+    const updated = await db.updateCampaign(campaign.id, {
+      last_error: null,
+      next_send_at: this.nextSendAt(campaign)
+    });
+    await this.publish(updated);
+  }
+
+  // Round-robin over the campaign's accounts that are ready right now
+  pickAccount(campaign) {
+    const ready = campaign.account_ids.filter(id => whatsappManager.getAccountStatus(id) === 'ready');
+    if (ready.length === 0) return null;
+
+    const index = this.rotation.get(campaign.id) || 0;
+    this.rotation.set(campaign.id, index + 1);
+    return ready[index % ready.length];
+  }
+
+  nextSendAt(campaign) {
+    const interval = 60000 / campaign.messages_per_minute;
+    const jitter = Math.random() * campaign.jitter_seconds * 1000;
+    return new Date(Date.now() + interval + jitter).toISOString();
+  }
+
+  // Push the campaign with its recipient counts to dashboards
+  async publish(campaign) {
+    try {
+      const progress = await db.getCampaignProgress([campaign.id]);
+      eventBus.campaignProgress({ ...campaign, progress: progress[campaign.id] });
+    } catch (error) {
+      console.error('Error publishing campaign progress:', error);
+    }
+  }
+}
+
+module.exports = new CampaignRunner();
\ No newline at end of file
@@ -0,0 +1,150 @@
+const { validationError } = require('./messageContent');
+const { parseCsvObjects } = require('./csv');
+const { missingVariables } = require('./messageTemplate');
+const { toChatId } = require('./phoneNumber');
+
+const MAX_RECIPIENTS = parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS) || 10000;
+const MAX_MESSAGES_PER_MINUTE = 60;
+const MAX_JITTER_SECONDS = 600;
+
+// CSV columns accepted as the recipient's number (the first one present wins)
+const NUMBER_COLUMNS = ['number', 'phone', 'phone_number', 'mobile', 'whatsapp'];
+
+function parseInteger(value, name, { min, max, fallback }) {
+  if (value === undefined || value === null || value === '') return fallback;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw validationError(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+// Account ids from a JSON array or a comma-separated form field
+function parseAccountIds(value) {
+  const ids = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+}
+
+/**
+ * Validate campaign settings from a request body into
+ * { name, accountIds, messagesPerMinute, jitterSeconds }.
+ */
+function parseCampaignOptions(body = {}) {
+  const name = String(body.name || '').trim();
+  if (!name) {
+    throw validationError('Campaign name is required');
+  }
+
+  const accountIds = parseAccountIds(body.account_ids || body.account_id);
+  if (accountIds.length === 0) {
+    throw validationError('At least one account is required');
+  }
+
+  return {
+    name,
+    accountIds,
+    messagesPerMinute: parseInteger(body.messages_per_minute, 'messages_per_minute', {
+      min: 1, max: MAX_MESSAGES_PER_MINUTE, fallback: 10
+    }),
+    jitterSeconds: parseInteger(body.jitter_seconds, 'jitter_seconds', {
+      min: 0, max: MAX_JITTER_SECONDS, fallback: 5
+    })
+  };
+}
+
+// One recipient from a CSV row or JSON entry: the number column plus the
+// remaining columns as template variables
+function toRecipient(entry) {
+  if (typeof entry === 'string' || typeof entry === 'number') {
+    return { number: String(entry).trim(), variables: {} };
+  }
+  if (!entry || typeof entry !== 'object') {
+    return { number: '', variables: {} };
+  }
+
+  const numberColumn = NUMBER_COLUMNS.find(column => entry[column]);
+  const variables = { ...(entry.variables || {}) };
+  for (const [key, value] of Object.entries(entry)) {
+    if (key !== numberColumn && key !== 'variables') variables[key] = value;
+  }
+
+  return { number: numberColumn ? String(entry[numberColumn]).trim() : '', variables };
+}
+
+/**
+ * Build the recipient list from CSV text or a JSON array, dropping rows that
+ * reach a chat already listed: numbers are compared in E.164 form, read in
+ * `defaultCountry` (null requires country codes). Every row must have a valid
+ * number and a value for each placeholder in `template`; the recipient's
+ * number is available as {{number}}.
+ */
+function parseRecipients({ csv, recipients, template, defaultCountry }) {
+  let entries;
+  if (csv) {
+    entries = parseCsvObjects(csv);
+  } else if (typeof recipients === 'string') {
+    try {
+      entries = JSON.parse(recipients);
+    } catch (error) {
+      throw validationError('recipients must be a JSON array');
+    }
+  } else {
+    entries = recipients;
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw validationError('A recipients CSV file or a non-empty recipients array is required');
+  }
+  if (entries.length > MAX_RECIPIENTS) {
+    throw validationError(`A campaign can have at most ${MAX_RECIPIENTS} recipients`);
+  }
+
+  const seen = new Set();
+  const parsed = [];
+  const problems = [];
+
+  entries.forEach((entry, index) => {
+    // Rows are numbered like a spreadsheet, with the CSV header as row 1
+    const row = csv ? index + 2 : index + 1;
+    const recipient = toRecipient(entry);
+
+    if (!recipient.number) {
+      problems.push(`row ${row} has no number`);
+      return;
+    }
+
+    let chatId;
+    try {
+      chatId = toChatId(recipient.number, defaultCountry);
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+      problems.push(`row ${row}: ${error.message}`);
+      return;
+    }
+    if (seen.has(chatId)) return;
+    seen.add(chatId);
+
+    const missing = missingVariables(template, { ...recipient.variables, number: recipient.number });
+    if (missing.length > 0) {
+      problems.push(`row ${row} is missing ${missing.join(', ')}`);
+      return;
+    }
+
+    parsed.push(recipient);
+  });
+
+  if (problems.length > 0) {
+    const shown = problems.slice(0, 5).join('; ');
+    throw validationError(`Invalid recipients: ${shown}${problems.length > 5 ? ` (and ${problems.length - 5} more)` : ''}`);
+  }
+
+  return parsed;
+}
+
+module.exports = {
+  MAX_RECIPIENTS,
+  parseAccountIds,
+  parseCampaignOptions,
+  parseRecipients
+};
\ No newline at end of file
@@ -0,0 +1,46 @@
+const MAX_CONTACTS_PAGE = 500;
+
+/**
+ * A contacts row for a whatsapp-web.js Contact. `profile_pic_url` and
+ * `labels` are only set when given, so a quick update from an incoming
+ * message keeps the values of the last full sync.
+ */
+function contactRow(contact, extras = {}) {
+  const row = {
+    contact_id: contact.id._serialized,
+    number: contact.number || contact.id.user,
+    name: contact.name || null,
+    pushname: contact.pushname || null,
+    is_business: !!contact.isBusiness,
+    is_my_contact: !!contact.isMyContact
+  };
+  if (extras.profile_pic_url !== undefined) row.profile_pic_url = extras.profile_pic_url;
+  if (extras.labels !== undefined) row.labels = extras.labels;
+  return row;
+}
+
+// Contacts worth keeping: people (no groups, broadcasts or the account itself)
+function isPersonContact(contact) {
+  return contact.isUser && !contact.isMe && contact.id.server === 'c.us';
+}
+
+// Name to show for a contact: the address book name, else their own
+function contactName(contact) {
+  return contact ? (contact.name || contact.pushname || null) : null;
+}
+
+// `q`, `limit` (default 100) and `offset` of a contact search
+function parseContactQuery(query = {}) {
+  return {
+    search: query.q ? String(query.q).trim() : null,
+    limit: Math.min(parseInt(query.limit) || 100, MAX_CONTACTS_PAGE),
+    offset: Math.max(parseInt(query.offset) || 0, 0)
+  };
+}
+
+module.exports = {
+  contactRow,
+  isPersonContact,
+  contactName,
+  parseContactQuery
+};
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF rows) into
+ * an array of rows, each an array of strings. Blank lines are skipped and a
+ * leading byte order mark is ignored. Tabs or semicolons are used as the
+ * delimiter when the header row has no commas.
+ */
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes(',') ? ','
+    : firstLine.includes('\t') ? '\t'
+      : firstLine.includes(';') ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value.trim() !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value.trim() !== '')) rows.push(row);
+
+  return rows;
+}
+
+// Rows of a CSV with a header line as objects keyed by the trimmed header names
+function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim());
+  return rows.map(row => Object.fromEntries(
+    columns.map((column, index) => [column, (row[index] || '').trim()])
+  ));
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvObjects
+};
\ No newline at end of file
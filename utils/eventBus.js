@@ -0,0 +1,70 @@
+const EventEmitter = require('events');
+
+// Real-time events pushed to connected dashboards over Socket.IO
+const EVENTS = {
+  ACCOUNT_STATUS_UPDATE: 'account_status_update',
+  NEW_MESSAGE: 'new_message',
+  WEBHOOK_DELIVERY: 'webhook_delivery',
+  SCHEDULED_MESSAGE: 'scheduled_message_update',
+  CAMPAIGN_PROGRESS: 'campaign_progress',
+  MESSAGE_ACK: 'message_ack',
+  CONTACTS_SYNCED: 'contacts_synced'
+};
+
+// Process-wide event bus so server-side modules can publish live updates
+// without depending on the Socket.IO server in index.js
+class EventBus extends EventEmitter {
+  // Publish an account status transition
+  accountStatus(accountId, status, extra = {}) {
+    this.emit(EVENTS.ACCOUNT_STATUS_UPDATE, {
+      accountId,
+      status,
+      ...extra,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Publish a logged message, without inlined media payloads
+  message(messageData) {
+    const payload = { ...messageData };
+    if (payload.media && payload.media.data) {
+      const { data, ...mediaInfo } = payload.media;
+      payload.media = mediaInfo;
+    }
+    this.emit(EVENTS.NEW_MESSAGE, payload);
+  }
+
+  // Publish a webhook delivery attempt
+  webhookDelivery(delivery) {
+    this.emit(EVENTS.WEBHOOK_DELIVERY, delivery);
+  }
+
+  // Publish a scheduled message state change
+  scheduledMessage(job) {
+    this.emit(EVENTS.SCHEDULED_MESSAGE, job);
+  }
+
+  // Publish a campaign state change with its recipient counts
+  campaignProgress(campaign) {
+    this.emit(EVENTS.CAMPAIGN_PROGRESS, campaign);
+  }
+
+  // Publish a delivery receipt of an outgoing message
+  messageAck(receipt) {
+    this.emit(EVENTS.MESSAGE_ACK, receipt);
+  }
+
+  // Publish the end of an account's contact sync
+  contactsSynced(accountId, count) {
+    this.emit(EVENTS.CONTACTS_SYNCED, {
+      account_id: accountId,
+      count,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+const eventBus = new EventBus();
+
+module.exports = eventBus;
+module.exports.EVENTS = EVENTS;
\ No newline at end of file
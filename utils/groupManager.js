@@ -0,0 +1,164 @@
+const { db } = require('../config/database');
+const whatsappManager = require('./whatsappManager');
+const { GROUP_SETTINGS, serializeGroup, serializeGroupDetails, inviteLink } = require('./groups');
+const { toChatId } = require('./phoneNumber');
+
+const statusError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Group management on top of the accounts' WhatsApp clients. Every change
+// (and every invite link handed out) is recorded in `group_actions` with who
+// asked for it and how it went.
+class GroupManager {
+  // Chat ids of participant numbers, read in the account's default country
+  async participantIds(accountId, numbers) {
+    const country = await whatsappManager.getDefaultCountry(accountId);
+    return numbers.map(number => toChatId(number, country));
+  }
+
+  async getGroupChat(accountId, groupId) {
+    const client = whatsappManager.getReadyClient(accountId);
+    const chat = await client.getChatById(groupId).catch(() => null);
+    if (!chat || !chat.isGroup) {
+      throw statusError('Group not found', 404);
+    }
+    return chat;
+  }
+
+  // Run an action and record its outcome; failures are rethrown
+  async record(accountId, groupId, action, params, performedBy, run) {
+    const entry = {
+      account_id: accountId,
+      group_id: groupId,
+      action,
+      params,
+      performed_by: performedBy,
+      created_at: new Date().toISOString()
+    };
+
+    try {
+      const result = await run();
+      // Invite links stay out of the log, which viewers can read
+      const { invite_code, invite_link, ...logged } = result;
+      await db.logGroupAction({ ...entry, group_id: groupId || result.id, result: logged, status: 'success' })
+        .catch(error => console.error('Error logging group action:', error));
+      return result;
+    } catch (error) {
+      await db.logGroupAction({ ...entry, status: 'failed', error_message: error.message })
+        .catch(logError => console.error('Error logging group action:', logError));
+      throw error;
+    }
+  }
+
+  async listGroups(accountId) {
+    const chats = await whatsappManager.getReadyClient(accountId).getChats();
+    return chats.filter(chat => chat.isGroup).map(serializeGroup);
+  }
+
+  async getGroup(accountId, groupId) {
+    return serializeGroupDetails(await this.getGroupChat(accountId, groupId));
+  }
+
+  // Create a group; `participants` that could not be added are reported
+  // per number rather than failing the request
+  async createGroup(accountId, { subject, participants }, performedBy) {
+    return this.record(accountId, null, 'create', { subject, participants }, performedBy, async () => {
+      const client = whatsappManager.getReadyClient(accountId);
+      const created = await client.createGroup(subject, await this.participantIds(accountId, participants));
+      if (typeof created === 'string') {
+        throw statusError(created, 502);
+      }
+
+      return {
+        id: created.gid._serialized,
+        subject: created.title,
+        participants: Object.fromEntries(Object.entries(created.participants || {}).map(([id, outcome]) => [id, {
+          code: outcome.statusCode,
+          message: outcome.message,
+          invite_sent: !!outcome.isInviteV4Sent
+        }]))
+      };
+    });
+  }
+
+  // Apply parsed updates (see groups.parseGroupUpdate). WhatsApp refuses
+  // changes the account is not an admin for.
+  async updateGroup(accountId, groupId, updates, performedBy) {
+    return this.record(accountId, groupId, 'update', updates, performedBy, async () => {
+      const chat = await this.getGroupChat(accountId, groupId);
+
+      const changes = [
+        ['subject', value => chat.setSubject(value)],
+        ['description', value => chat.setDescription(value)],
+        ...Object.entries(GROUP_SETTINGS).map(([setting, setter]) => [setting, value => chat[setter](value)])
+      ];
+      for (const [field, apply] of changes) {
+        if (updates[field] !== undefined && !(await apply(updates[field]))) {
+          throw statusError(`Not allowed to change ${field} (the account must be a group admin)`, 403);
+        }
+      }
+
+      return serializeGroup(await this.getGroupChat(accountId, groupId));
+    });
+  }
+
+  /**
+   * Add, remove, promote or demote participants. The result has an entry per
+   * participant id: WhatsApp's outcome for additions, `not_a_participant`
+   * for other actions on numbers that are not in the group.
+   */
+  async changeParticipants(accountId, groupId, action, participants, performedBy) {
+    return this.record(accountId, groupId, action, { participants }, performedBy, async () => {
+      const chat = await this.getGroupChat(accountId, groupId);
+      const ids = await this.participantIds(accountId, participants);
+
+      if (action === 'add') {
+        const added = await chat.addParticipants(ids);
+        if (typeof added === 'string') {
+          throw statusError(added, 502);
+        }
+        return {
+          id: groupId,
+          participants: Object.fromEntries(Object.entries(added).map(([id, outcome]) => [id, {
+            code: outcome.code,
+            message: outcome.message,
+            invite_sent: !!outcome.isInviteV4Sent
+          }]))
+        };
+      }
+
+      const members = new Set((chat.groupMetadata.participants || []).map(participant => participant.id._serialized));
+      const present = ids.filter(id => members.has(id));
+      if (present.length > 0) {
+        const method = { remove: 'removeParticipants', promote: 'promoteParticipants', demote: 'demoteParticipants' }[action];
+        await chat[method](present);
+      }
+
+      return {
+        id: groupId,
+        participants: Object.fromEntries(ids.map(id => [id, members.has(id) ? 'ok' : 'not_a_participant']))
+      };
+    });
+  }
+
+  async getInviteLink(accountId, groupId, performedBy) {
+    return this.record(accountId, groupId, 'get_invite', {}, performedBy, async () => {
+      const chat = await this.getGroupChat(accountId, groupId);
+      const code = await chat.getInviteCode();
+      if (!code) {
+        throw statusError('Not allowed to get the invite link (the account must be a group admin)', 403);
+      }
+      return { id: groupId, invite_code: code, invite_link: inviteLink(code) };
+    });
+  }
+
+  // Invalidate the current invite link and return the new one
+  async revokeInviteLink(accountId, groupId, performedBy) {
+    return this.record(accountId, groupId, 'revoke_invite', {}, performedBy, async () => {
+      const chat = await this.getGroupChat(accountId, groupId);
+      const code = await chat.revokeInvite();
+      return { id: groupId, invite_code: code, invite_link: inviteLink(code) };
+    });
+  }
+}
+
+module.exports = new GroupManager();
\ No newline at end of file
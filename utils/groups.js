@@ -0,0 +1,126 @@
+const { validationError } = require('./messageContent');
+
+// Participant changes POST /api/accounts/:id/groups/:chatId/participants/:action takes
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+// Group settings and the GroupChat setter of each
+const GROUP_SETTINGS = {
+  messages_admins_only: 'setMessagesAdminsOnly',
+  info_admins_only: 'setInfoAdminsOnly',
+  add_members_admins_only: 'setAddMembersAdminsOnly'
+};
+
+const MAX_SUBJECT_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 2048;
+const MAX_PARTICIPANTS = 256;
+
+const INVITE_LINK_PREFIX = 'https://chat.whatsapp.com/';
+
+function parseBoolean(value, field) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw validationError(`${field} must be true or false`);
+}
+
+function parseSubject(value) {
+  const subject = String(value || '').trim();
+  if (!subject || subject.length > MAX_SUBJECT_LENGTH) {
+    throw validationError(`subject must be 1 to ${MAX_SUBJECT_LENGTH} characters`);
+  }
+  return subject;
+}
+
+// Numbers or chat ids of a request: an array, or a comma or newline separated list
+function parseParticipants(value, { required = true } = {}) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+  const participants = [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+
+  if (required && participants.length === 0) {
+    throw validationError('participants needs at least one number');
+  }
+  if (participants.length > MAX_PARTICIPANTS) {
+    throw validationError(`At most ${MAX_PARTICIPANTS} participants can be changed at once`);
+  }
+  return participants;
+}
+
+// Fields of a create request: { subject, participants }
+function parseGroupInput(input = {}) {
+  return {
+    subject: parseSubject(input.subject),
+    participants: parseParticipants(input.participants, { required: false })
+  };
+}
+
+/**
+ * Validate an update request into the changes it makes: `subject`,
+ * `description` and any of the GROUP_SETTINGS booleans. At least one is
+ * required.
+ */
+function parseGroupUpdate(input = {}) {
+  const updates = {};
+
+  if (input.subject !== undefined) updates.subject = parseSubject(input.subject);
+  if (input.description !== undefined) {
+    updates.description = String(input.description || '');
+    if (updates.description.length > MAX_DESCRIPTION_LENGTH) {
+      throw validationError(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+  }
+  for (const setting of Object.keys(GROUP_SETTINGS)) {
+    if (input[setting] !== undefined) updates[setting] = parseBoolean(input[setting], setting);
+  }
+
+  if (Object.keys(updates).length === 0) {
+    throw validationError(`Nothing to update (use subject, description, ${Object.keys(GROUP_SETTINGS).join(', ')})`);
+  }
+  return updates;
+}
+
+// Summary of a whatsapp-web.js GroupChat, as listed for an account
+function serializeGroup(chat) {
+  const metadata = chat.groupMetadata || {};
+  return {
+    id: chat.id._serialized,
+    name: chat.name,
+    description: metadata.desc || '',
+    owner: metadata.owner ? metadata.owner._serialized : null,
+    created_at: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+    participant_count: (metadata.participants || []).length,
+    settings: {
+      messages_admins_only: !!metadata.announce,
+      info_admins_only: !!metadata.restrict,
+      add_members_admins_only: metadata.memberAddMode === 'admin_add'
+    }
+  };
+}
+
+// A group with its participants and the ids of its admins
+function serializeGroupDetails(chat) {
+  const participants = (chat.groupMetadata.participants || []).map(participant => ({
+    id: participant.id._serialized,
+    is_admin: !!participant.isAdmin,
+    is_super_admin: !!participant.isSuperAdmin
+  }));
+
+  return {
+    ...serializeGroup(chat),
+    participants,
+    admins: participants.filter(participant => participant.is_admin || participant.is_super_admin).map(participant => participant.id)
+  };
+}
+
+function inviteLink(code) {
+  return code ? INVITE_LINK_PREFIX + code : null;
+}
+
+module.exports = {
+  PARTICIPANT_ACTIONS,
+  GROUP_SETTINGS,
+  parseParticipants,
+  parseGroupInput,
+  parseGroupUpdate,
+  serializeGroup,
+  serializeGroupDetails,
+  inviteLink
+};
\ No newline at end of file
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const { validationError } = require('./messageContent');
+
+const WINDOW_MS = (parseInt(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+// A key still sending after this long was left behind (e.g. by a restart)
+// and can be claimed again. Sends wait at most SEND_MAX_WAIT_SECONDS in the
+// queue, so a live one finishes well before.
+const SENDING_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// Request fields that do not change which message is sent
+const IGNORED_FIELDS = ['webhook_secret', 'client_ref'];
+
+const statusError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+let lastCleanup = 0;
+
+// The Idempotency-Key header or `client_ref` field of a send request, or null
+function idempotencyKey(req) {
+  const value = req.get('Idempotency-Key') || req.body.client_ref;
+  if (value === undefined || value === null || value === '') return null;
+
+  const key = String(value).trim();
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    throw validationError(`Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`);
+  }
+  return key;
+}
+
+// Hash of what a send request asks for: its fields and any uploaded file
+function requestFingerprint(req) {
+  const fields = Object.fromEntries(Object.entries(req.body)
+    .filter(([field]) => !IGNORED_FIELDS.includes(field))
+    .sort(([a], [b]) => a.localeCompare(b)));
+  const file = req.file
+    ? crypto.createHash('sha256').update(req.file.buffer).digest('hex')
+    : null;
+
+  return crypto.createHash('sha256').update(JSON.stringify({ fields, file })).digest('hex');
+}
+
+async function removeExpired(windowStart) {
+  if (Date.now() - lastCleanup < CLEANUP_INTERVAL_MS) return;
+  lastCleanup = Date.now();
+  await db.deleteExpiredSendRequests(windowStart)
+    .catch(error => console.error('Error removing expired idempotency keys:', error));
+}
+
+/**
+ * Run `send` once per account and key within IDEMPOTENCY_WINDOW_HOURS.
+ * Resolves with `{ result, replayed }`; a repeat of a sent request gets the
+ * first result back with `replayed` set. Failed sends free the key for a
+ * retry, as do sends stuck for SENDING_TIMEOUT_MS. A key that is still
+ * sending is a 409, and one reused for a different request a 422.
+ */
+async function sendOnce(accountId, key, fingerprint, send) {
+  const windowStart = new Date(Date.now() - WINDOW_MS).toISOString();
+  const staleBefore = new Date(Date.now() - SENDING_TIMEOUT_MS).toISOString();
+  await removeExpired(windowStart);
+
+  const claim = () => db.claimSendRequest(accountId, key, fingerprint, windowStart, staleBefore);
+  let claimed = await claim();
+  let existing = claimed ? null : await db.getSendRequest(accountId, key);
+  // The key expired and was removed between claiming and reading it
+  if (!claimed && !existing) {
+    claimed = await claim();
+    existing = claimed ? null : await db.getSendRequest(accountId, key);
+    if (!claimed && !existing) {
+      throw statusError('Idempotency-Key could not be claimed, try again', 409);
+    }
+  }
+
+  if (!claimed) {
+    if (existing.fingerprint !== fingerprint) {
+      throw statusError('Idempotency-Key was already used for a different message', 422);
+    }
+    if (existing.status === 'sent') {
+      return { result: existing.response, replayed: true };
+    }
+    throw statusError('A request with this Idempotency-Key is still being sent', 409);
+  }
+
+  let result;
+  try {
+    result = await send();
+  } catch (error) {
+    await db.updateSendRequest(accountId, key, { status: 'failed' })
+      .catch(updateError => console.error('Error releasing idempotency key:', updateError));
+    throw error;
+  }
+
+  await db.updateSendRequest(accountId, key, { status: 'sent', response: result })
+    .catch(error => console.error('Error saving idempotent send result:', error));
+  return { result, replayed: false };
+}
+
+module.exports = {
+  idempotencyKey,
+  requestFingerprint,
+  sendOnce
+};
\ No newline at end of file
@@ -0,0 +1,93 @@
+const { validationError } = require('./messageContent');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 200;
+
+// Exact-match filters taken straight from the query string
+const MATCH_FILTERS = ['sender', 'recipient', 'chat_id', 'type'];
+
+// Comma-separated list filters (e.g. ?direction=incoming,outgoing)
+const LIST_FILTERS = ['direction', 'status'];
+
+// Opaque cursor pointing after the last row of a page
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.created_at, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    // Both values end up in a filter expression, so only accept plain timestamps and ids
+    if (/^[\d\-T:. +Z]+$/.test(createdAt) && /^[\w-]+$/.test(id)) {
+      return { created_at: createdAt, id };
+    }
+  } catch (error) {
+    // Fall through to the validation error
+  }
+  throw validationError('Invalid cursor');
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw validationError(`${name} must be a valid date`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Validate log search parameters from a query string into
+ * { filters, cursor, limit } for db.searchMessageLogs.
+ */
+function parseLogQuery(query = {}) {
+  const filters = {};
+
+  for (const name of LIST_FILTERS) {
+    if (query[name]) {
+      filters[name] = String(query[name]).split(',').map(value => value.trim()).filter(Boolean);
+    }
+  }
+
+  for (const name of MATCH_FILTERS) {
+    if (query[name]) filters[name] = String(query[name]);
+  }
+
+  if (query.is_group !== undefined && query.is_group !== '') {
+    if (!['true', 'false'].includes(String(query.is_group))) {
+      throw validationError('is_group must be true or false');
+    }
+    filters.is_group = String(query.is_group) === 'true';
+  }
+
+  if (query.from) filters.from = parseDate(query.from, 'from');
+  if (query.to) filters.to = parseDate(query.to, 'to');
+  if (filters.from && filters.to && filters.from >= filters.to) {
+    throw validationError('from must be before to');
+  }
+
+  if (query.q && String(query.q).trim()) {
+    filters.search = String(query.q).trim();
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw validationError('limit must be a positive integer');
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  return {
+    filters,
+    cursor: query.cursor ? decodeCursor(String(query.cursor)) : null,
+    limit
+  };
+}
+
+module.exports = {
+  MAX_LIMIT,
+  parseLogQuery,
+  encodeCursor,
+  decodeCursor
+};
\ No newline at end of file
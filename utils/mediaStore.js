@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createMediaDriver } = require('../config/media');
+
+const URL_TTL_SECONDS = parseInt(process.env.MEDIA_URL_TTL_SECONDS) || 24 * 60 * 60;
+
+// File extensions for common WhatsApp media, so stored files open in the right app
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'video/mp4': '.mp4',
+  'video/3gpp': '.3gp',
+  'audio/ogg': '.ogg',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/aac': '.aac',
+  'application/pdf': '.pdf'
+};
+
+function extensionFor(mimetype, filename) {
+  const base = (mimetype || '').split(';')[0].trim();
+  if (EXTENSIONS[base]) return EXTENSIONS[base];
+  const fromName = filename ? path.extname(filename).toLowerCase() : '';
+  return /^\.[a-z0-9]{1,8}$/.test(fromName) ? fromName : '.bin';
+}
+
+// Stores message media outside the database. Log rows and webhook payloads
+// only carry the key and metadata; files are served through signed,
+// expiring /media/<key> links.
+class MediaStore {
+  constructor() {
+    this.driver = null;
+  }
+
+  // Created on first use so a bad MEDIA_STORAGE setting surfaces with the first file
+  getDriver() {
+    if (!this.driver) {
+      this.driver = createMediaDriver(process.env);
+    }
+    return this.driver;
+  }
+
+  /**
+   * Save a file for an account. Returns the metadata kept in
+   * message_logs.media: { key, storage, mimetype, filename, size }.
+   */
+  async save(accountId, buffer, { mimetype = null, filename = null } = {}) {
+    const driver = this.getDriver();
+    const now = new Date();
+    const key = [
+      accountId,
+      now.getUTCFullYear(),
+      String(now.getUTCMonth() + 1).padStart(2, '0'),
+      `${uuidv4()}${extensionFor(mimetype, filename)}`
+    ].join('/');
+
+    await driver.put(key, buffer, { mimetype });
+
+    return { key, storage: driver.name, mimetype, filename, size: buffer.length };
+  }
+
+  // { stream, size } or null when the file is gone
+  get(key) {
+    return this.getDriver().get(key);
+  }
+
+  // Whole file as a Buffer (for inlining small files), or null
+  async read(key) {
+    const file = await this.get(key);
+    if (!file) return null;
+
+    const chunks = [];
+    for await (const chunk of file.stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  remove(key) {
+    return this.getDriver().remove(key);
+  }
+
+  signature(key, params) {
+    const secret = process.env.MEDIA_SIGNING_SECRET || process.env.SESSION_SECRET;
+    return crypto.createHmac('sha256', secret).update(`${key}?${params.toString()}`).digest('hex');
+  }
+
+  // Query parameters covered by the signature, in a fixed order
+  signedParams({ expires, type, name }) {
+    const params = new URLSearchParams({ expires: String(expires) });
+    if (type) params.set('type', type);
+    if (name) params.set('name', name);
+    return params;
+  }
+
+  /**
+   * Expiring link to a stored file. Absolute when PUBLIC_URL is set, which
+   * webhook receivers on other hosts need.
+   */
+  signedUrl(media, { ttlSeconds = URL_TTL_SECONDS } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const params = this.signedParams({ expires, type: media.mimetype, name: media.filename });
+    params.set('signature', this.signature(media.key, params));
+
+    const baseUrl = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+    return {
+      url: `${baseUrl}/media/${media.key}?${params}`,
+      expires_at: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  // Check a /media request; returns { mimetype, filename } when the link is valid
+  verify(key, query) {
+    const expires = parseInt(query.expires, 10);
+    if (!expires || expires < Date.now() / 1000 || typeof query.signature !== 'string') {
+      return null;
+    }
+
+    const params = this.signedParams({ expires: query.expires, type: query.type, name: query.name });
+    const expected = Buffer.from(this.signature(key, params));
+    const actual = Buffer.from(query.signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    return { mimetype: query.type || null, filename: query.name || null };
+  }
+}
+
+module.exports = new MediaStore();
\ No newline at end of file
@@ -0,0 +1,55 @@
+// whatsapp-web.js ack levels (MessageAck) as delivery statuses
+const ACK_STATUSES = {
+  '-1': 'error',
+  0: 'pending',
+  1: 'sent',
+  2: 'delivered',
+  3: 'read',
+  4: 'played'
+};
+
+// Statuses in the order a message goes through them; acks never move back
+const STATUS_ORDER = ['pending', 'sent', 'delivered', 'read', 'played'];
+
+// Timestamp column set when a message reaches each status
+const STATUS_TIMESTAMPS = {
+  sent: 'sent_at',
+  delivered: 'delivered_at',
+  read: 'read_at',
+  played: 'played_at'
+};
+
+function ackStatus(ack) {
+  return ACK_STATUSES[ack] || null;
+}
+
+/**
+ * The message_logs updates for an ack of an outgoing message, or null when it
+ * does not move the message forward. Reaching a status also fills in the
+ * timestamps of the ones it skipped (a read message was delivered). Errors
+ * only apply before the message was delivered.
+ */
+function ackUpdates(log, ack, at = new Date().toISOString()) {
+  const status = ackStatus(ack);
+  if (!status) return null;
+
+  const current = log.delivery_status || 'pending';
+  if (status === 'error') {
+    return STATUS_ORDER.indexOf(current) < STATUS_ORDER.indexOf('delivered') ? { delivery_status: 'error' } : null;
+  }
+
+  const rank = STATUS_ORDER.indexOf(status);
+  if (current !== 'error' && rank <= STATUS_ORDER.indexOf(current)) return null;
+
+  const updates = { delivery_status: status };
+  for (const reached of STATUS_ORDER.slice(1, rank + 1)) {
+    const column = STATUS_TIMESTAMPS[reached];
+    if (!log[column]) updates[column] = at;
+  }
+  return updates;
+}
+
+module.exports = {
+  ackStatus,
+  ackUpdates
+};
\ No newline at end of file
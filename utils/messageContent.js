@@ -0,0 +1,421 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { MessageMedia, Location } = require('whatsapp-web.js');
+const mediaStore = require('./mediaStore');
+
+const MAX_MEDIA_BYTES = (parseInt(process.env.MEDIA_MAX_SIZE_MB) || 16) * 1024 * 1024;
+const MEDIA_DOWNLOAD_TIMEOUT_MS = 30000;
+const MAX_MEDIA_REDIRECTS = 3;
+
+// Addresses media URLs may not reach: this host, private networks, link-local
+// (cloud metadata), multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+// Mimetypes accepted for each outgoing media type
+const ALLOWED_MIMETYPES = {
+  image: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+  video: ['video/mp4', 'video/3gpp', 'video/quicktime'],
+  audio: ['audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/amr', 'audio/wav', 'audio/webm'],
+  document: [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/zip',
+    'text/plain',
+    'text/csv'
+  ]
+};
+
+const MESSAGE_TYPES = ['text', 'image', 'video', 'audio', 'voice', 'document', 'location', 'contact'];
+
+// Fallback mimetypes for media whose source does not report one
+const EXTENSION_MIMETYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.mp4': 'video/mp4',
+  '.3gp': 'video/3gpp',
+  '.mov': 'video/quicktime',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.amr': 'audio/amr',
+  '.wav': 'audio/wav',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.zip': 'application/zip',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv'
+};
+
+// Errors caused by invalid caller input carry a 400 status for the routes
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function parseBoolean(value) {
+  return value === true || value === 'true' || value === '1' || value === 'on';
+}
+
+// Parse a JSON field that may arrive as a string from a multipart form
+function parseObjectField(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw validationError(`${field} must be a JSON object`);
+  }
+}
+
+function mimetypeFromFilename(filename) {
+  if (!filename) return null;
+  return EXTENSION_MIMETYPES[path.extname(filename).toLowerCase()] || null;
+}
+
+// Infer the message type for a mimetype
+function typeForMimetype(mimetype) {
+  for (const [type, mimetypes] of Object.entries(ALLOWED_MIMETYPES)) {
+    if (mimetypes.includes(mimetype)) return type;
+  }
+  return null;
+}
+
+/**
+ * Normalize a send request (JSON body or multipart form with an optional
+ * `media` file) into a content descriptor for WhatsAppManager.sendMessage.
+ *
+ * Accepted fields: `message` (text, or caption for media), `type`,
+ * `media` ({ url } or { data, mimetype, filename }) or `media_url`,
+ * `as_document`, `as_voice`, `location` ({ latitude, longitude, name, address })
+ * and `contact` ({ name, number } or a raw vCard string). `defaultMedia`
+ * (already stored media, e.g. a template's) is used when the request has none.
+ */
+function parseSendPayload(body = {}, file = null, { defaultMedia = null } = {}) {
+  const content = {
+    type: body.type || null,
+    text: body.message || '',
+    media: null,
+    location: null,
+    contact: null,
+    asDocument: parseBoolean(body.as_document),
+    asVoice: parseBoolean(body.as_voice) || body.type === 'voice'
+  };
+
+  if (content.type && !MESSAGE_TYPES.includes(content.type)) {
+    throw validationError(`Unsupported message type: ${content.type}`);
+  }
+
+  if (file) {
+    content.media = {
+      buffer: file.buffer,
+      mimetype: file.mimetype,
+      filename: file.originalname
+    };
+  } else if (body.media_url) {
+    content.media = { url: body.media_url, filename: body.filename, mimetype: body.mimetype };
+  } else if (body.media) {
+    const media = parseObjectField(body.media, 'media');
+    if (!media.url && !media.data) {
+      throw validationError('media must include either a url or base64 data');
+    }
+    content.media = media;
+  } else if (defaultMedia) {
+    content.media = defaultMedia;
+  }
+
+  if (body.location) {
+    const location = parseObjectField(body.location, 'location');
+    const latitude = parseFloat(location.latitude);
+    const longitude = parseFloat(location.longitude);
+    if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      throw validationError('location requires a valid latitude and longitude');
+    }
+    content.location = { latitude, longitude, name: location.name, address: location.address };
+    content.type = 'location';
+  }
+
+  if (body.contact) {
+    const contact = typeof body.contact === 'string' && body.contact.startsWith('BEGIN:VCARD')
+      ? { vcard: body.contact }
+      : parseObjectField(body.contact, 'contact');
+    if (!contact.vcard && (!contact.name || !contact.number)) {
+      throw validationError('contact requires a name and number, or a vcard');
+    }
+    content.contact = contact;
+    content.type = 'contact';
+  }
+
+  if (!content.text && !content.media && !content.location && !content.contact) {
+    throw validationError('A message, media, location or contact is required');
+  }
+
+  if (['image', 'video', 'audio', 'voice', 'document'].includes(content.type) && !content.media) {
+    throw validationError(`Message type ${content.type} requires media`);
+  }
+
+  return content;
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Hostname of a URL without the brackets of an IPv6 literal
+function urlHost(hostname) {
+  return hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+// IP literals are connected to without a lookup, so they are checked here
+function assertPublicHost(hostname) {
+  if (isPrivateAddress(urlHost(hostname))) {
+    throw validationError('media url must point to a public address');
+  }
+}
+
+// dns.lookup for media downloads that refuses private addresses, checked
+// when connecting so a host cannot resolve differently after a check
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const downloadAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// Download media from a public URL, enforcing the size limit while streaming
+async function downloadMedia(url) {
+  assertPublicHost(url.hostname);
+
+  let response;
+  try {
+    response = await axios.get(url.href, {
+      ...downloadAgents,
+      responseType: 'arraybuffer',
+      timeout: MEDIA_DOWNLOAD_TIMEOUT_MS,
+      maxContentLength: MAX_MEDIA_BYTES,
+      maxBodyLength: MAX_MEDIA_BYTES,
+      maxRedirects: MAX_MEDIA_REDIRECTS,
+      beforeRedirect: (options) => assertPublicHost(options.hostname)
+    });
+  } catch (error) {
+    if (error.message && error.message.includes('maxContentLength')) {
+      throw validationError(`Media exceeds the ${MAX_MEDIA_BYTES / (1024 * 1024)}MB limit`);
+    }
+    console.error(`Error downloading media from ${url.host}:`, error.message);
+    throw validationError('Failed to download media');
+  }
+
+  const contentType = (response.headers['content-type'] || '').split(';')[0].trim();
+  return {
+    buffer: Buffer.from(response.data),
+    mimetype: contentType && contentType !== 'application/octet-stream' ? contentType : null
+  };
+}
+
+// Resolve a media descriptor into a validated MessageMedia
+async function resolveMedia(media, expectedType) {
+  let buffer;
+  let mimetype = media.mimetype || null;
+  let filename = media.filename || null;
+
+  if (media.buffer) {
+    buffer = media.buffer;
+  } else if (media.key) {
+    buffer = await mediaStore.read(media.key);
+    if (!buffer) {
+      throw validationError('Stored media is no longer available');
+    }
+  } else if (media.url) {
+    let url;
+    try {
+      url = new URL(media.url);
+    } catch (error) {
+      throw validationError('media url is not a valid URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw validationError('media url must use http or https');
+    }
+    if (!filename) {
+      try {
+        filename = decodeURIComponent(url.pathname.split('/').pop() || '') || null;
+      } catch (error) {
+        throw validationError('media url has a malformed file name');
+      }
+    }
+    const downloaded = await downloadMedia(url);
+    buffer = downloaded.buffer;
+    mimetype = mimetype || downloaded.mimetype;
+  } else {
+    const data = String(media.data).replace(/^data:([^;]+);base64,/, (match, dataMimetype) => {
+      mimetype = mimetype || dataMimetype;
+      return '';
+    });
+    buffer = Buffer.from(data, 'base64');
+  }
+
+  mimetype = (mimetype || mimetypeFromFilename(filename) || '').toLowerCase();
+
+  if (!buffer || buffer.length === 0) {
+    throw validationError('Media is empty');
+  }
+  if (buffer.length > MAX_MEDIA_BYTES) {
+    throw validationError(`Media exceeds the ${MAX_MEDIA_BYTES / (1024 * 1024)}MB limit`);
+  }
+
+  const mediaType = typeForMimetype(mimetype);
+  if (!mediaType) {
+    throw validationError(`Unsupported media type: ${mimetype || 'unknown'}`);
+  }
+  if (expectedType && ['image', 'video', 'audio'].includes(expectedType) && mediaType !== expectedType) {
+    throw validationError(`Media of type ${mimetype} cannot be sent as ${expectedType}`);
+  }
+  if (expectedType === 'voice' && mediaType !== 'audio') {
+    throw validationError(`Media of type ${mimetype} cannot be sent as a voice note`);
+  }
+
+  return {
+    messageMedia: new MessageMedia(mimetype, buffer.toString('base64'), filename, buffer.length),
+    mediaType,
+    info: {
+      mimetype,
+      filename,
+      size: buffer.length,
+      url: media.url || null,
+      ...(media.key ? { key: media.key } : {})
+    }
+  };
+}
+
+/**
+ * Move uploaded or base64 media of a parsed payload into the media store, so
+ * the content can be kept in the database and sent later. The media is
+ * validated now; media given by URL is left to be downloaded at send time
+ * unless `downloadUrls` is set.
+ */
+async function storeContentMedia(accountId, content, { downloadUrls = false } = {}) {
+  const media = content.media;
+  if (!media || media.key) return content;
+  if (!media.buffer && !media.data && !(downloadUrls && media.url)) return content;
+
+  const { messageMedia, info } = await resolveMedia(media, content.type);
+  const stored = await mediaStore.save(accountId, Buffer.from(messageMedia.data, 'base64'), {
+    mimetype: info.mimetype,
+    filename: info.filename
+  });
+
+  return { ...content, media: { key: stored.key, mimetype: stored.mimetype, filename: stored.filename } };
+}
+
+// Build a vCard 3.0 string for a contact card
+function buildVCard(contact) {
+  const digits = String(contact.number).replace(/\D/g, '');
+  return [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${contact.name}`,
+    `TEL;type=CELL;waid=${digits}:+${digits}`,
+    'END:VCARD'
+  ].join('\n');
+}
+
+/**
+ * Turn a content descriptor (or plain text) into the arguments for
+ * client.sendMessage plus the type, text and media metadata to log.
+ */
+async function buildOutgoingMessage(content) {
+  if (typeof content === 'string') {
+    return { body: content, options: {}, type: 'text', logMessage: content, media: null };
+  }
+
+  if (content.location) {
+    const { latitude, longitude, name, address } = content.location;
+    return {
+      body: new Location(latitude, longitude, { name, address }),
+      options: {},
+      type: 'location',
+      logMessage: content.text || [name, address].filter(Boolean).join(', ') || `${latitude},${longitude}`,
+      media: null,
+      location: content.location
+    };
+  }
+
+  if (content.contact) {
+    const vcard = content.contact.vcard || buildVCard(content.contact);
+    return {
+      body: vcard,
+      options: { parseVCards: true },
+      type: 'contact',
+      logMessage: vcard,
+      media: null
+    };
+  }
+
+  if (content.media) {
+    const { messageMedia, mediaType, info } = await resolveMedia(content.media, content.type);
+    const options = {};
+    let type = mediaType;
+
+    if (content.text) options.caption = content.text;
+    if (content.asVoice) {
+      options.sendAudioAsVoice = true;
+      type = 'voice';
+    } else if (content.asDocument || content.type === 'document') {
+      options.sendMediaAsDocument = true;
+      type = 'document';
+    }
+
+    return { body: messageMedia, options, type, logMessage: content.text || null, media: info };
+  }
+
+  return { body: content.text, options: {}, type: 'text', logMessage: content.text, media: null };
+}
+
+module.exports = {
+  MAX_MEDIA_BYTES,
+  ALLOWED_MIMETYPES,
+  MESSAGE_TYPES,
+  validationError,
+  parseSendPayload,
+  storeContentMedia,
+  buildOutgoingMessage
+};
\ No newline at end of file
@@ -0,0 +1,238 @@
+const { db } = require('../config/database');
+const eventBus = require('./eventBus');
+const mediaStore = require('./mediaStore');
+const whatsappManager = require('./whatsappManager');
+const { storeContentMedia } = require('./messageContent');
+
+const MAX_ATTEMPTS = parseInt(process.env.SCHEDULED_MAX_ATTEMPTS) || 10;
+const RETRY_INTERVAL_MS = parseInt(process.env.SCHEDULED_RETRY_MS) || 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_MS) || 5000;
+const BATCH_SIZE = 20;
+
+// Sends messages stored in `scheduled_messages` once they are due. Jobs live
+// in the database, so they survive restarts; jobs whose account is not ready
+// are retried every RETRY_INTERVAL_MS and fail after MAX_ATTEMPTS.
+class MessageScheduler {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+    this.pendingRun = false;
+  }
+
+  // Start polling for due jobs
+  async start() {
+    if (this.timer) return;
+
+    try {
+      const reset = await db.resetStaleScheduledMessages();
+      if (reset > 0) {
+        console.log(`Requeued ${reset} scheduled messages interrupted by the last shutdown`);
+      }
+    } catch (error) {
+      console.error('Error requeuing stale scheduled messages:', error);
+    }
+
+    this.timer = setInterval(() => this.processDue(), POLL_INTERVAL_MS);
+    this.processDue();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Persist a job. `content` is the output of parseSendPayload; uploaded and
+   * base64 media is moved to the media store so only its key is saved.
+   */
+  async schedule({ accountId, number, content, sendAt, timezone, createdBy = null }) {
+    const job = await db.createScheduledMessage({
+      account_id: accountId,
+      number,
+      content: await storeContentMedia(accountId, content),
+      send_at: sendAt,
+      timezone,
+      status: 'pending',
+      attempts: 0,
+      max_attempts: MAX_ATTEMPTS,
+      next_attempt_at: sendAt,
+      created_by: createdBy,
+      created_at: new Date().toISOString()
+    });
+
+    eventBus.scheduledMessage(job);
+    this.processDue();
+    return job;
+  }
+
+  // Send every due job; concurrent calls are coalesced into one rerun
+  async processDue() {
+    if (this.processing) {
+      this.pendingRun = true;
+      return;
+    }
+
+    this.processing = true;
+    try {
+      do {
+        this.pendingRun = false;
+        const jobs = await db.getDueScheduledMessages(BATCH_SIZE);
+
+        for (const job of jobs) {
+          await this.attempt(job);
+        }
+
+        if (jobs.length === BATCH_SIZE) this.pendingRun = true;
+      } while (this.pendingRun);
+    } catch (error) {
+      console.error('Error processing scheduled messages:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Claim and send a single job
+  async attempt(job) {
+    const claimed = await db.transitionScheduledMessage(job.id, 'pending', { status: 'sending' });
+    if (!claimed) return;
+
+    const attempts = claimed.attempts + 1;
+    const status = whatsappManager.getAccountStatus(claimed.account_id);
+
+    if (status !== 'ready') {
+      const error = `Account is not ready (status: ${status || 'not running'})`;
+
+      if (attempts < claimed.max_attempts) {
+        await this.update(claimed.id, {
+          status: 'pending',
+          attempts,
+          last_error: error,
+          next_attempt_at: new Date(Date.now() + RETRY_INTERVAL_MS).toISOString()
+        });
+        return;
+      }
+
+      await this.logFailure(claimed, `${error}; giving up after ${attempts} attempts`);
+      await this.update(claimed.id, { status: 'failed', attempts, last_error: error });
+      await this.removeMedia(claimed);
+      return;
+    }
+
+    try {
+      // sendMessage logs the outgoing message, successful or not. Waiting for
+      // the account's pacing would hold up the other due messages, so that
+      // is a 429 like the send limits.
+      const result = await whatsappManager.sendMessage(claimed.account_id, claimed.number, claimed.content, { maxWaitMs: 0 });
+
+      await this.update(claimed.id, {
+        status: 'sent',
+        attempts,
+        last_error: null,
+        message_id: result.messageId,
+        sent_at: new Date().toISOString()
+      });
+    } catch (error) {
+      // Over the account's send limits: wait, without using up an attempt
+      if (error.statusCode === 429) {
+        await this.update(claimed.id, {
+          status: 'pending',
+          last_error: error.message,
+          next_attempt_at: new Date(Date.now() + error.retryAfter * 1000).toISOString()
+        });
+        return;
+      }
+
+      await this.update(claimed.id, { status: 'failed', attempts, last_error: error.message });
+      await this.removeMedia(claimed);
+    }
+  }
+
+  // Cancel a pending job
+  async cancel(id) {
+    const job = await db.getScheduledMessage(id);
+    if (!job) return null;
+
+    const cancelled = await db.transitionScheduledMessage(id, 'pending', { status: 'cancelled' });
+    if (!cancelled) {
+      throw this.conflict(job);
+    }
+
+    eventBus.scheduledMessage(cancelled);
+    await this.removeMedia(cancelled);
+    return cancelled;
+  }
+
+  // Move a pending job to a new time, with a fresh attempt budget
+  async reschedule(id, { sendAt, timezone }) {
+    const job = await db.getScheduledMessage(id);
+    if (!job) return null;
+
+    const updated = await db.transitionScheduledMessage(id, 'pending', {
+      send_at: sendAt,
+      timezone,
+      attempts: 0,
+      last_error: null,
+      next_attempt_at: sendAt
+    });
+    if (!updated) {
+      throw this.conflict(job);
+    }
+
+    eventBus.scheduledMessage(updated);
+    this.processDue();
+    return updated;
+  }
+
+  conflict(job) {
+    const error = new Error(`Scheduled message is already ${job.status}`);
+    error.statusCode = 409;
+    return error;
+  }
+
+  async update(id, updates) {
+    const job = await db.updateScheduledMessage(id, updates);
+    eventBus.scheduledMessage(job);
+    return job;
+  }
+
+  // Drop stored media of a job that was never sent; sent media stays for the
+  // message log and template media belongs to the template
+  async removeMedia(job) {
+    const media = job.content && job.content.media;
+    if (media && media.key && !media.template_id) {
+      try {
+        await mediaStore.remove(media.key);
+      } catch (error) {
+        console.error(`Error removing media of scheduled message ${job.id}:`, error);
+      }
+    }
+  }
+
+  // Record a job that never reached sendMessage as a failed outgoing message
+  async logFailure(job, errorMessage) {
+    const chatId = await whatsappManager.resolveChatId(job.account_id, job.number).catch(() => null);
+    const entry = {
+      account_id: job.account_id,
+      direction: 'outgoing',
+      recipient: job.number,
+      message: job.content.text || null,
+      type: job.content.type || 'text',
+      chat_id: chatId,
+      is_group: chatId ? chatId.endsWith('@g.us') : false,
+      status: 'failed',
+      error_message: errorMessage,
+      created_at: new Date().toISOString()
+    };
+
+    try {
+      await db.logMessage(entry);
+    } catch (error) {
+      console.error('Error logging failed scheduled message:', error);
+    }
+    eventBus.message(entry);
+  }
+}
+
+module.exports = new MessageScheduler();
\ No newline at end of file
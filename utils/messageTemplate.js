@@ -0,0 +1,106 @@
+const { validationError, parseSendPayload } = require('./messageContent');
+
+// {{name}} placeholders; names may contain letters, digits, _ . and -
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Distinct placeholder names in a template body, in order of appearance
+function templatePlaceholders(body) {
+  const names = [];
+  for (const [, name] of String(body || '').matchAll(PLACEHOLDER)) {
+    if (!names.includes(name)) names.push(name);
+  }
+  return names;
+}
+
+// Placeholders of a body that have no (non-empty) value in `variables`
+function missingVariables(body, variables = {}) {
+  return templatePlaceholders(body).filter(name => {
+    const value = variables[name];
+    return value === undefined || value === null || String(value) === '';
+  });
+}
+
+/**
+ * Substitute {{placeholders}} in a template body. Throws a validation error
+ * naming every placeholder without a value.
+ */
+function renderTemplate(body, variables = {}) {
+  const missing = missingVariables(body, variables);
+  if (missing.length > 0) {
+    throw validationError(`Missing template variables: ${missing.join(', ')}`);
+  }
+  return String(body || '').replace(PLACEHOLDER, (match, name) => String(variables[name]));
+}
+
+// `variables` of a request: an object, or a JSON string from a multipart form
+function parseVariables(value) {
+  if (value === undefined || value === null || value === '') return {};
+
+  let variables = value;
+  if (typeof value === 'string') {
+    try {
+      variables = JSON.parse(value);
+    } catch (error) {
+      throw validationError('variables must be a JSON object');
+    }
+  }
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    throw validationError('variables must be a JSON object');
+  }
+  return variables;
+}
+
+/**
+ * Validate template fields from a create or update request into
+ * { name, body, media }. New media is returned unsaved; on update, omitted
+ * fields keep the values of `existing` and `remove_media` drops its media.
+ */
+function parseTemplateInput(input = {}, file = null, existing = null) {
+  const name = String(input.name !== undefined ? input.name : (existing ? existing.name : '')).trim();
+  if (!name) {
+    throw validationError('Template name is required');
+  }
+  if (name.length > 255) {
+    throw validationError('Template name must be at most 255 characters');
+  }
+
+  const removeMedia = input.remove_media === true || input.remove_media === 'true';
+  const keptMedia = existing && !removeMedia ? existing.media : null;
+  const body = input.body !== undefined ? String(input.body) : (existing ? existing.body : '');
+  if (!body.trim() && !file && !input.media_url && !input.media && !keptMedia) {
+    throw validationError('A template needs a body or media');
+  }
+
+  const content = parseSendPayload({
+    message: body,
+    media: input.media,
+    media_url: input.media_url,
+    filename: input.filename,
+    mimetype: input.mimetype
+  }, file, { defaultMedia: keptMedia });
+
+  return { name, body: content.text, media: content.media };
+}
+
+/**
+ * Content for a send request naming a template: the body rendered with the
+ * request's `variables` is the message, and the template's media is sent
+ * unless the request has its own. Other fields (as_document, ...) apply as
+ * usual.
+ */
+function parseTemplatePayload(template, body = {}, file = null) {
+  const message = renderTemplate(template.body, parseVariables(body.variables));
+  // Marks the media as the template's, so jobs do not delete it as their own
+  const media = template.media ? { ...template.media, template_id: template.id } : null;
+
+  return parseSendPayload({ ...body, message }, file, { defaultMedia: media });
+}
+
+module.exports = {
+  templatePlaceholders,
+  missingVariables,
+  renderTemplate,
+  parseVariables,
+  parseTemplateInput,
+  parseTemplatePayload
+};
\ No newline at end of file
@@ -0,0 +1,243 @@
+const { validationError } = require('./messageContent');
+
+/**
+ * National numbering rules of the countries a default country can be set
+ * to: calling code, trunk prefix dialled before national numbers (if any)
+ * and the length range of the national significant number.
+ */
+const COUNTRIES = {
+  AE: { code: '971', trunk: '0', min: 8, max: 9 },
+  AR: { code: '54', trunk: '0', min: 10, max: 11 },
+  AT: { code: '43', trunk: '0', min: 4, max: 13 },
+  AU: { code: '61', trunk: '0', min: 9, max: 9 },
+  BD: { code: '880', trunk: '0', min: 10, max: 10 },
+  BE: { code: '32', trunk: '0', min: 8, max: 9 },
+  BR: { code: '55', trunk: '0', min: 10, max: 11 },
+  CA: { code: '1', trunk: '1', min: 10, max: 10 },
+  CH: { code: '41', trunk: '0', min: 9, max: 9 },
+  CL: { code: '56', trunk: '', min: 9, max: 9 },
+  CN: { code: '86', trunk: '0', min: 10, max: 11 },
+  CO: { code: '57', trunk: '', min: 10, max: 10 },
+  DE: { code: '49', trunk: '0', min: 6, max: 13 },
+  DK: { code: '45', trunk: '', min: 8, max: 8 },
+  EG: { code: '20', trunk: '0', min: 9, max: 10 },
+  ES: { code: '34', trunk: '', min: 9, max: 9 },
+  FI: { code: '358', trunk: '0', min: 5, max: 12 },
+  FR: { code: '33', trunk: '0', min: 9, max: 9 },
+  GB: { code: '44', trunk: '0', min: 9, max: 10 },
+  GH: { code: '233', trunk: '0', min: 9, max: 9 },
+  ID: { code: '62', trunk: '0', min: 9, max: 12 },
+  IE: { code: '353', trunk: '0', min: 7, max: 9 },
+  IL: { code: '972', trunk: '0', min: 8, max: 9 },
+  IN: { code: '91', trunk: '0', min: 10, max: 10 },
+  IT: { code: '39', trunk: '', min: 6, max: 11 },
+  JP: { code: '81', trunk: '0', min: 9, max: 10 },
+  KE: { code: '254', trunk: '0', min: 9, max: 9 },
+  KR: { code: '82', trunk: '0', min: 9, max: 10 },
+  MX: { code: '52', trunk: '', min: 10, max: 10 },
+  MY: { code: '60', trunk: '0', min: 9, max: 10 },
+  NG: { code: '234', trunk: '0', min: 8, max: 10 },
+  NL: { code: '31', trunk: '0', min: 9, max: 9 },
+  NO: { code: '47', trunk: '', min: 8, max: 8 },
+  NZ: { code: '64', trunk: '0', min: 8, max: 10 },
+  PE: { code: '51', trunk: '0', min: 8, max: 9 },
+  PH: { code: '63', trunk: '0', min: 10, max: 10 },
+  PK: { code: '92', trunk: '0', min: 10, max: 10 },
+  PL: { code: '48', trunk: '', min: 9, max: 9 },
+  PT: { code: '351', trunk: '', min: 9, max: 9 },
+  RU: { code: '7', trunk: '8', min: 10, max: 10 },
+  SA: { code: '966', trunk: '0', min: 9, max: 9 },
+  SE: { code: '46', trunk: '0', min: 7, max: 9 },
+  SG: { code: '65', trunk: '', min: 8, max: 8 },
+  TH: { code: '66', trunk: '0', min: 8, max: 9 },
+  TR: { code: '90', trunk: '0', min: 10, max: 10 },
+  UA: { code: '380', trunk: '0', min: 9, max: 9 },
+  US: { code: '1', trunk: '1', min: 10, max: 10 },
+  VN: { code: '84', trunk: '0', min: 9, max: 10 },
+  ZA: { code: '27', trunk: '0', min: 9, max: 9 }
+};
+
+// Every assigned country calling code; numbers of countries missing from
+// COUNTRIES are only checked against the E.164 length limits
+const CALLING_CODES = new Set([
+  '1', '7',
+  '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47', '48', '49',
+  '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65', '66',
+  '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98',
+  '211', '212', '213', '216', '218', '220', '221', '222', '223', '224', '225', '226', '227', '228', '229',
+  '230', '231', '232', '233', '234', '235', '236', '237', '238', '239',
+  '240', '241', '242', '243', '244', '245', '246', '247', '248', '249',
+  '250', '251', '252', '253', '254', '255', '256', '257', '258',
+  '260', '261', '262', '263', '264', '265', '266', '267', '268', '269', '290', '291', '297', '298', '299',
+  '350', '351', '352', '353', '354', '355', '356', '357', '358', '359',
+  '370', '371', '372', '373', '374', '375', '376', '377', '378', '380', '381', '382', '383', '385', '386', '387', '389',
+  '420', '421', '423',
+  '500', '501', '502', '503', '504', '505', '506', '507', '508', '509',
+  '590', '591', '592', '593', '594', '595', '596', '597', '598', '599',
+  '670', '672', '673', '674', '675', '676', '677', '678', '679',
+  '680', '681', '682', '683', '685', '686', '687', '688', '689', '690', '691', '692',
+  '850', '852', '853', '855', '856', '880', '886',
+  '960', '961', '962', '963', '964', '965', '966', '967', '968',
+  '970', '971', '972', '973', '974', '975', '976', '977', '992', '993', '994', '995', '996', '998'
+]);
+
+// Length rules by calling code; countries sharing one (US/CA) share the rules
+const RULES_BY_CODE = {};
+for (const rules of Object.values(COUNTRIES)) {
+  RULES_BY_CODE[rules.code] = RULES_BY_CODE[rules.code] || rules;
+}
+
+// WhatsApp ids passed through as they are: people (phone or LID), groups
+// and channels. status@broadcast is not a chat that can be messaged.
+const CHAT_ID_PATTERNS = [
+  /^\d+@c\.us$/,
+  /^\d+@lid$/,
+  /^\d+(-\d+)?@g\.us$/,
+  /^\d+@newsletter$/
+];
+
+// E.164 allows at most 15 digits including the calling code
+const MAX_E164_DIGITS = 15;
+const MIN_NATIONAL_DIGITS = 4;
+
+// Separators people write numbers with, and a "(0)" trunk hint as in +44 (0)20...
+const SEPARATORS = /[\s\-.()/]/g;
+const TRUNK_HINT = /\(0\)/g;
+
+// Upper-cased ISO 3166 code of a supported default country, or null when empty
+function parseCountry(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const country = String(value).trim().toUpperCase();
+  if (!COUNTRIES[country]) {
+    throw validationError(`Unsupported country: ${value} (use one of ${Object.keys(COUNTRIES).join(', ')})`);
+  }
+  return country;
+}
+
+// Country of numbers written without a country code, for accounts that set
+// none. An empty DEFAULT_COUNTRY requires country codes. A country that is
+// not supported stops the server on startup rather than failing every send.
+const DEFAULT_COUNTRY = (() => {
+  try {
+    return parseCountry(process.env.DEFAULT_COUNTRY ?? 'IN') || '';
+  } catch (error) {
+    throw new Error(`Invalid DEFAULT_COUNTRY: ${error.message}`);
+  }
+})();
+
+function callingCodeOf(digits) {
+  for (const length of [1, 2, 3]) {
+    const code = digits.slice(0, length);
+    if (CALLING_CODES.has(code)) return code;
+  }
+  return null;
+}
+
+// Whether digits are a national significant number of a country. Where 0
+// is the trunk prefix, no national number starts with it.
+function fitsCountry(national, rules) {
+  return national.length >= rules.min && national.length <= rules.max
+    && !(rules.trunk === '0' && national.startsWith('0'));
+}
+
+// National number of digits dialled inside a country, or null
+function nationalNumber(digits, rules) {
+  if (rules.trunk && digits.startsWith(rules.trunk) && fitsCountry(digits.slice(rules.trunk.length), rules)) {
+    return digits.slice(rules.trunk.length);
+  }
+  return fitsCountry(digits, rules) ? digits : null;
+}
+
+// Digits of an international number (without + or 00), validated. A trunk 0
+// kept after the country code (+44 020...) is dropped.
+function internationalNumber(digits, input) {
+  const code = callingCodeOf(digits);
+  if (!code) {
+    throw validationError(`Unknown country code in ${input}`);
+  }
+
+  const rules = RULES_BY_CODE[code];
+  if (!rules) {
+    const national = digits.slice(code.length);
+    if (national.length < MIN_NATIONAL_DIGITS || digits.length > MAX_E164_DIGITS) {
+      throw validationError(`Not a valid phone number: ${input}`);
+    }
+    return digits;
+  }
+
+  const rest = digits.slice(code.length);
+  const national = fitsCountry(rest, rules) ? rest : (rules.trunk === '0' ? nationalNumber(rest, rules) : null);
+  if (!national) {
+    throw validationError(`Not a valid phone number: ${input}`);
+  }
+  return code + national;
+}
+
+/**
+ * E.164 form (+15551234567) of a phone number as people write it. Numbers
+ * starting with + or 00 carry their country code; others are read in
+ * `defaultCountry` (dropping its trunk prefix, so 020 7946 0000 in GB is
+ * +442079460000), or taken as international when they already start with
+ * its calling code. Impossible numbers are a 400 validationError.
+ */
+function normalizePhoneNumber(input, defaultCountry = DEFAULT_COUNTRY) {
+  const raw = String(input === undefined || input === null ? '' : input).trim();
+  const cleaned = raw.replace(TRUNK_HINT, '').replace(SEPARATORS, '');
+  if (!cleaned) {
+    throw validationError('A phone number is required');
+  }
+  if (!/^(\+|00)?\d+$/.test(cleaned)) {
+    throw validationError(`Not a phone number: ${raw}`);
+  }
+
+  if (cleaned.startsWith('+')) return '+' + internationalNumber(cleaned.slice(1), raw);
+  if (cleaned.startsWith('00')) return '+' + internationalNumber(cleaned.slice(2), raw);
+
+  const country = parseCountry(defaultCountry);
+  if (!country) {
+    throw validationError(`${raw} needs a country code (such as +${COUNTRIES.US.code}) because no default country is set`);
+  }
+
+  const rules = COUNTRIES[country];
+  const national = nationalNumber(cleaned, rules);
+  if (national) return `+${rules.code}${national}`;
+
+  if (cleaned.startsWith(rules.code) && fitsCountry(cleaned.slice(rules.code.length), rules)) {
+    return '+' + cleaned;
+  }
+  throw validationError(`Not a valid ${country} phone number: ${raw}`);
+}
+
+function isChatId(value) {
+  return CHAT_ID_PATTERNS.some(pattern => pattern.test(value));
+}
+
+/**
+ * WhatsApp chat id to send to: chat ids (see CHAT_ID_PATTERNS) as they are,
+ * phone numbers normalized and addressed as <digits>@c.us.
+ */
+function toChatId(input, defaultCountry = DEFAULT_COUNTRY) {
+  const value = String(input === undefined || input === null ? '' : input).trim();
+
+  if (value.includes('@')) {
+    // A number written as a chat id, such as +1 555 123 4567@c.us
+    const [user, server] = value.split('@');
+    const chatId = server === 'c.us' ? `${user.replace(SEPARATORS, '').replace(/^\+/, '')}@c.us` : value;
+    if (!isChatId(chatId)) {
+      throw validationError(`Not a supported chat id: ${value}`);
+    }
+    return chatId;
+  }
+
+  return normalizePhoneNumber(value, defaultCountry).slice(1) + '@c.us';
+}
+
+module.exports = {
+  DEFAULT_COUNTRY,
+  COUNTRIES,
+  parseCountry,
+  normalizePhoneNumber,
+  isChatId,
+  toChatId
+};
\ No newline at end of file
@@ -0,0 +1,186 @@
+const moment = require('moment');
+const { validationError } = require('./messageContent');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+const MAX_SCHEDULE_DAYS = parseInt(process.env.SCHEDULE_MAX_DAYS) || 365;
+
+// Scheduling a little in the past (clock skew, slow forms) just sends right away
+const PAST_TOLERANCE_MS = 60 * 1000;
+
+// Wall-clock formats accepted for send_at without an offset
+const LOCAL_FORMATS = [
+  'YYYY-MM-DDTHH:mm:ss.SSS',
+  'YYYY-MM-DDTHH:mm:ss',
+  'YYYY-MM-DDTHH:mm',
+  'YYYY-MM-DD HH:mm:ss',
+  'YYYY-MM-DD HH:mm'
+];
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Offset of an IANA zone from UTC at a given instant, in minutes
+function timezoneOffset(timeZone, date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const value = Object.fromEntries(parts.map(part => [part.type, parseInt(part.value, 10)]));
+
+  const wallTime = Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute, value.second);
+  return Math.round((wallTime - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a wall-clock time in an IANA zone to a UTC Date. Times skipped by a
+ * DST change move forward by the size of the gap (02:30 becomes 03:30).
+ */
+function zonedTimeToUtc(localTime, timeZone) {
+  const asUtc = moment.utc(localTime, LOCAL_FORMATS, true);
+  if (!asUtc.isValid()) return null;
+
+  const wallTime = asUtc.valueOf();
+  const guess = wallTime - timezoneOffset(timeZone, new Date(wallTime)) * 60000;
+  return new Date(wallTime - timezoneOffset(timeZone, new Date(guess)) * 60000);
+}
+
+// ISO 8601 time with the zone's offset, e.g. 2024-05-01T09:00:00+02:00
+function formatInTimezone(date, timeZone) {
+  const instant = new Date(date);
+  return moment(instant).utcOffset(timezoneOffset(timeZone, instant)).format();
+}
+
+/**
+ * Resolve when to send from `send_at` (ISO time with an offset, or a local
+ * time read in `timezone`) or `delay_seconds`. Returns { sendAt, timezone }.
+ */
+function parseSchedule(body = {}, { now = new Date() } = {}) {
+  const timezone = body.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) {
+    throw validationError(`Unknown timezone: ${timezone}`);
+  }
+
+  let sendAt;
+  if (body.send_at !== undefined && body.send_at !== null && body.send_at !== '') {
+    const value = String(body.send_at).trim();
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+      const parsed = moment(value, moment.ISO_8601, true);
+      sendAt = parsed.isValid() ? parsed.toDate() : null;
+    } else {
+      sendAt = zonedTimeToUtc(value, timezone);
+    }
+    if (!sendAt) {
+      throw validationError('send_at must be an ISO 8601 date and time');
+    }
+  } else if (body.delay_seconds !== undefined && body.delay_seconds !== '') {
+    const delay = Number(body.delay_seconds);
+    if (!Number.isInteger(delay) || delay < 0) {
+      throw validationError('delay_seconds must be a non-negative integer');
+    }
+    sendAt = new Date(now.getTime() + delay * 1000);
+  } else {
+    throw validationError('send_at or delay_seconds is required');
+  }
+
+  if (sendAt.getTime() < now.getTime() - PAST_TOLERANCE_MS) {
+    throw validationError('send_at must be in the future');
+  }
+  if (sendAt.getTime() > now.getTime() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+    throw validationError(`Messages can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead`);
+  }
+
+  return { sendAt: sendAt.toISOString(), timezone };
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// Minutes since midnight of an 'HH:MM' time, or null
+function parseTimeOfDay(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || '').trim());
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+// Weekday (0 = Sunday) and minutes since midnight of an instant in a zone
+function localDayAndMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+  const value = Object.fromEntries(parts.map(part => [part.type, part.value]));
+
+  return {
+    weekday: WEEKDAYS.indexOf(value.weekday),
+    minutes: parseInt(value.hour, 10) * 60 + parseInt(value.minute, 10)
+  };
+}
+
+/**
+ * Validate a daily time window { from, to, days, timezone }: 'HH:MM' times,
+ * days 0-6 with 0 = Sunday (every day when omitted). A `to` earlier than
+ * `from` runs past midnight; equal times cover the whole day.
+ */
+function parseTimeWindow(value, field = 'hours') {
+  if (!value || typeof value !== 'object') {
+    throw validationError(`${field} must be an object with from and to times`);
+  }
+  if (parseTimeOfDay(value.from) === null || parseTimeOfDay(value.to) === null) {
+    throw validationError(`${field}.from and ${field}.to must be HH:MM times`);
+  }
+
+  const days = value.days === undefined || value.days === null ? ALL_DAYS : value.days;
+  if (!Array.isArray(days) || days.length === 0 || !days.every(day => ALL_DAYS.includes(Number(day)))) {
+    throw validationError(`${field}.days must list weekdays from 0 (Sunday) to 6 (Saturday)`);
+  }
+
+  const timezone = value.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) {
+    throw validationError(`Unknown timezone: ${timezone}`);
+  }
+
+  return {
+    from: String(value.from).trim(),
+    to: String(value.to).trim(),
+    days: [...new Set(days.map(Number))].sort(),
+    timezone
+  };
+}
+
+// Whether an instant falls in a window; the part of an overnight window after
+// midnight belongs to the day it started on
+function isWithinTimeWindow(window, date = new Date()) {
+  const { weekday, minutes } = localDayAndMinutes(date, window.timezone || DEFAULT_TIMEZONE);
+  const from = parseTimeOfDay(window.from);
+  const to = parseTimeOfDay(window.to);
+  const days = window.days && window.days.length > 0 ? window.days : ALL_DAYS;
+
+  if (from === to) return days.includes(weekday);
+  if (from < to) return days.includes(weekday) && minutes >= from && minutes < to;
+  if (minutes >= from) return days.includes(weekday);
+  return minutes < to && days.includes((weekday + 6) % 7);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  zonedTimeToUtc,
+  formatInTimezone,
+  parseSchedule,
+  parseTimeWindow,
+  isWithinTimeWindow
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+const { validationError } = require('./messageContent');
+
+// Rolling windows of the message count limits, in seconds
+const LIMIT_WINDOWS = {
+  per_minute: 60,
+  per_hour: 60 * 60,
+  per_day: 24 * 60 * 60
+};
+
+// Every setting of an account's send_limits with its largest value
+const LIMIT_FIELDS = {
+  per_minute: 1000,
+  per_hour: 10000,
+  per_day: 100000,
+  recipient_cooldown_seconds: 24 * 60 * 60,
+  new_contacts_per_day: 10000,
+  min_interval_seconds: 600,
+  jitter_seconds: 600
+};
+
+// Typing shown before a text message: per character, within these bounds
+const TYPING_MS_PER_CHAR = 50;
+const MIN_TYPING_MS = 1000;
+const MAX_TYPING_MS = 8000;
+
+function parseLimit(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const number = Number(value);
+  const min = field.endsWith('_seconds') ? 0 : 1;
+  if (!Number.isInteger(number) || number < min || number > LIMIT_FIELDS[field]) {
+    throw validationError(`${field} must be a whole number from ${min} to ${LIMIT_FIELDS[field]}`);
+  }
+  return number;
+}
+
+/**
+ * Validate an account's send limits. Every field of LIMIT_FIELDS is optional
+ * (unset = no limit), and `typing` shows the account typing before each
+ * message. Returns null when nothing is set.
+ */
+function parseSendLimits(input) {
+  if (input === undefined || input === null || input === '') return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw validationError('send_limits must be an object');
+  }
+
+  const limits = {};
+  for (const field of Object.keys(LIMIT_FIELDS)) {
+    const value = parseLimit(input[field], field);
+    if (value) limits[field] = value;
+  }
+  if (input.typing === true || input.typing === 'true') limits.typing = true;
+
+  return Object.keys(limits).length > 0 ? limits : null;
+}
+
+// Error for a send over a limit; routes answer 429 with Retry-After
+function rateLimitError(message, retryAfterSeconds) {
+  const error = new Error(message);
+  error.statusCode = 429;
+  error.retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+  return error;
+}
+
+// Milliseconds to wait after an account's last send: min_interval_seconds
+// plus a random 0..jitter_seconds
+function paceDelay(limits) {
+  const interval = (limits.min_interval_seconds || 0) * 1000;
+  const jitter = (limits.jitter_seconds || 0) * 1000;
+  return interval + Math.random() * jitter;
+}
+
+// How long to show typing before sending `text`
+function typingDuration(text) {
+  const length = text ? text.length : 0;
+  return Math.min(MAX_TYPING_MS, Math.max(MIN_TYPING_MS, length * TYPING_MS_PER_CHAR));
+}
+
+module.exports = {
+  LIMIT_WINDOWS,
+  parseSendLimits,
+  rateLimitError,
+  paceDelay,
+  typingDuration
+};
\ No newline at end of file
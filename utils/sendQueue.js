@@ -0,0 +1,122 @@
+const { db } = require('../config/database');
+const { LIMIT_WINDOWS, rateLimitError, paceDelay } = require('./sendLimits');
+
+// Longest a send may wait for its turn before it is refused instead
+const MAX_WAIT_MS = (parseInt(process.env.SEND_MAX_WAIT_SECONDS) || 30) * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// People can be new contacts; groups, channels and status updates cannot
+const isPersonChat = (chatId) => chatId.endsWith('@c.us') || chatId.endsWith('@lid');
+
+// Sends each account's messages one at a time, spaced by its send_limits
+// pacing. Messages over a limit, or that would wait longer than allowed for
+// their turn, are refused with a 429 before they are queued. Limits count the
+// account's logged sends plus the ones still queued, so they hold across
+// restarts.
+class SendQueue {
+  constructor() {
+    // accountId -> { admission, tail, pending: [{ chatId, newContact, delay, sendAt }], lastSentAt }
+    this.accounts = new Map();
+  }
+
+  state(accountId) {
+    if (!this.accounts.has(accountId)) {
+      this.accounts.set(accountId, {
+        admission: Promise.resolve(),
+        tail: Promise.resolve(),
+        pending: [],
+        lastSentAt: 0
+      });
+    }
+    return this.accounts.get(accountId);
+  }
+
+  /**
+   * Queue `send` for an account's chat and resolve with its result. `send`
+   * gets `{ newContact }`: whether this is the first message of the chat.
+   * Throws a 429 rateLimitError when the send would exceed `limits` or wait
+   * longer than `maxWaitMs` (default SEND_MAX_WAIT_SECONDS) for its turn.
+   */
+  async enqueue(accountId, chatId, limits, send, { maxWaitMs = MAX_WAIT_MS } = {}) {
+    const state = this.state(accountId);
+
+    // Admit one message at a time so concurrent requests see each other
+    const admitted = state.admission.then(() => this.admit(accountId, chatId, limits, state, maxWaitMs));
+    state.admission = admitted.catch(() => {});
+    const entry = await admitted;
+
+    const run = state.tail.then(async () => {
+      try {
+        const wait = state.lastSentAt + entry.delay - Date.now();
+        if (wait > 0) await sleep(wait);
+        return await send({ newContact: entry.newContact });
+      } finally {
+        state.lastSentAt = Date.now();
+        state.pending.splice(state.pending.indexOf(entry), 1);
+      }
+    });
+    state.tail = run.catch(() => {});
+    return run;
+  }
+
+  async admit(accountId, chatId, limits, state, maxWaitMs) {
+    const queuedToChat = state.pending.some(pending => pending.chatId === chatId);
+    const newContact = isPersonChat(chatId) && !queuedToChat && !(await db.hasChatHistory(accountId, chatId));
+
+    if (limits) await this.checkLimits(accountId, chatId, newContact, limits, state.pending);
+
+    // The pacing delay is picked now so the wait is known before queueing;
+    // queued messages are expected to go at their own sendAt
+    const delay = limits ? paceDelay(limits) : 0;
+    const previous = state.pending[state.pending.length - 1];
+    const now = Date.now();
+    const sendAt = Math.max(now, (previous ? previous.sendAt : state.lastSentAt) + delay);
+    if (sendAt - now > maxWaitMs) {
+      throw rateLimitError(`Waiting for the account's send pacing (next send in ${Math.ceil((sendAt - now) / 1000)}s)`,
+        (sendAt - now - maxWaitMs) / 1000);
+    }
+
+    const entry = { chatId, newContact, delay, sendAt };
+    state.pending.push(entry);
+    return entry;
+  }
+
+  async checkLimits(accountId, chatId, newContact, limits, pending) {
+    const now = Date.now();
+
+    // The send is refused while `limit` sends are in the window; it can be
+    // retried once the oldest of the newest `limit` (queued ones included) leaves it
+    const checkWindow = async (limit, windowSeconds, queued, filters, message) => {
+      if (queued >= limit) {
+        throw rateLimitError(message, windowSeconds);
+      }
+      const since = new Date(now - windowSeconds * 1000).toISOString();
+      const oldest = await db.getRecentSendTime(accountId, { since, skip: limit - queued - 1, ...filters });
+      if (oldest) {
+        throw rateLimitError(message, (Date.parse(oldest) + windowSeconds * 1000 - now) / 1000);
+      }
+    };
+
+    for (const [field, windowSeconds] of Object.entries(LIMIT_WINDOWS)) {
+      if (limits[field]) {
+        await checkWindow(limits[field], windowSeconds, pending.length, {},
+          `Rate limit reached (${field}: ${limits[field]})`);
+      }
+    }
+
+    if (limits.recipient_cooldown_seconds) {
+      const queued = pending.filter(entry => entry.chatId === chatId).length;
+      await checkWindow(1, limits.recipient_cooldown_seconds, queued, { chatId },
+        `Rate limit reached (recipient_cooldown_seconds: ${limits.recipient_cooldown_seconds})`);
+    }
+
+    if (newContact && limits.new_contacts_per_day) {
+      const queued = pending.filter(entry => entry.newContact).length;
+      await checkWindow(limits.new_contacts_per_day, LIMIT_WINDOWS.per_day, queued, { newContact: true },
+        `Rate limit reached (new_contacts_per_day: ${limits.new_contacts_per_day})`);
+    }
+  }
+}
+
+module.exports = new SendQueue();
\ No newline at end of file
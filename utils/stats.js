@@ -0,0 +1,96 @@
+const { validationError } = require('./messageContent');
+
+const BUCKET_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Preset ranges accepted as ?range=
+const RANGES = {
+  '24h': { ms: 24 * BUCKET_MS.hour, bucket: 'hour' },
+  '7d': { ms: 7 * BUCKET_MS.day, bucket: 'hour' },
+  '30d': { ms: 30 * BUCKET_MS.day, bucket: 'day' },
+  '90d': { ms: 90 * BUCKET_MS.day, bucket: 'day' }
+};
+
+const MAX_BUCKETS = 1000;
+
+const DIRECTIONS = ['incoming', 'outgoing', 'webhook'];
+
+// Start of the UTC hour/day containing `date`
+function floorToBucket(date, bucket) {
+  const floored = new Date(date);
+  floored.setUTCMinutes(0, 0, 0);
+  if (bucket === 'day') floored.setUTCHours(0);
+  return floored;
+}
+
+/**
+ * Resolve ?range=24h|7d|30d|90d or ?from=&to= (ISO dates) plus an optional
+ * ?bucket=hour|day into a validated { from, to, bucket } window.
+ */
+function parseSeriesRange(query = {}) {
+  const to = query.to ? new Date(query.to) : new Date();
+  let from;
+  let bucket = query.bucket;
+
+  if (query.from) {
+    from = new Date(query.from);
+  } else {
+    const preset = RANGES[query.range || '24h'];
+    if (!preset) {
+      throw validationError(`range must be one of: ${Object.keys(RANGES).join(', ')}`);
+    }
+    from = new Date(to.getTime() - preset.ms);
+    bucket = bucket || preset.bucket;
+  }
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    throw validationError('from and to must be valid dates');
+  }
+  if (from >= to) {
+    throw validationError('from must be before to');
+  }
+
+  bucket = bucket || (to - from > 2 * BUCKET_MS.day ? 'day' : 'hour');
+  if (!BUCKET_MS[bucket]) {
+    throw validationError('bucket must be hour or day');
+  }
+
+  from = floorToBucket(from, bucket);
+  if ((to - from) / BUCKET_MS[bucket] > MAX_BUCKETS) {
+    throw validationError(`Range too large for ${bucket} buckets (max ${MAX_BUCKETS})`);
+  }
+
+  return { from, to, bucket };
+}
+
+/**
+ * Turn grouped rows from db.getMessageSeries into one point per bucket, with
+ * zero-filled { success, failed } counts for each direction.
+ */
+function buildSeries(rows, { from, to, bucket }) {
+  const points = new Map();
+
+  for (let time = from.getTime(); time < to.getTime(); time += BUCKET_MS[bucket]) {
+    const point = { time: new Date(time).toISOString() };
+    for (const direction of DIRECTIONS) {
+      point[direction] = { success: 0, failed: 0 };
+    }
+    points.set(point.time, point);
+  }
+
+  for (const row of rows) {
+    const point = points.get(row.bucket);
+    if (!point || !point[row.direction] || !(row.status in point[row.direction])) continue;
+    point[row.direction][row.status] += row.count;
+  }
+
+  return Array.from(points.values());
+}
+
+module.exports = {
+  RANGES,
+  parseSeriesRange,
+  buildSeries
+};
\ No newline at end of file
@@ -0,0 +1,114 @@
+const { validationError } = require('./messageContent');
+
+// Event types a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+  'message',
+  'message_ack',
+  'message_create',
+  'message_revoke_everyone',
+  'message_edit',
+  'message_reaction',
+  'group_join',
+  'group_leave',
+  'call',
+  'change_state'
+];
+
+// Events of webhooks that never chose any (those created before subscriptions)
+const DEFAULT_WEBHOOK_EVENTS = ['message', 'message_ack'];
+
+/**
+ * Validate the `events` of a webhook create or update request: an array or
+ * comma-separated list of WEBHOOK_EVENTS, with at least one entry.
+ */
+function parseWebhookEvents(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  const events = [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+
+  if (events.length === 0) {
+    throw validationError('events needs at least one event type');
+  }
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw validationError(`Unknown webhook events: ${unknown.join(', ')} (available: ${WEBHOOK_EVENTS.join(', ')})`);
+  }
+  return events;
+}
+
+// Whether a webhook receives an event type
+function isSubscribed(webhook, event) {
+  return (webhook.events || DEFAULT_WEBHOOK_EVENTS).includes(event);
+}
+
+// Body of every webhook delivery
+function webhookEnvelope(event, accountId, data) {
+  return {
+    event,
+    account_id: accountId,
+    timestamp: new Date().toISOString(),
+    data
+  };
+}
+
+// Event data of a whatsapp-web.js Message
+function serializeMessage(message) {
+  return {
+    message_id: message.id._serialized,
+    chat_id: message.fromMe ? message.to : message.from,
+    sender: message.from,
+    recipient: message.to,
+    author: message.author || null,
+    message: message.body,
+    type: message.type,
+    timestamp: message.timestamp,
+    from_me: message.fromMe,
+    has_media: message.hasMedia
+  };
+}
+
+// Event data of a whatsapp-web.js Reaction; an empty reaction removes one
+function serializeReaction(reaction) {
+  return {
+    message_id: reaction.msgId._serialized,
+    chat_id: reaction.msgId.remote,
+    sender: reaction.senderId,
+    reaction: reaction.reaction,
+    removed: !reaction.reaction,
+    timestamp: reaction.timestamp
+  };
+}
+
+// Event data of a whatsapp-web.js GroupNotification (join or leave)
+function serializeGroupNotification(notification) {
+  return {
+    chat_id: notification.chatId,
+    type: notification.type,
+    author: notification.author || null,
+    participants: notification.recipientIds || [],
+    timestamp: notification.timestamp
+  };
+}
+
+// Event data of a whatsapp-web.js Call
+function serializeCall(call) {
+  return {
+    call_id: call.id,
+    from: call.from,
+    is_video: call.isVideo,
+    is_group: call.isGroup,
+    from_me: call.fromMe,
+    timestamp: call.timestamp
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DEFAULT_WEBHOOK_EVENTS,
+  parseWebhookEvents,
+  isSubscribed,
+  webhookEnvelope,
+  serializeMessage,
+  serializeReaction,
+  serializeGroupNotification,
+  serializeCall
+};
\ No newline at end of file
@@ -0,0 +1,272 @@
+const axios = require('axios');
+const { db } = require('../config/database');
+const eventBus = require('./eventBus');
+const webhookSignature = require('./webhookSignature');
+const mediaStore = require('./mediaStore');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 10000;
+const RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_QUEUE_POLL_MS) || 5000;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const INLINE_MEDIA_MAX_BYTES = parseInt(process.env.WEBHOOK_INLINE_MEDIA_MAX_BYTES) || 1024 * 1024;
+const BATCH_SIZE = 20;
+
+// Persistent outbound webhook delivery queue. Every delivery is stored in
+// `webhook_deliveries` before it is attempted, retried with exponential
+// backoff and moved to the `dead` state once it runs out of attempts.
+class WebhookQueue {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+    this.pendingRun = false;
+  }
+
+  // Start polling for due deliveries
+  async start() {
+    if (this.timer) return;
+
+    try {
+      const reset = await db.resetStaleWebhookDeliveries();
+      if (reset > 0) {
+        console.log(`Requeued ${reset} webhook deliveries interrupted by the last shutdown`);
+      }
+    } catch (error) {
+      console.error('Error requeuing stale webhook deliveries:', error);
+    }
+
+    this.timer = setInterval(() => this.processDue(), POLL_INTERVAL_MS);
+    this.processDue();
+  }
+
+  // Stop polling (in-flight deliveries are requeued on next start)
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Persist a delivery for a webhook and kick off processing
+  async enqueue(accountId, webhook, payload) {
+    const delivery = await db.createWebhookDelivery({
+      account_id: accountId,
+      webhook_id: webhook.id,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      max_attempts: MAX_ATTEMPTS,
+      next_attempt_at: new Date().toISOString(),
+      created_at: new Date().toISOString()
+    });
+
+    this.processDue();
+    return delivery;
+  }
+
+  // Deliver every due delivery; concurrent calls are coalesced into one rerun
+  async processDue() {
+    if (this.processing) {
+      this.pendingRun = true;
+      return;
+    }
+
+    this.processing = true;
+    try {
+      do {
+        this.pendingRun = false;
+        const deliveries = await db.getDueWebhookDeliveries(BATCH_SIZE);
+
+        for (const delivery of deliveries) {
+          await this.attempt(delivery);
+        }
+
+        if (deliveries.length === BATCH_SIZE) this.pendingRun = true;
+      } while (this.pendingRun);
+    } catch (error) {
+      console.error('Error processing webhook queue:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Claim and attempt a single delivery
+  async attempt(delivery) {
+    const claimed = await db.transitionWebhookDelivery(delivery.id, 'pending', {
+      status: 'delivering',
+      last_attempt_at: new Date().toISOString()
+    });
+    if (!claimed) return;
+
+    let webhook;
+    try {
+      webhook = await db.getWebhook(claimed.webhook_id);
+    } catch (error) {
+      webhook = null;
+    }
+
+    // Dead-letter deliveries for removed or disabled webhooks so they can be
+    // replayed once the webhook is active again
+    if (!webhook || !webhook.is_active) {
+      await db.updateWebhookDelivery(claimed.id, {
+        status: 'dead',
+        last_error: webhook ? 'Webhook is disabled' : 'Webhook no longer exists'
+      });
+      return;
+    }
+
+    const attempts = claimed.attempts + 1;
+
+    try {
+      // Serialize once so the signature covers the exact bytes sent
+      const body = JSON.stringify(await this.buildPayload(claimed.payload, webhook));
+      const response = await axios.post(webhook.url, body, {
+        headers: this.buildHeaders(webhook, claimed, body, attempts),
+        timeout: REQUEST_TIMEOUT_MS
+      });
+
+      await db.updateWebhookDelivery(claimed.id, {
+        status: 'delivered',
+        attempts,
+        last_response_status: response.status,
+        last_error: null,
+        delivered_at: new Date().toISOString()
+      });
+
+      await this.logAttempt(claimed, webhook, attempts, {
+        status: 'success',
+        response_status: response.status
+      });
+    } catch (error) {
+      const responseStatus = error.response ? error.response.status : null;
+      const exhausted = attempts >= claimed.max_attempts;
+
+      const updates = {
+        status: exhausted ? 'dead' : 'pending',
+        attempts,
+        last_response_status: responseStatus,
+        last_error: error.message
+      };
+      if (!exhausted) updates.next_attempt_at = this.nextAttemptAt(attempts);
+
+      await db.updateWebhookDelivery(claimed.id, updates);
+
+      await this.logAttempt(claimed, webhook, attempts, {
+        status: 'failed',
+        response_status: responseStatus,
+        error_message: exhausted
+          ? `${error.message} (giving up after ${attempts} attempts)`
+          : error.message
+      });
+    }
+  }
+
+  // Stored media is resolved on every attempt, so retries and replays get a
+  // fresh signed URL. Webhooks with inline_media also get small files as base64.
+  // Media sits in the event `data`, or at the top level of deliveries queued
+  // before payloads had an envelope.
+  async buildPayload(payload, webhook) {
+    if (payload && payload.event && payload.data) {
+      return { ...payload, data: await this.resolveMedia(payload.data, webhook) };
+    }
+    return this.resolveMedia(payload, webhook);
+  }
+
+  async resolveMedia(payload, webhook) {
+    const media = payload && payload.media;
+    if (!media || !media.key) return payload;
+
+    const resolved = { ...media, ...mediaStore.signedUrl(media) };
+    if (webhook.inline_media && media.size <= INLINE_MEDIA_MAX_BYTES) {
+      const data = await mediaStore.read(media.key);
+      if (data) resolved.data = data.toString('base64');
+    }
+
+    return { ...payload, media: resolved };
+  }
+
+  // Delivery headers: HMAC signature when the webhook has a secret, and the
+  // raw secret only for webhooks that opted into the legacy header
+  buildHeaders(webhook, delivery, body, attempts) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Account-ID': delivery.account_id,
+      'X-Delivery-Attempt': String(attempts),
+      [webhookSignature.DELIVERY_ID_HEADER]: delivery.id
+    };
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    headers[webhookSignature.TIMESTAMP_HEADER] = String(timestamp);
+
+    if (webhook.secret) {
+      headers[webhookSignature.SIGNATURE_HEADER] = webhookSignature.signPayload(webhook.secret, body, timestamp).header;
+
+      if (webhook.send_legacy_secret) {
+        headers['X-Webhook-Secret'] = webhook.secret;
+      }
+    }
+
+    return headers;
+  }
+
+  // Exponential backoff with jitter: base * 2^(attempt-1), capped
+  nextAttemptAt(attempts) {
+    const delay = Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+    const jitter = Math.floor(Math.random() * delay * 0.2);
+    return new Date(Date.now() + delay + jitter).toISOString();
+  }
+
+  // Record a delivery attempt in message_logs and push it to dashboards
+  async logAttempt(delivery, webhook, attempt, result) {
+    const entry = {
+      account_id: delivery.account_id,
+      direction: 'webhook',
+      webhook_id: webhook.id,
+      webhook_url: webhook.url,
+      created_at: new Date().toISOString(),
+      ...result
+    };
+
+    try {
+      await db.logMessage(entry);
+    } catch (error) {
+      console.error('Error logging webhook delivery:', error);
+    }
+
+    eventBus.webhookDelivery({ ...entry, delivery_id: delivery.id, attempt });
+  }
+
+  // Put a dead (or delivered) delivery back on the queue with a fresh attempt budget
+  async replay(deliveryId) {
+    const delivery = await db.getWebhookDelivery(deliveryId);
+    if (!delivery) return null;
+
+    if (delivery.status === 'pending' || delivery.status === 'delivering') {
+      const error = new Error(`Delivery is already ${delivery.status}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const updated = await db.updateWebhookDelivery(deliveryId, {
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      last_error: null,
+      delivered_at: null
+    });
+
+    this.processDue();
+    return updated;
+  }
+
+  // Replay every dead delivery for a webhook
+  async replayDead(webhookId) {
+    const dead = await db.getWebhookDeliveries(webhookId, { status: 'dead', limit: 1000 });
+    for (const delivery of dead) {
+      await this.replay(delivery.id);
+    }
+    return dead.length;
+  }
+}
+
+module.exports = new WebhookQueue();
\ No newline at end of file
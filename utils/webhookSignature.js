@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+// Webhook signing scheme (Stripe/GitHub style). Every delivery carries:
+//   X-Webhook-Timestamp:   Unix time (seconds) the request was signed
+//   X-Webhook-Signature:   t=<timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+//   X-Webhook-Delivery-Id: Stable id of the delivery, identical across retries
+//
+// This module has no dependencies outside Node core so receivers written in
+// Node can copy it as-is and call verifySignature() on the raw request body.
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+const DELIVERY_ID_HEADER = 'X-Webhook-Delivery-Id';
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Compute the hex HMAC-SHA256 signature for a timestamp and raw body
+function computeSignature(secret, timestamp, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+// Sign a raw body, returning the timestamp and the signature header value
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = computeSignature(secret, timestamp, body);
+  return {
+    timestamp,
+    signature,
+    header: `t=${timestamp},${SIGNATURE_VERSION}=${signature}`
+  };
+}
+
+// Parse "t=...,v1=...,v1=..." into its timestamp and v1 signatures
+function parseSignatureHeader(header) {
+  const result = { timestamp: null, signatures: [] };
+  if (typeof header !== 'string') return result;
+
+  for (const part of header.split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') result.timestamp = parseInt(value, 10);
+    if (key === SIGNATURE_VERSION && value) result.signatures.push(value);
+  }
+
+  return result;
+}
+
+// Verify a delivery. `body` must be the raw request body (string or Buffer),
+// not a re-serialized JSON object. Returns true only if one of the header's
+// signatures matches and the timestamp is within `tolerance` seconds.
+function verifySignature(body, header, secret, options = {}) {
+  const tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULT_TOLERANCE_SECONDS;
+  const now = options.now !== undefined ? options.now : Math.floor(Date.now() / 1000);
+
+  if (!secret) return false;
+
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (!timestamp || signatures.length === 0) return false;
+  if (tolerance > 0 && Math.abs(now - timestamp) > tolerance) return false;
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, body.toString()), 'hex');
+
+  return signatures.some(signature => {
+    const candidate = Buffer.from(signature, 'hex');
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+}
+
+// Compare a secret presented by a caller with a webhook's secret in constant
+// time. Both are hashed first so that their lengths do not leak either.
+function secretsMatch(presented, secret) {
+  if (typeof presented !== 'string' || !presented || !secret) return false;
+
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(presented), digest(secret));
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  DELIVERY_ID_HEADER,
+  DEFAULT_TOLERANCE_SECONDS,
+  computeSignature,
+  signPayload,
+  parseSignatureHeader,
+  verifySignature,
+  secretsMatch
+};
\ No newline at end of file
@@ -1,19 +1,93 @@
 const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
+const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
 const { db } = require('../config/database');
-const axios = require('axios');
 const moment = require('moment');
+const eventBus = require('./eventBus');
+const webhookQueue = require('./webhookQueue');
+const mediaStore = require('./mediaStore');
+const { buildOutgoingMessage, validationError } = require('./messageContent');
+const { findMatchingRule, buildAutoReply } = require('./autoReply');
+const { isOpen, renderAwayMessage } = require('./businessHours');
+const { ackStatus, ackUpdates } = require('./messageAck');
+const { contactRow, isPersonContact, contactName } = require('./contacts');
+const { DEFAULT_COUNTRY, toChatId } = require('./phoneNumber');
+const { typingDuration } = require('./sendLimits');
+const sendQueue = require('./sendQueue');
+const {
+  isSubscribed,
+  webhookEnvelope,
+  serializeMessage,
+  serializeReaction,
+  serializeGroupNotification,
+  serializeCall
+} = require('./webhookEvents');
+
+const RECONNECT_BASE_MS = parseInt(process.env.RECONNECT_BASE_MS) || 5000;
+const RECONNECT_MAX_MS = parseInt(process.env.RECONNECT_MAX_MS) || 5 * 60 * 1000;
+const HEALTH_CHECK_INTERVAL_MS = parseInt(process.env.HEALTH_CHECK_INTERVAL_MS) || 60000;
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 15000;
+const CLIENT_INIT_TIMEOUT_MS = parseInt(process.env.CLIENT_INIT_TIMEOUT_MS) || 3 * 60 * 1000;
+const HEALTH_CHECK_FAILURE_THRESHOLD = 2;
+// How long an ack that arrived before its message was logged is kept
+const PENDING_ACK_TTL_MS = 60 * 1000;
+// Contacts saved per database call during a contact sync
+const CONTACT_SYNC_BATCH_SIZE = 100;
+
+// Disconnect reasons after which the session is gone and only a new QR scan helps
+const LOGGED_OUT_REASONS = ['LOGOUT', 'UNPAIRED'];
+
+// Reject if a promise does not settle in time (used for hung Puppeteer calls)
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
 
 class WhatsAppManager {
   constructor() {
     this.clients = new Map(); // Store active WhatsApp clients
     this.qrCodes = new Map(); // Store QR codes for each account
     this.accountStatus = new Map(); // Store account status
+    this.health = new Map(); // Restart counts, last error and probe results per account
+    this.reconnectTimers = new Map(); // Pending reconnect attempts
+    this.autoReplyCooldowns = new Map(); // Running cooldown timers per auto-reply rule and chat
+    this.pendingAcks = new Map(); // Acks of messages not logged yet, by account and message id
+    this.contactSyncs = new Set(); // Accounts whose contacts are being synced
+    this.restarting = new Set(); // Accounts whose client is being torn down
+    this.supervisorTimer = null;
+  }
+
+  // Build a WhatsApp client backed by the account's LocalAuth session
+  buildClient(accountId) {
+    return new Client({
+      authStrategy: new LocalAuth({
+        clientId: accountId,
+        dataPath: `./sessions/${accountId}`
+      }),
+      puppeteer: {
+        headless: true,
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-accelerated-2d-canvas',
+          '--no-first-run',
+          '--no-zygote',
+          '--single-process',
+          '--disable-gpu'
+        ]
+      }
+    });
   }
 
   // Create a new WhatsApp account instance
-  async createAccount(accountName, description = '') {
+  async createAccount(accountName, description = '', { defaultCountry = null, sendLimits = null } = {}) {
     try {
       const accountId = uuidv4();
       const sessionDir = `./sessions/${accountId}`;
@@ -23,6 +97,8 @@ class WhatsAppManager {
         id: accountId,
         name: accountName,
         description: description,
+        default_country: defaultCountry,
+        send_limits: sendLimits,
         status: 'initializing',
         session_dir: sessionDir,
         created_at: new Date().toISOString()
@@ -31,32 +107,14 @@ class WhatsAppManager {
       const account = await db.createAccount(accountData);
       
       // Initialize WhatsApp client
-      const client = new Client({
-        authStrategy: new LocalAuth({
-          clientId: accountId,
-          dataPath: sessionDir
-        }),
-        puppeteer: {
-          headless: true,
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--single-process',
-            '--disable-gpu'
-          ]
-        }
-      });
+      const client = this.buildClient(accountId);
 
       // Set up event handlers
       this.setupEventHandlers(client, accountId);
 
       // Store client reference
       this.clients.set(accountId, client);
-      this.accountStatus.set(accountId, 'initializing');
+      this.markInitializing(accountId);
 
       // Initialize the client
       await client.initialize();
@@ -84,6 +142,7 @@ class WhatsAppManager {
         });
         
         this.accountStatus.set(accountId, 'qr_ready');
+        eventBus.accountStatus(accountId, 'qr_ready', { qr_code: qrDataUrl });
         console.log(`QR code generated for account ${accountId}`);
       } catch (error) {
         console.error('Error generating QR code:', error);
@@ -101,8 +160,20 @@ class WhatsAppManager {
         
         this.accountStatus.set(accountId, 'ready');
         this.qrCodes.delete(accountId); // Clear QR code
+
+        const health = this.getHealthRecord(accountId);
+        health.reconnect_attempts = 0;
+        health.consecutive_failures = 0;
+        eventBus.accountStatus(accountId, 'ready', {
+          phone_number: client.info.wid.user,
+          health: this.getAccountHealth(accountId)
+        });
         
         console.log(`WhatsApp client ready for account ${accountId}`);
+
+        this.syncContacts(accountId).catch(error => {
+          console.error(`Error syncing contacts for account ${accountId}:`, error);
+        });
       } catch (error) {
         console.error('Error updating account status:', error);
       }
@@ -121,6 +192,8 @@ class WhatsAppManager {
         });
         
         this.accountStatus.set(accountId, 'auth_failed');
+        this.recordError(accountId, `Authentication failed: ${msg}`);
+        eventBus.accountStatus(accountId, 'auth_failed', { error_message: msg });
         console.error(`Authentication failed for account ${accountId}:`, msg);
       } catch (error) {
         console.error('Error updating account status:', error);
@@ -128,6 +201,9 @@ class WhatsAppManager {
     });
 
     client.on('disconnected', async (reason) => {
+      // Ignore clients that were already replaced or torn down on purpose
+      if (this.clients.get(accountId) !== client) return;
+
       try {
         await db.updateAccount(accountId, { 
           status: 'disconnected',
@@ -136,7 +212,17 @@ class WhatsAppManager {
         });
         
         this.accountStatus.set(accountId, 'disconnected');
+        this.recordError(accountId, `Disconnected: ${reason}`);
         console.log(`WhatsApp client disconnected for account ${accountId}:`, reason);
+
+        // A logged-out device needs a new QR scan, so only retry transient drops
+        if (!LOGGED_OUT_REASONS.includes(reason)) {
+          this.scheduleReconnect(accountId, `Disconnected: ${reason}`);
+        }
+        eventBus.accountStatus(accountId, 'disconnected', {
+          error_message: reason,
+          health: this.getAccountHealth(accountId)
+        });
       } catch (error) {
         console.error('Error updating account status:', error);
       }
@@ -149,6 +235,45 @@ class WhatsAppManager {
         console.error('Error handling incoming message:', error);
       }
     });
+
+    client.on('message_ack', async (message, ack) => {
+      try {
+        if (message.id.fromMe) {
+          await this.handleMessageAck(accountId, message.id._serialized, ack);
+        }
+      } catch (error) {
+        console.error('Error handling message ack:', error);
+      }
+    });
+
+    // Forward other client events to the webhooks subscribed to them
+    const forward = (event, handler) => {
+      client.on(event, async (...args) => {
+        try {
+          const data = handler(...args);
+          if (data) await this.sendToWebhooks(accountId, event, data);
+        } catch (error) {
+          console.error(`Error forwarding ${event} event:`, error);
+        }
+      });
+    };
+
+    // Messages sent from the phone (and through this API)
+    forward('message_create', (message) => message.fromMe ? serializeMessage(message) : null);
+    forward('message_revoke_everyone', (message, revoked) => ({
+      ...serializeMessage(message),
+      original: revoked ? serializeMessage(revoked) : null
+    }));
+    forward('message_edit', (message, newBody, prevBody) => ({
+      ...serializeMessage(message),
+      message: newBody,
+      previous_message: prevBody
+    }));
+    forward('message_reaction', serializeReaction);
+    forward('group_join', serializeGroupNotification);
+    forward('group_leave', serializeGroupNotification);
+    forward('call', serializeCall);
+    forward('change_state', (state) => ({ state }));
   }
 
   // Handle incoming messages
@@ -172,21 +297,26 @@ class WhatsAppManager {
         created_at: new Date().toISOString()
       };
 
-      // Add media data if present
+      // Keep media in the media store; the log row and webhooks get its key and metadata
       if (message.hasMedia) {
-        const media = await message.downloadMedia();
-        messageData.media = {
-          mimetype: media.mimetype,
-          data: media.data,
-          filename: media.filename
-        };
+        messageData.media = await this.storeIncomingMedia(accountId, message);
       }
 
       // Log message to database
       await db.logMessage(messageData);
+      const senderName = chat.isGroup ? null : await this.rememberContact(accountId, message);
+      eventBus.message(senderName ? { ...messageData, contact_name: senderName } : messageData);
+
+      const businessHours = await this.getBusinessHours(accountId);
+      const outsideBusinessHours = !!businessHours && !isOpen(businessHours);
 
       // Send to webhooks
-      await this.sendToWebhooks(accountId, messageData);
+      await this.sendToWebhooks(accountId, 'message', { ...messageData, outside_business_hours: outsideBusinessHours });
+
+      await this.applyAutoReply(accountId, messageData);
+      if (outsideBusinessHours) {
+        await this.sendAwayMessage(accountId, messageData, businessHours);
+      }
 
     } catch (error) {
       console.error('Error handling incoming message:', error);
@@ -202,137 +332,384 @@ class WhatsAppManager {
     }
   }
 
-  // Send message to webhooks
-  async sendToWebhooks(accountId, messageData) {
+  // Record a delivery receipt on the outgoing message's log row and forward
+  // it to dashboards and webhooks. Acks can arrive before sendMessage has
+  // logged the message; those are kept briefly and applied once it is.
+  async handleMessageAck(accountId, messageId, ack) {
+    if (!ackStatus(ack)) return;
+
+    const log = await db.getOutgoingMessageLog(accountId, messageId);
+    if (!log) {
+      const key = `${accountId}:${messageId}`;
+      clearTimeout(this.pendingAcks.get(key)?.timer);
+      const timer = setTimeout(() => this.pendingAcks.delete(key), PENDING_ACK_TTL_MS);
+      timer.unref();
+      this.pendingAcks.set(key, { ack, timer });
+      return;
+    }
+
+    const updates = ackUpdates(log, ack);
+    if (!updates) return;
+
+    const updated = await db.updateMessageLog(log.id, updates);
+    const receipt = {
+      log_id: updated.id,
+      message_id: messageId,
+      chat_id: updated.chat_id,
+      recipient: updated.recipient,
+      ack,
+      delivery_status: updated.delivery_status,
+      sent_at: updated.sent_at,
+      delivered_at: updated.delivered_at,
+      read_at: updated.read_at,
+      played_at: updated.played_at
+    };
+
+    eventBus.messageAck({
+      event: 'message_ack',
+      account_id: accountId,
+      ...receipt,
+      timestamp: new Date().toISOString()
+    });
+    await this.sendToWebhooks(accountId, 'message_ack', receipt);
+  }
+
+  // Apply an ack that arrived before the message was logged
+  async applyPendingAck(accountId, messageId) {
+    const key = `${accountId}:${messageId}`;
+    const pending = this.pendingAcks.get(key);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pendingAcks.delete(key);
     try {
-      const webhooks = await db.getWebhooks(accountId);
-      
-      for (const webhook of webhooks) {
-        if (!webhook.is_active) continue;
-        
-        try {
-          const response = await axios.post(webhook.url, messageData, {
-            headers: {
-              'Content-Type': 'application/json',
-              'X-Webhook-Secret': webhook.secret || '',
-              'X-Account-ID': accountId
-            },
-            timeout: 10000
-          });
+      await this.handleMessageAck(accountId, messageId, pending.ack);
+    } catch (error) {
+      console.error('Error applying message ack:', error);
+    }
+  }
 
-          // Log successful webhook delivery
-          await db.logMessage({
-            account_id: accountId,
-            direction: 'webhook',
-            status: 'success',
-            webhook_id: webhook.id,
-            webhook_url: webhook.url,
-            response_status: response.status,
-            created_at: new Date().toISOString()
-          });
+  // Download and store the media of an incoming message. Failures are kept
+  // on the media entry so the message itself is still logged and forwarded.
+  async storeIncomingMedia(accountId, message) {
+    let media = null;
+    try {
+      media = await message.downloadMedia();
+      if (!media) {
+        return { error: 'Media is no longer available' };
+      }
 
-        } catch (error) {
-          // Log failed webhook delivery
-          await db.logMessage({
-            account_id: accountId,
-            direction: 'webhook',
-            status: 'failed',
-            webhook_id: webhook.id,
-            webhook_url: webhook.url,
-            error_message: error.message,
-            created_at: new Date().toISOString()
+      return await mediaStore.save(accountId, Buffer.from(media.data, 'base64'), {
+        mimetype: media.mimetype,
+        filename: media.filename || null
+      });
+    } catch (error) {
+      console.error(`Error storing media for account ${accountId}:`, error);
+      return {
+        mimetype: media ? media.mimetype : null,
+        filename: media ? media.filename || null : null,
+        error: error.message
+      };
+    }
+  }
+
+  // Save or refresh the sender of a private message as a contact; returns
+  // their name, if any. Failures never hold up message handling.
+  async rememberContact(accountId, message) {
+    try {
+      const contact = await message.getContact();
+      if (!isPersonContact(contact)) return null;
+
+      await db.upsertContacts(accountId, [{ ...contactRow(contact), synced_at: new Date().toISOString() }]);
+      return contactName(contact);
+    } catch (error) {
+      console.error(`Error saving contact for account ${accountId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Copy the account's contacts, with their profile picture URL and
+   * WhatsApp Business labels, from its client into the contacts table.
+   * Returns the number of contacts saved, or null when a sync of the account
+   * is already running.
+   */
+  async syncContacts(accountId) {
+    if (this.contactSyncs.has(accountId)) return null;
+    this.contactSyncs.add(accountId);
+
+    try {
+      const client = this.getReadyClient(accountId);
+      const contacts = (await client.getContacts()).filter(isPersonContact);
+
+      // Labels only exist on business accounts
+      const labelsByChat = {};
+      const labels = await client.getLabels().catch(() => []);
+      for (const label of labels) {
+        for (const chat of await label.getChats().catch(() => [])) {
+          (labelsByChat[chat.id._serialized] = labelsByChat[chat.id._serialized] || []).push(label.name);
+        }
+      }
+
+      const syncedAt = new Date().toISOString();
+      let saved = 0;
+      for (let start = 0; start < contacts.length; start += CONTACT_SYNC_BATCH_SIZE) {
+        const rows = [];
+        for (const contact of contacts.slice(start, start + CONTACT_SYNC_BATCH_SIZE)) {
+          rows.push({
+            ...contactRow(contact, {
+              profile_pic_url: await contact.getProfilePicUrl().catch(() => null) || null,
+              labels: labelsByChat[contact.id._serialized] || []
+            }),
+            synced_at: syncedAt
           });
         }
+        saved += (await db.upsertContacts(accountId, rows)).length;
       }
+
+      console.log(`Synced ${saved} contacts for account ${accountId}`);
+      eventBus.contactsSynced(accountId, saved);
+      return saved;
+    } finally {
+      this.contactSyncs.delete(accountId);
+    }
+  }
+
+  // Whether a number has a WhatsApp account: { number, exists, chat_id }
+  async checkNumber(accountId, number) {
+    const client = this.getReadyClient(accountId);
+    const chatId = await this.resolveChatId(accountId, number);
+    if (!chatId.endsWith('@c.us')) {
+      throw validationError(`Not a phone number: ${number}`);
+    }
+    const numberId = await client.getNumberId(chatId.split('@')[0]);
+    return {
+      number,
+      exists: !!numberId,
+      chat_id: numberId ? numberId._serialized : null
+    };
+  }
+
+  // Business hours of an account, or null when it is always open
+  async getBusinessHours(accountId) {
+    try {
+      const account = await db.getAccount(accountId);
+      return account.business_hours || null;
     } catch (error) {
-      console.error('Error sending to webhooks:', error);
+      console.error(`Error loading business hours for account ${accountId}:`, error);
+      return null;
     }
   }
 
-  // Send message from an account
-  async sendMessage(accountId, number, message, options = {}) {
+  // Answer a private chat with the account's away message, at most once per
+  // away interval per chat
+  async sendAwayMessage(accountId, messageData, businessHours) {
+    if (!businessHours.away_message || messageData.is_group || messageData.chat_id === 'status@broadcast') return;
+
     try {
-      console.log(`sendMessage called with: accountId=${accountId}, number=${number}, message=${message}`);
-      
-      const client = this.clients.get(accountId);
-      if (!client) {
-        console.error(`WhatsApp client not found for account ${accountId}`);
-        throw new Error('WhatsApp client not found for this account');
-      }
+      const claimed = await db.claimAwayMessage(accountId, messageData.chat_id, businessHours.away_interval_minutes);
+      if (!claimed) return;
+
+      await this.sendMessage(accountId, messageData.chat_id, renderAwayMessage(businessHours, messageData));
+    } catch (error) {
+      console.error(`Error sending away message for account ${accountId}:`, error);
+    }
+  }
+
+  // Run the first matching auto-reply rule of the account for an incoming
+  // message. Failures are logged and never affect the message itself.
+  async applyAutoReply(accountId, messageData) {
+    if (messageData.chat_id === 'status@broadcast') return;
+
+    try {
+      const rules = await db.getAutoReplyRules(accountId, { activeOnly: true });
+      const rule = findMatchingRule(rules, messageData);
+      if (!rule) return;
 
-      // Check if client is ready
-      const status = this.accountStatus.get(accountId);
-      console.log(`Account ${accountId} status: ${status}`);
-      if (status !== 'ready') {
-        throw new Error(`WhatsApp client is not ready. Current status: ${status}`);
+      // Each entry removes itself when its cooldown ends, so the map only
+      // holds chats that are cooling down
+      const cooldownKey = `${rule.id}:${messageData.chat_id}`;
+      if (this.autoReplyCooldowns.has(cooldownKey)) return;
+      if (rule.cooldown_seconds > 0) {
+        const timer = setTimeout(() => this.autoReplyCooldowns.delete(cooldownKey), rule.cooldown_seconds * 1000);
+        timer.unref();
+        this.autoReplyCooldowns.set(cooldownKey, timer);
       }
 
-      // Additional check for client state
-      if (!client.pupPage || client.pupPage._closed) {
-        console.error(`WhatsApp client page is closed or not available for account ${accountId}`);
-        throw new Error('WhatsApp client page is closed or not available');
+      const template = rule.action.type === 'template' ? await db.getMessageTemplate(rule.action.template_id) : null;
+      const reply = buildAutoReply(rule, messageData, template);
+
+      if (reply.tag) {
+        await db.addChatTag(accountId, messageData.chat_id, reply.tag, `rule:${rule.id}`);
+      } else {
+        await this.sendMessage(accountId, reply.to, reply.content);
       }
 
-      // Format phone number
-      const formattedNumber = this.formatPhoneNumber(number);
-      
-      console.log(`Sending message to ${formattedNumber} from account ${accountId}`);
-      
-      // Send message
-      const result = await client.sendMessage(formattedNumber, message, options);
-      
-      // Log outgoing message
-      const messageData = {
-        account_id: accountId,
-        direction: 'outgoing',
-        message_id: result.id._serialized,
-        sender: result.from,
-        recipient: result.to,
-        message: message,
-        timestamp: result.timestamp,
-        type: 'text',
-        status: 'success',
-        created_at: new Date().toISOString()
-      };
+      await db.updateAutoReplyRule(rule.id, {
+        match_count: (rule.match_count || 0) + 1,
+        last_matched_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`Error applying auto-reply for account ${accountId}:`, error);
+    }
+  }
 
-      await db.logMessage(messageData);
+  // Queue an event for delivery to every active webhook of the account
+  // subscribed to it
+  async sendToWebhooks(accountId, event, data) {
+    try {
+      const webhooks = await db.getWebhooks(accountId);
+      const payload = webhookEnvelope(event, accountId, data);
       
-      return {
-        success: true,
-        messageId: result.id._serialized,
-        timestamp: result.timestamp
-      };
+      for (const webhook of webhooks) {
+        if (!webhook.is_active || !isSubscribed(webhook, event)) continue;
+        
+        try {
+          await webhookQueue.enqueue(accountId, webhook, payload);
+        } catch (error) {
+          console.error(`Error queueing delivery for webhook ${webhook.id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error sending to webhooks:', error);
+    }
+  }
+
+  // Send message from an account. `message` is either plain text or a content
+  // descriptor from messageContent.parseSendPayload (media, location, contact).
+  // `number` may also be a chat id (e.g. 123@c.us or a group's @g.us id).
+  // Messages go through the account's send queue; ones over its send_limits
+  // are refused with a 429 and not logged. `options.maxWaitMs` caps the wait
+  // for the send's turn (see SendQueue.enqueue); other options go to
+  // client.sendMessage.
+  async sendMessage(accountId, number, message, { maxWaitMs, ...options } = {}) {
+    const messageText = typeof message === 'string' ? message : (message.text || null);
+    const messageType = typeof message === 'string' ? 'text' : (message.type || 'text');
+    let chatId = null;
+
+    try {
+      const account = await db.getAccount(accountId).catch(() => null);
+      // Also files failed sends under their chat
+      chatId = toChatId(number, (account && account.default_country) || DEFAULT_COUNTRY);
+      const limits = account ? account.send_limits : null;
 
+      return await sendQueue.enqueue(accountId, chatId, limits, ({ newContact }) =>
+        this.deliverMessage(accountId, chatId, message, options, { newContact, typing: !!(limits && limits.typing) }),
+      { maxWaitMs });
     } catch (error) {
+      if (error.statusCode === 429) throw error;
       console.error('Error sending message:', error);
       
       // Log failed message
-      await db.logMessage({
+      const failedMessage = {
         account_id: accountId,
         direction: 'outgoing',
         recipient: number,
-        message: message,
+        message: messageText,
+        type: messageType,
+        chat_id: chatId,
+        is_group: chatId ? chatId.endsWith('@g.us') : false,
         status: 'failed',
         error_message: error.message,
         created_at: new Date().toISOString()
-      });
+      };
+      const logged = await db.logMessage(failedMessage);
+      eventBus.message(failedMessage);
 
+      // Lets callers such as campaigns link the failure to its log row
+      error.logId = logged ? logged.id : null;
       throw error;
     }
   }
 
-  // Format phone number for WhatsApp
-  formatPhoneNumber(number) {
-    // Remove any non-digit characters except +
-    let cleaned = number.replace(/[^\d+]/g, '');
+  // Send a message whose turn in the send queue has come, and log it
+  async deliverMessage(accountId, chatId, message, options, { newContact, typing }) {
+    const client = this.clients.get(accountId);
+    if (!client) {
+      console.error(`WhatsApp client not found for account ${accountId}`);
+      throw new Error('WhatsApp client not found for this account');
+    }
+
+    // Check if client is ready
+    const status = this.accountStatus.get(accountId);
+    console.log(`Account ${accountId} status: ${status}`);
+    if (status !== 'ready') {
+      throw new Error(`WhatsApp client is not ready. Current status: ${status}`);
+    }
+
+    // Additional check for client state
+    if (!client.pupPage || client.pupPage._closed) {
+      console.error(`WhatsApp client page is closed or not available for account ${accountId}`);
+      throw new Error('WhatsApp client page is closed or not available');
+    }
+
+    // Resolve media/location/contact content (downloads and validates media)
+    const outgoing = await buildOutgoingMessage(message);
     
-    // If no country code, assume it's a local number
-    if (!cleaned.startsWith('+')) {
-      cleaned = '+91' + cleaned; // Default to India (+91)
+    if (typing && /@(c\.us|lid|g\.us)$/.test(chatId)) {
+      await this.showTyping(client, chatId, typeof message === 'string' ? message : message.text);
     }
     
-    // Add @c.us suffix for WhatsApp
-    return cleaned + '@c.us';
+    console.log(`Sending ${outgoing.type} message to ${chatId} from account ${accountId}`);
+    
+    // Send message
+    const result = await client.sendMessage(chatId, outgoing.body, { ...outgoing.options, ...options });
+    
+    // Log outgoing message
+    const messageData = {
+      account_id: accountId,
+      direction: 'outgoing',
+      message_id: result.id._serialized,
+      sender: result.from,
+      recipient: result.to,
+      message: outgoing.logMessage,
+      timestamp: result.timestamp,
+      type: outgoing.type,
+      chat_id: result.to,
+      is_group: result.to.endsWith('@g.us'),
+      media: outgoing.media,
+      status: 'success',
+      delivery_status: 'pending',
+      new_contact: newContact,
+      created_at: new Date().toISOString()
+    };
+    Object.assign(messageData, ackUpdates(messageData, result.ack, messageData.created_at));
+
+    const logged = await db.logMessage(messageData);
+    eventBus.message(logged || messageData);
+    await this.applyPendingAck(accountId, messageData.message_id);
+    
+    return {
+      success: true,
+      messageId: result.id._serialized,
+      timestamp: result.timestamp,
+      type: outgoing.type,
+      logId: logged ? logged.id : null
+    };
+  }
+
+  // Show the account typing for about as long as writing `text` would take
+  async showTyping(client, chatId, text) {
+    try {
+      const chat = await client.getChatById(chatId);
+      await chat.sendStateTyping();
+      await new Promise(resolve => setTimeout(resolve, typingDuration(text)));
+      await chat.clearState();
+    } catch (error) {
+      console.error(`Error showing typing in chat ${chatId}:`, error.message);
+    }
+  }
+
+  // Country numbers without a country code are read in for an account
+  async getDefaultCountry(accountId) {
+    const account = await db.getAccount(accountId).catch(() => null);
+    return (account && account.default_country) || DEFAULT_COUNTRY;
+  }
+
+  // Chat id of a phone number or chat id (see phoneNumber.toChatId); 400 for
+  // numbers that cannot exist
+  async resolveChatId(accountId, number) {
+    return toChatId(number, await this.getDefaultCountry(accountId));
   }
 
   // Get QR code for an account
@@ -345,6 +722,18 @@ class WhatsAppManager {
     return this.accountStatus.get(accountId);
   }
 
+  // Client of a connected account, for actions other than sending messages
+  getReadyClient(accountId) {
+    const client = this.clients.get(accountId);
+    const status = this.accountStatus.get(accountId);
+    if (!client || status !== 'ready' || !client.pupPage || client.pupPage._closed) {
+      const error = new Error(`WhatsApp client is not ready. Current status: ${status || 'not started'}`);
+      error.statusCode = 409;
+      throw error;
+    }
+    return client;
+  }
+
   // Get all account statuses
   getAllAccountStatuses() {
     const statuses = {};
@@ -357,14 +746,12 @@ class WhatsAppManager {
   // Delete an account
   async deleteAccount(accountId) {
     try {
-      const client = this.clients.get(accountId);
-      if (client) {
-        await client.destroy();
-        this.clients.delete(accountId);
-      }
+      this.cancelReconnect(accountId);
+      await this.destroyClient(accountId);
       
       this.qrCodes.delete(accountId);
       this.accountStatus.delete(accountId);
+      this.health.delete(accountId);
       
       // Delete from database
       await db.deleteAccount(accountId);
@@ -376,13 +763,74 @@ class WhatsAppManager {
     }
   }
 
+  // Manual controls
+
+  hasClient(accountId) {
+    return this.clients.has(accountId);
+  }
+
+  // Start a client for an account that has none (stopped, logged out or
+  // waiting for a backoff reconnect), skipping any pending retry delay
+  async reconnect(account) {
+    this.cancelReconnect(account.id);
+    this.getHealthRecord(account.id).reconnect_attempts = 0;
+    await this.reconnectAccount(account);
+  }
+
+  // Shut an account's client down and keep it down until started again
+  async stopAccount(accountId) {
+    this.cancelReconnect(accountId);
+    await this.destroyClient(accountId);
+    this.qrCodes.delete(accountId);
+
+    await db.updateAccount(accountId, {
+      status: 'stopped',
+      error_message: null,
+      updated_at: new Date().toISOString()
+    });
+
+    this.accountStatus.set(accountId, 'stopped');
+    eventBus.accountStatus(accountId, 'stopped', { health: this.getAccountHealth(accountId) });
+    console.log(`WhatsApp client stopped for account ${accountId}`);
+  }
+
+  // Unlink the device from WhatsApp and wipe the LocalAuth session so the
+  // next reconnect shows a fresh QR code. Webhooks and logs are kept.
+  async logoutAccount(accountId) {
+    this.cancelReconnect(accountId);
+    await this.destroyClient(accountId, { logout: true });
+    this.qrCodes.delete(accountId);
+
+    await fs.remove(`./sessions/${accountId}`);
+
+    await db.updateAccount(accountId, {
+      status: 'disconnected',
+      error_message: 'LOGOUT',
+      phone_number: null,
+      qr_code: null,
+      updated_at: new Date().toISOString()
+    });
+
+    this.accountStatus.set(accountId, 'disconnected');
+    eventBus.accountStatus(accountId, 'disconnected', {
+      error_message: 'LOGOUT',
+      health: this.getAccountHealth(accountId)
+    });
+    console.log(`WhatsApp account ${accountId} logged out and session removed`);
+  }
+
   // Initialize existing accounts from database
   async initializeExistingAccounts() {
     try {
       const accounts = await db.getAccounts();
       
       for (const account of accounts) {
-        if (account.status === 'ready' || account.status === 'qr_ready') {
+        // Accounts that were connected, mid-startup or dropped when the server
+        // stopped are brought back; logged-out and auth-failed ones wait for an operator
+        const resumable = ['ready', 'qr_ready', 'initializing'].includes(account.status) ||
+          (account.status === 'disconnected' && !LOGGED_OUT_REASONS.includes(account.error_message));
+
+        if (resumable) {
           await this.reconnectAccount(account);
         }
       }
@@ -393,51 +841,257 @@ class WhatsAppManager {
 
   // Reconnect to an existing account
   async reconnectAccount(account) {
+    let client = null;
+
     try {
-      const sessionDir = `./sessions/${account.id}`;
-      
       // Initialize WhatsApp client with existing session
-      const client = new Client({
-        authStrategy: new LocalAuth({
-          clientId: account.id,
-          dataPath: sessionDir
-        }),
-        puppeteer: {
-          headless: true,
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--single-process',
-            '--disable-gpu'
-          ]
-        }
-      });
+      client = this.buildClient(account.id);
 
       // Set up event handlers
       this.setupEventHandlers(client, account.id);
 
       // Store client reference
       this.clients.set(account.id, client);
-      this.accountStatus.set(account.id, 'initializing');
+      this.markInitializing(account.id);
 
       // Initialize the client
       await client.initialize();
 
       console.log(`Reconnected to existing account: ${account.name} (${account.id})`);
     } catch (error) {
+      // The supervisor may already have replaced a client that hung here
+      if (client && this.clients.get(account.id) !== client) return;
+
       console.error(`Error reconnecting to account ${account.id}:`, error);
+      await this.destroyClient(account.id);
+
       // Update account status to disconnected if reconnection fails
-      await db.updateAccount(account.id, { 
-        status: 'disconnected',
-        updated_at: new Date().toISOString()
-      });
+      try {
+        await db.updateAccount(account.id, { 
+          status: 'disconnected',
+          error_message: error.message,
+          updated_at: new Date().toISOString()
+        });
+      } catch (dbError) {
+        console.error('Error updating account status:', dbError);
+      }
       this.accountStatus.set(account.id, 'disconnected');
+      this.recordError(account.id, `Reconnect failed: ${error.message}`);
+      this.scheduleReconnect(account.id, error.message);
+      eventBus.accountStatus(account.id, 'disconnected', {
+        error_message: error.message,
+        health: this.getAccountHealth(account.id)
+      });
+    }
+  }
+
+  // Supervision
+
+  // Start probing clients and reconnecting dropped ones
+  startSupervisor() {
+    if (this.supervisorTimer) return;
+    this.supervisorTimer = setInterval(() => this.checkAllClients(), HEALTH_CHECK_INTERVAL_MS);
+  }
+
+  // Stop probing and cancel pending reconnects (used on shutdown)
+  stopSupervisor() {
+    if (this.supervisorTimer) {
+      clearInterval(this.supervisorTimer);
+      this.supervisorTimer = null;
+    }
+    for (const accountId of this.reconnectTimers.keys()) {
+      this.cancelReconnect(accountId);
     }
   }
+
+  async checkAllClients() {
+    for (const accountId of [...this.clients.keys()]) {
+      try {
+        await this.checkClient(accountId);
+      } catch (error) {
+        console.error(`Error checking WhatsApp client for account ${accountId}:`, error);
+      }
+    }
+  }
+
+  // Probe one client: restart it if startup hangs, or if a ready client's
+  // page is closed or getState() fails/times out several times in a row
+  async checkClient(accountId) {
+    const client = this.clients.get(accountId);
+    const status = this.accountStatus.get(accountId);
+    const health = this.getHealthRecord(accountId);
+
+    if (!client || this.restarting.has(accountId) || this.reconnectTimers.has(accountId)) return;
+
+    if (status === 'initializing') {
+      if (health.started_at && Date.now() - health.started_at > CLIENT_INIT_TIMEOUT_MS) {
+        this.recordError(accountId, 'Client initialization timed out');
+        await this.restartClient(accountId, 'Client initialization timed out');
+      }
+      return;
+    }
+
+    if (status !== 'ready') return;
+
+    health.last_check_at = new Date().toISOString();
+    try {
+      if (!client.pupPage || client.pupPage._closed) {
+        throw new Error('WhatsApp client page is closed');
+      }
+
+      const state = await withTimeout(client.getState(), HEALTH_CHECK_TIMEOUT_MS, 'Health check timed out');
+      health.last_state = state;
+      if (state !== 'CONNECTED') {
+        throw new Error(`Unexpected client state: ${state}`);
+      }
+
+      health.consecutive_failures = 0;
+    } catch (error) {
+      health.consecutive_failures++;
+      this.recordError(accountId, `Health check failed: ${error.message}`);
+      console.warn(`Health check failed for account ${accountId} (${health.consecutive_failures}/${HEALTH_CHECK_FAILURE_THRESHOLD}):`, error.message);
+
+      if (health.consecutive_failures >= HEALTH_CHECK_FAILURE_THRESHOLD) {
+        await this.restartClient(accountId, error.message);
+      }
+    }
+  }
+
+  // Retry a dropped account with exponential backoff
+  scheduleReconnect(accountId, reason) {
+    if (!this.supervisorTimer || this.reconnectTimers.has(accountId)) return;
+
+    const health = this.getHealthRecord(accountId);
+    const delay = Math.min(RECONNECT_BASE_MS * Math.pow(2, health.reconnect_attempts), RECONNECT_MAX_MS);
+    health.reconnect_attempts++;
+    health.next_reconnect_at = new Date(Date.now() + delay).toISOString();
+
+    console.log(`Reconnecting account ${accountId} in ${Math.round(delay / 1000)}s (attempt ${health.reconnect_attempts}): ${reason}`);
+
+    const timer = setTimeout(() => {
+      this.reconnectTimers.delete(accountId);
+      health.next_reconnect_at = null;
+      this.restartClient(accountId, reason).catch(error => {
+        console.error(`Error restarting account ${accountId}:`, error);
+      });
+    }, delay);
+
+    this.reconnectTimers.set(accountId, timer);
+  }
+
+  cancelReconnect(accountId) {
+    const timer = this.reconnectTimers.get(accountId);
+    if (timer) {
+      clearTimeout(timer);
+      this.reconnectTimers.delete(accountId);
+    }
+
+    const health = this.health.get(accountId);
+    if (health) health.next_reconnect_at = null;
+  }
+
+  // Tear down an account's client and start a fresh one from its saved session
+  async restartClient(accountId, reason) {
+    if (this.restarting.has(accountId)) return;
+
+    this.restarting.add(accountId);
+    this.cancelReconnect(accountId);
+
+    let account;
+    try {
+      const health = this.getHealthRecord(accountId);
+      health.restart_count++;
+      health.last_restart_at = new Date().toISOString();
+      health.consecutive_failures = 0;
+
+      console.log(`Restarting WhatsApp client for account ${accountId}: ${reason}`);
+      await this.destroyClient(accountId);
+
+      account = await db.getAccount(accountId);
+    } finally {
+      this.restarting.delete(accountId);
+    }
+
+    if (account) {
+      await this.reconnectAccount(account);
+    }
+  }
+
+  // Destroy a client, killing its browser if it does not close in time.
+  // With `logout`, the device is unlinked from WhatsApp first.
+  async destroyClient(accountId, { logout = false } = {}) {
+    const client = this.clients.get(accountId);
+    if (!client) return;
+
+    // Remove first so events emitted while closing are ignored
+    this.clients.delete(accountId);
+
+    if (logout && client.pupPage && !client.pupPage._closed) {
+      try {
+        await withTimeout(client.logout(), HEALTH_CHECK_TIMEOUT_MS, 'Timed out logging out');
+      } catch (error) {
+        console.error(`Error logging out WhatsApp client for account ${accountId}:`, error.message);
+      }
+    }
+
+    try {
+      await withTimeout(client.destroy(), HEALTH_CHECK_TIMEOUT_MS, 'Timed out closing browser');
+    } catch (error) {
+      console.error(`Error destroying WhatsApp client for account ${accountId}:`, error.message);
+      try {
+        const browserProcess = client.pupBrowser && client.pupBrowser.process();
+        if (browserProcess) browserProcess.kill('SIGKILL');
+      } catch (killError) {
+        console.error(`Error killing browser for account ${accountId}:`, killError.message);
+      }
+    }
+  }
+
+  markInitializing(accountId) {
+    this.accountStatus.set(accountId, 'initializing');
+    this.getHealthRecord(accountId).started_at = Date.now();
+    eventBus.accountStatus(accountId, 'initializing');
+  }
+
+  recordError(accountId, message) {
+    const health = this.getHealthRecord(accountId);
+    health.last_error = message;
+    health.last_error_at = new Date().toISOString();
+  }
+
+  getHealthRecord(accountId) {
+    if (!this.health.has(accountId)) {
+      this.health.set(accountId, {
+        restart_count: 0,
+        reconnect_attempts: 0,
+        consecutive_failures: 0,
+        next_reconnect_at: null,
+        last_restart_at: null,
+        last_error: null,
+        last_error_at: null,
+        last_check_at: null,
+        last_state: null,
+        started_at: null
+      });
+    }
+    return this.health.get(accountId);
+  }
+
+  // Supervisor state for an account as exposed through the API
+  getAccountHealth(accountId) {
+    const health = this.getHealthRecord(accountId);
+    return {
+      status: this.accountStatus.get(accountId) || null,
+      restart_count: health.restart_count,
+      reconnect_attempts: health.reconnect_attempts,
+      next_reconnect_at: health.next_reconnect_at,
+      last_restart_at: health.last_restart_at,
+      last_error: health.last_error,
+      last_error_at: health.last_error_at,
+      last_check_at: health.last_check_at,
+      last_state: health.last_state
+    };
+  }
 }
 
 module.exports = new WhatsAppManager(); 
\ No newline at end of file